@@ -0,0 +1,40 @@
+// Vercel serverless function — proxy to Binance spot and USD-M futures APIs
+// Handles: /api/binance/fapi/* -> https://fapi.binance.com/fapi/*
+//          /api/binance/*      -> https://api.binance.com/*
+//
+// NOTE: Vercel legacy "routes" config does NOT inject [...path] into req.query.
+// Path must be parsed from req.url directly.
+//
+// Binance refuses requests from some regions (HTTP 451), US included; deploy
+// the function to an allowed region or the app falls back to other venues.
+
+export default async function handler(req, res) {
+  // Parse path from req.url directly — Vercel legacy routes don't inject
+  // [...path] into req.query. req.url = "/api/binance/api/v3/klines?symbol=BTCUSDT&interval=1h"
+  const rawUrl = req.url || ''
+  const qIdx = rawUrl.indexOf('?')
+  const pathPart = qIdx >= 0 ? rawUrl.slice(0, qIdx) : rawUrl
+  const upstreamPath = pathPart.replace(/^\/api\/binance\/?/, '')
+  const host = upstreamPath.startsWith('fapi/') ? 'https://fapi.binance.com' : 'https://api.binance.com'
+
+  const url = new URL(`${host}/${upstreamPath}`)
+
+  // Copy query params from original request
+  const queryParams = new URLSearchParams(qIdx >= 0 ? rawUrl.slice(qIdx + 1) : '')
+  queryParams.forEach((value, key) => {
+    if (key !== 'path') url.searchParams.set(key, value)
+  })
+
+  try {
+    const upstream = await fetch(url.toString(), {
+      method: req.method,
+      headers: { "Content-Type": "application/json", "Accept": "application/json" },
+    })
+    const data = await upstream.text()
+    res.setHeader("Access-Control-Allow-Origin", "*")
+    res.setHeader("Cache-Control", "s-maxage=5, stale-while-revalidate=10")
+    res.status(upstream.status).send(data)
+  } catch (err) {
+    res.status(502).json({ error: "Upstream request failed", detail: err.message })
+  }
+}
@@ -2,8 +2,11 @@
  * Vercel Cron Job — Hourly portfolio snapshot
  *
  * Runs every hour (even when the browser is closed) to record portfolio value.
- * Reads holdings from Supabase, fetches current prices from Coinbase/Yahoo,
- * and inserts an OHLC-compatible snapshot into portfolio_snapshots.
+ * Reads holdings from Supabase, fetches current prices through the same
+ * provider registry as the app (Coinbase/Binance/Phemex/CoinGecko/Yahoo),
+ * and inserts an OHLC-compatible snapshot into portfolio_snapshots. Option
+ * holdings are valued with the same valueOptionPosition() as the client
+ * (Black-Scholes at the holding's IV; there is no chain mid server-side).
  *
  * Configure in vercel.json:
  *   "crons": [{ "path": "/api/cron/snapshot", "schedule": "0 * * * *" }]
@@ -18,46 +21,16 @@ const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABA
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY)
 
-// ─── SYMBOL MAPS ────────────────────────────────────────────────────────────
-// Canonical source: src/utils/symbols.js — keep in sync when adding symbols.
-import { COINBASE_PRODUCTS as COINBASE_MAP, PHEMEX_PRODUCTS as PHEMEX_MAP, YAHOO_OVERRIDES } from "../../src/utils/symbols.js"
+// ─── PRICES (server-side, no proxy needed) ──────────────────────────────────
+import { createRegistry } from "../../src/lib/providers/index.js"
 
-// ─── PRICE FETCHERS (server-side, no proxy needed) ──────────────────────────
+const marketData = createRegistry({ direct: true })
 
-async function fetchCoinbasePrice(cbSymbol) {
-  try {
-    const res = await fetch(`https://api.exchange.coinbase.com/products/${cbSymbol}/ticker`)
-    if (!res.ok) return null
-    const data = await res.json()
-    return parseFloat(data.price) || null
-  } catch { return null }
-}
+// ─── OPTIONS ────────────────────────────────────────────────────────────────
+import { valueOptionPosition, positionScale } from "../../src/engine/positions.js"
 
-async function fetchPhemexPrice(phSymbol) {
-  try {
-    const res = await fetch(`https://api.phemex.com/md/v3/ticker/24hr?symbol=${phSymbol}`)
-    if (!res.ok) return null
-    const data = await res.json()
-    const last = data?.result?.lastRp || data?.result?.lastEp
-    if (!last) return null
-    const raw = typeof last === "string" ? parseFloat(last) : last
-    // v3 lastRp is already a decimal string; lastEp may be scaled 1e8
-    return raw > 1e6 ? raw / 1e8 : raw || null
-  } catch { return null }
-}
-
-async function fetchYahooPrice(ticker) {
-  try {
-    const res = await fetch(
-      `https://query2.finance.yahoo.com/v8/finance/chart/${ticker}?interval=1d&range=1d`,
-      { headers: { "User-Agent": "Mozilla/5.0" } }
-    )
-    if (!res.ok) return null
-    const data = await res.json()
-    const meta = data.chart?.result?.[0]?.meta
-    return meta?.regularMarketPrice || null
-  } catch { return null }
-}
+// Same rate the Portfolio values option holdings at
+const OPTION_RATE = 0.045
 
 // ─── HANDLER ────────────────────────────────────────────────────────────────
 
@@ -86,42 +59,25 @@ export default async function handler(req, res) {
     const marketHoldings = holdings.filter(h => (h.assetClass || "market") === "market")
     const collectibleHoldings = holdings.filter(h => h.assetClass === "collectible")
     const cashHoldings = holdings.filter(h => h.assetClass === "cash")
+    const optionHoldings = holdings.filter(h => h.assetClass === "option")
 
     const prices = {}
 
+    // Option underlyings are quoted alongside market holdings
+    const quoted = [
+      ...marketHoldings,
+      ...optionHoldings.map(h => ({ symbol: h.underlying || "", type: h.underlyingType || "equity", exchange: "auto" })),
+    ]
+
     // Batch fetch prices (4 at a time)
-    for (let i = 0; i < marketHoldings.length; i += 4) {
-      const batch = marketHoldings.slice(i, i + 4)
+    for (let i = 0; i < quoted.length; i += 4) {
+      const batch = quoted.slice(i, i + 4)
       await Promise.all(batch.map(async (h) => {
         const sym = h.symbol.toUpperCase()
-        if (prices[sym]) return
-
-        // Crypto → Coinbase
-        const cbSym = COINBASE_MAP[sym] || (h.type !== "equity" ? `${sym}-USD` : null)
-        if (cbSym) {
-          const p = await fetchCoinbasePrice(cbSym)
-          if (p) { prices[sym] = p; return }
-        }
-
-        // Crypto → Phemex (fallback for tokens not on Coinbase)
-        const phSym = PHEMEX_MAP[sym]
-        if (phSym) {
-          const p = await fetchPhemexPrice(phSym)
-          if (p) { prices[sym] = p; return }
-        }
-
-        // Commodities/futures → Yahoo (XCUUSD → HG=F, etc.)
-        const yahooOverride = YAHOO_OVERRIDES[sym]
-        if (yahooOverride) {
-          const p = await fetchYahooPrice(yahooOverride)
-          if (p) { prices[sym] = p; return }
-        }
-
-        // Equities → Yahoo
-        if (h.type === "equity" || /^[A-Z]{1,5}$/.test(sym)) {
-          const p = await fetchYahooPrice(sym)
-          if (p) { prices[sym] = p; return }
-        }
+        if (!sym || prices[sym]) return
+
+        const q = await marketData.quote(sym, { type: h.type, exchange: h.exchange })
+        if (q) prices[sym] = q.price
       }))
     }
 
@@ -138,6 +94,15 @@ export default async function handler(req, res) {
       costBasis += margin
     })
 
+    // Signed like the client: shorts carry negative value and cost. Without an
+    // underlying price a position is carried at cost rather than dropped.
+    optionHoldings.forEach(h => {
+      const S = prices[(h.underlying || "").toUpperCase()] || 0
+      const cost = (h.costBasis || 0) * positionScale(h)
+      marketValue += S > 0 ? valueOptionPosition(h, S, { r: OPTION_RATE }).marketValue : cost
+      costBasis += cost
+    })
+
     collectibleHoldings.forEach(h => {
       collectibleValue += (h.manualPrice || 0) * h.qty
     })
@@ -172,7 +137,7 @@ export default async function handler(req, res) {
     }
 
     const priceCount = Object.keys(prices).length
-    console.log(`[Cron] snapshot saved: $${totalValue.toFixed(2)} (${priceCount} prices fetched, ${marketHoldings.length} market, ${collectibleHoldings.length} collectible, ${cashHoldings.length} cash)`)
+    console.log(`[Cron] snapshot saved: $${totalValue.toFixed(2)} (${priceCount} prices fetched, ${marketHoldings.length} market, ${optionHoldings.length} option, ${collectibleHoldings.length} collectible, ${cashHoldings.length} cash)`)
 
     return res.status(200).json({
       status: "ok",
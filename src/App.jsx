@@ -2,6 +2,7 @@ import React, { useState, useCallback } from 'react'
 import Portfolio from './components/portfolio/Portfolio'
 import PokemonMarket from './components/PokemonMarket'
 import MultiChart from './components/MultiChart'
+import OptionsSimulator from './components/simulator/OptionsSimulator'
 import ErrorBoundary from './components/common/ErrorBoundary'
 import { COLORS, FONTS } from './utils/constants'
 
@@ -30,6 +31,7 @@ export default function App() {
           <div style={{ display: "flex", gap: 0, height: 44, alignItems: "stretch" }}>
             {[
               { id: "charts", label: "Charts" },
+              { id: "simulator", label: "Simulator" },
               { id: "portfolio", label: "Portfolio" },
               { id: "pokemon", label: "Pokemon" },
             ].map(tab => (
@@ -60,6 +62,14 @@ export default function App() {
         </ErrorBoundary>
       )}
 
+      {activeTab === "simulator" && (
+        <ErrorBoundary label="Simulator">
+          <div style={{ flex: 1, overflow: "auto" }}>
+            <OptionsSimulator />
+          </div>
+        </ErrorBoundary>
+      )}
+
       {activeTab === "portfolio" && (
         <ErrorBoundary label="Portfolio">
           <div style={{ flex: 1, overflow: "auto" }}>
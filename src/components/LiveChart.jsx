@@ -1,11 +1,37 @@
-import React, { useState, useEffect, useRef, useCallback, memo } from "react"
+import React, { useState, useEffect, useRef, useCallback, useMemo, memo } from "react"
 import { createChart } from "lightweight-charts"
-import {
-  parseChartSymbol, subscribeCoinbase, subscribePhemex, subscribeYahoo,
-  fetchCoinbaseCandles, fetchPhemexCandles, fetchYahooCandles, fetchCoingeckoCandles,
-} from "../lib/liveData"
+import { marketData } from "../lib/providers"
+import { ESTIMATORS, periodsPerYear, realizedVol, volCone } from "../engine/volatility"
+import { expectedMove, probAbove, probTouch } from "../engine/blackScholes"
+import { fetchOptionChain } from "../hooks/useMarketData"
+import { yearsToExpiry } from "../utils/dates"
 
 const TIMEFRAMES = ["1m", "5m", "15m", "1H", "4H", "1D"]
+const CANDLE_COUNTS = { "1m": 360, "5m": 288, "15m": 288, "1H": 720, "4H": 540, "1D": 365 }
+
+// Realized vol panel: trailing window for the estimator readout, and cone window lengths (in bars)
+const RV_WINDOW = 20
+const CONE_WINDOWS = [10, 20, 30, 60, 90]
+
+// Expected-move cone horizons; a horizon is offered while it spans at most MAX_CONE_BARS bars
+const HORIZONS = [
+  { key: "1D", seconds: 86400 },
+  { key: "1W", seconds: 7 * 86400 },
+  { key: "1M", seconds: 30 * 86400 },
+  { key: "3M", seconds: 91 * 86400 },
+]
+const MAX_CONE_BARS = 3000
+const YEAR_SECONDS = 365 * 86400
+
+// ATM implied vol of a chain: mean of the call and put mid IVs at the strike nearest spot
+function chainAtmIv(chain) {
+  if (!chain || !(chain.spot > 0)) return null
+  const quoted = [...chain.calls, ...chain.puts].filter(c => c.iv > 0)
+  if (quoted.length === 0) return null
+  const strike = quoted.reduce((best, c) => Math.abs(c.strike - chain.spot) < Math.abs(best - chain.spot) ? c.strike : best, quoted[0].strike)
+  const ivs = quoted.filter(c => c.strike === strike).map(c => c.iv)
+  return ivs.reduce((a, b) => a + b, 0) / ivs.length
+}
 
 function fmtPrice(p) {
   if (p == null) return "—"
@@ -15,6 +41,19 @@ function fmtPrice(p) {
   return p.toFixed(6)
 }
 
+const panelStyle = {
+  background: "rgba(8,10,15,0.85)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 3,
+  padding: "6px 8px", fontFamily: "'JetBrains Mono', monospace", fontSize: 9, color: "#8892a8",
+  backdropFilter: "blur(4px)",
+}
+
+const chipStyle = (active) => ({
+  padding: "1px 5px", fontSize: 8, fontFamily: "'JetBrains Mono', monospace", cursor: "pointer",
+  background: active ? "rgba(59,130,246,0.12)" : "transparent",
+  border: `1px solid ${active ? "rgba(59,130,246,0.3)" : "rgba(255,255,255,0.06)"}`,
+  borderRadius: 2, color: active ? "#3b82f6" : "#4a5060",
+})
+
 function fmtChange(c) {
   if (c == null) return ""
   return `${c >= 0 ? "+" : ""}${c.toFixed(2)}%`
@@ -22,20 +61,38 @@ function fmtChange(c) {
 
 const GRANULARITY = { "1m": 60, "5m": 300, "15m": 900, "1H": 3600, "4H": 14400, "1D": 86400 }
 
+// Ticks take the forming bar back over once the kline stream has been quiet this long
+const BAR_STALE_MS = 15000
+
 function LiveChart({ symbol }) {
   const containerRef = useRef(null)
   const chartRef = useRef(null)
   const candleRef = useRef(null)
   const volRef = useRef(null)
+  const coneRef = useRef(null)
+  const levelLineRef = useRef(null)
   const lastCandleRef = useRef(null)
+  const lastBarAtRef = useRef(0) // when the kline stream last delivered a bar (ms), 0 if none
 
   const [tf, setTf] = useState("1H")
+  const tfRef = useRef(tf)
+  tfRef.current = tf
   const [price, setPrice] = useState(null)
   const [change24h, setChange24h] = useState(null)
   const [status, setStatus] = useState("loading") // loading, live, polling, delayed, error
-  const [source, setSource] = useState("") // "CB", "PH", "CG", "YF"
-
-  const parsed = parseChartSymbol(symbol)
+  const [source, setSource] = useState("") // provider short name: "CB", "BN", "PH", "CG", "YF"
+  const [feed, setFeed] = useState(null) // provider currently ticking
+  const [barFeed, setBarFeed] = useState(null) // provider the candles came from
+  const [perp, setPerp] = useState(null) // { markPrice, fundingRate } from perp feeds that carry them
+  const [bars, setBars] = useState([])
+  const [showVol, setShowVol] = useState(false)
+  const [showCone, setShowCone] = useState(false)
+  const [horizon, setHorizon] = useState("1W")
+  const [coneVol, setConeVol] = useState("iv") // iv | rv
+  const [atm, setAtm] = useState(null) // { key, iv, expiry } ATM IV from the option chain
+  const [level, setLevel] = useState("")
+
+  const parsed = useMemo(() => marketData.resolve(symbol), [symbol])
 
   // ─── CREATE CHART ───
   useEffect(() => {
@@ -88,9 +145,20 @@ function LiveChart({ symbol }) {
     })
     chart.priceScale("vol").applyOptions({ scaleMargins: { top: 0.82, bottom: 0 } })
 
+    // Expected-move cone: 1σ solid, 2σ dashed, upper and lower
+    const coneLine = (color, style) => chart.addLineSeries({
+      color, lineWidth: 1, lineStyle: style,
+      priceLineVisible: false, lastValueVisible: false, crosshairMarkerVisible: false,
+    })
+    const cone = {
+      up1: coneLine("rgba(59,130,246,0.8)", 0), lo1: coneLine("rgba(59,130,246,0.8)", 0),
+      up2: coneLine("rgba(168,85,247,0.6)", 2), lo2: coneLine("rgba(168,85,247,0.6)", 2),
+    }
+
     chartRef.current = chart
     candleRef.current = candleSeries
     volRef.current = volumeSeries
+    coneRef.current = cone
 
     const ro = new ResizeObserver(entries => {
       const { width, height } = entries[0].contentRect
@@ -98,37 +166,24 @@ function LiveChart({ symbol }) {
     })
     ro.observe(el)
 
-    return () => { ro.disconnect(); chart.remove(); chartRef.current = null; candleRef.current = null; volRef.current = null }
+    return () => {
+      ro.disconnect(); chart.remove()
+      chartRef.current = null; candleRef.current = null; volRef.current = null; coneRef.current = null; levelLineRef.current = null
+    }
   }, [])
 
-  // ─── LOAD HISTORICAL CANDLES (with fallback chain) ───
+  // ─── LOAD HISTORICAL CANDLES (first provider on the route that has them) ───
   useEffect(() => {
     let cancelled = false
     setStatus("loading")
     setSource("")
+    setBarFeed(null)
+    setBars([])
 
     async function load() {
-      let candles = []
-      let src = ""
-
-      if (parsed.exchange === "yahoo") {
-        candles = await fetchYahooCandles(parsed.ticker, tf)
-        src = "YF"
-      } else {
-        // Crypto fallback chain: Coinbase → Phemex → CoinGecko
-        if (parsed.cbProduct) {
-          candles = await fetchCoinbaseCandles(parsed.cbProduct, tf)
-          if (candles.length > 0) src = "CB"
-        }
-        if (candles.length === 0 && parsed.phProduct) {
-          candles = await fetchPhemexCandles(parsed.phProduct, tf)
-          if (candles.length > 0) src = "PH"
-        }
-        if (candles.length === 0 && parsed.coingeckoId) {
-          candles = await fetchCoingeckoCandles(parsed.coingeckoId, tf)
-          if (candles.length > 0) src = "CG"
-        }
-      }
+      const { candles, provider } = parsed
+        ? await marketData.candles(parsed, tf, { count: CANDLE_COUNTS[tf] })
+        : { candles: [], provider: null }
 
       if (cancelled) return
 
@@ -138,7 +193,9 @@ function LiveChart({ symbol }) {
         return
       }
 
-      setSource(src)
+      setSource(provider.short)
+      setBarFeed(provider)
+      setBars(candles)
 
       if (candleRef.current) {
         candleRef.current.setData(candles.map(c => ({
@@ -163,59 +220,44 @@ function LiveChart({ symbol }) {
     return () => { cancelled = true }
   }, [symbol, tf])
 
-  // ─── LIVE UPDATES (with fallback) ───
+  // ─── LIVE UPDATES (first route, fallbacks opened while it is quiet) ───
   useEffect(() => {
     if (!parsed) return
-    const unsubs = []
-
-    if (parsed.exchange === "yahoo") {
-      setStatus("delayed")
-      unsubs.push(subscribeYahoo(parsed.ticker, (tick) => {
-        setPrice(tick.price)
-        setChange24h(tick.change)
-        setStatus("delayed")
-        updateLastCandle(tick.price, tf)
-      }, 15000))
-      return () => unsubs.forEach(u => u())
-    }
-
-    // Crypto: try Coinbase WS first, always run Phemex polling as backup
-    let hasCbData = false
-
-    if (parsed.cbProduct) {
-      unsubs.push(subscribeCoinbase(parsed.cbProduct, (tick) => {
-        const p = parseFloat(tick.price)
-        const open24h = parseFloat(tick.open_24h || 0)
-        if (!p || p <= 0) return
-        hasCbData = true
-        setPrice(p)
-        setStatus("live")
-        setSource("CB")
-        if (open24h > 0) setChange24h(((p - open24h) / open24h) * 100)
-        updateLastCandle(p, tf)
-      }))
-    }
-
-    if (parsed.phProduct) {
-      unsubs.push(subscribePhemex(parsed.phProduct, (tick) => {
-        // Only use Phemex data if Coinbase isn't streaming
-        if (hasCbData) return
-        setPrice(tick.price)
-        setChange24h(tick.change)
-        setStatus("polling")
-        setSource("PH")
-        updateLastCandle(tick.price, tf)
-      }, 5000))
-    }
-
-    // If neither CB nor PH, we just have candle data
-    if (!parsed.cbProduct && !parsed.phProduct) {
-      setStatus("delayed")
-    }
-
-    return () => unsubs.forEach(u => u())
+    setFeed(null)
+    setPerp(null)
+    return marketData.subscribe(parsed, (tick, provider) => {
+      setPrice(tick.price)
+      setChange24h(tick.change)
+      setPerp(tick.fundingRate != null ? { markPrice: tick.markPrice, fundingRate: tick.fundingRate } : null)
+      setFeed(provider)
+      setStatus(provider.capabilities.stream ? "live" : provider.capabilities.delayed ? "delayed" : "polling")
+      setSource(provider.short)
+      if (Date.now() - lastBarAtRef.current > BAR_STALE_MS) updateLastCandle(tick.price, tf)
+    })
   }, [symbol, tf])
 
+  // ─── LIVE BARS (kline stream from the candle provider, when it has one) ───
+  useEffect(() => {
+    if (!barFeed?.streamCandles || !parsed) return
+    const route = parsed.routes.find(r => r.provider === barFeed)
+    if (!route) return
+    const gran = GRANULARITY[tf] || 3600
+    let active = true
+    const unsub = barFeed.streamCandles(route.symbol, tf, (bar) => {
+      // Late bars from a previous symbol or timeframe's subscription are dropped
+      if (!active || tfRef.current !== tf || bar.time % gran !== 0) return
+      const last = lastCandleRef.current
+      if (last && bar.time < last.time) return
+      lastBarAtRef.current = Date.now()
+      lastCandleRef.current = { ...bar }
+      if (candleRef.current) candleRef.current.update({ time: bar.time, open: bar.open, high: bar.high, low: bar.low, close: bar.close })
+      if (volRef.current) {
+        volRef.current.update({ time: bar.time, value: bar.volume || 0, color: bar.close >= bar.open ? "rgba(34,197,94,0.15)" : "rgba(239,68,68,0.15)" })
+      }
+    })
+    return () => { active = false; lastBarAtRef.current = 0; unsub() }
+  }, [barFeed, tf, parsed])
+
   function updateLastCandle(p, timeframe) {
     const gran = GRANULARITY[timeframe] || 3600
     const bucket = Math.floor(Date.now() / 1000 / gran) * gran
@@ -234,8 +276,98 @@ function LiveChart({ symbol }) {
     }
   }
 
+  // ─── REALIZED VOL (loaded bars at the current timeframe) ───
+  const volStats = useMemo(() => {
+    if (!showVol || bars.length < 3) return null
+    const ppy = periodsPerYear(GRANULARITY[tf] || 3600, parsed?.asset === "crypto" ? "crypto" : "equity")
+    return {
+      current: ESTIMATORS.map(e => ({ ...e, vol: realizedVol(bars, { estimator: e.key, window: RV_WINDOW, periodsPerYear: ppy }) })),
+      cone: volCone(bars, { windows: CONE_WINDOWS, periodsPerYear: ppy }),
+    }
+  }, [bars, tf, showVol, symbol])
+
+  const fmtVol = (v) => v == null ? "—" : `${(v * 100).toFixed(1)}%`
+  const barLabel = (n) => tf === "1D" ? `${n}d` : `${n}×${tf}`
+
+  // ─── EXPECTED-MOVE CONE ───
+  const gran = GRANULARITY[tf] || 3600
+  const horizons = HORIZONS.filter(h => h.seconds / gran <= MAX_CONE_BARS)
+  const horizonSec = (horizons.find(h => h.key === horizon) || horizons[horizons.length - 1])?.seconds || 0
+  // Listed options: Yahoo for equities, Deribit for BTC and ETH
+  const underlying = !parsed ? null : parsed.asset !== "crypto" ? parsed.routes[0]?.symbol : ["BTC", "ETH"].includes(parsed.base) ? parsed.base : null
+  const atmKey = underlying ? `${underlying}:${horizonSec}` : null
+
+  // ATM IV from the first listed expiry at or after the horizon
+  useEffect(() => {
+    if (!showCone || coneVol !== "iv" || !atmKey || !horizonSec) return
+    if (atm?.key === atmKey) return
+    let cancelled = false
+    async function load() {
+      let chain = await fetchOptionChain(underlying)
+      const target = horizonSec / YEAR_SECONDS
+      const expiry = chain?.expiries?.find(e => yearsToExpiry(e) >= target) || chain?.expiries?.[chain.expiries.length - 1]
+      if (chain && expiry && expiry !== chain.expiry) chain = await fetchOptionChain(underlying, expiry)
+      if (!cancelled) setAtm({ key: atmKey, iv: chainAtmIv(chain), expiry: chain?.expiry || null })
+    }
+    load().catch(() => { if (!cancelled) setAtm({ key: atmKey, iv: null, expiry: null }) })
+    return () => { cancelled = true }
+  }, [showCone, coneVol, underlying, atmKey, horizonSec, atm])
+
+  const coneStats = useMemo(() => {
+    if (!showCone || bars.length < 3 || !horizonSec) return null
+    const last = bars[bars.length - 1]
+    const ppy = periodsPerYear(gran, parsed?.asset === "crypto" ? "crypto" : "equity")
+    const rv = realizedVol(bars, { window: RV_WINDOW, periodsPerYear: ppy })
+    const ivLoaded = !atmKey || atm?.key === atmKey
+    const iv = atmKey && atm?.key === atmKey ? atm.iv : null
+    const useIv = coneVol === "iv" && iv > 0
+    const sigma = useIv ? iv : rv
+    if (!(sigma > 0)) return null
+    const T = horizonSec / YEAR_SECONDS
+    return {
+      S: last.close, time: last.time, sigma, T, useIv,
+      label: useIv ? `ATM IV ${atm.expiry}` : `RV ${barLabel(RV_WINDOW)}${coneVol !== "iv" ? "" : ivLoaded ? " (no chain IV)" : " (loading IV)"}`,
+      one: expectedMove(last.close, sigma, T, 1),
+      two: expectedMove(last.close, sigma, T, 2),
+    }
+  }, [showCone, bars, gran, horizonSec, coneVol, atm, atmKey, symbol])
+
+  // Cone series: one point per bar from the last candle out to the horizon
+  useEffect(() => {
+    const cone = coneRef.current
+    if (!cone) return
+    if (!coneStats) { Object.values(cone).forEach(s => s.setData([])); return }
+    const { S, time, sigma } = coneStats
+    const steps = Math.round(horizonSec / gran)
+    const data = { up1: [], lo1: [], up2: [], lo2: [] }
+    for (let i = 0; i <= steps; i++) {
+      const t = time + i * gran, T = i * gran / YEAR_SECONDS
+      const one = expectedMove(S, sigma, T, 1), two = expectedMove(S, sigma, T, 2)
+      data.up1.push({ time: t, value: one.upper }); data.lo1.push({ time: t, value: one.lower })
+      data.up2.push({ time: t, value: two.upper }); data.lo2.push({ time: t, value: two.lower })
+    }
+    Object.entries(data).forEach(([k, d]) => cone[k].setData(d))
+    chartRef.current?.timeScale().fitContent()
+  }, [coneStats, horizonSec, gran])
+
+  // Level line and its probabilities at the horizon (driftless lognormal)
+  const levelPrice = parseFloat(level)
+  const levelStats = coneStats && levelPrice > 0 ? {
+    above: probAbove(coneStats.S, levelPrice, coneStats.T, coneStats.sigma),
+    touch: probTouch(coneStats.S, levelPrice, coneStats.T, coneStats.sigma),
+  } : null
+  useEffect(() => {
+    const series = candleRef.current
+    if (!series) return
+    if (levelLineRef.current) { series.removePriceLine(levelLineRef.current); levelLineRef.current = null }
+    if (showCone && levelPrice > 0) {
+      levelLineRef.current = series.createPriceLine({ price: levelPrice, color: "#f59e0b", lineWidth: 1, lineStyle: 2, axisLabelVisible: true, title: "Level" })
+    }
+  }, [showCone, levelPrice])
+
   const statusColor = status === "live" ? "#22c55e" : status === "polling" ? "#3b82f6" : status === "delayed" ? "#6a7488" : status === "error" ? "#ef4444" : "#6a7488"
-  const statusLabel = status === "live" ? "LIVE" : status === "polling" ? "5s" : status === "delayed" ? "15s" : status === "error" ? "ERR" : "..."
+  const pollLabel = feed?.capabilities.pollMs ? `${feed.capabilities.pollMs / 1000}s` : "—"
+  const statusLabel = status === "live" ? "LIVE" : status === "polling" || status === "delayed" ? pollLabel : status === "error" ? "ERR" : "..."
   const changeColor = change24h >= 0 ? "#22c55e" : "#ef4444"
 
   return (
@@ -250,7 +382,7 @@ function LiveChart({ symbol }) {
             fontSize: 11, fontWeight: 600, color: "#8892a8",
             fontFamily: "'JetBrains Mono', monospace", letterSpacing: "0.04em",
           }}>
-            {parsed.base}/{parsed.quote}
+            {parsed ? `${parsed.base}/${parsed.quote}` : symbol}
           </span>
           <span style={{
             fontSize: 8, fontWeight: 600, color: statusColor,
@@ -286,6 +418,12 @@ function LiveChart({ symbol }) {
             )}
           </div>
         )}
+        {perp && (
+          <div style={{ fontSize: 9, color: "#6a7488", fontFamily: "'JetBrains Mono', monospace" }}>
+            mark ${fmtPrice(perp.markPrice)} · funding{" "}
+            <span style={{ color: perp.fundingRate >= 0 ? "#22c55e" : "#ef4444" }}>{(perp.fundingRate * 100).toFixed(4)}%</span>
+          </div>
+        )}
       </div>
 
       {/* ─── Timeframe selector ─── */}
@@ -306,6 +444,120 @@ function LiveChart({ symbol }) {
             {t}
           </button>
         ))}
+        <button onClick={() => setShowVol(v => !v)} title="Realized volatility" style={{
+          padding: "2px 6px", fontSize: 9, fontWeight: showVol ? 600 : 400, marginLeft: 4,
+          fontFamily: "'JetBrains Mono', monospace",
+          background: showVol ? "rgba(59,130,246,0.12)" : "rgba(0,0,0,0.5)",
+          border: `1px solid ${showVol ? "rgba(59,130,246,0.3)" : "rgba(255,255,255,0.04)"}`,
+          borderRadius: 2, color: showVol ? "#3b82f6" : "#4a5060",
+          cursor: "pointer", letterSpacing: "0.03em",
+          backdropFilter: "blur(4px)", transition: "all 0.12s",
+        }}>
+          RV
+        </button>
+        <button onClick={() => setShowCone(v => !v)} title="Expected-move cone and level probabilities" style={{
+          padding: "2px 6px", fontSize: 9, fontWeight: showCone ? 600 : 400,
+          fontFamily: "'JetBrains Mono', monospace",
+          background: showCone ? "rgba(59,130,246,0.12)" : "rgba(0,0,0,0.5)",
+          border: `1px solid ${showCone ? "rgba(59,130,246,0.3)" : "rgba(255,255,255,0.04)"}`,
+          borderRadius: 2, color: showCone ? "#3b82f6" : "#4a5060",
+          cursor: "pointer", letterSpacing: "0.03em",
+          backdropFilter: "blur(4px)", transition: "all 0.12s",
+        }}>
+          EM
+        </button>
+      </div>
+
+      <div style={{
+        position: "absolute", top: 6, right: 64, zIndex: 10, pointerEvents: "none",
+        display: "flex", flexDirection: "column", alignItems: "flex-end", gap: 4,
+      }}>
+        {/* ─── Realized vol panel ─── */}
+        {showVol && (
+          <div style={panelStyle}>
+            {!volStats ? (
+              <div style={{ color: "#4a5060" }}>No bars</div>
+            ) : (<>
+              <div style={{ color: "#4a5060", marginBottom: 3, letterSpacing: "0.05em" }}>RV {barLabel(RV_WINDOW)}</div>
+              {volStats.current.map(e => (
+                <div key={e.key} style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+                  <span>{e.label}</span>
+                  <span style={{ color: "#e0e4ec", fontWeight: 600 }}>{fmtVol(e.vol)}</span>
+                </div>
+              ))}
+              {volStats.cone.length > 0 && (
+                <table style={{ borderCollapse: "collapse", marginTop: 6 }}>
+                  <thead>
+                    <tr style={{ color: "#4a5060" }}>
+                      {["Cone", "Min", "25%", "Med", "75%", "Max", "Now"].map(h => <th key={h} style={{ fontWeight: 500, textAlign: "right", padding: "0 0 2px 6px" }}>{h}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {volStats.cone.map(c => (
+                      <tr key={c.window}>
+                        <td style={{ textAlign: "right", color: "#4a5060" }}>{barLabel(c.window)}</td>
+                        {[c.min, c.p25, c.median, c.p75, c.max].map((v, i) => (
+                          <td key={i} style={{ textAlign: "right", padding: "0 0 0 6px" }}>{fmtVol(v)}</td>
+                        ))}
+                        <td style={{
+                          textAlign: "right", padding: "0 0 0 6px", fontWeight: 600,
+                          color: c.current > c.p75 ? "#ef4444" : c.current < c.p25 ? "#22c55e" : "#e0e4ec",
+                        }}>{fmtVol(c.current)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>)}
+          </div>
+        )}
+
+        {/* ─── Expected-move panel ─── */}
+        {showCone && (
+          <div style={{ ...panelStyle, pointerEvents: "auto", minWidth: 190 }}>
+            <div style={{ display: "flex", gap: 2, marginBottom: 5 }}>
+              {horizons.map(h => (
+                <button key={h.key} onClick={() => setHorizon(h.key)} style={chipStyle(horizonSec === h.seconds)}>{h.key}</button>
+              ))}
+              <span style={{ flex: 1 }} />
+              {[["iv", "IV"], ["rv", "RV"]].map(([k, lbl]) => (
+                <button key={k} onClick={() => setConeVol(k)} style={chipStyle(coneVol === k)}>{lbl}</button>
+              ))}
+            </div>
+            {!coneStats ? (
+              <div style={{ color: "#4a5060" }}>{bars.length < 3 ? "No bars" : "No volatility"}</div>
+            ) : (<>
+              <div style={{ color: "#4a5060", marginBottom: 3, letterSpacing: "0.05em" }}>
+                {coneStats.label} · {fmtVol(coneStats.sigma)}
+              </div>
+              {[["1σ", coneStats.one, "#3b82f6"], ["2σ", coneStats.two, "#a855f7"]].map(([lbl, band, color]) => (
+                <div key={lbl} style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+                  <span style={{ color }}>{lbl}</span>
+                  <span style={{ color: "#e0e4ec" }}>{fmtPrice(band.lower)} – {fmtPrice(band.upper)}</span>
+                  <span>±{((band.upper - band.lower) / 2 / coneStats.S * 100).toFixed(1)}%</span>
+                </div>
+              ))}
+              <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+                <span style={{ color: "#4a5060" }}>Level</span>
+                <input type="number" step="any" value={level} onChange={e => setLevel(e.target.value)} placeholder={fmtPrice(coneStats.S)} style={{
+                  width: 90, padding: "1px 4px", fontSize: 9, fontFamily: "'JetBrains Mono', monospace",
+                  background: "rgba(0,0,0,0.5)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 2, color: "#e0e4ec",
+                }} />
+              </div>
+              {levelStats && (<>
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 12, marginTop: 3 }}>
+                  <span>Finish above</span><span style={{ color: "#e0e4ec", fontWeight: 600 }}>{(levelStats.above * 100).toFixed(1)}%</span>
+                </div>
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+                  <span>Finish below</span><span style={{ color: "#e0e4ec", fontWeight: 600 }}>{((1 - levelStats.above) * 100).toFixed(1)}%</span>
+                </div>
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+                  <span>Touch</span><span style={{ color: "#f59e0b", fontWeight: 600 }}>{(levelStats.touch * 100).toFixed(1)}%</span>
+                </div>
+              </>)}
+            </>)}
+          </div>
+        )}
       </div>
     </div>
   )
@@ -45,7 +45,7 @@ export default function MultiChart() {
   const handleCustomAdd = useCallback((e) => {
     if (e.key === "Enter" && customAdd.trim()) {
       const sym = customAdd.trim().toUpperCase()
-      // Let parseChartSymbol auto-detect the right exchange
+      // Let the provider registry auto-detect the right exchange
       addChart(sym)
       setCustomAdd("")
     }
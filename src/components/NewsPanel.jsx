@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef, useCallback } from "react"
+import { request } from "../lib/request"
 
 const SOURCE_COLORS = {
   "Wall Street Journal": "#f5a623",
@@ -63,7 +64,7 @@ export default function NewsPanel() {
 
   const fetchNews = useCallback(async () => {
     try {
-      const res = await fetch("/api/news/feed")
+      const res = await request("/api/news/feed", { ttl: 60000 })
       if (!res.ok) return
       const data = await res.json()
       if (data.items) setNews(data.items)
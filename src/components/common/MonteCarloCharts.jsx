@@ -0,0 +1,82 @@
+import React, { useMemo } from "react"
+import { ComposedChart, Area, Line, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts"
+import { fmt } from "../../utils/format"
+import { COLORS } from "../../utils/constants"
+import { S } from "../../utils/styles"
+
+function FanTooltip({ active, payload, label, format }) {
+  if (!active || !payload?.length) return null
+  const row = payload[0].payload
+  return (
+    <div style={S.tooltip}>
+      <div style={{ color: COLORS.text.dim, marginBottom: 4 }}>Day {fmt(label, 1)}</div>
+      {[["95%", row.p95], ["75%", row.p75], ["Median", row.p50], ["25%", row.p25], ["5%", row.p5]].map(([lbl, v]) => (
+        <div key={lbl} style={{ display: "flex", gap: 8, justifyContent: "space-between" }}>
+          <span style={{ color: COLORS.text.dim }}>{lbl}</span>
+          <span style={{ fontWeight: 600, color: COLORS.text.primary }}>{format(v)}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Percentile fan over time from engine fanBands() rows ({ t, p5, p25, p50, p75, p95 },
+ * t in years): 5–95% and 25–75% shaded bands around the median.
+ */
+export function FanChart({ data, format = v => fmt(v, 2), reference = null, height = 260 }) {
+  const rows = useMemo(() => data.map(d => ({
+    ...d,
+    x: d.t * 365,
+    outer: [d.p5, d.p95],
+    inner: [d.p25, d.p75],
+  })), [data])
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={rows} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+        <CartesianGrid stroke={COLORS.border.primary} strokeDasharray="3 3" />
+        <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]}
+          tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} tickFormatter={v => `${Math.round(v)}d`} />
+        <YAxis tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} width={70}
+          domain={["auto", "auto"]} tickFormatter={format} />
+        <Tooltip content={<FanTooltip format={format} />} />
+        {reference != null && <ReferenceLine y={reference} stroke={COLORS.text.dim} strokeDasharray="4 4" />}
+        <Area type="monotone" dataKey="outer" stroke="none" fill={COLORS.accent.blue} fillOpacity={0.12} isAnimationActive={false} />
+        <Area type="monotone" dataKey="inner" stroke="none" fill={COLORS.accent.blue} fillOpacity={0.25} isAnimationActive={false} />
+        <Line type="monotone" dataKey="p50" stroke={COLORS.accent.blue} strokeWidth={2} dot={false} isAnimationActive={false} />
+      </ComposedChart>
+    </ResponsiveContainer>
+  )
+}
+
+function HistTooltip({ active, payload, format }) {
+  if (!active || !payload?.length) return null
+  const b = payload[0].payload
+  return (
+    <div style={S.tooltip}>
+      <div style={{ color: COLORS.text.dim, marginBottom: 4 }}>{format(b.x0)} … {format(b.x1)}</div>
+      <div style={{ fontWeight: 600, color: COLORS.text.primary }}>{fmt(b.freq * 100, 1)}% of paths</div>
+    </div>
+  )
+}
+
+/**
+ * Histogram of a summarizeDistribution() result, bars green above zero and red below.
+ */
+export function PnlHistogram({ histogram, format = v => fmt(v, 2), height = 200 }) {
+  const rows = useMemo(() => histogram.map(b => ({ ...b, x: (b.x0 + b.x1) / 2 })), [histogram])
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={rows} margin={{ top: 5, right: 10, left: 5, bottom: 5 }} barCategoryGap={1}>
+        <CartesianGrid stroke={COLORS.border.primary} strokeDasharray="3 3" vertical={false} />
+        <XAxis dataKey="x" tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} tickFormatter={format} minTickGap={30} />
+        <YAxis tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} width={40} tickFormatter={v => `${fmt(v * 100, 0)}%`} />
+        <Tooltip content={<HistTooltip format={format} />} cursor={{ fill: "rgba(255,255,255,0.03)" }} />
+        <Bar dataKey="freq" isAnimationActive={false}>
+          {rows.map((b, i) => <Cell key={i} fill={b.x >= 0 ? COLORS.positive.text : COLORS.negative.text} fillOpacity={0.7} />)}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  )
+}
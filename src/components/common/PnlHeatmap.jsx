@@ -0,0 +1,133 @@
+import React, { useState, useMemo, useCallback } from "react"
+import { packStrategies, pnlGridBatch } from "../../engine/batch"
+import { useTickPricing } from "../../hooks/useBatchPricing"
+import { fmt, fmtPrice, fmtPnl } from "../../utils/format"
+import { COLORS } from "../../utils/constants"
+import { S } from "../../utils/styles"
+import { isoDateFromNow } from "../../utils/dates"
+
+const RANGES = [0.1, 0.25, 0.5]
+const PRICE_STEPS = 21
+const DATE_STEPS = 10
+
+// Diverging fill: green for profit, red for loss, opacity by size relative to the grid's extreme
+function cellColor(v, scale) {
+  if (!(scale > 0)) return "transparent"
+  const a = 0.06 + 0.8 * Math.min(1, Math.abs(v) / scale)
+  return v >= 0 ? `rgba(34, 197, 94, ${a.toFixed(3)})` : `rgba(239, 68, 68, ${a.toFixed(3)})`
+}
+
+// Compact cell label: 1234 → 1.2k
+function compact(v) {
+  const a = Math.abs(v)
+  const s = a >= 1e6 ? `${fmt(a / 1e6, 1)}M` : a >= 1e3 ? `${fmt(a / 1e3, 1)}k` : fmt(a, a >= 10 ? 0 : 2)
+  return `${v < 0 ? "-" : v > 0 ? "+" : ""}${s}`
+}
+
+/**
+ * P&L heatmap over underlying price × calendar date for one or more
+ * positions, with an IV shift slider.
+ *
+ * `groups` are engine pnlGrid() groups — [{ S, legs, sigma, q? }], one per
+ * underlying. With a single group the price axis shows prices; with several
+ * (a whole book) it shows the common % move. `B` wraps dollar amounts
+ * (Portfolio's privacy blur). With a Coinbase `liveProduct` and a single
+ * group, the grid can follow live ticks, recomputed in the pricing worker.
+ */
+export default function PnlHeatmap({ groups, r, title = "P&L Explorer", B = v => v, liveProduct = null }) {
+  const [range, setRange] = useState(0.25)
+  const [ivShift, setIvShift] = useState(0)
+  const [toLast, setToLast] = useState(false)
+  const [liveOn, setLiveOn] = useState(false)
+
+  const expiries = useMemo(() => groups.flatMap(g => g.legs.filter(l => l.kind !== "underlying").map(l => l.T * 365)), [groups])
+  const lastDay = Math.max(1, Math.round(expiries.length === 0 ? 30 : toLast ? Math.max(...expiries) : Math.min(...expiries)))
+  const single = groups.length === 1
+
+  const axes = useMemo(() => ({
+    moves: Array.from({ length: PRICE_STEPS }, (_, i) => range - 2 * range * i / (PRICE_STEPS - 1)),
+    days: [...new Set(Array.from({ length: DATE_STEPS + 1 }, (_, i) => Math.round(lastDay * i / DATE_STEPS)))],
+  }), [range, lastDay])
+  const packed = useMemo(() => groups.length === 0 ? null : packStrategies(groups, { days: axes.days, ivShift: ivShift / 100 }), [groups, axes, ivShift])
+  const staticResult = useMemo(() => packed && pnlGridBatch(packed, { moves: axes.moves, r }), [packed, axes, r])
+
+  // Live: same grid re-centred on each tick, off the main thread
+  const canLive = !!liveProduct && single
+  const buildJob = useCallback((spot) => packed && { task: "grid", params: { packed: { ...packed, S: Float64Array.of(spot) }, moves: axes.moves, r } }, [packed, axes, r])
+  const live = useTickPricing(canLive && liveOn ? liveProduct : null, buildJob)
+  const result = (canLive && liveOn && live.result) || staticResult
+  const centre = (canLive && liveOn && live.spot) || groups[0]?.S
+
+  const toggle = (active) => active ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}
+  if (!result) return null
+  const scale = Math.max(Math.abs(result.min), Math.abs(result.max))
+  const rowLabel = (m) => single ? fmtPrice(centre * (1 + m)) : `${m >= 0 ? "+" : ""}${fmt(m * 100, 1)}%`
+  const hasLaterExpiries = expiries.length > 0 && Math.max(...expiries) - Math.min(...expiries) >= 1
+
+  return (
+    <div style={{ marginBottom: 24 }}>
+      <div style={S.sectionTitle}>
+        <span>{title}</span><div style={S.divider} />
+        <div style={{ display: "flex", gap: 2, alignItems: "center" }}>
+          {RANGES.map(x => (
+            <button key={x} onClick={() => setRange(x)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(range === x) }}>±{x * 100}%</button>
+          ))}
+          {hasLaterExpiries && (<>
+            <div style={{ width: 1, height: 14, background: COLORS.border.primary, margin: "0 6px" }} />
+            <button onClick={() => setToLast(false)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(!toLast) }}>To first expiry</button>
+            <button onClick={() => setToLast(true)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(toLast) }}>To last expiry</button>
+          </>)}
+          {canLive && (<>
+            <div style={{ width: 1, height: 14, background: COLORS.border.primary, margin: "0 6px" }} />
+            <button onClick={() => setLiveOn(v => !v)} title={`Follow ${liveProduct} ticks`} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(liveOn) }}>
+              {liveOn ? "◉ Live" : "○ Live"}
+            </button>
+          </>)}
+        </div>
+      </div>
+      <div style={{ ...S.card, padding: 12 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 10 }}>
+          <span style={{ fontSize: 9, color: COLORS.text.dim, textTransform: "uppercase" }}>IV Shift</span>
+          <input type="range" min={-30} max={30} step={1} value={ivShift} onChange={e => setIvShift(Number(e.target.value))} style={{ flex: 1, maxWidth: 320 }} />
+          <span style={{ fontSize: 10, fontWeight: 600, color: ivShift === 0 ? COLORS.text.secondary : COLORS.accent.blue, minWidth: 56 }}>
+            {ivShift > 0 ? "+" : ""}{ivShift} vol pts
+          </span>
+          {ivShift !== 0 && <button style={{ ...S.btn, padding: "2px 8px", fontSize: 9 }} onClick={() => setIvShift(0)}>Reset</button>}
+          <span style={{ marginLeft: "auto", fontSize: 9, color: COLORS.text.dim }}>
+            {canLive && liveOn && (live.spot ? `${liveProduct} ${fmtPrice(live.spot)} · ` : "Waiting for ticks… · ")}
+            Range {B(fmtPnl(result.min))} … {B(fmtPnl(result.max))}
+          </span>
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: `64px repeat(${result.days.length}, minmax(0, 1fr))`, gap: 1, fontSize: 8 }}>
+          <div />
+          {result.days.map(d => (
+            <div key={d} style={{ textAlign: "center", color: COLORS.text.dim, padding: "2px 0" }} title={isoDateFromNow(d)}>
+              {d === 0 ? "Today" : `${d}d`}
+            </div>
+          ))}
+          {result.moves.map((m, j) => (
+            <React.Fragment key={j}>
+              <div style={{ color: Math.abs(m) < 1e-9 ? COLORS.text.primary : COLORS.text.dim, fontWeight: Math.abs(m) < 1e-9 ? 600 : 400, textAlign: "right", paddingRight: 6, alignSelf: "center" }}>
+                {rowLabel(m)}
+              </div>
+              {result.days.map((d, i) => {
+                const v = result.grid[i * result.moves.length + j]
+                return (
+                  <div key={d} title={`${rowLabel(m)} on ${isoDateFromNow(d)}: ${fmtPnl(v)}`} style={{
+                    background: cellColor(v, scale), color: COLORS.text.primary, textAlign: "center", padding: "3px 0",
+                    outline: Math.abs(m) < 1e-9 ? `1px solid ${COLORS.border.primary}` : "none",
+                  }}>
+                    {B(compact(v))}
+                  </div>
+                )
+              })}
+            </React.Fragment>
+          ))}
+        </div>
+        <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 8 }}>
+          {single ? "Underlying price" : "Move in every underlying"} × calendar date · Black-Scholes with {ivShift === 0 ? "current" : "shifted"} IVs · options past expiry at intrinsic
+        </div>
+      </div>
+    </div>
+  )
+}
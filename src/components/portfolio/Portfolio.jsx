@@ -1,19 +1,65 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { AreaChart, Area, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from "recharts";
 import { createChart } from "lightweight-charts";
-import { fetchTickers, fetchAllKlines } from "../../hooks/useMarketData";
+import { fetchTickers, fetchAllKlines, fetchOptionChain, normalizeSymbol, isCryptoSymbol } from "../../hooks/useMarketData";
+import { useMonteCarlo } from "../../hooks/useMonteCarlo";
 import { fetchCardPrices } from "../../hooks/useCardPrices";
-import { fmtDollar, fmtPnl, fmtPnlPct, fmtPrice } from "../../utils/format";
+import { request } from "../../lib/request";
+import { fmt, fmtDollar, fmtPnl, fmtPnlPct, fmtPrice } from "../../utils/format";
 import { COLORS, FONTS } from "../../utils/constants";
 import { S, pnlColor, blurStyle } from "../../utils/styles";
+import { optionSymbol, positionScale, holdingYearsToExpiry, valueOptionPosition, settleOptionPosition, DEFAULT_MULTIPLIER } from "../../engine/positions";
+import { estimateBeta, aggregateExposure } from "../../engine/exposure";
+import { realizedVol, periodsPerYear } from "../../engine/volatility";
+import { FanChart, PnlHistogram } from "../common/MonteCarloCharts";
+import RollPlanner from "../simulator/RollPlanner";
+import PnlHeatmap from "../common/PnlHeatmap";
+import { createLeg } from "../../engine/strategy";
+import { buildReportHtml, downloadReport } from "../../lib/report";
+import { isoDateFromNow, DAY_MS } from "../../utils/dates";
 import { loadPortfolio, savePortfolio, syncFromCloud, forcePushToCloud, forcePullFromCloud, shouldTakeSnapshot, saveSnapshot, saveSnapshotBatch, loadSnapshots, getSnapshotCount } from "../../lib/persistence";
 
 const ASSET_CLASS_LABELS = {
   market: "Market Assets",
   collectible: "Collectibles",
   cash: "Cash & Margin",
+  option: "Options",
 };
 
+// Rate used to value option holdings and back out chain IVs
+const OPTION_RATE = 0.045;
+
+// How far before an expiry to look for the underlying's settlement bar (weekends, holidays)
+const SETTLE_LOOKBACK_DAYS = 7;
+
+// Underlying quote key for an option holding (matches fetchTickers' raw-symbol keys)
+const underlyingKey = (h) => (h.underlying || "").toUpperCase();
+
+// Benchmarks for beta-weighted delta, and how much daily history to regress on
+const BETA_BENCHMARKS = {
+  SPY: { symbol: "SPY", type: "equity", exchange: "auto" },
+  BTC: { symbol: "BTC", type: "crypto", exchange: "auto" },
+};
+const BETA_LOOKBACK_DAYS = 180;
+
+// Vol assumed when an underlying has no IV or daily history (Monte Carlo, roll planner)
+const FALLBACK_VOL = 0.5;
+// Monte Carlo scenario horizons, in days
+const SCENARIO_HORIZONS = [7, 30, 90, 180];
+
+// Contract fields carried onto closed option trades
+const optionTradeFields = (h) => ({
+  underlying: h.underlying, strike: h.strike, expiry: h.expiry, optionType: h.optionType,
+  multiplier: h.multiplier || DEFAULT_MULTIPLIER, side: h.side,
+});
+
+// Credit (or debit) the Trading Cash account, creating it if needed
+function addTradingCash(holdings, amount, id, date) {
+  const ci = holdings.findIndex(h => h.assetClass === "cash" && h.symbol === "TRADING_CASH");
+  if (ci >= 0) return holdings.map((h, i) => i === ci ? { ...h, qty: h.qty + amount } : h);
+  return [...holdings, { id, assetClass: "cash", symbol: "TRADING_CASH", label: "Trading Cash", type: "cash", exchange: null, qty: amount, costBasis: 0, leverage: 1, manualPrice: null, manualPriceDate: null, openDate: date, notes: "From closed positions" }];
+}
+
 
 const DEFAULT_HOLDINGS = [];
 
@@ -144,7 +190,7 @@ function usePokemonSets() {
   const [sets, setSets] = useState(_pokemonSetsCache || [])
   useEffect(() => {
     if (_pokemonSetsCache) return
-    fetch("/api/pokemon/v2/sets?orderBy=-releaseDate&pageSize=250")
+    request("/api/pokemon/v2/sets?orderBy=-releaseDate&pageSize=250")
       .then(r => r.ok ? r.json() : null)
       .then(data => {
         if (!data?.data) return
@@ -461,9 +507,24 @@ function AddAssetModal({ onAdd, onCancel, nextId }) {
   const [variant, setVariant] = useState("holofoil");
   const [setCode, setSetCode] = useState("");
   const [rarity, setRarity] = useState("");
+  const [underlying, setUnderlying] = useState("");
+  const [underlyingType, setUnderlyingType] = useState("equity");
+  const [optionType, setOptionType] = useState("call");
+  const [side, setSide] = useState("long");
+  const [strike, setStrike] = useState("");
+  const [expiry, setExpiry] = useState(() => isoDateFromNow(30));
+  const [multiplier, setMultiplier] = useState(String(DEFAULT_MULTIPLIER));
+  const [ivPct, setIvPct] = useState("");
 
   const handleAdd = () => {
-    const sym = symbol.trim().toUpperCase() || label.trim().toUpperCase().replace(/\s+/g, "_") || "ITEM";
+    const contract = {
+      underlying: underlying.trim().toUpperCase(),
+      strike: parseFloat(strike) || 0,
+      expiry,
+      optionType,
+    };
+    const sym = assetClass === "option" ? optionSymbol(contract)
+      : symbol.trim().toUpperCase() || label.trim().toUpperCase().replace(/\s+/g, "_") || "ITEM";
     const holding = {
       id: nextId,
       assetClass,
@@ -474,8 +535,8 @@ function AddAssetModal({ onAdd, onCancel, nextId }) {
       qty: parseFloat(qty) || 1,
       costBasis: assetClass === "cash" ? 0 : (parseFloat(costBasis) || 0),
       leverage: assetClass === "market" ? (parseFloat(leverage) || 1) : 1,
-      manualPrice: assetClass !== "market" ? (parseFloat(manualPrice) || parseFloat(costBasis) || 0) : null,
-      manualPriceDate: assetClass !== "market" ? new Date().toISOString().split("T")[0] : null,
+      manualPrice: assetClass === "collectible" || assetClass === "cash" ? (parseFloat(manualPrice) || parseFloat(costBasis) || 0) : null,
+      manualPriceDate: assetClass === "collectible" || assetClass === "cash" ? new Date().toISOString().split("T")[0] : null,
       openDate,
       notes: notes.trim(),
       ...(assetClass === "collectible" ? {
@@ -493,6 +554,13 @@ function AddAssetModal({ onAdd, onCancel, nextId }) {
           rarity: rarity.trim(),
         } : {}),
       } : {}),
+      ...(assetClass === "option" ? {
+        ...contract,
+        underlyingType,
+        multiplier: parseFloat(multiplier) || DEFAULT_MULTIPLIER,
+        side,
+        iv: (parseFloat(ivPct) || 0) / 100,
+      } : {}),
     };
     onAdd(holding);
   };
@@ -590,6 +658,56 @@ function AddAssetModal({ onAdd, onCancel, nextId }) {
               </div>
             </>
           )}
+          {assetClass === "option" && (
+            <>
+              <div style={{ display: "flex", gap: 8 }}>
+                <Row label="Underlying" flex={2}>
+                  <input style={{ ...S.input, width: "100%" }} placeholder="MSTR, SPY, BTC..." value={underlying}
+                    onChange={e => setUnderlying(e.target.value)} autoFocus />
+                </Row>
+                <Row label="Quote As" flex={1}>
+                  <select style={{ ...S.input, width: "100%" }} value={underlyingType} onChange={e => setUnderlyingType(e.target.value)}>
+                    <option value="equity">Equity</option>
+                    <option value="crypto">Crypto</option>
+                  </select>
+                </Row>
+              </div>
+              <div style={{ display: "flex", gap: 4 }}>
+                {[["long", "Long"], ["short", "Short"]].map(([key, lbl]) => (
+                  <button key={key} onClick={() => setSide(key)} style={{
+                    ...S.btn, flex: 1, padding: "6px 10px", textAlign: "center", fontSize: 10,
+                    ...(side === key ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}),
+                  }}>{lbl}</button>
+                ))}
+                {[["call", "Call"], ["put", "Put"]].map(([key, lbl]) => (
+                  <button key={key} onClick={() => setOptionType(key)} style={{
+                    ...S.btn, flex: 1, padding: "6px 10px", textAlign: "center", fontSize: 10,
+                    ...(optionType === key ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}),
+                  }}>{lbl}</button>
+                ))}
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <Row label="Strike" flex={1}>
+                  <input style={{ ...S.input, width: "100%" }} type="number" step="any" value={strike}
+                    onChange={e => setStrike(e.target.value)} />
+                </Row>
+                <Row label="Expiry" flex={1}>
+                  <input style={{ ...S.input, width: "100%" }} type="date" value={expiry}
+                    onChange={e => setExpiry(e.target.value)} />
+                </Row>
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <Row label="Multiplier" flex={1}>
+                  <input style={{ ...S.input, width: "100%" }} type="number" step="any" value={multiplier}
+                    onChange={e => setMultiplier(e.target.value)} />
+                </Row>
+                <Row label="IV % (used when no chain quote)" flex={1}>
+                  <input style={{ ...S.input, width: "100%" }} type="number" step="any" value={ivPct}
+                    onChange={e => setIvPct(e.target.value)} placeholder="60" />
+                </Row>
+              </div>
+            </>
+          )}
           {assetClass === "cash" && (
             <Row label="Account Label">
               <input style={{ ...S.input, width: "100%" }} placeholder="Coinbase Margin, Savings..." value={label}
@@ -611,12 +729,12 @@ function AddAssetModal({ onAdd, onCancel, nextId }) {
             </div>
           )}
           <div style={{ display: "flex", gap: 8 }}>
-            <Row label={assetClass === "cash" ? "Amount (USD)" : "Quantity"} flex={1}>
+            <Row label={assetClass === "cash" ? "Amount (USD)" : assetClass === "option" ? "Contracts" : "Quantity"} flex={1}>
               <input style={{ ...S.input, width: "100%" }} type="number" step="any" value={qty}
                 onChange={e => setQty(e.target.value)} />
             </Row>
             {assetClass !== "cash" && (
-              <Row label="Cost Basis (per unit)" flex={1}>
+              <Row label={assetClass === "option" ? "Premium (per share)" : "Cost Basis (per unit)"} flex={1}>
                 <input style={{ ...S.input, width: "100%" }} type="number" step="any" value={costBasis}
                   onChange={e => setCostBasis(e.target.value)} />
               </Row>
@@ -648,11 +766,93 @@ function AddAssetModal({ onAdd, onCancel, nextId }) {
 }
 
 // ─── MAIN ───────────────────────────────────────────────────────────────────
+// ─── MONTE CARLO SCENARIO ───────────────────────────────────────────────────
+
+function ScenarioPanel({ assets, positions, privacyMode, B }) {
+  const [horizon, setHorizon] = useState(30);
+  const [correlation, setCorrelation] = useState("0.5");
+  const [useJumps, setUseJumps] = useState(false);
+  const [seed, setSeed] = useState("42");
+  const { run, result, running, error, elapsed } = useMonteCarlo();
+
+  const simulate = useCallback(() => {
+    if (assets.length === 0) return;
+    run("scenario", {
+      assets, positions, horizon: horizon / 365, steps: Math.min(60, Math.max(10, horizon)), paths: 2000,
+      r: OPTION_RATE, correlation: Math.max(0, Math.min(0.99, parseFloat(correlation) || 0)), seed: parseInt(seed) || 1,
+      jumps: useJumps ? { lambda: 2, mu: -0.05, sigma: 0.1 } : null,
+    });
+  }, [run, assets, positions, horizon, correlation, seed, useJumps]);
+
+  const active = { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue };
+  const pnl = result?.pnl;
+
+  return (
+    <div style={{ marginBottom: 24 }}>
+      <div style={S.sectionTitle}>
+        <span>Monte Carlo Scenario</span><div style={S.divider} />
+        <div style={{ display: "flex", gap: 2, alignItems: "center" }}>
+          {SCENARIO_HORIZONS.map(d => (
+            <button key={d} onClick={() => setHorizon(d)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...(horizon === d ? active : {}) }}>{d}d</button>
+          ))}
+          <button onClick={() => setUseJumps(v => !v)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, marginLeft: 6, ...(useJumps ? active : {}) }}>+ Jumps</button>
+          <span style={{ fontSize: 9, color: COLORS.text.dim, marginLeft: 8 }}>ρ</span>
+          <input style={{ ...S.input, width: 50, padding: "3px 6px", fontSize: 9 }} type="number" step="0.1" min="0" max="0.99" value={correlation} onChange={e => setCorrelation(e.target.value)} title="Pairwise correlation between underlyings" />
+          <span style={{ fontSize: 9, color: COLORS.text.dim, marginLeft: 4 }}>seed</span>
+          <input style={{ ...S.input, width: 50, padding: "3px 6px", fontSize: 9 }} type="number" step="1" value={seed} onChange={e => setSeed(e.target.value)} />
+          <button onClick={simulate} disabled={running} style={{ ...S.btnPrimary, padding: "3px 12px", fontSize: 9, marginLeft: 6 }}>
+            {running ? "Simulating..." : "▶ Run"}
+          </button>
+        </div>
+      </div>
+      {result && pnl && (<>
+        <div style={{ ...S.summaryRow, marginBottom: 10 }}>
+          {[
+            { label: "Prob. Profit", value: `${fmt(pnl.probProfit * 100, 1)}%`, color: pnlColor(pnl.probProfit - 0.5) },
+            { label: "Expected P&L", value: B(fmtPnl(pnl.mean)), color: pnlColor(pnl.mean) },
+            { label: "5th Percentile", value: B(fmtPnl(pnl.percentiles[5])), sub: "95% VaR", color: pnlColor(pnl.percentiles[5]) },
+            { label: "95th Percentile", value: B(fmtPnl(pnl.percentiles[95])), color: pnlColor(pnl.percentiles[95]) },
+            { label: "Std Dev", value: B(fmtDollar(pnl.std)), color: COLORS.text.primary },
+          ].map((c, i) => (
+            <div key={i} style={S.summaryCard}>
+              <div style={S.cardLabel}>{c.label}</div>
+              <div style={{ ...S.cardValue, color: c.color }}>{c.value}</div>
+              {c.sub && <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 4 }}>{c.sub}</div>}
+            </div>
+          ))}
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(360px, 1fr))", gap: 16 }}>
+          <div style={{ ...S.card, padding: "12px 8px" }}>
+            <div style={{ ...S.cardLabel, padding: "0 8px 8px" }}>P&L Fan</div>
+            <div style={privacyMode ? blurStyle : undefined}>
+              <FanChart data={result.fan} format={v => fmtPnl(v)} reference={0} height={220} />
+            </div>
+          </div>
+          <div style={{ ...S.card, padding: "12px 8px" }}>
+            <div style={{ ...S.cardLabel, padding: "0 8px 8px" }}>P&L at {horizon}d</div>
+            <div style={privacyMode ? blurStyle : undefined}>
+              <PnlHistogram histogram={pnl.histogram} format={v => fmtPnl(v)} height={220} />
+            </div>
+          </div>
+        </div>
+      </>)}
+      <div style={{ ...S.subtotalRow, marginTop: 8 }}>
+        <span style={{ color: COLORS.text.secondary }}>
+          {assets.length} underlying{assets.length === 1 ? "" : "s"} · σ from option IV, else {BETA_LOOKBACK_DAYS}d realized vol · options repriced at their IV · 2,000 paths
+          {result && !running && ` · ${fmt(elapsed, 0)} ms`}
+          {error && <span style={{ color: COLORS.negative.text }}> · {error}</span>}
+        </span>
+      </div>
+    </div>
+  );
+}
+
 export default function Portfolio({ onNavigateToChart }) {
   const [holdings, setHoldings] = useState(() => loadPortfolio().holdings);
   const [closedTrades, setClosedTrades] = useState(() => loadPortfolio().closedTrades);
   const [snapshots, setSnapshots] = useState(() => loadPortfolio().snapshots);
   const [prices, setPrices] = useState({});
+  const [optionQuotes, setOptionQuotes] = useState({}); // holding id → { mid, iv } from the live chain
   const [klineData, setKlineData] = useState({});
   const [loading, setLoading] = useState(false);
   const [chartLoading, setChartLoading] = useState(false);
@@ -665,6 +865,7 @@ export default function Portfolio({ onNavigateToChart }) {
 
   const [showAddModal, setShowAddModal] = useState(false);
   const [closingHolding, setClosingHolding] = useState(null);
+  const [rollHoldingId, setRollHoldingId] = useState(null);
   const [updatingHolding, setUpdatingHolding] = useState(null);
   const [editingCard, setEditingCard] = useState(null);
   const [closePrice, setClosePrice] = useState("");
@@ -675,6 +876,8 @@ export default function Portfolio({ onNavigateToChart }) {
   const [snapshotData, setSnapshotData] = useState([]);
   const [snapshotLoading, setSnapshotLoading] = useState(false);
   const [privacyMode, setPrivacyMode] = useState(true);
+  const [betaBenchmark, setBetaBenchmark] = useState("SPY");
+  const [betaData, setBetaData] = useState({ betas: {}, vols: {}, benchPrice: 0 });
   const importRef = useRef(null);
 
   // Privacy blur helper — wraps dollar amounts
@@ -683,6 +886,7 @@ export default function Portfolio({ onNavigateToChart }) {
   const marketHoldings = useMemo(() => holdings.filter(h => (h.assetClass || "market") === "market"), [holdings]);
   const collectibleHoldings = useMemo(() => holdings.filter(h => h.assetClass === "collectible"), [holdings]);
   const cashHoldings = useMemo(() => holdings.filter(h => h.assetClass === "cash"), [holdings]);
+  const optionHoldings = useMemo(() => holdings.filter(h => h.assetClass === "option"), [holdings]);
 
   useEffect(() => { savePortfolio(holdings, closedTrades, snapshots); }, [holdings, closedTrades, snapshots]);
 
@@ -706,13 +910,32 @@ export default function Portfolio({ onNavigateToChart }) {
 
   const refreshPrices = useCallback(async () => {
     const hasMarket = marketHoldings.length > 0;
+    const hasOptions = optionHoldings.length > 0;
     const hasCards = collectibleHoldings.some(h => h.cardGame && h.cardGame !== "other");
-    if (!hasMarket && !hasCards) { setLastRefresh(new Date()); return; }
+    if (!hasMarket && !hasOptions && !hasCards) { setLastRefresh(new Date()); return; }
     setLoading(true);
     try {
-      const result = hasMarket ? await fetchTickers(marketHoldings) : {};
+      // Option underlyings are quoted alongside market holdings
+      const underlyings = optionHoldings.map(h => ({ symbol: h.underlying, type: h.underlyingType || "equity", exchange: "auto" }));
+      const result = hasMarket || hasOptions ? await fetchTickers([...marketHoldings, ...underlyings]) : {};
       setPrices(result);
 
+      // Chain mids for live option holdings — one chain fetch per underlying/expiry
+      const quotes = {};
+      if (hasOptions) {
+        const chains = {};
+        for (const h of optionHoldings) {
+          if (holdingYearsToExpiry(h) <= 0) continue;
+          const key = `${underlyingKey(h)}|${h.expiry}`;
+          if (!(key in chains)) chains[key] = await fetchOptionChain(h.underlying, h.expiry, { r: OPTION_RATE });
+          const chain = chains[key];
+          if (!chain || chain.expiry !== h.expiry) continue;
+          const c = (h.optionType === "put" ? chain.puts : chain.calls).find(c => c.strike === h.strike);
+          if (c && (c.mid > 0 || c.mark > 0)) quotes[h.id] = { mid: c.mid || c.mark, iv: c.iv };
+        }
+        setOptionQuotes(quotes);
+      }
+
       // Auto-fetch card prices for Pokemon/Yu-Gi-Oh collectibles
       if (hasCards) {
         const cardPrices = await fetchCardPrices(collectibleHoldings);
@@ -729,7 +952,8 @@ export default function Portfolio({ onNavigateToChart }) {
       // Record snapshot to Supabase every 10 min for hourly OHLC candles
       // Only snapshot when ALL market holdings have a price — partial data creates false dips
       if (shouldTakeSnapshot()) {
-        const allPriced = marketHoldings.every(h => (result[h.symbol.toUpperCase()]?.price || 0) > 0);
+        const allPriced = marketHoldings.every(h => (result[h.symbol.toUpperCase()]?.price || 0) > 0)
+          && optionHoldings.every(h => (result[underlyingKey(h)]?.price || 0) > 0);
         if (allPriced) {
           let mv = 0, cv = 0, cashV = 0, cb = 0;
           marketHoldings.forEach(h => {
@@ -739,6 +963,11 @@ export default function Portfolio({ onNavigateToChart }) {
             const pnl = (p - h.costBasis) * h.qty;
             mv += margin + pnl; cb += margin;
           });
+          optionHoldings.forEach(h => {
+            const S = result[underlyingKey(h)]?.price || 0;
+            const v = valueOptionPosition(h, S, { r: OPTION_RATE, mid: quotes[h.id]?.mid, iv: quotes[h.id]?.iv });
+            mv += v.marketValue; cb += v.costTotal;
+          });
           collectibleHoldings.forEach(h => { cv += (h.manualPrice || 0) * h.qty; });
           cashHoldings.forEach(h => { cashV += h.qty; cb += h.qty; });
           const tv = mv + cv + cashV;
@@ -748,37 +977,44 @@ export default function Portfolio({ onNavigateToChart }) {
     } catch (err) {
       if (import.meta.env.DEV) console.error("[Portfolio] refresh failed:", err);
     } finally { setLoading(false); }
-  }, [marketHoldings, collectibleHoldings, cashHoldings]);
+  }, [marketHoldings, optionHoldings, collectibleHoldings, cashHoldings]);
 
   // Backfill: seed 7 days of snapshots from kline data on first load
   const refreshChart = useCallback(async () => {
-    if (marketHoldings.length === 0) return;
+    if (marketHoldings.length === 0 && optionHoldings.length === 0) return;
     const count = await getSnapshotCount();
     if (count > 10) return; // already have enough data
     setChartLoading(true);
     try {
       const startTime = Date.now() - 7 * 24 * 60 * 60 * 1000;
-      const requests = marketHoldings.map(h => ({ symbol: h.symbol, type: h.type, exchange: h.exchange, startTime }));
+      const requests = [
+        ...marketHoldings.map(h => ({ symbol: h.symbol, type: h.type, exchange: h.exchange, startTime })),
+        ...optionHoldings.map(h => ({ symbol: h.underlying, type: h.underlyingType || "equity", exchange: "auto", startTime })),
+      ];
       const klines = await fetchAllKlines(requests, "1h");
       if (!klines || Object.keys(klines).length === 0) return;
 
+      // fetchAllKlines keys results by canonical symbol (ZRO:USDT → ZRO); option
+      // underlyings are keyed by their quote key, like the live refresh's prices
       const assetTimePrice = {};
-      marketHoldings.forEach(h => {
-        const key = h.symbol.toUpperCase();
-        const ks = klines[key];
+      const addCloses = (key, symbol) => {
+        const ks = klines[normalizeSymbol(symbol)];
         if (!ks) return;
         if (!assetTimePrice[key]) assetTimePrice[key] = {};
         ks.forEach(k => {
           const timeKey = k.date && k.date.slice(0, 13);
           if (timeKey && k.close) assetTimePrice[key][timeKey] = k.close;
         });
-      });
+      };
+      marketHoldings.forEach(h => addCloses(h.symbol.toUpperCase(), h.symbol));
+      optionHoldings.forEach(h => addCloses(underlyingKey(h), h.underlying));
+      // Like the live snapshot, skip rather than record an option book with a hole in it
+      if (optionHoldings.some(h => !assetTimePrice[underlyingKey(h)])) return;
 
       const allTimes = new Set();
       Object.values(assetTimePrice).forEach(dm => Object.keys(dm).forEach(d => allTimes.add(d)));
       const sortedTimes = [...allTimes].sort();
-      const assetKeys = marketHoldings.map(h => h.symbol.toUpperCase()).filter(k => assetTimePrice[k]);
-      const numAssets = assetKeys.length;
+      const assetKeys = [...new Set([...marketHoldings.map(h => h.symbol.toUpperCase()), ...optionHoldings.map(underlyingKey)])].filter(k => assetTimePrice[k]);
       const lastKnown = {};
       let allSeen = false;
 
@@ -787,29 +1023,38 @@ export default function Portfolio({ onNavigateToChart }) {
       const staticTotal = collectibleTotal + cashTotal;
       const totalCost = holdings.reduce((sum, h) => {
         if ((h.assetClass || "market") === "cash") return sum + h.qty;
+        if (h.assetClass === "option") return sum + (h.costBasis || 0) * positionScale(h);
         return sum + (h.costBasis * h.qty) / (h.leverage || 1);
       }, 0);
 
+      // One snapshot per hour at the bars' close. Per-asset highs and lows can't be
+      // summed into a portfolio high or low, so the backfill stores only what it knows.
+      // Options are valued like the live snapshot, from the underlying's close with
+      // the time left to expiry at that hour (at the holding's IV; no chain history).
       const backfillSnaps = [];
       for (const t of sortedTimes) {
-        let mv = 0, seen = 0;
-        marketHoldings.forEach(h => {
-          const key = h.symbol.toUpperCase();
-          const price = assetTimePrice[key] && assetTimePrice[key][t];
+        for (const key of assetKeys) {
+          const price = assetTimePrice[key][t];
           if (price != null) lastKnown[key] = price;
-          const usePrice = price != null ? price : lastKnown[key];
-          if (usePrice != null) {
-            const lev = h.leverage || 1;
-            const margin = (h.costBasis * h.qty) / lev;
-            const pnl = (usePrice - h.costBasis) * h.qty;
-            mv += margin + pnl;
-            seen++;
-          }
-        });
-        if (seen >= numAssets) allSeen = true;
+        }
+        if (!allSeen && assetKeys.every(key => lastKnown[key] != null)) allSeen = true;
         if (!allSeen) continue;
-        const totalValue = mv + staticTotal;
         const isoTime = t.length === 13 ? t + ":00:00Z" : t + "T00:00:00Z";
+        let mv = 0;
+        marketHoldings.forEach(h => {
+          const usePrice = lastKnown[h.symbol.toUpperCase()];
+          if (usePrice == null) return;
+          const lev = h.leverage || 1;
+          const margin = (h.costBasis * h.qty) / lev;
+          const pnl = (usePrice - h.costBasis) * h.qty;
+          mv += margin + pnl;
+        });
+        const now = Date.parse(isoTime);
+        optionHoldings.forEach(h => {
+          const S = lastKnown[underlyingKey(h)];
+          if (S != null) mv += valueOptionPosition(h, S, { r: OPTION_RATE, now }).marketValue;
+        });
+        const totalValue = mv + staticTotal;
         backfillSnaps.push({
           timestamp: isoTime, totalValue: totalValue, marketValue: mv,
           collectibleValue: collectibleTotal, cashValue: cashTotal,
@@ -826,11 +1071,38 @@ export default function Portfolio({ onNavigateToChart }) {
     } catch (err) {
       if (import.meta.env.DEV) console.error("[Backfill] failed:", err);
     } finally { setChartLoading(false); }
-  }, [marketHoldings, chartRange]);
+  }, [marketHoldings, optionHoldings, chartRange]);
 
   useEffect(() => { refreshPrices(); const i = setInterval(refreshPrices, 30000); return () => clearInterval(i); }, [refreshPrices]);
   useEffect(() => { refreshChart(); }, [refreshChart]);
 
+  // Betas to the benchmark from daily closes — refetched only when the set of underlyings changes
+  const betaRequests = useMemo(() => [
+    ...marketHoldings.map(h => ({ symbol: h.symbol, type: h.type, exchange: h.exchange })),
+    ...optionHoldings.map(h => ({ symbol: h.underlying, type: h.underlyingType || "equity", exchange: "auto" })),
+  ], [marketHoldings, optionHoldings]);
+  const betaKey = useMemo(() => [...new Set(betaRequests.map(r => normalizeSymbol(r.symbol)))].sort().join(","), [betaRequests]);
+  useEffect(() => {
+    if (!betaKey) return;
+    let cancelled = false;
+    const bench = BETA_BENCHMARKS[betaBenchmark];
+    const startTime = Date.now() - BETA_LOOKBACK_DAYS * DAY_MS;
+    fetchAllKlines([bench, ...betaRequests].map(r => ({ ...r, startTime })), "1d").then(klines => {
+      if (cancelled) return;
+      const benchKlines = klines[normalizeSymbol(bench.symbol)] || [];
+      const betas = {}, vols = {};
+      for (const key of Object.keys(klines)) {
+        const b = estimateBeta(klines[key], benchKlines);
+        if (b) betas[key] = b;
+        const rv = realizedVol(klines[key], { periodsPerYear: periodsPerYear(86400, isCryptoSymbol(key) ? "crypto" : "equity") });
+        if (rv > 0) vols[key] = rv;
+      }
+      if (import.meta.env.DEV) console.log(`[Portfolio] betas vs ${betaBenchmark}:`, Object.entries(betas).map(([k, b]) => `${k}=${b.beta.toFixed(2)}`).join(", "));
+      setBetaData({ betas, vols, benchPrice: benchKlines.length > 0 ? benchKlines[benchKlines.length - 1].close : 0 });
+    }).catch(err => { if (import.meta.env.DEV) console.error("[Portfolio] beta fetch failed:", err); });
+    return () => { cancelled = true; };
+  }, [betaBenchmark, betaKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Load snapshots from Supabase for 30d+ chart ranges
   useEffect(() => {
     let cancelled = false;
@@ -905,15 +1177,90 @@ export default function Portfolio({ onNavigateToChart }) {
       collectibleValue += mv; collectibleCost += ct;
       return { ...h, currentPrice: cp, change24h: 0, marketValue: mv, costTotal: ct, pnl, pnlPct: pp };
     });
+    // Options: chain mid when quoted, else Black-Scholes at the holding's IV
+    let optionValue = 0, optionCost = 0, optionPnl = 0;
+    const enrichedOptions = optionHoldings.map(h => {
+      const S = prices[underlyingKey(h)]?.price || 0;
+      const oq = optionQuotes[h.id];
+      const v = S > 0 ? valueOptionPosition(h, S, { r: OPTION_RATE, mid: oq?.mid, iv: oq?.iv }) : null;
+      if (v) { optionValue += v.marketValue; optionCost += v.costTotal; optionPnl += v.pnl; }
+      return { ...h, underlyingPrice: S, currentPrice: v ? v.mark : 0, valuation: v, marketValue: v?.marketValue || 0, pnl: v?.pnl || 0, pnlPct: v?.pnlPct || 0 };
+    });
     const cashValue = cashHoldings.reduce((s, h) => s + h.qty, 0);
-    const totalValue = marketValue + collectibleValue + cashValue;
-    const totalCost = marketCost + collectibleCost + cashValue;
+    const totalValue = marketValue + optionValue + collectibleValue + cashValue;
+    const totalCost = marketCost + optionCost + collectibleCost + cashValue;
     const collectiblePnl = collectibleValue - collectibleCost;
-    const totalPnl = marketPnl + collectiblePnl;
+    const totalPnl = marketPnl + optionPnl + collectiblePnl;
     const totalPnlPct = totalCost > 0 ? totalPnl / totalCost : 0;
     const realizedPnl = closedTrades.reduce((s, t) => s + (t.realizedPnl || 0), 0);
-    return { enrichedMarket, enrichedCollectibles, marketValue, marketCost, marketPnl, collectibleValue, collectibleCost, cashValue, totalValue, totalCost, totalPnl, totalPnlPct, realizedPnl };
-  }, [marketHoldings, collectibleHoldings, cashHoldings, prices, closedTrades]);
+    return { enrichedMarket, enrichedOptions, enrichedCollectibles, marketValue, marketCost, marketPnl, optionValue, optionCost, optionPnl, collectibleValue, collectibleCost, cashValue, totalValue, totalCost, totalPnl, totalPnlPct, realizedPnl };
+  }, [marketHoldings, optionHoldings, collectibleHoldings, cashHoldings, prices, optionQuotes, closedTrades]);
+
+  // Net Greeks across the book: spot and perps contribute their full notional quantity, options their position Greeks
+  const exposure = useMemo(() => {
+    const rows = [
+      ...summary.enrichedMarket.map(h => ({ key: normalizeSymbol(h.symbol), price: h.currentPrice, delta: h.qty })),
+      ...summary.enrichedOptions.filter(h => h.valuation).map(h => ({
+        key: normalizeSymbol(h.underlying), price: h.underlyingPrice,
+        delta: h.valuation.delta, gamma: h.valuation.gamma, theta: h.valuation.theta, vega: h.valuation.vega,
+      })),
+    ];
+    const betas = Object.fromEntries(Object.entries(betaData.betas).map(([k, b]) => [k, b.beta]));
+    return aggregateExposure(rows, { betas, benchmarkPrice: betaData.benchPrice });
+  }, [summary, betaData]);
+
+  // Monte Carlo book: one asset per underlying (σ from the first option IV on it, else realized vol), positions repriced along paths
+  const scenario = useMemo(() => {
+    const assets = new Map(), positions = [];
+    const addAsset = (key, S0, iv) => {
+      if (!(S0 > 0)) return false;
+      const a = assets.get(key);
+      if (!a) assets.set(key, { key, S0, sigma: iv || betaData.vols[key] || FALLBACK_VOL, fromIv: !!iv });
+      else if (iv && !a.fromIv) assets.set(key, { ...a, sigma: iv, fromIv: true });
+      return true;
+    };
+    for (const h of summary.enrichedMarket) {
+      const key = normalizeSymbol(h.symbol);
+      if (addAsset(key, h.currentPrice)) positions.push({ key, kind: "underlying", qty: h.qty });
+    }
+    for (const h of summary.enrichedOptions) {
+      const v = h.valuation, key = normalizeSymbol(h.underlying);
+      if (!v || v.T <= 0 || !addAsset(key, h.underlyingPrice, v.iv)) continue;
+      positions.push({ key, kind: h.optionType, qty: positionScale(h), strike: h.strike, T: v.T, iv: v.iv });
+    }
+    return { assets: [...assets.values()].map(({ fromIv, ...a }) => a), positions }; // eslint-disable-line no-unused-vars
+  }, [summary, betaData]);
+
+  // Option book as one strategy per underlying for the P&L explorer, each leg marked at its current value
+  const optionBook = useMemo(() => {
+    const groups = new Map();
+    for (const h of summary.enrichedOptions) {
+      const v = h.valuation;
+      if (!v || v.T <= 0 || !(h.underlyingPrice > 0)) continue;
+      const key = normalizeSymbol(h.underlying);
+      if (!groups.has(key)) groups.set(key, { S: h.underlyingPrice, legs: [], sigma: FALLBACK_VOL });
+      groups.get(key).legs.push(createLeg({
+        side: h.side, kind: h.optionType, strike: h.strike, T: v.T,
+        qty: (h.qty || 0) * (h.multiplier || DEFAULT_MULTIPLIER), premium: v.mark, iv: v.iv,
+      }));
+    }
+    return [...groups.values()];
+  }, [summary]);
+
+  // Starting leg for the roll planner, marked at the holding's current value
+  const rollPlan = useMemo(() => {
+    const h = summary.enrichedOptions.find(o => o.id === rollHoldingId);
+    const v = h?.valuation;
+    if (!v || !(h.underlyingPrice > 0) || v.T <= 0) return null;
+    return {
+      holding: h,
+      sigma: v.iv || FALLBACK_VOL,
+      leg: {
+        type: h.optionType, strike: h.strike, dte: Math.round(v.T * 365), qty: h.qty,
+        multiplier: h.multiplier || DEFAULT_MULTIPLIER, side: h.side, entryPrice: v.mark, label: h.symbol,
+      },
+    };
+  }, [summary, rollHoldingId]);
 
   const addHolding = useCallback((h) => { setHoldings(prev => [...prev, h]); setNextId(p => p + 1); setShowAddModal(false); }, []);
   const removeHolding = useCallback((id) => { setHoldings(prev => prev.filter(h => h.id !== id)); }, []);
@@ -930,7 +1277,9 @@ export default function Portfolio({ onNavigateToChart }) {
   const startCloseTrade = useCallback((holding) => {
     setClosingHolding(holding);
     const ac = holding.assetClass || "market";
-    setClosePrice(ac === "market" ? String(prices[holding.symbol.toUpperCase()]?.price || "") : String(holding.manualPrice || ""));
+    setClosePrice(ac === "market" ? String(prices[holding.symbol.toUpperCase()]?.price || "")
+      : ac === "option" ? (holding.currentPrice > 0 ? holding.currentPrice.toFixed(2) : "")
+      : String(holding.manualPrice || ""));
     setCloseQty(String(holding.qty));
     setCloseDate(new Date().toISOString().split("T")[0]);
     setCloseNotes("");
@@ -940,14 +1289,17 @@ export default function Portfolio({ onNavigateToChart }) {
     if (!closingHolding) return;
     const qty = parseFloat(closeQty) || closingHolding.qty;
     const exitPrice = parseFloat(closePrice) || 0;
-    const realizedPnl = (exitPrice - closingHolding.costBasis) * qty;
+    const isOption = closingHolding.assetClass === "option";
+    const unit = isOption ? positionScale({ ...closingHolding, qty: 1 }) : 1; // signed shares per contract
+    const realizedPnl = (exitPrice - closingHolding.costBasis) * qty * unit;
     setClosedTrades(prev => [{
       id: nextId, symbol: closingHolding.symbol, label: closingHolding.label || closingHolding.symbol,
       type: closingHolding.type, assetClass: closingHolding.assetClass || "market", qty,
       costBasis: closingHolding.costBasis, exitPrice, openDate: closingHolding.openDate || "—",
       closeDate, realizedPnl,
-      pnlPct: closingHolding.costBasis > 0 ? (exitPrice - closingHolding.costBasis) / closingHolding.costBasis : 0,
+      pnlPct: closingHolding.costBasis > 0 ? (exitPrice - closingHolding.costBasis) / closingHolding.costBasis * Math.sign(unit) : 0,
       notes: closeNotes,
+      ...(isOption ? optionTradeFields(closingHolding) : {}),
     }, ...prev]);
     setNextId(p => p + 1);
     if (qty >= closingHolding.qty) setHoldings(prev => prev.filter(h => h.id !== closingHolding.id));
@@ -955,17 +1307,88 @@ export default function Portfolio({ onNavigateToChart }) {
     // Add proceeds to Trading Cash
     const lev = closingHolding.leverage || 1;
     const margin = (closingHolding.costBasis * qty) / lev;
-    const proceeds = lev > 1 ? margin + realizedPnl : exitPrice * qty;
-    if (proceeds > 0 && (closingHolding.assetClass || "market") === "market") {
-      setHoldings(prev => {
-        const ci = prev.findIndex(h => h.assetClass === "cash" && h.symbol === "TRADING_CASH");
-        if (ci >= 0) return prev.map((h, i) => i === ci ? { ...h, qty: h.qty + proceeds } : h);
-        return [...prev, { id: nextId + 1, assetClass: "cash", symbol: "TRADING_CASH", label: "Trading Cash", type: "cash", exchange: null, qty: proceeds, costBasis: 0, leverage: 1, manualPrice: null, manualPriceDate: null, openDate: closeDate, notes: "From closed positions" }];
-      });
+    // Options: selling a long returns premium, buying back a short costs it
+    const proceeds = isOption ? exitPrice * qty * unit : lev > 1 ? margin + realizedPnl : exitPrice * qty;
+    if (isOption ? proceeds !== 0 : proceeds > 0 && (closingHolding.assetClass || "market") === "market") {
+      setHoldings(prev => addTradingCash(prev, proceeds, nextId + 1, closeDate));
     }
     setClosingHolding(null);
   }, [closingHolding, closePrice, closeQty, closeDate, closeNotes, nextId, holdings]);
 
+  // Expired options settle to intrinsic at the underlying's price at expiry:
+  // the close of the last daily bar on or before the expiry date, or of the
+  // last hourly bar up to 07:00 UTC on it for crypto (Deribit settles at
+  // 08:00), so a holiday or weekend expiry settles at the session before. The
+  // live quote stands in only for contracts expiring today whose bar isn't
+  // out yet. With no bar in the week before expiry the holding is flagged for
+  // manual settlement (Close) and not fetched for again.
+  const settlingRef = useRef(new Set()); // holding ids settling, or left for manual settlement
+  const nextIdRef = useRef(nextId);
+  nextIdRef.current = nextId;
+  useEffect(() => {
+    const expired = optionHoldings.filter(h => holdingYearsToExpiry(h) <= 0 && !h.needsManualSettlement && !settlingRef.current.has(h.id));
+    if (expired.length === 0) return;
+    expired.forEach(h => settlingRef.current.add(h.id));
+
+    (async () => {
+      const isCrypto = (h) => h.underlyingType === "crypto";
+      const barsFor = (list, resolution) => {
+        if (list.length === 0) return {};
+        const first = list.reduce((min, h) => h.expiry < min ? h.expiry : min, list[0].expiry);
+        const startTime = Date.parse(`${first}T00:00:00Z`) - SETTLE_LOOKBACK_DAYS * DAY_MS;
+        return fetchAllKlines(list.map(h => ({ symbol: h.underlying, type: h.underlyingType || "equity", exchange: "auto", startTime })), resolution);
+      };
+      const [daily, hourly] = await Promise.all([barsFor(expired.filter(h => !isCrypto(h)), "1d"), barsFor(expired.filter(isCrypto), "1h")]);
+
+      const today = new Date().toISOString().split("T")[0];
+      const settled = [];
+      const manual = new Set();
+      for (const h of expired) {
+        const bars = (isCrypto(h) ? hourly : daily)[normalizeSymbol(h.underlying)] || [];
+        const cutoff = isCrypto(h) ? `${h.expiry}T07` : h.expiry;
+        const earliest = Date.parse(`${h.expiry}T00:00:00Z`) - SETTLE_LOOKBACK_DAYS * DAY_MS;
+        const bar = bars.findLast(k => k.date <= cutoff && k.ts >= earliest);
+        if (h.expiry === today && bar?.date !== cutoff) {
+          const S = prices[underlyingKey(h)]?.price || 0;
+          if (S > 0) settled.push({ h, S });
+          else settlingRef.current.delete(h.id); // retry on the next refresh
+        } else if (bar?.close > 0) settled.push({ h, S: bar.close, asOf: bar.date !== cutoff ? bar.date.slice(0, 10) : null });
+        else manual.add(h.id);
+      }
+      if (manual.size > 0) {
+        if (import.meta.env.DEV) console.warn(`[Portfolio] no settlement price for ${manual.size} expired option(s), left for manual settlement`);
+        setHoldings(prev => prev.map(h => manual.has(h.id) ? { ...h, needsManualSettlement: true } : h));
+      }
+      if (settled.length === 0) return;
+
+      const base = nextIdRef.current;
+      let cash = 0;
+      const trades = settled.map(({ h, S, asOf }, i) => {
+        const st = settleOptionPosition(h, S);
+        cash += st.cashFlow;
+        if (import.meta.env.DEV) console.log(`[Portfolio] settled ${h.symbol} at ${S} → ${st.exitPrice}`);
+        return {
+          id: base + i, symbol: h.symbol, label: h.label || h.symbol, type: h.type, assetClass: "option", qty: h.qty,
+          costBasis: h.costBasis, exitPrice: st.exitPrice, openDate: h.openDate || "—", closeDate: h.expiry,
+          realizedPnl: st.realizedPnl, pnlPct: st.pnlPct,
+          notes: `Expired ${st.exitPrice > 0 ? "ITM" : "worthless"} · settled at ${h.underlying} ${fmtPrice(S)}${asOf ? ` (${asOf} close)` : ""}`,
+          ...optionTradeFields(h),
+        };
+      });
+      const ids = new Set(settled.map(({ h }) => h.id));
+      const cashDate = settled.reduce((min, { h }) => h.expiry < min ? h.expiry : min, settled[0].h.expiry);
+      setClosedTrades(prev => [...trades, ...prev]);
+      setHoldings(prev => {
+        const rest = prev.filter(h => !ids.has(h.id));
+        return cash !== 0 ? addTradingCash(rest, cash, base + settled.length, cashDate) : rest;
+      });
+      setNextId(p => Math.max(p, base + settled.length + 1));
+    })().catch(err => {
+      expired.forEach(h => settlingRef.current.delete(h.id));
+      if (import.meta.env.DEV) console.warn("[Portfolio] settlement failed:", err);
+    });
+  }, [optionHoldings, prices]);
+
   const deleteClosedTrade = useCallback((id) => { setClosedTrades(prev => prev.filter(t => t.id !== id)); }, []);
 
   const exportPortfolio = useCallback(() => {
@@ -977,6 +1400,16 @@ export default function Portfolio({ onNavigateToChart }) {
     a.click(); URL.revokeObjectURL(url);
   }, [holdings, closedTrades, snapshots]);
 
+  // Self-contained HTML report (prints to PDF); amounts masked in privacy mode
+  const [reportBusy, setReportBusy] = useState(false);
+  const exportReport = useCallback(async () => {
+    setReportBusy(true);
+    try {
+      const snaps = await loadSnapshots(365);
+      downloadReport(buildReportHtml({ summary, exposure, optionBook, closedTrades, snapshots: snaps, r: OPTION_RATE, privacy: privacyMode }));
+    } finally { setReportBusy(false); }
+  }, [summary, exposure, optionBook, closedTrades, privacyMode]);
+
   const importPortfolio = useCallback((e) => {
     const file = e.target.files?.[0]; if (!file) return;
     const reader = new FileReader();
@@ -993,6 +1426,9 @@ export default function Portfolio({ onNavigateToChart }) {
     reader.readAsText(file); e.target.value = "";
   }, []);
 
+  // Signed shares per unit in the close modal — options scale by multiplier and side
+  const closeUnit = closingHolding?.assetClass === "option" ? positionScale({ ...closingHolding, qty: 1 }) : 1;
+
   // ── RENDER ──
   return (
     <div style={S.container}>
@@ -1022,6 +1458,9 @@ export default function Portfolio({ onNavigateToChart }) {
             setSyncStatus(ok ? "synced" : "error");
           }} title="Push data to cloud">☁ Sync</button>
           <button style={S.btn} onClick={exportPortfolio}>↓ Export</button>
+          <button style={S.btn} onClick={exportReport} disabled={reportBusy} title={privacyMode ? "HTML report with amounts hidden" : "HTML report, printable to PDF"}>
+            {reportBusy ? "Building..." : "⎙ Report"}
+          </button>
           <button style={S.btn} onClick={() => importRef.current?.click()}>↑ Import</button>
           <input ref={importRef} type="file" accept=".json" style={{ display: "none" }} onChange={importPortfolio} />
         </div>
@@ -1032,6 +1471,7 @@ export default function Portfolio({ onNavigateToChart }) {
         {[
           { label: "Total Net Worth", value: B(fmtDollar(summary.totalValue)), color: COLORS.text.primary },
           { label: "Market Assets", value: B(fmtDollar(summary.marketValue)), color: COLORS.text.primary },
+          { label: "Options", value: B(fmtDollar(summary.optionValue)), color: COLORS.text.primary },
           { label: "Collectibles", value: B(fmtDollar(summary.collectibleValue)), color: COLORS.text.primary },
           { label: "Cash & Margin", value: B(fmtDollar(summary.cashValue)), color: COLORS.text.primary },
           { label: "Unrealized P&L", value: B(`${fmtDollar(summary.totalPnl)} (${fmtPnlPct(summary.totalPnlPct)})`), color: pnlColor(summary.totalPnl) },
@@ -1044,6 +1484,71 @@ export default function Portfolio({ onNavigateToChart }) {
         ))}
       </div>
 
+      {/* Exposure */}
+      {exposure.byUnderlying.length > 0 && (
+        <div style={{ marginBottom: 24 }}>
+          <div style={S.sectionTitle}>
+            <span>Greeks & Exposure</span><div style={S.divider} />
+            <div style={{ display: "flex", gap: 2 }}>
+              {Object.keys(BETA_BENCHMARKS).map(b => (
+                <button key={b} onClick={() => setBetaBenchmark(b)} style={{
+                  ...S.btn, padding: "3px 10px", fontSize: 9,
+                  ...(betaBenchmark === b ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}),
+                }}>β {b}</button>
+              ))}
+            </div>
+          </div>
+          <div style={{ ...S.summaryRow, marginBottom: 10 }}>
+            {[
+              { label: "Net Delta ($)", value: B(fmtPnl(exposure.dollarDelta)), sub: B(`${fmtPnl(exposure.dollarDelta / 100)} per 1%`), color: pnlColor(exposure.dollarDelta) },
+              { label: `β-Weighted Delta (${betaBenchmark})`, value: B(`${fmt(exposure.betaDelta, betaBenchmark === "BTC" ? 3 : 1)} ${betaBenchmark}`), sub: B(fmtPnl(exposure.betaDollarDelta)), color: pnlColor(exposure.betaDelta) },
+              { label: "Gamma ($Δ per 1%)", value: B(fmtPnl(exposure.dollarGamma)), color: pnlColor(exposure.dollarGamma) },
+              { label: "Theta / Day", value: B(fmtPnl(exposure.theta)), color: pnlColor(exposure.theta) },
+              { label: "Vega (per vol pt)", value: B(fmtPnl(exposure.vega)), color: pnlColor(exposure.vega) },
+            ].map((c, i) => (
+              <div key={i} style={S.summaryCard}>
+                <div style={S.cardLabel}>{c.label}</div>
+                <div style={{ ...S.cardValue, color: c.color }}>{c.value}</div>
+                {c.sub && <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 4 }}>{c.sub}</div>}
+              </div>
+            ))}
+          </div>
+          <div style={S.card}>
+            <table style={S.table}>
+              <thead><tr>{["Underlying", "Price", "Δ (units)", "Δ $", "Γ $/1%", "Θ / day", "Vega", `β ${betaBenchmark}`, "β-Δ $"].map((c, i) => <th key={c} style={i > 0 ? S.thRight : S.th}>{c}</th>)}</tr></thead>
+              <tbody>
+                {exposure.byUnderlying.map(r => (
+                  <tr key={r.key}>
+                    <td style={{ ...S.td, fontWeight: 600, color: COLORS.text.primary }}>{r.key}</td>
+                    <td style={S.tdRight}>{fmtPrice(r.price)}</td>
+                    <td style={S.tdRight}>{B(fmt(r.delta, Math.abs(r.delta) < 10 ? 4 : 1))}</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(r.dollarDelta) }}>{B(fmtPnl(r.dollarDelta))}</td>
+                    <td style={S.tdRight}>{r.gamma ? B(fmtPnl(r.dollarGamma)) : "—"}</td>
+                    <td style={S.tdRight}>{r.theta ? B(fmtPnl(r.theta)) : "—"}</td>
+                    <td style={S.tdRight}>{r.vega ? B(fmtPnl(r.vega)) : "—"}</td>
+                    <td style={S.tdRight} title={betaData.betas[r.key] ? `ρ ${fmt(betaData.betas[r.key].correlation, 2)} · ${betaData.betas[r.key].n} daily returns` : "No overlapping history"}>
+                      {r.beta != null ? fmt(r.beta, 2) : "—"}
+                    </td>
+                    <td style={{ ...S.tdRight, color: pnlColor(r.beta != null ? r.beta * r.dollarDelta : 0) }}>{r.beta != null ? B(fmtPnl(r.beta * r.dollarDelta)) : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={S.subtotalRow}>
+              <span style={{ color: COLORS.text.secondary }}>
+                β from {BETA_LOOKBACK_DAYS}d of daily closes · perps count at full notional
+                {exposure.unweighted.length > 0 && ` · no β for ${exposure.unweighted.join(", ")}`}
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Monte Carlo */}
+      {scenario.positions.length > 0 && (
+        <ScenarioPanel assets={scenario.assets} positions={scenario.positions} privacyMode={privacyMode} B={B} />
+      )}
+
       {/* Chart */}
       <div style={{ marginBottom: 24 }}>
         <div style={S.sectionTitle}>
@@ -1120,6 +1625,84 @@ export default function Portfolio({ onNavigateToChart }) {
         </div>
       </div>
 
+      {/* Options */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={S.sectionTitle}>
+          <span>Options</span><div style={S.divider} />
+          <span style={{ fontSize: 10, color: COLORS.text.muted }}>{B(fmtDollar(summary.optionValue))}</span>
+        </div>
+        <div style={S.card}>
+          <table style={S.table}>
+            <thead><tr>{["Contract", "Qty", "Premium", "Underlying", "Mark", "IV", "Value", "P&L", "P&L %", "Δ (sh)", "Γ", "Θ / day", "Vega", ""].map((c, i) => <th key={c} style={i > 0 && i < 13 ? S.thRight : S.th}>{c}</th>)}</tr></thead>
+            <tbody>
+              {summary.enrichedOptions.length === 0 ? (
+                <tr><td colSpan={14} style={{ ...S.td, textAlign: "center", color: COLORS.text.dim, padding: 20 }}>No option positions</td></tr>
+              ) : summary.enrichedOptions.map(h => {
+                const v = h.valuation;
+                const dte = Math.max(0, Math.ceil(holdingYearsToExpiry(h) * 365));
+                return (
+                  <tr key={h.id}>
+                    <td style={{ ...S.td, fontWeight: 600, color: COLORS.text.primary, whiteSpace: "nowrap" }}>
+                      <span style={{ ...S.badge(h.side === "short" ? COLORS.negative.text : COLORS.positive.text), marginRight: 6 }}>{h.side === "short" ? "S" : "L"}</span>
+                      {h.symbol}
+                      <span style={{ marginLeft: 6, fontSize: 9, color: COLORS.text.dim }}>{dte}d{(h.multiplier || DEFAULT_MULTIPLIER) !== DEFAULT_MULTIPLIER ? ` · ×${h.multiplier}` : ""}</span>
+                      {h.needsManualSettlement && <span style={{ ...S.badge(COLORS.negative.text), marginLeft: 6, fontSize: 8, padding: "1px 4px" }}
+                        title="No underlying price found for the expiry date. Use Close to settle it at the right price.">SETTLE MANUALLY</span>}
+                    </td>
+                    <td style={S.tdRight}>{B(h.qty)}</td>
+                    <td style={S.tdRight}>{B(fmtPrice(h.costBasis))}</td>
+                    <td style={{ ...S.tdRight, color: h.underlyingPrice > 0 ? COLORS.text.primary : COLORS.text.dim }}>{h.underlyingPrice > 0 ? fmtPrice(h.underlyingPrice) : "—"}</td>
+                    <td style={S.tdRight} title={v ? (v.source === "chain" ? "Chain mid" : v.source === "model" ? "Black-Scholes" : "Intrinsic") : undefined}>
+                      {v ? fmtPrice(v.mark) : "—"}
+                      {v && <span style={{ marginLeft: 4, fontSize: 8, color: COLORS.text.dim }}>{v.source === "chain" ? "mid" : v.source === "model" ? "bs" : "int"}</span>}
+                    </td>
+                    <td style={S.tdRight}>{v?.iv > 0 ? `${fmt(v.iv * 100, 1)}%` : "—"}</td>
+                    <td style={S.tdRight}>{B(v ? fmtDollar(v.marketValue) : "—")}</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(h.pnl), fontWeight: 500 }}>{B(v ? fmtPnl(v.pnl) : "—")}</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(h.pnlPct) }}>{v ? fmtPnlPct(v.pnlPct) : "—"}</td>
+                    <td style={S.tdRight}>{v ? fmt(v.delta, 1) : "—"}</td>
+                    <td style={S.tdRight}>{v ? fmt(v.gamma, 3) : "—"}</td>
+                    <td style={{ ...S.tdRight, color: v ? pnlColor(v.theta) : undefined }}>{B(v ? fmtPnl(v.theta) : "—")}</td>
+                    <td style={S.tdRight}>{B(v ? fmtDollar(v.vega) : "—")}</td>
+                    <td style={{ ...S.td, whiteSpace: "nowrap" }}>
+                      <button style={{ ...S.btn, ...(rollHoldingId === h.id ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}) }}
+                        onClick={() => setRollHoldingId(id => id === h.id ? null : h.id)} disabled={!v || dte <= 0} title="Plan rolls for this position">Roll</button>{" "}
+                      <button style={S.btn} onClick={() => startCloseTrade(h)}>Close</button>{" "}
+                      <button style={S.btn} onClick={() => removeHolding(h.id)}>✕</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {summary.enrichedOptions.length > 0 && (
+            <div style={S.subtotalRow}>
+              <span style={{ color: COLORS.text.secondary }}>
+                {summary.enrichedOptions.length} contract{summary.enrichedOptions.length > 1 ? "s" : ""} · expired positions settle to intrinsic automatically
+              </span>
+              <div style={{ display: "flex", gap: 16 }}>
+                <span style={{ color: COLORS.text.dim }}>Cost: {B(fmtDollar(summary.optionCost))}</span>
+                <span style={{ color: COLORS.text.primary }}>Value: {B(fmtDollar(summary.optionValue))}</span>
+                <span style={{ color: pnlColor(summary.optionPnl), fontWeight: 600 }}>{B(fmtPnl(summary.optionPnl))}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Option book P&L by price and date */}
+      {optionBook.length > 0 && (
+        <PnlHeatmap groups={optionBook} r={OPTION_RATE} B={B}
+          title={optionBook.length > 1 ? `Options P&L Explorer · ${optionBook.length} underlyings` : "Options P&L Explorer"} />
+      )}
+
+      {/* Roll planner for the selected option holding */}
+      {rollPlan && (
+        <div style={{ marginBottom: 24 }}>
+          <RollPlanner key={rollPlan.holding.id} spot={rollPlan.holding.underlyingPrice} r={OPTION_RATE} sigma={rollPlan.sigma} leg={rollPlan.leg} B={B} />
+        </div>
+      )}
+
       {/* Collectibles */}
       <div style={{ marginBottom: 24 }}>
         <div style={S.sectionTitle}>
@@ -1247,7 +1830,7 @@ export default function Portfolio({ onNavigateToChart }) {
             </div>
             <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
               <Row label={`Qty (max ${closingHolding.qty})`}><input style={{ ...S.input, width: "100%" }} type="number" value={closeQty} onChange={e => setCloseQty(e.target.value)} step="any" /></Row>
-              <Row label="Exit / Sale Price (per unit)"><input style={{ ...S.input, width: "100%" }} type="number" value={closePrice} onChange={e => setClosePrice(e.target.value)} step="any" /></Row>
+              <Row label={closingHolding.assetClass === "option" ? "Exit Premium (per share)" : "Exit / Sale Price (per unit)"}><input style={{ ...S.input, width: "100%" }} type="number" value={closePrice} onChange={e => setClosePrice(e.target.value)} step="any" /></Row>
               <Row label="Close Date"><input style={{ ...S.input, width: "100%" }} type="date" value={closeDate} onChange={e => setCloseDate(e.target.value)} /></Row>
               <Row label="Notes (optional)"><input style={{ ...S.input, width: "100%" }} value={closeNotes} onChange={e => setCloseNotes(e.target.value)} placeholder="Reason..." /></Row>
               {closePrice && (
@@ -1257,8 +1840,8 @@ export default function Portfolio({ onNavigateToChart }) {
                     <span style={{ color: COLORS.text.muted }}>Cost: {fmtPrice(closingHolding.costBasis)} × {closeQty || closingHolding.qty}</span>
                     <span style={{ color: COLORS.text.muted }}>Exit: {fmtPrice(parseFloat(closePrice))} × {closeQty || closingHolding.qty}</span>
                   </div>
-                  <div style={{ fontSize: 16, fontWeight: 700, marginTop: 8, color: pnlColor((parseFloat(closePrice) - closingHolding.costBasis) * (parseFloat(closeQty) || closingHolding.qty)) }}>
-                    {fmtPnl((parseFloat(closePrice) - closingHolding.costBasis) * (parseFloat(closeQty) || closingHolding.qty))}
+                  <div style={{ fontSize: 16, fontWeight: 700, marginTop: 8, color: pnlColor((parseFloat(closePrice) - closingHolding.costBasis) * (parseFloat(closeQty) || closingHolding.qty) * closeUnit) }}>
+                    {fmtPnl((parseFloat(closePrice) - closingHolding.costBasis) * (parseFloat(closeQty) || closingHolding.qty) * closeUnit)}
                   </div>
                 </div>
               )}
@@ -0,0 +1,265 @@
+import React, { useState, useMemo, useCallback } from "react"
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from "recharts"
+import { contractMetrics, compareCurves, strikeForDelta, MAX_CONTRACTS } from "../../engine/compare"
+import { strikeStep, roundStrike } from "../../engine/strategy"
+import { fmt, fmtPrice, fmtDollar, fmtPnl } from "../../utils/format"
+import { COLORS } from "../../utils/constants"
+import { S, pnlColor } from "../../utils/styles"
+import { isoDateFromNow, yearsToExpiry } from "../../utils/dates"
+import OptionChain from "./OptionChain"
+
+let _contractId = 0
+
+const contractLabel = (c) => `${c.type === "call" ? "C" : "P"} ${fmtPrice(c.strike)} ${c.expiry}`
+
+function Field({ label, children, flex = 1 }) {
+  return (
+    <div style={{ flex, minWidth: 90 }}>
+      <div style={{ fontSize: 9, color: COLORS.text.dim, textTransform: "uppercase", marginBottom: 4 }}>{label}</div>
+      {children}
+    </div>
+  )
+}
+
+function CompareTooltip({ active, payload, label, asReturn }) {
+  if (!active || !payload?.length) return null
+  return (
+    <div style={S.tooltip}>
+      <div style={{ color: COLORS.text.dim, marginBottom: 4 }}>{fmtPrice(label)}</div>
+      {payload.map((p, i) => (
+        <div key={i} style={{ color: p.color, display: "flex", gap: 8, justifyContent: "space-between" }}>
+          <span>{p.name}</span>
+          <span style={{ fontWeight: 600 }}>{asReturn ? `${p.value >= 0 ? "+" : ""}${fmt(p.value * 100, 1)}%` : fmtPnl(p.value)}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Compare up to six single contracts on one underlying: P&L across prices at
+ * a chosen date, plus Greeks, breakevens, theta burn and capital per
+ * contract. Contracts come from manual entry (by strike or by delta) or from
+ * the live option chain at their quoted mid and IV.
+ */
+export default function CompareContracts({ symbol, spot, r, q, sigma, baseExpiry }) {
+  const [contracts, setContracts] = useState([])
+  const [type, setType] = useState("call")
+  const [expiry, setExpiry] = useState(baseExpiry)
+  const [byDelta, setByDelta] = useState(false)
+  const [strikeIn, setStrikeIn] = useState("")
+  const [deltaIn, setDeltaIn] = useState("30")
+  const [ivIn, setIvIn] = useState("")
+  const [premiumIn, setPremiumIn] = useState("")
+  const [showChain, setShowChain] = useState(false)
+  const [horizonDays, setHorizonDays] = useState(null) // null = shortest expiry
+  const [asReturn, setAsReturn] = useState(false)
+
+  const full = contracts.length >= MAX_CONTRACTS
+
+  const addContract = useCallback((c) => {
+    setContracts(prev => prev.length >= MAX_CONTRACTS ? prev : [...prev, { ...c, id: ++_contractId }])
+  }, [])
+
+  const addManual = useCallback(() => {
+    const T = yearsToExpiry(expiry)
+    const iv = (parseFloat(ivIn) || sigma * 100) / 100
+    if (!(spot > 0) || !(T > 0) || !(iv > 0)) return
+    let strike = parseFloat(strikeIn)
+    if (byDelta) {
+      const K = strikeForDelta((parseFloat(deltaIn) || 0) / 100, { S: spot, T, r, q, sigma: iv, type })
+      if (K == null) return
+      strike = roundStrike(K, strikeStep(spot))
+    }
+    if (!(strike > 0)) strike = roundStrike(spot, strikeStep(spot))
+    const premium = premiumIn !== "" ? parseFloat(premiumIn) : null
+    addContract({ type, expiry, strike, iv, premium: premium > 0 ? premium : null, source: "manual" })
+  }, [expiry, ivIn, sigma, spot, strikeIn, byDelta, deltaIn, r, q, type, premiumIn, addContract])
+
+  const addFromChain = useCallback((contract) => {
+    const premium = contract.mid || contract.mark || contract.last || null
+    addContract({
+      type: contract.type, expiry: contract.expiry, strike: contract.strike,
+      iv: contract.iv > 0 ? contract.iv : sigma, premium, source: "chain", symbol: contract.contractSymbol,
+    })
+  }, [addContract, sigma])
+
+  const removeContract = useCallback((id) => setContracts(prev => prev.filter(c => c.id !== id)), [])
+
+  // Engine contracts with T from today; expired ones drop out
+  const live = useMemo(() => contracts
+    .map(c => ({ ...c, T: yearsToExpiry(c.expiry) }))
+    .filter(c => c.T > 0), [contracts])
+
+  const maxDays = live.length > 0 ? Math.max(...live.map(c => Math.round(c.T * 365))) : 0
+  const minDays = live.length > 0 ? Math.min(...live.map(c => Math.round(c.T * 365))) : 0
+  const days = Math.min(horizonDays ?? minDays, maxDays)
+  const horizon = days / 365
+
+  const metrics = useMemo(() => live.map(c => contractMetrics(c, { S: spot, r, q, horizon })), [live, spot, r, q, horizon])
+  const curve = useMemo(() => {
+    if (!(spot > 0) || live.length === 0) return []
+    return compareCurves(live, { S: spot, horizon, r, q })
+  }, [live, spot, r, q, horizon])
+
+  const inputStyle = { ...S.input, width: "100%", boxSizing: "border-box" }
+  const toggle = (active) => active ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}
+  const color = (i) => COLORS.chartPalette[i % COLORS.chartPalette.length]
+  const fmtMove = (v) => v == null ? "—" : `${v >= 0 ? "+" : ""}${fmt(v * 100, 1)}%`
+
+  return (
+    <div>
+      {/* ── ADD CONTRACTS ── */}
+      <div style={S.sectionTitle}>
+        <span>Compare Contracts · {contracts.length}/{MAX_CONTRACTS}</span><div style={S.divider} />
+        <button style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(showChain) }} onClick={() => setShowChain(v => !v)}>
+          {showChain ? "Hide chain" : "Add from chain"}
+        </button>
+      </div>
+      <div style={{ ...S.card, padding: 16, marginBottom: 20 }}>
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+          <Field label="Type">
+            <div style={{ display: "flex", gap: 2 }}>
+              {["call", "put"].map(t => (
+                <button key={t} onClick={() => setType(t)} style={{ ...S.btn, flex: 1, padding: "5px 6px", ...toggle(type === t) }}>{t.toUpperCase()}</button>
+              ))}
+            </div>
+          </Field>
+          <Field label="Expiry">
+            <input style={inputStyle} type="date" value={expiry} onChange={e => setExpiry(e.target.value)} />
+          </Field>
+          <Field label="Strike By">
+            <div style={{ display: "flex", gap: 2 }}>
+              <button onClick={() => setByDelta(false)} style={{ ...S.btn, flex: 1, padding: "5px 6px", ...toggle(!byDelta) }}>Price</button>
+              <button onClick={() => setByDelta(true)} style={{ ...S.btn, flex: 1, padding: "5px 6px", ...toggle(byDelta) }}>Delta</button>
+            </div>
+          </Field>
+          {byDelta ? (
+            <Field label="Delta (×100)">
+              <input style={inputStyle} type="number" step="5" value={deltaIn} onChange={e => setDeltaIn(e.target.value)} />
+            </Field>
+          ) : (
+            <Field label="Strike">
+              <input style={inputStyle} type="number" step="any" value={strikeIn} onChange={e => setStrikeIn(e.target.value)} placeholder="ATM" />
+            </Field>
+          )}
+          <Field label="IV %">
+            <input style={inputStyle} type="number" step="0.5" value={ivIn} onChange={e => setIvIn(e.target.value)} placeholder={fmt(sigma * 100, 1)} />
+          </Field>
+          <Field label="Premium">
+            <input style={inputStyle} type="number" step="any" value={premiumIn} onChange={e => setPremiumIn(e.target.value)} placeholder="Model" />
+          </Field>
+          <button style={{ ...S.btnPrimary, padding: "6px 16px" }} onClick={addManual} disabled={full}>+ Add</button>
+        </div>
+        {full && <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 8 }}>Comparing the maximum of {MAX_CONTRACTS} contracts — remove one to add another.</div>}
+      </div>
+
+      {showChain && (
+        <div style={{ marginBottom: 20 }}>
+          <OptionChain symbol={symbol} r={r} q={q} onSelect={addFromChain} />
+        </div>
+      )}
+
+      {live.length > 0 && (<>
+        {/* ── P&L AT DATE ── */}
+        <div style={S.sectionTitle}>
+          <span>P&L on {isoDateFromNow(days)} · {days}d out</span><div style={S.divider} />
+          <div style={{ display: "flex", gap: 2 }}>
+            <button style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(!asReturn) }} onClick={() => setAsReturn(false)}>$ / contract</button>
+            <button style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(asReturn) }} onClick={() => setAsReturn(true)}>% of premium</button>
+          </div>
+        </div>
+        <div style={{ ...S.card, padding: "12px 8px", marginBottom: 20 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 10, padding: "0 8px 10px" }}>
+            <span style={{ fontSize: 9, color: COLORS.text.dim, textTransform: "uppercase" }}>Date</span>
+            <input type="range" min={0} max={maxDays} value={days} onChange={e => setHorizonDays(Number(e.target.value))} style={{ flex: 1 }} />
+            <button style={{ ...S.btn, padding: "2px 8px", fontSize: 9 }} onClick={() => setHorizonDays(null)}>First expiry</button>
+          </div>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={curve} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+              <CartesianGrid stroke={COLORS.border.primary} strokeDasharray="3 3" />
+              <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} tickFormatter={v => fmtPrice(v)} />
+              <YAxis tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} width={70}
+                tickFormatter={v => asReturn ? `${fmt(v * 100, 0)}%` : fmtPnl(v)} />
+              <Tooltip content={<CompareTooltip asReturn={asReturn} />} />
+              <Legend wrapperStyle={{ fontSize: 9 }} />
+              <ReferenceLine y={0} stroke={COLORS.text.dim} />
+              <ReferenceLine x={spot} stroke={COLORS.text.dim} strokeDasharray="4 4" />
+              {live.map((c, i) => (
+                <Line key={c.id} type="monotone" dataKey={`${asReturn ? "ret" : "pnl"}${i}`} name={contractLabel(c)}
+                  stroke={color(i)} strokeWidth={2} dot={false} isAnimationActive={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* ── GREEKS ── */}
+        <div style={S.sectionTitle}><span>Greeks & Pricing</span><div style={S.divider} /></div>
+        <div style={{ ...S.card, marginBottom: 20 }}>
+          <table style={S.table}>
+            <thead><tr>{["Contract", "DTE", "IV", "Premium", "Model", "Delta", "Gamma", "Theta / day", "Vega / 1%", ""].map((h, i) => <th key={h || i} style={i > 0 && i < 9 ? S.thRight : S.th}>{h}</th>)}</tr></thead>
+            <tbody>
+              {live.map((c, i) => {
+                const m = metrics[i]
+                return (
+                  <tr key={c.id}>
+                    <td style={{ ...S.td, fontWeight: 600, color: color(i), whiteSpace: "nowrap" }} title={c.symbol || "Manual entry"}>
+                      {contractLabel(c)}
+                      <span style={{ marginLeft: 6, fontSize: 8, color: COLORS.text.dim }}>{c.source === "chain" ? "chain" : "manual"}</span>
+                    </td>
+                    <td style={S.tdRight}>{Math.round(c.T * 365)}</td>
+                    <td style={S.tdRight}>{fmt(c.iv * 100, 1)}%</td>
+                    <td style={S.tdRight}>{fmtPrice(m.premium)}</td>
+                    <td style={{ ...S.tdRight, color: Math.abs(m.edge) > 0.005 ? pnlColor(m.edge) : undefined }} title="Black-Scholes value at this IV">{fmtPrice(m.price)}</td>
+                    <td style={S.tdRight}>{fmt(m.delta, 3)}</td>
+                    <td style={S.tdRight}>{fmt(m.gamma, 5)}</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(m.theta) }}>{fmt(m.theta, 3)}</td>
+                    <td style={S.tdRight}>{fmt(m.vega, 3)}</td>
+                    <td style={S.td}><button style={S.btn} onClick={() => removeContract(c.id)}>✕</button></td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {/* ── BREAKEVENS & CAPITAL ── */}
+        <div style={S.sectionTitle}><span>Breakevens, Theta Burn & Capital</span><div style={S.divider} /></div>
+        <div style={{ ...S.card, marginBottom: 24 }}>
+          <table style={S.table}>
+            <thead><tr>{["Contract", "Breakeven @ Expiry", "Move Needed", `Breakeven @ ${days}d`, "Theta % / day", "30d Burn", "Capital", "$ Delta", "Leverage"].map((h, i) => <th key={h} style={i > 0 ? S.thRight : S.th}>{h}</th>)}</tr></thead>
+            <tbody>
+              {live.map((c, i) => {
+                const m = metrics[i]
+                return (
+                  <tr key={c.id}>
+                    <td style={{ ...S.td, fontWeight: 600, color: color(i), whiteSpace: "nowrap" }}>{contractLabel(c)}</td>
+                    <td style={S.tdRight}>{m.breakeven != null ? fmtPrice(m.breakeven) : "—"}</td>
+                    <td style={S.tdRight}>{fmtMove(m.breakevenMove)}</td>
+                    <td style={S.tdRight}>{m.breakevenAtHorizon != null ? fmtPrice(m.breakevenAtHorizon) : "—"}</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(m.thetaPct) }}>{fmt(m.thetaPct * 100, 2)}%</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(-m.burn30) }}>{fmtPnl(-m.burn30)}</td>
+                    <td style={S.tdRight}>{fmtDollar(m.capital)}</td>
+                    <td style={S.tdRight}>{fmtPnl(m.dollarDelta)}</td>
+                    <td style={S.tdRight}>{fmt(m.leverage, 1)}×</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          <div style={S.subtotalRow}>
+            <span style={{ color: COLORS.text.secondary }}>
+              Per contract (×100) at spot {fmtPrice(spot)} · 30d burn at unchanged spot and IV · leverage = $ delta per $ of premium
+            </span>
+          </div>
+        </div>
+      </>)}
+
+      {live.length === 0 && (
+        <div style={{ ...S.card, padding: 24, textAlign: "center", color: COLORS.text.dim, fontSize: 11 }}>
+          Add contracts manually or from the chain — e.g. a 6-month 30-delta call against a 12-month ATM call.
+        </div>
+      )}
+    </div>
+  )
+}
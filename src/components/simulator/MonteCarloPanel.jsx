@@ -0,0 +1,170 @@
+import React, { useState, useCallback } from "react"
+import { PAYOFF_STYLES, BARRIER_TYPES } from "../../engine/monteCarlo"
+import { useMonteCarlo } from "../../hooks/useMonteCarlo"
+import { fmt, fmtPrice, fmtPnl } from "../../utils/format"
+import { COLORS } from "../../utils/constants"
+import { S, pnlColor } from "../../utils/styles"
+import { FanChart, PnlHistogram } from "../common/MonteCarloCharts"
+
+const PATH_COUNTS = [1000, 5000, 20000]
+
+function Field({ label, children, flex = 1 }) {
+  return (
+    <div style={{ flex, minWidth: 90 }}>
+      <div style={{ fontSize: 9, color: COLORS.text.dim, textTransform: "uppercase", marginBottom: 4 }}>{label}</div>
+      {children}
+    </div>
+  )
+}
+
+/**
+ * Monte Carlo pricing for the simulator's contract: path-dependent payoff
+ * styles, optional jumps / stochastic vol, and the P&L distribution at
+ * expiry for a long or short position. Runs in the Monte Carlo worker.
+ */
+export default function MonteCarloPanel({ spot, strike, T, r, q, sigma, type, bsPrice }) {
+  const [style, setStyle] = useState("european")
+  const [barrier, setBarrier] = useState("")
+  const [barrierType, setBarrierType] = useState("up-and-out")
+  const [useJumps, setUseJumps] = useState(false)
+  const [jumpLambda, setJumpLambda] = useState("1")
+  const [jumpMu, setJumpMu] = useState("-5")
+  const [jumpSigma, setJumpSigma] = useState("10")
+  const [useHeston, setUseHeston] = useState(false)
+  const [kappa, setKappa] = useState("2")
+  const [xi, setXi] = useState("0.6")
+  const [svRho, setSvRho] = useState("-0.7")
+  const [paths, setPaths] = useState(5000)
+  const [seed, setSeed] = useState("42")
+  const [side, setSide] = useState("long")
+  const [premium, setPremium] = useState("")
+  const { run, result, running, error, elapsed } = useMonteCarlo()
+
+  const days = Math.max(1, Math.round(T * 365))
+  const steps = style === "european" && !useJumps && !useHeston ? 1 : Math.min(252, Math.max(20, days))
+
+  const simulate = useCallback(() => {
+    if (!(spot > 0) || !(strike > 0) || !(T > 0)) return
+    run("price", {
+      S0: spot, sigma, T, r, q, steps, paths, seed: parseInt(seed) || 1,
+      type, strike, style,
+      barrier: parseFloat(barrier) || (barrierType.startsWith("up") ? spot * 1.2 : spot * 0.8),
+      barrierType,
+      jumps: useJumps ? { lambda: parseFloat(jumpLambda) || 0, mu: (parseFloat(jumpMu) || 0) / 100, sigma: (parseFloat(jumpSigma) || 0) / 100 } : null,
+      stochVol: useHeston ? { kappa: parseFloat(kappa) || 0, xi: parseFloat(xi) || 0, rho: parseFloat(svRho) || 0 } : null,
+      premium: premium !== "" ? parseFloat(premium) || 0 : undefined,
+      side,
+    })
+  }, [run, spot, sigma, T, r, q, steps, paths, seed, type, strike, style, barrier, barrierType, useJumps, jumpLambda, jumpMu, jumpSigma, useHeston, kappa, xi, svRho, premium, side])
+
+  const inputStyle = { ...S.input, width: "100%", boxSizing: "border-box" }
+  const toggle = (active) => active ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}
+  const pnl = result?.pnl
+
+  return (
+    <div>
+      {/* ── SETUP ── */}
+      <div style={S.sectionTitle}><span>Monte Carlo · {type.toUpperCase()} {fmtPrice(strike)} · {days}d</span><div style={S.divider} /></div>
+      <div style={{ ...S.card, padding: 16, marginBottom: 20 }}>
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+          <Field label="Payoff" flex={2}>
+            <select style={inputStyle} value={style} onChange={e => setStyle(e.target.value)}>
+              {PAYOFF_STYLES.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+            </select>
+          </Field>
+          {style === "barrier" && (<>
+            <Field label="Barrier Type" flex={2}>
+              <select style={inputStyle} value={barrierType} onChange={e => setBarrierType(e.target.value)}>
+                {BARRIER_TYPES.map(b => <option key={b} value={b}>{b}</option>)}
+              </select>
+            </Field>
+            <Field label="Barrier">
+              <input style={inputStyle} type="number" step="any" value={barrier} onChange={e => setBarrier(e.target.value)}
+                placeholder={fmt(barrierType.startsWith("up") ? spot * 1.2 : spot * 0.8, 2)} />
+            </Field>
+          </>)}
+          <Field label="Paths">
+            <select style={inputStyle} value={paths} onChange={e => setPaths(Number(e.target.value))}>
+              {PATH_COUNTS.map(n => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+            </select>
+          </Field>
+          <Field label="Seed">
+            <input style={inputStyle} type="number" step="1" value={seed} onChange={e => setSeed(e.target.value)} />
+          </Field>
+          <Field label="Position">
+            <div style={{ display: "flex", gap: 2 }}>
+              {["long", "short"].map(s => (
+                <button key={s} onClick={() => setSide(s)} style={{ ...S.btn, flex: 1, padding: "5px 6px", ...toggle(side === s) }}>{s}</button>
+              ))}
+            </div>
+          </Field>
+          <Field label="Entry Premium">
+            <input style={inputStyle} type="number" step="any" value={premium} onChange={e => setPremium(e.target.value)} placeholder="MC fair value" />
+          </Field>
+        </div>
+
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end", marginTop: 12 }}>
+          <Field label="Dynamics" flex={2}>
+            <div style={{ display: "flex", gap: 2 }}>
+              <button style={{ ...S.btn, flex: 1, padding: "5px 6px", ...toggle(useJumps) }} onClick={() => setUseJumps(v => !v)}>+ Jumps</button>
+              <button style={{ ...S.btn, flex: 1, padding: "5px 6px", ...toggle(useHeston) }} onClick={() => setUseHeston(v => !v)}>+ Stoch Vol</button>
+            </div>
+          </Field>
+          {useJumps && (<>
+            <Field label="Jumps / yr"><input style={inputStyle} type="number" step="0.5" value={jumpLambda} onChange={e => setJumpLambda(e.target.value)} /></Field>
+            <Field label="Mean Jump %"><input style={inputStyle} type="number" step="1" value={jumpMu} onChange={e => setJumpMu(e.target.value)} /></Field>
+            <Field label="Jump Vol %"><input style={inputStyle} type="number" step="1" value={jumpSigma} onChange={e => setJumpSigma(e.target.value)} /></Field>
+          </>)}
+          {useHeston && (<>
+            <Field label="κ (reversion)"><input style={inputStyle} type="number" step="0.5" value={kappa} onChange={e => setKappa(e.target.value)} /></Field>
+            <Field label="ξ (vol of vol)"><input style={inputStyle} type="number" step="0.1" value={xi} onChange={e => setXi(e.target.value)} /></Field>
+            <Field label="ρ (spot-vol)"><input style={inputStyle} type="number" step="0.1" value={svRho} onChange={e => setSvRho(e.target.value)} /></Field>
+          </>)}
+          <button style={{ ...S.btnPrimary, padding: "6px 18px" }} onClick={simulate} disabled={running}>
+            {running ? "Simulating..." : "▶ Run"}
+          </button>
+        </div>
+        <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 8 }}>
+          {paths.toLocaleString()} paths × {steps} step{steps > 1 ? "s" : ""} · σ {fmt(sigma * 100, 1)}%{useHeston ? " (long-run)" : ""} · risk-neutral drift
+          {result && !running && ` · ${fmt(elapsed, 0)} ms`}
+          {error && <span style={{ color: COLORS.negative.text }}> · {error}</span>}
+        </div>
+      </div>
+
+      {result && (<>
+        {/* ── RESULTS ── */}
+        <div style={S.summaryRow}>
+          {[
+            { label: "MC Price", value: fmtPrice(result.price), sub: `± ${fmt(result.stderr, 3)} s.e.` },
+            { label: "Black-Scholes", value: fmtPrice(bsPrice), sub: style === "european" ? `Δ ${fmtPnl(result.price - bsPrice)}` : "European reference" },
+            { label: "Prob. ITM", value: `${fmt(result.probITM * 100, 1)}%` },
+            { label: "Prob. Profit", value: `${fmt(pnl.probProfit * 100, 1)}%`, color: pnlColor(pnl.probProfit - 0.5) },
+            { label: "Expected P&L", value: fmtPnl(pnl.mean), sub: "per share, at expiry", color: pnlColor(pnl.mean) },
+            { label: "5% / 95% P&L", value: `${fmtPnl(pnl.percentiles[5])}`, sub: fmtPnl(pnl.percentiles[95]) },
+          ].map((c, i) => (
+            <div key={c.label} style={{ ...S.summaryCard, ...(i === 0 ? { borderLeft: `3px solid ${COLORS.accent.blue}` } : {}) }}>
+              <div style={S.cardLabel}>{c.label}</div>
+              <div style={{ ...S.cardValue, color: c.color || COLORS.text.primary }}>{c.value}</div>
+              {c.sub && <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 2 }}>{c.sub}</div>}
+            </div>
+          ))}
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(360px, 1fr))", gap: 16, marginBottom: 24 }}>
+          <div>
+            <div style={S.sectionTitle}><span>Underlying Fan</span><div style={S.divider} /></div>
+            <div style={{ ...S.card, padding: "12px 8px" }}>
+              <FanChart data={result.fan} format={v => fmtPrice(v)} reference={strike} />
+            </div>
+          </div>
+          <div>
+            <div style={S.sectionTitle}><span>P&L at Expiry</span><div style={S.divider} /></div>
+            <div style={{ ...S.card, padding: "12px 8px" }}>
+              <PnlHistogram histogram={pnl.histogram} format={v => fmt(v, 2)} height={260} />
+            </div>
+          </div>
+        </div>
+      </>)}
+    </div>
+  )
+}
@@ -0,0 +1,132 @@
+import React, { useState, useMemo, useCallback, useEffect } from "react"
+import { fetchOptionChain } from "../../hooks/useMarketData"
+import { fmt, fmtPrice } from "../../utils/format"
+import { COLORS, FONTS } from "../../utils/constants"
+import { S } from "../../utils/styles"
+
+const SIDE_COLS = [
+  { key: "bid", label: "Bid", render: c => fmt(c.bid) },
+  { key: "ask", label: "Ask", render: c => fmt(c.ask) },
+  { key: "last", label: "Last", render: c => fmt(c.last) },
+  { key: "iv", label: "IV", render: c => c.iv != null ? `${fmt(c.iv * 100, 1)}%` : "—" },
+  { key: "volume", label: "Vol", render: c => c.volume.toLocaleString() },
+  { key: "openInterest", label: "OI", render: c => c.openInterest.toLocaleString() },
+]
+
+/**
+ * Straddle-style option chain for one expiry. Clicking a call or put loads
+ * that contract into the simulator via `onSelect(contract, chain)`.
+ */
+export default function OptionChain({ symbol, r, q, onSelect }) {
+  const [chain, setChain] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+
+  const load = useCallback(async (expiry) => {
+    const sym = symbol.trim().toUpperCase()
+    if (!sym) return
+    setLoading(true)
+    setError("")
+    const result = await fetchOptionChain(sym, expiry, { r, q })
+    setLoading(false)
+    if (!result || (result.calls.length === 0 && result.puts.length === 0)) {
+      setError(`No option chain for ${sym}`)
+      return
+    }
+    setChain(result)
+  }, [symbol, r, q])
+
+  // Drop a stale chain when the underlying changes
+  useEffect(() => { setChain(null) }, [symbol])
+
+  // One row per strike, calls on the left and puts on the right
+  const rows = useMemo(() => {
+    if (!chain) return []
+    const byStrike = new Map()
+    for (const c of chain.calls) byStrike.set(c.strike, { strike: c.strike, call: c, put: null })
+    for (const p of chain.puts) {
+      const row = byStrike.get(p.strike) || { strike: p.strike, call: null, put: null }
+      row.put = p
+      byStrike.set(p.strike, row)
+    }
+    return [...byStrike.values()].sort((a, b) => a.strike - b.strike)
+  }, [chain])
+
+  const atmStrike = useMemo(() => {
+    if (!chain || rows.length === 0) return null
+    return rows.reduce((best, row) => Math.abs(row.strike - chain.spot) < Math.abs(best - chain.spot) ? row.strike : best, rows[0].strike)
+  }, [rows, chain])
+
+  const toggle = (active) => active ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}
+  const cellStyle = (contract, side) => ({
+    ...S.tdRight,
+    cursor: contract ? "pointer" : "default",
+    background: contract?.inTheMoney ? (side === "call" ? COLORS.positive.bg : COLORS.negative.bg) : undefined,
+  })
+
+  return (
+    <div>
+      <div style={S.sectionTitle}>
+        <span>Option Chain{chain ? ` · ${chain.symbol} ${chain.source === "deribit" ? "index " : ""}${fmtPrice(chain.spot)}` : ""}</span><div style={S.divider} />
+        <button style={S.btnPrimary} onClick={() => load(chain?.expiry)} disabled={loading}>
+          {loading ? "Loading..." : chain ? "⟳ Refresh" : `Load ${symbol.trim().toUpperCase() || "chain"}`}
+        </button>
+      </div>
+
+      {error && <div style={{ fontSize: 10, color: COLORS.negative.text, marginBottom: 10 }}>{error}</div>}
+
+      {chain && (<>
+        {/* ── EXPIRIES ── */}
+        <div style={{ display: "flex", gap: 2, flexWrap: "wrap", marginBottom: 10 }}>
+          {chain.expiries.map(e => (
+            <button key={e} onClick={() => load(e)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(e === chain.expiry) }}>
+              {e}
+            </button>
+          ))}
+        </div>
+
+        {/* ── CHAIN TABLE ── */}
+        <div style={{ ...S.card, marginBottom: 24, maxHeight: 560, overflow: "auto" }}>
+          <table style={S.table}>
+            <thead>
+              <tr>
+                <th colSpan={SIDE_COLS.length} style={{ ...S.th, textAlign: "center", color: COLORS.positive.text }}>Calls</th>
+                <th style={{ ...S.th, textAlign: "center" }}>{Math.round(chain.T * 365)}d</th>
+                <th colSpan={SIDE_COLS.length} style={{ ...S.th, textAlign: "center", color: COLORS.negative.text }}>Puts</th>
+              </tr>
+              <tr>
+                {SIDE_COLS.map(c => <th key={`c-${c.key}`} style={S.thRight}>{c.label}</th>)}
+                <th style={{ ...S.th, textAlign: "center" }}>Strike</th>
+                {SIDE_COLS.map(c => <th key={`p-${c.key}`} style={S.thRight}>{c.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => {
+                const atm = row.strike === atmStrike
+                return (
+                  <tr key={row.strike} style={atm ? { background: COLORS.accent.blueBg, outline: `1px solid ${COLORS.accent.blueBorder}` } : undefined}>
+                    {SIDE_COLS.map(c => (
+                      <td key={`c-${c.key}`} style={cellStyle(row.call, "call")} onClick={() => row.call && onSelect(row.call, chain)}
+                        title={row.call ? `Load ${row.call.contractSymbol}` : undefined}>
+                        {row.call ? c.render(row.call) : ""}
+                      </td>
+                    ))}
+                    <td style={{ ...S.td, textAlign: "center", fontFamily: FONTS.mono, fontWeight: atm ? 700 : 500, color: atm ? COLORS.accent.blue : COLORS.text.primary }}>
+                      {fmtPrice(row.strike)}
+                    </td>
+                    {SIDE_COLS.map(c => (
+                      <td key={`p-${c.key}`} style={cellStyle(row.put, "put")} onClick={() => row.put && onSelect(row.put, chain)}
+                        title={row.put ? `Load ${row.put.contractSymbol}` : undefined}>
+                        {row.put ? c.render(row.put) : ""}
+                      </td>
+                    ))}
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      </>)}
+    </div>
+  )
+}
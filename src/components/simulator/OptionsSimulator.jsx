@@ -0,0 +1,585 @@
+import React, { useState, useMemo, useCallback, useEffect } from "react"
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from "recharts"
+import { blackScholes } from "../../engine/blackScholes"
+import { createLeg } from "../../engine/strategy"
+import { binomialAmerican, bjerksundStensland } from "../../engine/american"
+import { black76, bachelier, lognormalToNormalVol } from "../../engine/futures"
+import { toSchedule, escrowed } from "../../engine/dividends"
+import { realizedVol, periodsPerYear } from "../../engine/volatility"
+import { fetchTickers, fetchAllKlines, fetchDividends, normalizeSymbol, isCryptoSymbol, futuresTicker } from "../../hooks/useMarketData"
+import { fmt, fmtPrice } from "../../utils/format"
+import { COLORS, FONTS } from "../../utils/constants"
+import { S } from "../../utils/styles"
+import { isoDateFromNow, yearsToExpiry, DAY_MS } from "../../utils/dates"
+import { marketData } from "../../lib/providers"
+import StrategyBuilder from "./StrategyBuilder"
+import VolSurfacePanel from "./VolSurfacePanel"
+import OptionChain from "./OptionChain"
+import MonteCarloPanel from "./MonteCarloPanel"
+import RollPlanner from "./RollPlanner"
+import CompareContracts from "./CompareContracts"
+import PnlHeatmap from "../common/PnlHeatmap"
+
+// Greeks shown in the summary row and selectable in the sensitivity chart.
+// `digits` is the display precision — gamma on a $300 underlying is tiny.
+const METRICS = [
+  { key: "price", label: "Price", digits: 2 },
+  { key: "delta", label: "Delta", digits: 4 },
+  { key: "gamma", label: "Gamma", digits: 5 },
+  { key: "theta", label: "Theta / day", digits: 4 },
+  { key: "vega", label: "Vega / 1%", digits: 4 },
+  { key: "rho", label: "Rho / 1%", digits: 4 },
+]
+
+// Second-order Greeks, shown when the model provides them (Black-Scholes)
+const SECOND_ORDER = [
+  { key: "vanna", label: "Vanna / 1%", digits: 5 },
+  { key: "volga", label: "Volga / 1%", digits: 5 },
+  { key: "charm", label: "Charm / day", digits: 5 },
+  { key: "speed", label: "Speed", digits: 6 },
+  { key: "color", label: "Color / day", digits: 6 },
+  { key: "dualDelta", label: "Dual Delta", digits: 4 },
+]
+
+// Bachelier driven by the simulator's lognormal IV input: σN = σ·F, with vega
+// rescaled back to per 1% of lognormal vol so the Greeks row stays comparable
+function bachelierFromLognormal(F, K, T, r, sigma, type) {
+  const g = bachelier(F, K, T, r, lognormalToNormalVol(sigma, F), type)
+  return { ...g, vega: g.vega * Math.abs(F) / 100 }
+}
+
+// Pricing models. `curve` is the pricer used for the 80-point sensitivity
+// sweeps — a coarser tree keeps the American chart responsive. `futures`
+// models take the spot input as the futures price and ignore dividend yield.
+const MODELS = [
+  { key: "bs", label: "European · Black-Scholes", short: "Black-Scholes", price: blackScholes, curve: blackScholes },
+  {
+    key: "crr", label: "American · Binomial", short: "CRR binomial (American)", american: true,
+    price: binomialAmerican,
+    curve: (s, K, T, r, sigma, type, q) => binomialAmerican(s, K, T, r, sigma, type, q, 100),
+  },
+  { key: "bjs", label: "American · Bjerksund-Stensland", short: "Bjerksund-Stensland (American)", american: true, price: bjerksundStensland, curve: bjerksundStensland },
+  { key: "b76", label: "Futures · Black-76", short: "Black-76 (futures)", futures: true, price: black76, curve: black76 },
+  { key: "bachelier", label: "Futures · Bachelier (normal)", short: "Bachelier (normal)", futures: true, price: bachelierFromLognormal, curve: bachelierFromLognormal },
+]
+
+// The model's pricers with a discrete dividend schedule: escrowed spot for the
+// European-style formulas, explicit ex-date drops in the binomial tree.
+// Futures models have no dividends to account for.
+function withDividends(model, schedule) {
+  if (schedule.length === 0 || model.futures) return model
+  if (model.key === "crr") return {
+    ...model,
+    price: (s, K, T, r, sigma, type, q) => binomialAmerican(s, K, T, r, sigma, type, q, 200, schedule),
+    curve: (s, K, T, r, sigma, type, q) => binomialAmerican(s, K, T, r, sigma, type, q, 100, schedule),
+  }
+  return { ...model, price: escrowed(model.price, schedule), curve: escrowed(model.curve, schedule) }
+}
+
+const NO_DIVIDENDS = []
+
+// Trailing windows (trading days for equities, calendar days for crypto) for realized-vol sigma
+const RV_WINDOWS = [10, 20, 30, 60, 90]
+
+const X_AXES = [
+  { key: "spot", label: "Underlying" },
+  { key: "vol", label: "Volatility" },
+  { key: "days", label: "Days Left" },
+]
+
+function defaultExpiry() {
+  return isoDateFromNow(90)
+}
+
+function Field({ label, children, flex = 1 }) {
+  return (
+    <div style={{ flex, minWidth: 110 }}>
+      <div style={{ fontSize: 9, color: COLORS.text.dim, textTransform: "uppercase", marginBottom: 4 }}>{label}</div>
+      {children}
+    </div>
+  )
+}
+
+function CurveTooltip({ active, payload, label, xKey, digits }) {
+  if (!active || !payload?.length) return null
+  const xLabel = xKey === "spot" ? fmtPrice(label) : xKey === "vol" ? `${label}% IV` : `${label}d left`
+  return (
+    <div style={S.tooltip}>
+      <div style={{ color: COLORS.text.dim, marginBottom: 4 }}>{xLabel}</div>
+      {payload.map((p, i) => (
+        <div key={i} style={{ color: p.color, display: "flex", gap: 8 }}>
+          <span>{p.name}:</span>
+          <span style={{ fontWeight: 600 }}>{fmt(p.value, digits)}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// ─── MAIN COMPONENT ─────────────────────────────────────────────────────────
+export default function OptionsSimulator() {
+  const [symbol, setSymbol] = useState("MSTR")
+  const [spot, setSpot] = useState("300")
+  const [strike, setStrike] = useState("300")
+  const [expiry, setExpiry] = useState(defaultExpiry)
+  const [type, setType] = useState("call")
+  const [rate, setRate] = useState("4.5")
+  const [divYield, setDivYield] = useState("0")
+  const [iv, setIv] = useState("60")
+  const [metric, setMetric] = useState("price")
+  const [xAxis, setXAxis] = useState("spot")
+  const [mode, setMode] = useState("single") // single | strategy | surface | chain | compare | montecarlo | roll
+  const [modelKey, setModelKey] = useState("bs")
+  const [surface, setSurface] = useState(null)
+  const [ivSource, setIvSource] = useState("flat") // flat | surface | realized
+  const [quoteStatus, setQuoteStatus] = useState("")
+  const [rvWindow, setRvWindow] = useState(30)
+  const [history, setHistory] = useState(null) // { symbol, closes, calendar } daily closes for realized vol
+  const [dividends, setDividends] = useState({ symbol: "", list: [] }) // list: [{ date, amount, projected? }]
+
+  // Fitted surface lookup (K, T) => iv, when the user prices off the surface
+  const volAt = surface && ivSource === "surface" ? surface.volSurface : null
+
+  // Daily closes for the underlying, fetched when realized vol is selected
+  useEffect(() => {
+    if (ivSource !== "realized") return
+    const sym = symbol.trim().toUpperCase()
+    if (!sym || history?.symbol === sym) return
+    let cancelled = false
+    const calendar = isCryptoSymbol(sym) ? "crypto" : "equity"
+    const startTime = Date.now() - 400 * DAY_MS
+    // Debounced so typing a ticker doesn't fetch every prefix
+    const timer = setTimeout(() => {
+      fetchAllKlines([{ symbol: sym, type: calendar, exchange: "auto", startTime }], "1d").then(klines => {
+        if (cancelled) return
+        setHistory({ symbol: sym, closes: klines[normalizeSymbol(sym)] || [], calendar })
+      }).catch(() => { if (!cancelled) setHistory({ symbol: sym, closes: [], calendar }) })
+    }, 500)
+    return () => { cancelled = true; clearTimeout(timer) }
+  }, [ivSource, symbol, history])
+
+  // Underlyings that resolve to a Yahoo futures ticker (GOLD → GC=F) switch to
+  // Black-76; switching back to a spot underlying restores Black-Scholes
+  const isFutures = !!futuresTicker(symbol.trim())
+  useEffect(() => {
+    setModelKey(k => {
+      const onFuturesModel = !!MODELS.find(m => m.key === k)?.futures
+      if (isFutures) return onFuturesModel ? k : "b76"
+      return onFuturesModel ? "bs" : k
+    })
+  }, [isFutures])
+
+  // Upcoming ex-dividends for equity underlyings, projected from Yahoo's dividend history
+  useEffect(() => {
+    const sym = symbol.trim().toUpperCase()
+    if (!sym || isFutures || isCryptoSymbol(sym) || dividends.symbol === sym) return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      fetchDividends(sym).then(d => {
+        if (!cancelled) setDividends({ symbol: sym, list: d?.upcoming || [] })
+      })
+    }, 500)
+    return () => { cancelled = true; clearTimeout(timer) }
+  }, [symbol, isFutures, dividends.symbol])
+
+  const rv = useMemo(() => {
+    if (!history || history.symbol !== symbol.trim().toUpperCase()) return null
+    return realizedVol(history.closes, { window: rvWindow, periodsPerYear: periodsPerYear(86400, history.calendar) })
+  }, [history, symbol, rvWindow])
+  const useRv = ivSource === "realized" && rv > 0
+
+  // Parsed inputs — percentages in the UI, decimals in the engine
+  const inputs = useMemo(() => {
+    const K = parseFloat(strike) || 0
+    const T = yearsToExpiry(expiry)
+    const flat = useRv ? rv : (parseFloat(iv) || 0) / 100
+    return {
+      S: parseFloat(spot) || 0,
+      K,
+      T,
+      r: (parseFloat(rate) || 0) / 100,
+      q: (parseFloat(divYield) || 0) / 100,
+      sigma: volAt ? volAt(K, T) || flat : flat,
+      flatSigma: flat,
+      type,
+    }
+  }, [spot, strike, expiry, rate, divYield, iv, type, volAt, useRv, rv])
+
+  // Load a chain contract into the single-option view at its mid IV
+  const loadContract = useCallback((contract, chain) => {
+    if (chain.spot > 0) setSpot(String(chain.spot))
+    setStrike(String(contract.strike))
+    setExpiry(contract.expiry)
+    setType(contract.type)
+    if (contract.iv != null) setIv((contract.iv * 100).toFixed(2))
+    setIvSource("flat")
+    setQuoteStatus(`${contract.contractSymbol} · ${contract.mid > 0 ? "mid" : contract.mark > 0 ? "mark" : "last"} ${fmtPrice(contract.mid || contract.mark || contract.last)}`)
+    setMode("single")
+  }, [])
+
+  const handleFit = useCallback((fitted) => {
+    setSurface(fitted)
+    setIvSource(fitted ? "surface" : "flat")
+  }, [])
+
+  // Discrete dividends of the current underlying, ex-dates before expiry only
+  const divList = dividends.symbol === symbol.trim().toUpperCase() ? dividends.list : NO_DIVIDENDS
+  const schedule = useMemo(() => toSchedule(divList).filter(d => d.t <= inputs.T), [divList, inputs.T])
+  const updateDividend = (i, patch) => setDividends(d => ({ ...d, list: d.list.map((x, j) => j === i ? { ...x, ...patch, projected: false } : x) }))
+  const removeDividend = (i) => setDividends(d => ({ ...d, list: d.list.filter((_, j) => j !== i) }))
+  const addDividend = () => setDividends({
+    symbol: symbol.trim().toUpperCase(),
+    list: [...divList, { date: isoDateFromNow(30), amount: divList[divList.length - 1]?.amount || 0 }],
+  })
+
+  const baseModel = MODELS.find(m => m.key === modelKey) || MODELS[0]
+  const model = useMemo(() => withDividends(baseModel, schedule), [baseModel, schedule])
+
+  const result = useMemo(() => {
+    const { S: s, K, T, r, sigma, q } = inputs
+    return model.price(s, K, T, r, sigma, inputs.type, q)
+  }, [inputs, model])
+
+  // European value for the early-exercise premium, and the tree's exercise boundary
+  const european = useMemo(() => {
+    if (!model.american) return null
+    const { S: s, K, T, r, sigma, q } = inputs
+    return escrowed(blackScholes, model.futures ? [] : schedule)(s, K, T, r, sigma, inputs.type, q)
+  }, [inputs, model, schedule])
+
+  const boundary = useMemo(() => {
+    if (!result.boundary?.length) return []
+    return result.boundary.map(b => ({ x: +((inputs.T - b.t) * 365).toFixed(2), S: b.S }))
+  }, [result, inputs.T])
+
+  const daysLeft = Math.round(inputs.T * 365)
+
+  // Starting leg for the roll planner: one long contract at today's Black-Scholes value
+  const rollLeg = useMemo(() => ({
+    type: inputs.type, strike: inputs.K, dte: Math.round(inputs.T * 365), qty: 1, multiplier: 100, side: "long",
+    entryPrice: blackScholes(inputs.S, inputs.K, inputs.T, inputs.r, inputs.sigma, inputs.type, inputs.q).price,
+  }), [inputs])
+  // One long contract bought at today's Black-Scholes value, for the P&L explorer
+  const heatmapGroups = useMemo(() => {
+    if (!(inputs.S > 0) || !(inputs.K > 0) || !(inputs.T > 0)) return []
+    const premium = blackScholes(inputs.S, inputs.K, inputs.T, inputs.r, inputs.sigma, inputs.type, inputs.q).price
+    const leg = createLeg({ side: "long", kind: inputs.type, strike: inputs.K, T: inputs.T, qty: 100, premium })
+    return [{ S: inputs.S, legs: [leg], sigma: inputs.sigma, q: inputs.q }]
+  }, [inputs])
+  const intrinsic = Math.max(0, type === "call" ? inputs.S - inputs.K : inputs.K - inputs.S)
+
+  // Sensitivity curves: the selected metric across one input, at today and halfway to expiry
+  const curve = useMemo(() => {
+    const { S: s, K, T, r, sigma, q } = inputs
+    if (s <= 0 || K <= 0) return []
+    const halfT = T / 2
+    const price = model.curve
+    // Sticky-strike: sweeping spot keeps each expiry's surface vol at this strike
+    const volFor = (t) => volAt && t > 0 ? volAt(K, t) || sigma : sigma
+    const halfSigma = volFor(halfT)
+    const pts = []
+
+    if (xAxis === "spot") {
+      const lo = s * 0.5, hi = s * 1.5, n = 80
+      for (let i = 0; i <= n; i++) {
+        const x = lo + (hi - lo) * i / n
+        const pt = {
+          x: +x.toFixed(2),
+          today: price(x, K, T, r, sigma, type, q)[metric],
+          half: price(x, K, halfT, r, halfSigma, type, q)[metric],
+        }
+        if (metric === "price") pt.expiry = Math.max(0, type === "call" ? x - K : K - x)
+        pts.push(pt)
+      }
+    } else if (xAxis === "vol") {
+      for (let v = 5; v <= 200; v += 2.5) {
+        pts.push({
+          x: v,
+          today: price(s, K, T, r, v / 100, type, q)[metric],
+          half: price(s, K, halfT, r, v / 100, type, q)[metric],
+        })
+      }
+    } else {
+      const totalDays = Math.max(1, Math.round(T * 365))
+      const step = Math.max(1, Math.floor(totalDays / 80))
+      for (let d = totalDays; d >= 0; d -= step) {
+        // Time passing brings the ex-dates closer; paid dividends drop out
+        const elapsed = T - d / 365
+        const at = schedule.length ? withDividends(baseModel, schedule.map(x => ({ ...x, t: x.t - elapsed }))).curve : price
+        pts.push({ x: d, today: at(s, K, d / 365, r, volFor(d / 365), type, q)[metric] })
+      }
+    }
+    return pts
+  }, [inputs, metric, xAxis, type, model, baseModel, schedule, volAt])
+
+  const fetchSpot = useCallback(async () => {
+    const sym = symbol.trim().toUpperCase()
+    if (!sym) return
+    setQuoteStatus("Fetching...")
+    try {
+      const assetType = isCryptoSymbol(sym) ? "crypto" : "equity"
+      const quotes = await fetchTickers([{ symbol: sym, type: assetType, exchange: "auto" }])
+      const q = quotes[sym]
+      if (q?.price > 0) {
+        setSpot(String(q.price))
+        setQuoteStatus(`Live ${new Date().toLocaleTimeString()}`)
+      } else {
+        setQuoteStatus("No quote")
+      }
+    } catch {
+      setQuoteStatus("No quote")
+    }
+  }, [symbol])
+
+  const metricInfo = METRICS.find(m => m.key === metric)
+  const inputStyle = { ...S.input, width: "100%", boxSizing: "border-box" }
+  const contractMode = mode === "single" || mode === "montecarlo" || mode === "roll"
+  const toggle = (active) => active ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}
+
+  return (
+    <div style={S.container}>
+
+      {/* ── HEADER ── */}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 24 }}>
+        <div>
+          <div style={{ fontSize: 16, fontWeight: 700, fontFamily: FONTS.ui, color: COLORS.text.primary, letterSpacing: "-0.3px" }}>
+            Options Simulator
+          </div>
+          <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 4, fontFamily: FONTS.ui }}>
+            {mode === "single" ? model.short : "Black-Scholes"} pricing {mode === "single" && model.futures ? "on the futures price"
+              : mode === "single" && schedule.length ? `with ${schedule.length} discrete dividend${schedule.length === 1 ? "" : "s"}` : "with continuous dividend yield"} · {daysLeft}d to expiry
+            {quoteStatus && ` · ${quoteStatus}`}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 4 }}>
+          {contractMode && ["call", "put"].map(t => (
+            <button key={t} onClick={() => setType(t)} style={{ ...S.btn, padding: "4px 14px", ...toggle(type === t) }}>
+              {t.toUpperCase()}
+            </button>
+          ))}
+          {contractMode && <div style={{ width: 1, background: COLORS.border.primary, margin: "0 6px" }} />}
+          {[["single", "Single Option"], ["strategy", "Strategy"], ["surface", "Vol Surface"], ["chain", "Chain"], ["compare", "Compare"], ["montecarlo", "Monte Carlo"], ["roll", "Roll Planner"]].map(([key, lbl]) => (
+            <button key={key} onClick={() => setMode(key)} style={{ ...S.btn, padding: "4px 14px", ...toggle(mode === key) }}>
+              {lbl}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* ── INPUTS ── */}
+      <div style={{ ...S.card, padding: 16, marginBottom: 20 }}>
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+          <Field label="Underlying">
+            <div style={{ display: "flex", gap: 4 }}>
+              <input style={inputStyle} value={symbol} onChange={e => setSymbol(e.target.value)}
+                onKeyDown={e => e.key === "Enter" && fetchSpot()} placeholder="MSTR, BTC..." />
+              <button style={S.btn} onClick={fetchSpot} title="Fetch live price">⟳</button>
+            </div>
+          </Field>
+          <Field label={mode === "single" && model.futures ? "Futures Price" : "Spot Price"}>
+            <input style={inputStyle} type="number" step="any" value={spot} onChange={e => setSpot(e.target.value)} />
+          </Field>
+          {contractMode && (
+            <Field label="Strike">
+              <input style={inputStyle} type="number" step="any" value={strike} onChange={e => setStrike(e.target.value)} />
+            </Field>
+          )}
+          <Field label={mode === "strategy" ? "Base Expiry" : "Expiry"}>
+            <input style={inputStyle} type="date" value={expiry} onChange={e => setExpiry(e.target.value)} />
+          </Field>
+          <Field label="Rate %">
+            <input style={inputStyle} type="number" step="0.1" value={rate} onChange={e => setRate(e.target.value)} />
+          </Field>
+          <Field label="Div Yield %">
+            <input style={inputStyle} type="number" step="0.1" value={divYield} onChange={e => setDivYield(e.target.value)}
+              disabled={mode === "single" && model.futures} title={mode === "single" && model.futures ? "Not used — futures carry is in the price" : undefined} />
+          </Field>
+          <Field label={ivSource === "realized" ? "RV %" : "IV %"}>
+            {volAt
+              ? <input style={{ ...inputStyle, color: COLORS.text.dim }} value={fmt(inputs.sigma * 100, 2)} disabled title="From fitted vol surface" />
+              : ivSource === "realized"
+                ? <input style={{ ...inputStyle, color: COLORS.text.dim }} value={useRv ? fmt(rv * 100, 2) : history?.symbol === symbol.trim().toUpperCase() ? "—" : "..."} disabled
+                    title={useRv ? `${rvWindow}d close-to-close realized vol of ${history.symbol} · flat IV ${iv}%` : "No daily history — falling back to flat IV"} />
+                : <input style={inputStyle} type="number" step="0.5" value={iv} onChange={e => setIv(e.target.value)} />}
+          </Field>
+          <Field label="IV Source">
+            <select style={inputStyle} value={ivSource} onChange={e => setIvSource(e.target.value)}>
+              <option value="flat">Flat IV</option>
+              <option value="surface" disabled={!surface}>Vol surface{surface ? "" : " (fit first)"}</option>
+              <option value="realized">Realized vol</option>
+            </select>
+          </Field>
+          {ivSource === "realized" && (
+            <Field label="RV Window">
+              <select style={inputStyle} value={rvWindow} onChange={e => setRvWindow(Number(e.target.value))}>
+                {RV_WINDOWS.map(w => <option key={w} value={w}>{w}d</option>)}
+              </select>
+            </Field>
+          )}
+          {mode === "single" && (
+            <Field label="Model" flex={2}>
+              <select style={inputStyle} value={modelKey} onChange={e => setModelKey(e.target.value)}>
+                {MODELS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+            </Field>
+          )}
+        </div>
+      </div>
+
+      {mode === "strategy" && (
+        <StrategyBuilder spot={inputs.S} r={inputs.r} q={inputs.q} sigma={inputs.flatSigma} baseT={inputs.T}
+          surface={volAt ? surface : null} />
+      )}
+
+      {mode === "chain" && (
+        <OptionChain symbol={symbol} r={inputs.r} q={inputs.q} onSelect={loadContract} />
+      )}
+
+      {mode === "surface" && (
+        <VolSurfacePanel spot={inputs.S} r={inputs.r} q={inputs.q} surface={surface} onFit={handleFit} />
+      )}
+
+      {mode === "compare" && (
+        <CompareContracts symbol={symbol} spot={inputs.S} r={inputs.r} q={inputs.q} sigma={inputs.flatSigma} baseExpiry={expiry} />
+      )}
+
+      {mode === "roll" && (
+        <RollPlanner spot={inputs.S} r={inputs.r} q={inputs.q} sigma={inputs.sigma} leg={rollLeg} />
+      )}
+
+      {mode === "montecarlo" && (
+        <MonteCarloPanel spot={inputs.S} strike={inputs.K} T={inputs.T} r={inputs.r} q={inputs.q} sigma={inputs.sigma}
+          type={inputs.type} bsPrice={blackScholes(inputs.S, inputs.K, inputs.T, inputs.r, inputs.sigma, inputs.type, inputs.q).price} />
+      )}
+
+      {mode === "single" && (<>
+      {/* ── DIVIDENDS ── */}
+      {!model.futures && !isCryptoSymbol(symbol.trim()) && (
+        <div style={{ ...S.card, padding: "10px 16px", marginBottom: 20, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", fontSize: 10 }}>
+          <span style={{ fontSize: 9, color: COLORS.text.dim, textTransform: "uppercase", marginRight: 4 }}>Dividends</span>
+          {divList.length === 0 && <span style={{ color: COLORS.text.dim }}>None scheduled — pricing on the dividend yield only</span>}
+          {divList.map((d, i) => {
+            const beforeExpiry = d.date <= expiry
+            return (
+              <div key={i} style={{ display: "flex", gap: 4, alignItems: "center", opacity: beforeExpiry ? 1 : 0.45 }}
+                title={beforeExpiry ? (d.projected ? "Projected from past ex-dates" : "Ex-date") : "After expiry — not priced"}>
+                <input style={{ ...inputStyle, width: 120 }} type="date" value={d.date} onChange={e => updateDividend(i, { date: e.target.value })} />
+                <input style={{ ...inputStyle, width: 70 }} type="number" step="0.01" value={d.amount} onChange={e => updateDividend(i, { amount: e.target.value })} />
+                {d.projected && <span style={{ fontSize: 8, color: COLORS.text.dim }}>est.</span>}
+                <button style={{ ...S.btn, padding: "2px 6px", fontSize: 9 }} onClick={() => removeDividend(i)} title="Remove">✕</button>
+              </div>
+            )
+          })}
+          <button style={{ ...S.btn, padding: "3px 10px", fontSize: 9 }} onClick={addDividend}>+ Add</button>
+        </div>
+      )}
+
+      {/* ── PRICE & GREEKS ── */}
+      <div style={S.summaryRow}>
+        {METRICS.map((m, i) => (
+          <div key={m.key} onClick={() => setMetric(m.key)} style={{
+            ...S.summaryCard, cursor: "pointer",
+            ...(i === 0 ? { borderLeft: `3px solid ${COLORS.accent.blue}` } : {}),
+            ...(metric === m.key ? { borderColor: COLORS.accent.blueBorder } : {}),
+          }}>
+            <div style={S.cardLabel}>{m.label}</div>
+            <div style={{ ...S.cardValue, color: m.key === "theta" && result.theta < 0 ? COLORS.negative.text : COLORS.text.primary }}>
+              {m.key === "price" ? fmtPrice(result.price) : fmt(result[m.key], m.digits)}
+            </div>
+            {m.key === "price" && (
+              <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 2 }}>
+                Intrinsic {fmtPrice(intrinsic)} · Extrinsic {fmtPrice(Math.max(0, result.price - intrinsic))}
+                {european && ` · Early-ex ${fmtPrice(Math.max(0, result.price - european.price))}`}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {result.vanna != null && (
+        <div style={{ display: "flex", gap: 16, flexWrap: "wrap", margin: "-12px 0 20px", padding: "0 4px", fontSize: 10 }}>
+          {SECOND_ORDER.map(m => (
+            <span key={m.key}>
+              <span style={{ color: COLORS.text.dim, textTransform: "uppercase", fontSize: 9 }}>{m.label}</span>{" "}
+              <span style={{ color: COLORS.text.primary }}>{fmt(result[m.key], m.digits)}</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* ── SENSITIVITY CHART ── */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={S.sectionTitle}>
+          <span>{metricInfo.label} Sensitivity</span><div style={S.divider} />
+          <div style={{ display: "flex", gap: 2 }}>
+            {X_AXES.map(a => (
+              <button key={a.key} onClick={() => setXAxis(a.key)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(xAxis === a.key) }}>
+                {a.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div style={{ ...S.card, padding: "12px 8px" }}>
+          {curve.length === 0 ? (
+            <div style={{ height: 300, display: "flex", alignItems: "center", justifyContent: "center", color: COLORS.text.dim, fontSize: 11 }}>
+              Enter a spot price and strike to see sensitivity curves.
+            </div>
+          ) : (
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={curve} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+                <CartesianGrid stroke={COLORS.border.primary} strokeDasharray="3 3" />
+                <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} reversed={xAxis === "days"}
+                  tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false}
+                  tickFormatter={v => xAxis === "spot" ? fmtPrice(v) : xAxis === "vol" ? `${v}%` : `${v}d`} />
+                <YAxis tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} width={60}
+                  domain={["auto", "auto"]} tickFormatter={v => fmt(v, metricInfo.digits > 2 ? 3 : 2)} />
+                <Tooltip content={<CurveTooltip xKey={xAxis} digits={metricInfo.digits} />} />
+                <Legend wrapperStyle={{ fontSize: 10, fontFamily: FONTS.mono }} />
+                {xAxis === "spot" && <ReferenceLine x={inputs.S} stroke={COLORS.text.dim} strokeDasharray="4 4" />}
+                {xAxis === "spot" && <ReferenceLine x={inputs.K} stroke={COLORS.accent.blue} strokeDasharray="2 4" />}
+                {xAxis === "vol" && <ReferenceLine x={inputs.sigma * 100} stroke={COLORS.text.dim} strokeDasharray="4 4" />}
+                <Line type="monotone" dataKey="today" name="Today" stroke={COLORS.chartPalette[0]} strokeWidth={2} dot={false} isAnimationActive={false} />
+                {xAxis !== "days" && (
+                  <Line type="monotone" dataKey="half" name={`${Math.round(daysLeft / 2)}d left`} stroke={COLORS.chartPalette[1]} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                )}
+                {xAxis === "spot" && metric === "price" && (
+                  <Line type="linear" dataKey="expiry" name="At expiry" stroke={COLORS.text.muted} strokeWidth={1} strokeDasharray="5 3" dot={false} isAnimationActive={false} />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+
+      {/* ── P&L EXPLORER ── */}
+      <PnlHeatmap groups={heatmapGroups} r={inputs.r} title="P&L Explorer · 1 contract"
+        liveProduct={isCryptoSymbol(symbol) ? marketData.resolve(symbol)?.routes.find(r => r.provider.id === "coinbase")?.symbol ?? null : null} />
+
+      {/* ── EARLY-EXERCISE BOUNDARY ── */}
+      {boundary.length > 0 && (
+        <div style={{ marginBottom: 24 }}>
+          <div style={S.sectionTitle}><span>Early-Exercise Boundary</span><div style={S.divider} /></div>
+          <div style={{ ...S.card, padding: "12px 8px" }}>
+            <div style={{ fontSize: 9, color: COLORS.text.dim, margin: "0 0 8px 8px" }}>
+              Exercise is optimal when the underlying is {type === "put" ? "at or below" : "at or above"} the line
+            </div>
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={boundary} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+                <CartesianGrid stroke={COLORS.border.primary} strokeDasharray="3 3" />
+                <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} reversed
+                  tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} tickFormatter={v => `${Math.round(v)}d`} />
+                <YAxis tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} width={60}
+                  domain={["auto", "auto"]} tickFormatter={v => fmtPrice(v)} />
+                <Tooltip content={<CurveTooltip xKey="days" digits={2} />} />
+                <ReferenceLine y={inputs.S} stroke={COLORS.text.dim} strokeDasharray="4 4" />
+                <ReferenceLine y={inputs.K} stroke={COLORS.accent.blue} strokeDasharray="2 4" />
+                <Line type="stepAfter" dataKey="S" name="Critical price" stroke={COLORS.chartPalette[2]} strokeWidth={2} dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+      </>)}
+    </div>
+  )
+}
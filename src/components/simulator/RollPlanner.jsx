@@ -0,0 +1,270 @@
+import React, { useState, useMemo, useRef } from "react"
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceDot } from "recharts"
+import { buildPricePath, optimizeRolls, PATH_SHAPES, STRIKE_RULES } from "../../engine/roll"
+import { strikeStep as defaultStrikeStep } from "../../engine/strategy"
+import { fmt, fmtPrice, fmtDollar, fmtPnl } from "../../utils/format"
+import { COLORS } from "../../utils/constants"
+import { S, pnlColor } from "../../utils/styles"
+import { isoDateFromNow } from "../../utils/dates"
+
+const HORIZONS = [180, 365, 730, 1095, 1825]
+const THRESHOLDS = [7, 14, 30, 60, 90, 120]
+const TENORS = [90, 180, 365, 540, 730]
+
+// Drawing area for the user-drawn path, in SVG units
+const DRAW_W = 600, DRAW_H = 140
+
+function Field({ label, children, flex = 1 }) {
+  return (
+    <div style={{ flex, minWidth: 90 }}>
+      <div style={{ fontSize: 9, color: COLORS.text.dim, textTransform: "uppercase", marginBottom: 4 }}>{label}</div>
+      {children}
+    </div>
+  )
+}
+
+function PathTooltip({ active, payload, label }) {
+  if (!active || !payload?.length) return null
+  return (
+    <div style={S.tooltip}>
+      <div style={{ color: COLORS.text.dim, marginBottom: 4 }}>Day {label} · {isoDateFromNow(label)}</div>
+      <div style={{ fontWeight: 600, color: COLORS.text.primary }}>{fmtPrice(payload[0].value)}</div>
+    </div>
+  )
+}
+
+/**
+ * Click-to-draw price path: each click places an anchor (day, price) between
+ * 0.25× and 3× spot on a log scale; clicking an anchor removes it.
+ */
+function PathDrawer({ spot, days, anchors, onChange, path }) {
+  const ref = useRef(null)
+  const lo = Math.log(spot * 0.25), hi = Math.log(spot * 3)
+  const toX = (d) => d / days * DRAW_W
+  const toY = (p) => DRAW_H - (Math.log(p) - lo) / (hi - lo) * DRAW_H
+
+  const handleClick = (e) => {
+    const box = ref.current.getBoundingClientRect()
+    const fx = (e.clientX - box.left) / box.width, fy = (e.clientY - box.top) / box.height
+    const day = Math.round(Math.min(1, Math.max(0, fx)) * days)
+    const price = Math.exp(lo + (1 - Math.min(1, Math.max(0, fy))) * (hi - lo))
+    if (day <= 0) return
+    onChange([...anchors.filter(a => a.day !== day), { day, price: +price.toPrecision(5) }])
+  }
+
+  const line = path.map((p, d) => `${d === 0 ? "M" : "L"}${toX(d).toFixed(1)},${toY(p).toFixed(1)}`).join("")
+  return (
+    <svg ref={ref} viewBox={`0 0 ${DRAW_W} ${DRAW_H}`} preserveAspectRatio="none" onClick={handleClick}
+      style={{ width: "100%", height: DRAW_H, cursor: "crosshair", background: COLORS.bg.primary, border: `1px solid ${COLORS.border.primary}`, borderRadius: 4 }}>
+      <line x1={0} x2={DRAW_W} y1={toY(spot)} y2={toY(spot)} stroke={COLORS.border.primary} strokeDasharray="4 4" />
+      <path d={line} fill="none" stroke={COLORS.accent.blue} strokeWidth={2} vectorEffect="non-scaling-stroke" />
+      {anchors.map(a => (
+        <circle key={a.day} cx={toX(a.day)} cy={toY(a.price)} r={5} fill={COLORS.accent.blue} style={{ cursor: "pointer" }}
+          onClick={(e) => { e.stopPropagation(); onChange(anchors.filter(x => x.day !== a.day)) }}>
+          <title>Day {a.day}: {fmtPrice(a.price)} — click to remove</title>
+        </circle>
+      ))}
+    </svg>
+  )
+}
+
+/**
+ * Roll planner: hold a long-dated position past the longest listed expiry by
+ * rolling along an assumed price path, and rank roll schedules (when to roll,
+ * how far out, which strike) by final P&L.
+ *
+ * `leg` is the starting option — { type, strike, dte, qty, multiplier, side,
+ * entryPrice, label } — from the simulator inputs or a Portfolio holding.
+ * `B` wraps position-sized dollar amounts (Portfolio's privacy blur).
+ */
+export default function RollPlanner({ spot, r, q = 0, sigma, leg, B = v => v }) {
+  const [horizon, setHorizon] = useState(730)
+  const [shape, setShape] = useState("drift")
+  const [drift, setDrift] = useState("15")
+  const [anchors, setAnchors] = useState([])
+  const [vol, setVol] = useState("") // blank = the caller's sigma
+  const [step, setStep] = useState("") // blank = the usual listing increment for this price
+  const [slippage, setSlippage] = useState("1")
+  const [thresholds, setThresholds] = useState([14, 30, 60, 90])
+  const [tenors, setTenors] = useState([180, 365, 730])
+  const [selected, setSelected] = useState(0)
+
+  const path = useMemo(() => {
+    if (!(spot > 0)) return []
+    return buildPricePath({ S0: spot, days: horizon, shape, drift: (parseFloat(drift) || 0) / 100, anchors })
+  }, [spot, horizon, shape, drift, anchors])
+
+  const volPct = vol !== "" ? parseFloat(vol) || 0 : sigma * 100
+  const autoStep = defaultStrikeStep(leg.strike || spot)
+
+  const ranked = useMemo(() => {
+    if (path.length < 2 || !(leg.strike > 0) || !(volPct > 0)) return []
+    return optimizeRolls({
+      leg, path, sigma: volPct / 100, r, q, thresholds, tenors,
+      strikeStep: step !== "" ? parseFloat(step) || 0 : autoStep, slippage: (parseFloat(slippage) || 0) / 100,
+    })
+  }, [leg, path, volPct, r, q, thresholds, tenors, step, autoStep, slippage])
+
+  const best = ranked[Math.min(selected, ranked.length - 1)]
+  // Path thinned to ~200 points for the chart
+  const chartData = useMemo(() => {
+    const every = Math.max(1, Math.floor(path.length / 200))
+    const rows = []
+    for (let d = 0; d < path.length; d += every) rows.push({ day: d, price: path[d] })
+    const last = path.length - 1
+    if (rows.length > 0 && rows[rows.length - 1].day !== last) rows.push({ day: last, price: path[last] })
+    return rows
+  }, [path])
+
+  const inputStyle = { ...S.input, width: "100%", boxSizing: "border-box" }
+  const toggle = (active) => active ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}
+  const toggleIn = (list, setList, v) => setList(list.includes(v) ? list.filter(x => x !== v) : [...list, v].sort((a, b) => a - b))
+  const ruleLabel = (key) => STRIKE_RULES.find(s => s.key === key)?.label || "—"
+  const scheduleLabel = (s) => s.rollAtDte == null ? "Hold, no rolls" : `Roll at ${s.rollAtDte}d → ${s.tenor}d`
+
+  return (
+    <div>
+      {/* ── SETUP ── */}
+      <div style={S.sectionTitle}>
+        <span>Roll Planner · {leg.label || `${leg.side === "short" ? "Short" : "Long"} ${leg.type.toUpperCase()} ${fmtPrice(leg.strike)} · ${leg.dte}d`}</span>
+        <div style={S.divider} />
+      </div>
+      <div style={{ ...S.card, padding: 16, marginBottom: 20 }}>
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+          <Field label="Horizon">
+            <select style={inputStyle} value={horizon} onChange={e => setHorizon(Number(e.target.value))}>
+              {HORIZONS.map(d => <option key={d} value={d}>{d >= 365 ? `${fmt(d / 365, d % 365 ? 1 : 0)}y` : `${d}d`}</option>)}
+            </select>
+          </Field>
+          <Field label="Price Path" flex={2}>
+            <div style={{ display: "flex", gap: 2 }}>
+              {PATH_SHAPES.map(p => (
+                <button key={p.key} onClick={() => setShape(p.key)} style={{ ...S.btn, flex: 1, padding: "5px 6px", ...toggle(shape === p.key) }}>{p.label}</button>
+              ))}
+            </div>
+          </Field>
+          {shape === "drift" && (
+            <Field label="Drift % / yr">
+              <input style={inputStyle} type="number" step="5" value={drift} onChange={e => setDrift(e.target.value)} />
+            </Field>
+          )}
+          <Field label="Vol %">
+            <input style={inputStyle} type="number" step="1" value={vol} onChange={e => setVol(e.target.value)} placeholder={fmt(sigma * 100, 1)} />
+          </Field>
+          <Field label="Strike Step">
+            <input style={inputStyle} type="number" step="any" value={step} onChange={e => setStep(e.target.value)} placeholder={String(autoStep)} />
+          </Field>
+          <Field label="Slippage %">
+            <input style={inputStyle} type="number" step="0.5" value={slippage} onChange={e => setSlippage(e.target.value)} title="Share of premium lost on each side of a roll" />
+          </Field>
+        </div>
+        <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginTop: 12 }}>
+          <Field label="Roll at DTE" flex={0}>
+            <div style={{ display: "flex", gap: 2 }}>
+              {THRESHOLDS.map(d => (
+                <button key={d} onClick={() => toggleIn(thresholds, setThresholds, d)} style={{ ...S.btn, padding: "4px 8px", ...toggle(thresholds.includes(d)) }}>{d}d</button>
+              ))}
+            </div>
+          </Field>
+          <Field label="New Tenor" flex={0}>
+            <div style={{ display: "flex", gap: 2 }}>
+              {TENORS.map(d => (
+                <button key={d} onClick={() => toggleIn(tenors, setTenors, d)} style={{ ...S.btn, padding: "4px 8px", ...toggle(tenors.includes(d)) }}>{d}d</button>
+              ))}
+            </div>
+          </Field>
+          <div style={{ flex: 1, alignSelf: "flex-end", fontSize: 9, color: COLORS.text.dim, textAlign: "right" }}>
+            Start: {B(leg.qty)} × {leg.type} {fmtPrice(leg.strike)} · {leg.dte}d · entry {fmtPrice(leg.entryPrice)} · spot {fmtPrice(spot)}
+          </div>
+        </div>
+        {shape === "custom" && (
+          <div style={{ marginTop: 12 }}>
+            <div style={{ fontSize: 9, color: COLORS.text.dim, marginBottom: 4, display: "flex", justifyContent: "space-between" }}>
+              <span>Click to place price targets (log scale, 0.25×–3× spot) · click a point to remove it</span>
+              {anchors.length > 0 && <button style={{ ...S.btn, padding: "1px 8px", fontSize: 9 }} onClick={() => setAnchors([])}>Clear</button>}
+            </div>
+            <PathDrawer spot={spot} days={horizon} anchors={anchors} onChange={setAnchors} path={path} />
+          </div>
+        )}
+      </div>
+
+      {best && (<>
+        {/* ── BEST SCHEDULE ── */}
+        <div style={S.summaryRow}>
+          {[
+            { label: "Schedule", value: scheduleLabel(best), sub: best.strikeRule ? ruleLabel(best.strikeRule) : "Expires into cash" },
+            { label: "Final P&L", value: B(fmtPnl(best.pnl)), color: pnlColor(best.pnl) },
+            { label: "Rolls", value: best.rolls.length, sub: B(`${fmtPnl(-best.rollCost)} net premium`) },
+            { label: "Friction", value: B(fmtDollar(best.friction)) },
+            { label: "Final Leg", value: `${fmtPrice(best.finalStrike)} · ${best.finalDte}d`, sub: B(`worth ${fmtDollar(best.finalValue)}`) },
+          ].map((c, i) => (
+            <div key={c.label} style={{ ...S.summaryCard, ...(i === 0 ? { borderLeft: `3px solid ${COLORS.accent.blue}` } : {}) }}>
+              <div style={S.cardLabel}>{c.label}</div>
+              <div style={{ ...S.cardValue, color: c.color || COLORS.text.primary, fontSize: i === 0 ? 13 : undefined }}>{c.value}</div>
+              {c.sub && <div style={{ fontSize: 9, color: COLORS.text.dim, marginTop: 2 }}>{c.sub}</div>}
+            </div>
+          ))}
+        </div>
+
+        <div style={{ ...S.card, padding: "12px 8px", marginBottom: 20 }}>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={chartData} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+              <CartesianGrid stroke={COLORS.border.primary} strokeDasharray="3 3" />
+              <XAxis dataKey="day" type="number" domain={[0, horizon]} tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} tickFormatter={v => `${v}d`} />
+              <YAxis tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} width={60} domain={["auto", "auto"]} tickFormatter={v => fmtPrice(v)} />
+              <Tooltip content={<PathTooltip />} />
+              <Line type="monotone" dataKey="price" stroke={COLORS.accent.blue} strokeWidth={2} dot={false} isAnimationActive={false} />
+              {best.rolls.map(x => <ReferenceLine key={x.day} x={x.day} stroke={COLORS.text.dim} strokeDasharray="2 4" />)}
+              {best.rolls.map(x => <ReferenceDot key={`k${x.day}`} x={x.day} y={x.openStrike} r={3} fill={COLORS.text.secondary} stroke="none" />)}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* ── RANKING ── */}
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(420px, 1fr))", gap: 16, marginBottom: 24 }}>
+          <div style={S.card}>
+            <table style={S.table}>
+              <thead><tr>{["#", "Schedule", "Strike", "Rolls", "Roll Cost", "P&L"].map((c, i) => <th key={c} style={i > 2 ? S.thRight : S.th}>{c}</th>)}</tr></thead>
+              <tbody>
+                {ranked.slice(0, 15).map((s, i) => (
+                  <tr key={`${s.rollAtDte}-${s.tenor}-${s.strikeRule}`} onClick={() => setSelected(i)}
+                    style={{ cursor: "pointer", background: i === Math.min(selected, ranked.length - 1) ? COLORS.accent.blueBg : undefined }}>
+                    <td style={{ ...S.td, color: COLORS.text.dim }}>{i + 1}</td>
+                    <td style={{ ...S.td, color: COLORS.text.primary }}>{scheduleLabel(s)}</td>
+                    <td style={S.td}>{s.strikeRule ? ruleLabel(s.strikeRule) : "—"}</td>
+                    <td style={S.tdRight}>{s.rolls.length}</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(-s.rollCost - s.friction) }}>{B(fmtPnl(-s.rollCost - s.friction))}</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(s.pnl), fontWeight: 600 }}>{B(fmtPnl(s.pnl))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={S.subtotalRow}>
+              <span style={{ color: COLORS.text.secondary }}>{ranked.length} schedules · Black-Scholes at {fmt(volPct, 1)}% flat vol · click a row for its rolls</span>
+            </div>
+          </div>
+
+          <div style={S.card}>
+            <table style={S.table}>
+              <thead><tr>{["Date", "Spot", "Close", "Open", "Expiry", "Net / sh"].map((c, i) => <th key={c} style={i > 0 ? S.thRight : S.th}>{c}</th>)}</tr></thead>
+              <tbody>
+                {best.rolls.length === 0 ? (
+                  <tr><td colSpan={6} style={{ ...S.td, textAlign: "center", color: COLORS.text.dim, padding: 20 }}>No rolls in this schedule</td></tr>
+                ) : best.rolls.map(x => (
+                  <tr key={x.day}>
+                    <td style={S.td}>{isoDateFromNow(x.day)}</td>
+                    <td style={S.tdRight}>{fmtPrice(x.S)}</td>
+                    <td style={S.tdRight}>{fmtPrice(x.closeStrike)} @ {fmt(x.closePrice, 2)}</td>
+                    <td style={S.tdRight}>{fmtPrice(x.openStrike)} @ {fmt(x.openPrice, 2)}</td>
+                    <td style={S.tdRight}>{isoDateFromNow(x.day + x.openDte)}</td>
+                    <td style={{ ...S.tdRight, color: pnlColor(-x.net) }}>{fmtPnl(-x.net)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </>)}
+    </div>
+  )
+}
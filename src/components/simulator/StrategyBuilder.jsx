@@ -0,0 +1,254 @@
+import React, { useState, useMemo, useCallback } from "react"
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from "recharts"
+import { analyzeStrategy, buildPreset, createLeg, legGreeks, resolveVol, STRATEGY_PRESETS, strikeStep, roundStrike } from "../../engine/strategy"
+import { blackScholes } from "../../engine/blackScholes"
+import { EXOTIC_TYPES, isBarrierType } from "../../engine/exotics"
+import { fmt, fmtPrice, fmtPnl } from "../../utils/format"
+import { COLORS, FONTS } from "../../utils/constants"
+import { S, pnlColor } from "../../utils/styles"
+import PnlHeatmap from "../common/PnlHeatmap"
+
+let _legId = 0
+const withId = (leg) => ({ ...leg, id: ++_legId })
+
+function fmtLimit(v) {
+  if (v === Infinity) return "Unlimited"
+  if (v === -Infinity) return "-Unlimited"
+  return fmtPnl(v)
+}
+
+function PayoffTooltip({ active, payload, label }) {
+  if (!active || !payload?.length) return null
+  return (
+    <div style={S.tooltip}>
+      <div style={{ color: COLORS.text.dim, marginBottom: 4 }}>{fmtPrice(label)}</div>
+      {payload.map((p, i) => (
+        <div key={i} style={{ color: p.color, display: "flex", gap: 8 }}>
+          <span>{p.name}:</span>
+          <span style={{ fontWeight: 600 }}>{fmtPnl(p.value)}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Multi-leg strategy builder. Market inputs (spot, rate, yield, IV and the
+ * base expiry used by presets) come from the surrounding simulator. When a
+ * fitted vol surface is passed, legs without an IV override price off it.
+ * Call and put legs can be switched to a digital or barrier payoff.
+ */
+export default function StrategyBuilder({ spot, r, q, sigma: flatSigma, baseT, surface = null }) {
+  const sigma = surface ? surface.volSurface : flatSigma
+  const [legs, setLegs] = useState(() => buildPreset("bullCallSpread", { S: spot, T: baseT, r, sigma, q }).map(withId))
+  const [presetId, setPresetId] = useState("bullCallSpread")
+
+  const applyPreset = useCallback((id) => {
+    setPresetId(id)
+    setLegs(buildPreset(id, { S: spot, T: baseT, r, sigma, q }).map(withId))
+  }, [spot, baseT, r, sigma, q])
+
+  const addLeg = useCallback(() => {
+    const strike = roundStrike(spot, strikeStep(spot))
+    const premium = blackScholes(spot, strike, baseT, r, resolveVol(sigma, strike, baseT), "call", q).price
+    setLegs(prev => [...prev, withId(createLeg({ side: "long", kind: "call", strike, T: baseT, premium }))])
+    setPresetId(null)
+  }, [spot, baseT, r, sigma, q])
+
+  const updateLeg = useCallback((id, fields) => {
+    setLegs(prev => prev.map(l => l.id === id ? { ...createLeg({ ...l, ...fields }), id } : l))
+    setPresetId(null)
+  }, [])
+
+  const removeLeg = useCallback((id) => {
+    setLegs(prev => prev.filter(l => l.id !== id))
+    setPresetId(null)
+  }, [])
+
+  // Switch a leg's payoff, re-marking its premium. A new barrier starts 20% away
+  // from spot, on the side the knock type needs.
+  const changePayoff = useCallback((id, exotic) => {
+    setLegs(prev => prev.map(l => {
+      if (l.id !== id) return l
+      const down = exotic === "down-in" || exotic === "down-out"
+      const keep = l.barrier > 0 && (down ? l.barrier < spot : l.barrier > spot)
+      const barrier = isBarrierType(exotic) && !keep ? roundStrike(spot * (down ? 0.8 : 1.2), strikeStep(spot)) : l.barrier
+      const next = createLeg({ ...l, exotic, barrier })
+      return { ...next, premium: legGreeks(next, spot, r, sigma, q).price, id }
+    }))
+    setPresetId(null)
+  }, [spot, r, sigma, q])
+
+  // Re-mark every leg's premium at the current model price
+  const repriceLegs = useCallback(() => {
+    setLegs(prev => prev.map(l => ({ ...l, premium: legGreeks(l, spot, r, sigma, q).price })))
+  }, [spot, r, sigma, q])
+
+  const analysis = useMemo(() => {
+    if (!(spot > 0) || legs.length === 0) return null
+    return analyzeStrategy(legs, { S: spot, r, sigma, q })
+  }, [legs, spot, r, sigma, q])
+
+  const heatmapGroups = useMemo(() => [{ S: spot, legs, sigma, q }], [spot, legs, sigma, q])
+
+  const inputStyle = { ...S.input, width: "100%", boxSizing: "border-box", padding: "3px 6px" }
+  const toggle = (active) => active ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}
+
+  const cards = analysis ? [
+    { label: analysis.cost >= 0 ? "Net Debit" : "Net Credit", value: fmtPrice(Math.abs(analysis.cost)), color: COLORS.text.primary },
+    { label: "Max Profit", value: fmtLimit(analysis.maxProfit), color: COLORS.positive.text },
+    { label: "Max Loss", value: fmtLimit(analysis.maxLoss), color: COLORS.negative.text },
+    { label: "Breakevens", value: analysis.breakevens.length ? analysis.breakevens.map(b => fmtPrice(b)).join(" / ") : "—", color: COLORS.text.primary },
+    { label: "Net Delta", value: fmt(analysis.greeks.delta, 3), color: COLORS.text.primary },
+    { label: "Net Gamma", value: fmt(analysis.greeks.gamma, 4), color: COLORS.text.primary },
+    { label: "Theta / day", value: fmt(analysis.greeks.theta, 3), color: pnlColor(analysis.greeks.theta) },
+    { label: "Vega / 1%", value: fmt(analysis.greeks.vega, 3), color: COLORS.text.primary },
+  ] : []
+
+  return (
+    <div>
+      {/* ── PRESETS ── */}
+      <div style={S.sectionTitle}>
+        <span>Strategy</span><div style={S.divider} />
+        <div style={{ display: "flex", gap: 2, flexWrap: "wrap" }}>
+          {STRATEGY_PRESETS.map(p => (
+            <button key={p.id} onClick={() => applyPreset(p.id)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(presetId === p.id) }}>
+              {p.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* ── LEGS ── */}
+      <div style={{ ...S.card, marginBottom: 20 }}>
+        <table style={S.table}>
+          <thead><tr>{["Side", "Type", "Payoff", "Strike", "DTE", "Qty", "Premium", "IV %", "Value", ""].map((c, i) => <th key={i} style={i >= 3 && i <= 8 ? S.thRight : S.th}>{c}</th>)}</tr></thead>
+          <tbody>
+            {legs.length === 0 ? (
+              <tr><td colSpan={10} style={{ ...S.td, textAlign: "center", color: COLORS.text.dim, padding: 20 }}>No legs. Pick a preset or add a leg.</td></tr>
+            ) : legs.map(l => {
+              const isStock = l.kind === "underlying"
+              const legVol = isStock ? 0 : resolveVol(sigma, l.strike, l.T)
+              const value = legGreeks(l, spot, r, sigma, q).price
+              return (
+                <tr key={l.id}>
+                  <td style={S.td}>
+                    <select style={{ ...inputStyle, width: 70, color: l.side === "long" ? COLORS.positive.text : COLORS.negative.text }}
+                      value={l.side} onChange={e => updateLeg(l.id, { side: e.target.value })}>
+                      <option value="long">Long</option>
+                      <option value="short">Short</option>
+                    </select>
+                  </td>
+                  <td style={S.td}>
+                    <select style={{ ...inputStyle, width: 100 }} value={l.kind} onChange={e => updateLeg(l.id, { kind: e.target.value })}>
+                      <option value="call">Call</option>
+                      <option value="put">Put</option>
+                      <option value="underlying">Underlying</option>
+                    </select>
+                  </td>
+                  <td style={S.td}>
+                    {isStock ? "—" : (
+                      <div style={{ display: "flex", gap: 4 }}>
+                        <select style={{ ...inputStyle, width: 120 }} value={l.exotic || ""} onChange={e => changePayoff(l.id, e.target.value || null)}>
+                          <option value="">Vanilla</option>
+                          {EXOTIC_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                        </select>
+                        {isBarrierType(l.exotic) && (
+                          <input style={{ ...inputStyle, width: 70, textAlign: "right" }} type="number" step="any" title="Barrier level"
+                            value={l.barrier} onChange={e => updateLeg(l.id, { barrier: e.target.value })} />
+                        )}
+                        {l.exotic && l.exotic !== "asset" && (
+                          <input style={{ ...inputStyle, width: 56, textAlign: "right" }} type="number" step="any" min="0"
+                            title={l.exotic === "cash" ? "Cash payout" : "Rebate"} placeholder={l.exotic === "cash" ? "Payout" : "Rebate"}
+                            value={l.payout} onChange={e => updateLeg(l.id, { payout: e.target.value })} />
+                        )}
+                      </div>
+                    )}
+                  </td>
+                  <td style={S.tdRight}>
+                    {isStock ? "—" : <input style={{ ...inputStyle, width: 80, textAlign: "right" }} type="number" step="any"
+                      value={l.strike} onChange={e => updateLeg(l.id, { strike: e.target.value })} />}
+                  </td>
+                  <td style={S.tdRight}>
+                    {isStock ? "—" : <input style={{ ...inputStyle, width: 60, textAlign: "right" }} type="number" step="1"
+                      value={Math.round(l.T * 365)} onChange={e => updateLeg(l.id, { T: (parseFloat(e.target.value) || 0) / 365 })} />}
+                  </td>
+                  <td style={S.tdRight}>
+                    <input style={{ ...inputStyle, width: 60, textAlign: "right" }} type="number" step="any" min="0"
+                      value={l.qty} onChange={e => updateLeg(l.id, { qty: e.target.value })} />
+                  </td>
+                  <td style={S.tdRight}>
+                    <input style={{ ...inputStyle, width: 80, textAlign: "right" }} type="number" step="any"
+                      value={+l.premium.toFixed(4)} onChange={e => updateLeg(l.id, { premium: e.target.value })} />
+                  </td>
+                  <td style={S.tdRight}>
+                    {isStock ? "—" : <input style={{ ...inputStyle, width: 60, textAlign: "right" }} type="number" step="0.5"
+                      placeholder={fmt(legVol * 100, 1)} value={l.iv != null ? +(l.iv * 100).toFixed(2) : ""}
+                      onChange={e => updateLeg(l.id, { iv: e.target.value === "" ? null : parseFloat(e.target.value) / 100 })} />}
+                  </td>
+                  <td style={S.tdRight}>{fmtPrice(value)}</td>
+                  <td style={S.td}><button style={S.btn} onClick={() => removeLeg(l.id)}>✕</button></td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+        <div style={S.subtotalRow}>
+          <div style={{ display: "flex", gap: 6 }}>
+            <button style={S.btnPrimary} onClick={addLeg}>+ Leg</button>
+            <button style={S.btn} onClick={repriceLegs} title="Set premiums to current model prices">⟳ Reprice</button>
+          </div>
+          {analysis && (
+            <span style={{ color: pnlColor(-analysis.cost) }}>
+              {analysis.cost >= 0 ? "Debit" : "Credit"} {fmtPrice(Math.abs(analysis.cost))}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* ── SUMMARY ── */}
+      {analysis && (
+        <div style={S.summaryRow}>
+          {cards.map((c, i) => (
+            <div key={c.label} style={{ ...S.summaryCard, ...(i === 0 ? { borderLeft: `3px solid ${COLORS.accent.blue}` } : {}) }}>
+              <div style={S.cardLabel}>{c.label}</div>
+              <div style={{ ...S.cardValue, fontSize: 14, color: c.color }}>{c.value}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* ── PAYOFF DIAGRAM ── */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={S.sectionTitle}><span>Payoff Diagram</span><div style={S.divider} /></div>
+        <div style={{ ...S.card, padding: "12px 8px" }}>
+          {!analysis ? (
+            <div style={{ height: 300, display: "flex", alignItems: "center", justifyContent: "center", color: COLORS.text.dim, fontSize: 11 }}>
+              Add legs to see the payoff diagram.
+            </div>
+          ) : (
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={analysis.curve} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+                <CartesianGrid stroke={COLORS.border.primary} strokeDasharray="3 3" />
+                <XAxis dataKey="S" type="number" domain={["dataMin", "dataMax"]}
+                  tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} tickFormatter={v => fmtPrice(v)} />
+                <YAxis tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} width={70}
+                  domain={["auto", "auto"]} tickFormatter={v => fmt(v, 0)} />
+                <Tooltip content={<PayoffTooltip />} />
+                <Legend wrapperStyle={{ fontSize: 10, fontFamily: FONTS.mono }} />
+                <ReferenceLine y={0} stroke={COLORS.text.dim} />
+                <ReferenceLine x={spot} stroke={COLORS.text.dim} strokeDasharray="4 4" />
+                {analysis.breakevens.map(b => <ReferenceLine key={b} x={b} stroke={COLORS.accent.blue} strokeDasharray="2 4" />)}
+                <Line type="linear" dataKey="expiry" name="At expiry" stroke={COLORS.chartPalette[3]} strokeWidth={2} dot={false} isAnimationActive={false} />
+                <Line type="monotone" dataKey="today" name="Today" stroke={COLORS.chartPalette[0]} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+
+      {/* ── P&L HEATMAP ── */}
+      {analysis && <PnlHeatmap groups={heatmapGroups} r={r} title="P&L by Price & Date" />}
+    </div>
+  )
+}
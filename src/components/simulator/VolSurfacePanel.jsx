@@ -0,0 +1,181 @@
+import React, { useState, useMemo, useCallback } from "react"
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from "recharts"
+import { fitVolSurface, sviTotalVariance } from "../../engine/volSurface"
+import { fmt, fmtPrice } from "../../utils/format"
+import { COLORS, FONTS } from "../../utils/constants"
+import { S } from "../../utils/styles"
+import { yearsToExpiry } from "../../utils/dates"
+
+const PLACEHOLDER = `# expiry, strike, C|P, price   (or: expiry, strike, iv%)
+2025-03-21, 280, P, 18.40
+2025-03-21, 300, C, 27.10
+2025-03-21, 320, C, 19.35`
+
+/**
+ * Parse pasted quote lines into engine quotes. Accepts
+ * "expiry, strike, C|P, price" or "expiry, strike, iv%" per line;
+ * blank lines and # comments are skipped.
+ */
+function parseQuotes(text) {
+  const quotes = []
+  for (const raw of text.split("\n")) {
+    const line = raw.trim()
+    if (!line || line.startsWith("#")) continue
+    const cols = line.split(/[,\t;]+/).map(c => c.trim())
+    const T = yearsToExpiry(cols[0])
+    const strike = parseFloat(cols[1])
+    if (!(T > 0) || !(strike > 0)) continue
+    if (cols.length >= 4) {
+      const type = /^p/i.test(cols[2]) ? "put" : "call"
+      const price = parseFloat(cols[3])
+      if (price > 0) quotes.push({ T, strike, type, price })
+    } else {
+      const iv = parseFloat(cols[2]) / 100
+      if (iv > 0) quotes.push({ T, strike, iv })
+    }
+  }
+  return quotes
+}
+
+function SmileTooltip({ active, payload, label }) {
+  if (!active || !payload?.length) return null
+  return (
+    <div style={S.tooltip}>
+      <div style={{ color: COLORS.text.dim, marginBottom: 4 }}>K {fmtPrice(label)}</div>
+      {payload.filter(p => p.value != null).map((p, i) => (
+        <div key={i} style={{ color: p.color, display: "flex", gap: 8 }}>
+          <span>{p.name}:</span>
+          <span style={{ fontWeight: 600 }}>{fmt(p.value, 2)}%</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Fits an SVI implied-vol surface to pasted quotes and hands the result to
+ * the simulator via `onFit`, so pricing can use volSurface(K, T) instead of
+ * a flat IV.
+ */
+export default function VolSurfacePanel({ spot, r, q, surface, onFit }) {
+  const [text, setText] = useState("")
+  const [error, setError] = useState("")
+  const [sliceIdx, setSliceIdx] = useState(0)
+
+  const fit = useCallback(() => {
+    const quotes = parseQuotes(text)
+    if (quotes.length === 0) { setError("No valid quotes"); return }
+    const result = fitVolSurface(quotes, { S: spot, r, q })
+    if (!result) { setError("Could not back out any implied vols — check spot and prices"); return }
+    setError("")
+    setSliceIdx(0)
+    onFit(result)
+  }, [text, spot, r, q, onFit])
+
+  const slice = surface?.slices[Math.min(sliceIdx, surface.slices.length - 1)]
+
+  // Fitted smile on a strike grid plus the market IVs it was fitted to
+  const smile = useMemo(() => {
+    if (!slice) return []
+    const strikes = slice.points.map(p => p.strike)
+    const lo = Math.min(...strikes) * 0.9, hi = Math.max(...strikes) * 1.1, n = 60
+    const rows = []
+    for (let i = 0; i <= n; i++) {
+      const K = lo + (hi - lo) * i / n
+      const w = sviTotalVariance(slice.params, Math.log(K / slice.F))
+      rows.push({ K, fit: w > 0 ? Math.sqrt(w / slice.T) * 100 : null })
+    }
+    for (const p of slice.points) rows.push({ K: p.strike, market: p.iv * 100 })
+    return rows.sort((a, b) => a.K - b.K)
+  }, [slice])
+
+  const arb = surface?.arbitrage
+  const inputStyle = { ...S.input, width: "100%", boxSizing: "border-box" }
+  const toggle = (active) => active ? { background: COLORS.accent.blueBg, borderColor: COLORS.accent.blueBorder, color: COLORS.accent.blue } : {}
+
+  return (
+    <div>
+      {/* ── QUOTES ── */}
+      <div style={S.sectionTitle}><span>Market Quotes</span><div style={S.divider} /></div>
+      <div style={{ ...S.card, padding: 16, marginBottom: 20 }}>
+        <textarea style={{ ...inputStyle, minHeight: 120, fontFamily: FONTS.mono, resize: "vertical" }}
+          value={text} onChange={e => setText(e.target.value)} placeholder={PLACEHOLDER} />
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+          <button style={S.btnPrimary} onClick={fit}>Fit Surface</button>
+          {surface && <button style={S.btn} onClick={() => onFit(null)}>Clear</button>}
+          {error && <span style={{ fontSize: 10, color: COLORS.negative.text }}>{error}</span>}
+          <span style={{ fontSize: 9, color: COLORS.text.dim, marginLeft: "auto" }}>
+            IVs backed out at spot {fmtPrice(spot)} · SVI per expiry · linear in total variance
+          </span>
+        </div>
+      </div>
+
+      {surface && (<>
+        {/* ── SLICES ── */}
+        <div style={S.sectionTitle}><span>Fitted Slices</span><div style={S.divider} /></div>
+        {!arb.ok && (
+          <div style={{ ...S.card, padding: "8px 12px", marginBottom: 10, borderColor: COLORS.negative.text, color: COLORS.negative.text, fontSize: 10 }}>
+            {arb.butterfly.map(b => (
+              <div key={`b${b.T}`}>Butterfly arbitrage at {Math.round(b.T * 365)}d (g = {isFinite(b.minG) ? fmt(b.minG, 4) : "negative variance"} at k = {fmt(b.at, 2)})</div>
+            ))}
+            {arb.calendar.map(c => (
+              <div key={`c${c.T1}`}>Calendar arbitrage between {Math.round(c.T1 * 365)}d and {Math.round(c.T2 * 365)}d (Δw = {fmt(c.worst, 5)} at k = {fmt(c.at, 2)})</div>
+            ))}
+          </div>
+        )}
+        <div style={{ ...S.card, marginBottom: 20 }}>
+          <table style={S.table}>
+            <thead><tr>{["DTE", "Quotes", "ATM IV", "a", "b", "ρ", "m", "σ", "RMSE (w)"].map((c, i) => <th key={c} style={i === 0 ? S.th : S.thRight}>{c}</th>)}</tr></thead>
+            <tbody>
+              {surface.slices.map((s, i) => (
+                <tr key={s.T} onClick={() => setSliceIdx(i)} style={{ cursor: "pointer", background: i === sliceIdx ? COLORS.accent.blueBg : undefined }}>
+                  <td style={S.td}>{Math.round(s.T * 365)}d</td>
+                  <td style={S.tdRight}>{s.points.length}</td>
+                  <td style={S.tdRight}>{fmt(s.atmVol * 100, 1)}%</td>
+                  <td style={S.tdRight}>{fmt(s.params.a, 4)}</td>
+                  <td style={S.tdRight}>{fmt(s.params.b, 4)}</td>
+                  <td style={S.tdRight}>{fmt(s.params.rho, 3)}</td>
+                  <td style={S.tdRight}>{fmt(s.params.m, 3)}</td>
+                  <td style={S.tdRight}>{fmt(s.params.sigma, 3)}</td>
+                  <td style={S.tdRight}>{s.rmse.toExponential(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* ── SMILE ── */}
+        {slice && (
+          <div style={{ marginBottom: 24 }}>
+            <div style={S.sectionTitle}>
+              <span>Smile · {Math.round(slice.T * 365)}d</span><div style={S.divider} />
+              <div style={{ display: "flex", gap: 2 }}>
+                {surface.slices.map((s, i) => (
+                  <button key={s.T} onClick={() => setSliceIdx(i)} style={{ ...S.btn, padding: "3px 10px", fontSize: 9, ...toggle(i === sliceIdx) }}>
+                    {Math.round(s.T * 365)}d
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ ...S.card, padding: "12px 8px" }}>
+              <ResponsiveContainer width="100%" height={280}>
+                <LineChart data={smile} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+                  <CartesianGrid stroke={COLORS.border.primary} strokeDasharray="3 3" />
+                  <XAxis dataKey="K" type="number" domain={["dataMin", "dataMax"]}
+                    tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} tickFormatter={v => fmtPrice(v)} />
+                  <YAxis tick={{ fontSize: 9, fill: COLORS.text.dim }} tickLine={false} axisLine={false} width={50}
+                    domain={["auto", "auto"]} tickFormatter={v => `${fmt(v, 0)}%`} />
+                  <Tooltip content={<SmileTooltip />} />
+                  <Legend wrapperStyle={{ fontSize: 10, fontFamily: FONTS.mono }} />
+                  <ReferenceLine x={slice.F} stroke={COLORS.text.dim} strokeDasharray="4 4" />
+                  <Line type="monotone" dataKey="fit" name="SVI fit" stroke={COLORS.chartPalette[0]} strokeWidth={2} dot={false} connectNulls isAnimationActive={false} />
+                  <Line type="monotone" dataKey="market" name="Market IV" stroke="none" dot={{ r: 3, fill: COLORS.chartPalette[3] }} connectNulls={false} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+      </>)}
+    </div>
+  )
+}
@@ -0,0 +1,291 @@
+/**
+ * American Options Pricing Engine
+ *
+ * Cox-Ross-Rubinstein binomial tree and the Bjerksund-Stensland (2002)
+ * closed-form approximation for American-style options with continuous
+ * dividend yield. Both pricers share the blackScholes() signature
+ * (S, K, T, r, sigma, type, q) and return the same Greeks shape, so they can
+ * be dropped in wherever the European pricer is used (including impliedVol()).
+ * The binomial tree also takes a schedule of discrete cash dividends.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { normalCDF, normalPDF } from "./blackScholes.js";
+import { pvDividends } from "./dividends.js";
+
+const EMPTY_GREEKS = Object.freeze({ price: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 });
+
+function intrinsicValue(S, K, type) {
+  return Math.max(0, type === "call" ? S - K : K - S);
+}
+
+function invalidInputs(S, K, T, r, sigma, q) {
+  return !isFinite(S) || !isFinite(K) || !isFinite(T) || !isFinite(r) || !isFinite(sigma) || !isFinite(q);
+}
+
+// ─── CRR BINOMIAL TREE ──────────────────────────────────────────────────────
+
+/**
+ * Roll a CRR tree back to the root. Returns the root price, the option values
+ * at steps 1 and 2 (for tree Greeks) and, optionally, the exercise boundary.
+ *
+ * Discrete dividends use the escrowed tree: the lattice is built on the spot
+ * net of the dividends' present value, and each node's actual price adds back
+ * the PV of the dividends still to come, so the tree recombines while the
+ * exercise test sees the cum-dividend price. `pvAt(i)` is that add-back at
+ * step i; nodePrice(i, j) gives the actual node prices for Greeks.
+ */
+function crrTree(S, K, T, r, sigma, type, q, steps, withBoundary, dividends = []) {
+  const dt = T / steps;
+  const pvAt = (i) => dividends.length > 0 ? pvDividends(dividends, T, r, i * dt) : 0;
+  const S0 = S - pvAt(0);
+  const u = Math.exp(sigma * Math.sqrt(dt));
+  const d = 1 / u;
+  const disc = Math.exp(-r * dt);
+  // Coarse trees with large carry can push p outside [0, 1]; clamp rather than go negative
+  const p = Math.min(1, Math.max(0, (Math.exp((r - q) * dt) - d) / (u - d)));
+  const isCall = type === "call";
+
+  const u2 = u * u;
+  const v = new Float64Array(steps + 1);
+  for (let j = 0, s = S0 * Math.pow(d, steps); j <= steps; j++, s *= u2) {
+    v[j] = intrinsicValue(s, K, type);
+  }
+
+  const boundary = [];
+  let level1 = null, level2 = null;
+
+  for (let i = steps - 1; i >= 0; i--) {
+    let critical = null;
+    const pv = pvAt(i);
+    for (let j = 0, x = S0 * Math.pow(d, i); j <= i; j++, x *= u2) {
+      const s = x + pv;
+      const cont = disc * (p * v[j + 1] + (1 - p) * v[j]);
+      const ex = intrinsicValue(s, K, type);
+      if (ex > cont) {
+        v[j] = ex;
+        // Nodes ascend in price: puts exercise below the boundary, calls above it
+        if (isCall) { if (critical === null) critical = s; } else critical = s;
+      } else {
+        v[j] = cont;
+      }
+    }
+    if (withBoundary && i > 0 && critical !== null) boundary.push({ t: i * dt, S: critical });
+    if (i === 2) level2 = [v[0], v[1], v[2]];
+    if (i === 1) level1 = [v[0], v[1]];
+  }
+
+  boundary.reverse();
+  const nodePrice = (i, j) => S0 * Math.pow(u, j) * Math.pow(d, i - j) + pvAt(i);
+  return { price: v[0], level1, level2, u, d, dt, boundary, nodePrice };
+}
+
+/**
+ * American option pricing on a Cox-Ross-Rubinstein binomial tree.
+ *
+ * Delta, gamma and theta are read off the first two levels of the tree;
+ * vega and rho are central differences from re-priced trees.
+ *
+ * Discrete dividends (ex-date t in years, cash amount) are handled in the tree
+ * itself — see crrTree() — so early exercise just before an ex-date is priced;
+ * those after expiry are ignored.
+ *
+ * @param {number} S     - Current stock/underlying price
+ * @param {number} K     - Strike price
+ * @param {number} T     - Time to expiration in years
+ * @param {number} r     - Risk-free interest rate (annualized)
+ * @param {number} sigma - Volatility (annualized)
+ * @param {string} type  - "call" or "put"
+ * @param {number} q     - Continuous dividend yield (default 0)
+ * @param {number} steps - Tree steps (default 200)
+ * @param {Array<{ t, amount }>} dividends - Discrete cash dividends (default none)
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho, boundary }}
+ *   Greeks use the blackScholes() units (theta per day, vega/rho per 1%).
+ *   boundary: [{ t, S }] — early-exercise price at t years from now, for every
+ *   step where exercise is optimal at some node (puts exercise at or below S,
+ *   calls at or above).
+ */
+export function binomialAmerican(S, K, T, r, sigma, type = "call", q = 0, steps = 200, dividends = []) {
+  if (invalidInputs(S, K, T, r, sigma, q)) return { ...EMPTY_GREEKS, boundary: [] };
+  if (T <= 0 || sigma <= 0 || S <= 0 || K <= 0) {
+    return { ...EMPTY_GREEKS, price: intrinsicValue(S, K, type), boundary: [] };
+  }
+
+  const n = Math.max(3, Math.round(steps));
+  const divs = (dividends || []).filter(x => x.t > 0 && x.t <= T && x.amount > 0);
+  if (S - pvDividends(divs, T, r) <= 0) return { ...EMPTY_GREEKS, price: intrinsicValue(S, K, type), boundary: [] };
+  const tree = crrTree(S, K, T, r, sigma, type, q, n, true, divs);
+  const { dt, level1, level2, nodePrice } = tree;
+
+  const Su = nodePrice(1, 1), Sd = nodePrice(1, 0);
+  const delta = (level1[1] - level1[0]) / (Su - Sd);
+  const Suu = nodePrice(2, 2), Sm = nodePrice(2, 1), Sdd = nodePrice(2, 0);
+  const gamma = ((level2[2] - level2[1]) / (Suu - Sm) - (level2[1] - level2[0]) / (Sm - Sdd)) / (0.5 * (Suu - Sdd));
+  const theta = (level2[1] - tree.price) / (2 * dt) / 365;
+
+  const priceAt = (sig, rate) => crrTree(S, K, T, rate, sig, type, q, n, false, divs).price;
+  const hv = Math.min(0.01, sigma / 2);
+  const vega = (priceAt(sigma + hv, r) - priceAt(sigma - hv, r)) / (2 * hv) / 100;
+  const hr = 0.0001;
+  const rho = (priceAt(sigma, r + hr) - priceAt(sigma, r - hr)) / (2 * hr) / 100;
+
+  return { price: tree.price, delta, gamma, theta, vega, rho, boundary: tree.boundary };
+}
+
+// ─── BJERKSUND-STENSLAND (2002) ─────────────────────────────────────────────
+
+/**
+ * Standard bivariate normal CDF P(X ≤ a, Y ≤ b) with correlation rho,
+ * by Simpson integration of φ(x)·N((b − ρx)/√(1−ρ²)) over x ≤ a.
+ */
+export function bivariateNormalCDF(a, b, rho) {
+  if (Math.abs(rho) < 1e-12) return normalCDF(a) * normalCDF(b);
+  if (rho >= 1) return normalCDF(Math.min(a, b));
+  if (rho <= -1) return Math.max(0, normalCDF(a) - normalCDF(-b));
+
+  const lo = -8;
+  const hi = Math.min(a, 8);
+  if (hi <= lo) return 0;
+
+  const s = Math.sqrt(1 - rho * rho);
+  const f = (x) => normalPDF(x) * normalCDF((b - rho * x) / s);
+  const n = 400;
+  const h = (hi - lo) / n;
+  let sum = f(lo) + f(hi);
+  for (let i = 1; i < n; i++) sum += (i % 2 ? 4 : 2) * f(lo + i * h);
+  return sum * h / 3;
+}
+
+function phi(S, T, gamma, H, I, r, b, sigma) {
+  const sigmaSqrtT = sigma * Math.sqrt(T);
+  const lambda = (-r + gamma * b + 0.5 * gamma * (gamma - 1) * sigma * sigma) * T;
+  const d = -(Math.log(S / H) + (b + (gamma - 0.5) * sigma * sigma) * T) / sigmaSqrtT;
+  const kappa = 2 * b / (sigma * sigma) + (2 * gamma - 1);
+  return Math.exp(lambda) * Math.pow(S, gamma)
+    * (normalCDF(d) - Math.pow(I / S, kappa) * normalCDF(d - 2 * Math.log(I / S) / sigmaSqrtT));
+}
+
+function psi(S, T, gamma, H, I2, I1, t1, r, b, sigma) {
+  const v2 = sigma * sigma;
+  const drift = b + (gamma - 0.5) * v2;
+  const sqt1 = sigma * Math.sqrt(t1);
+  const sqT = sigma * Math.sqrt(T);
+
+  const e1 = (Math.log(S / I1) + drift * t1) / sqt1;
+  const e2 = (Math.log(I2 * I2 / (S * I1)) + drift * t1) / sqt1;
+  const e3 = (Math.log(S / I1) - drift * t1) / sqt1;
+  const e4 = (Math.log(I2 * I2 / (S * I1)) - drift * t1) / sqt1;
+
+  const f1 = (Math.log(S / H) + drift * T) / sqT;
+  const f2 = (Math.log(I2 * I2 / (S * H)) + drift * T) / sqT;
+  const f3 = (Math.log(I1 * I1 / (S * H)) + drift * T) / sqT;
+  const f4 = (Math.log(S * I1 * I1 / (H * I2 * I2)) + drift * T) / sqT;
+
+  const rho = Math.sqrt(t1 / T);
+  const lambda = -r + gamma * b + 0.5 * gamma * (gamma - 1) * v2;
+  const kappa = 2 * b / v2 + (2 * gamma - 1);
+
+  return Math.exp(lambda * T) * Math.pow(S, gamma) * (
+    bivariateNormalCDF(-e1, -f1, rho)
+    - Math.pow(I2 / S, kappa) * bivariateNormalCDF(-e2, -f2, rho)
+    - Math.pow(I1 / S, kappa) * bivariateNormalCDF(-e3, -f3, -rho)
+    + Math.pow(I1 / I2, kappa) * bivariateNormalCDF(-e4, -f4, -rho)
+  );
+}
+
+/**
+ * Bjerksund-Stensland 2002 American call with cost of carry b = r − q.
+ */
+function bs2002Call(S, K, T, r, q, sigma) {
+  const b = r - q;
+  const v2 = sigma * sigma;
+
+  // Never optimal to exercise a call early without a dividend yield → European value
+  if (b >= r) {
+    const sqT = sigma * Math.sqrt(T);
+    const d1 = (Math.log(S / K) + (b + 0.5 * v2) * T) / sqT;
+    return S * Math.exp((b - r) * T) * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d1 - sqT);
+  }
+
+  const beta = (0.5 - b / v2) + Math.sqrt(Math.pow(b / v2 - 0.5, 2) + 2 * r / v2);
+  const Binf = beta / (beta - 1) * K;
+  const B0 = Math.max(K, r / (r - b) * K);
+  const t1 = 0.5 * (Math.sqrt(5) - 1) * T;
+
+  const h1 = -(b * t1 + 2 * sigma * Math.sqrt(t1)) * K * K / ((Binf - B0) * B0);
+  const h2 = -(b * T + 2 * sigma * Math.sqrt(T)) * K * K / ((Binf - B0) * B0);
+  const I1 = B0 + (Binf - B0) * (1 - Math.exp(h1));
+  const I2 = B0 + (Binf - B0) * (1 - Math.exp(h2));
+
+  if (S >= I2) return S - K;
+
+  const alpha1 = (I1 - K) * Math.pow(I1, -beta);
+  const alpha2 = (I2 - K) * Math.pow(I2, -beta);
+  const ph = (t, g, H, I) => phi(S, t, g, H, I, r, b, sigma);
+  const ps = (g, H) => psi(S, T, g, H, I2, I1, t1, r, b, sigma);
+
+  return alpha2 * Math.pow(S, beta)
+    - alpha2 * ph(t1, beta, I2, I2)
+    + ph(t1, 1, I2, I2)
+    - ph(t1, 1, I1, I2)
+    - K * ph(t1, 0, I2, I2)
+    + K * ph(t1, 0, I1, I2)
+    + alpha1 * ph(t1, beta, I1, I2)
+    - alpha1 * ps(beta, I1)
+    + ps(1, I1)
+    - ps(1, K)
+    - K * ps(0, I1)
+    + K * ps(0, K);
+}
+
+function bs2002Price(S, K, T, r, sigma, type, q) {
+  if (T <= 0 || sigma <= 0 || S <= 0 || K <= 0) return intrinsicValue(S, K, type);
+  // Put-call transformation: P(S, K, r, q) = C(K, S, q, r)
+  const price = type === "call"
+    ? bs2002Call(S, K, T, r, q, sigma)
+    : bs2002Call(K, S, T, q, r, sigma);
+  return Math.max(price, intrinsicValue(S, K, type));
+}
+
+/**
+ * Bjerksund-Stensland (2002) American option approximation.
+ * Much faster than a tree and accurate to a few cents for typical inputs;
+ * slightly conservative (a lower bound on the true American value).
+ * Greeks are central finite differences of the approximation.
+ *
+ * @param {number} S     - Current stock/underlying price
+ * @param {number} K     - Strike price
+ * @param {number} T     - Time to expiration in years
+ * @param {number} r     - Risk-free interest rate (annualized)
+ * @param {number} sigma - Volatility (annualized)
+ * @param {string} type  - "call" or "put"
+ * @param {number} q     - Continuous dividend yield (default 0)
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho }}
+ */
+export function bjerksundStensland(S, K, T, r, sigma, type = "call", q = 0) {
+  if (invalidInputs(S, K, T, r, sigma, q)) return { ...EMPTY_GREEKS };
+  if (T <= 0 || sigma <= 0 || S <= 0 || K <= 0) {
+    return { ...EMPTY_GREEKS, price: intrinsicValue(S, K, type) };
+  }
+
+  const price = bs2002Price(S, K, T, r, sigma, type, q);
+  const f = (s, t, rate, sig) => bs2002Price(s, K, t, rate, sig, type, q);
+
+  const hS = S * 0.001;
+  const up = f(S + hS, T, r, sigma), down = f(S - hS, T, r, sigma);
+  const delta = (up - down) / (2 * hS);
+  const gamma = (up - 2 * price + down) / (hS * hS);
+
+  const day = 1 / 365;
+  const theta = T > day ? f(S, T - day, r, sigma) - price : -price + intrinsicValue(S, K, type);
+
+  const hv = Math.min(0.01, sigma / 2);
+  const vega = (f(S, T, r, sigma + hv) - f(S, T, r, sigma - hv)) / (2 * hv) / 100;
+  const hr = 0.0001;
+  const rho = (f(S, T, r + hr, sigma) - f(S, T, r - hr, sigma)) / (2 * hr) / 100;
+
+  return { price, delta, gamma, theta, vega, rho };
+}
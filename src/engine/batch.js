@@ -0,0 +1,226 @@
+/**
+ * Batch Pricing Engine
+ *
+ * Black-Scholes over whole arrays of contracts at once: inputs are scalars or
+ * typed arrays, outputs are written into preallocated Float64Arrays, and the
+ * inner loop allocates nothing. Meant for full chains, surfaces and P&L grids
+ * recomputed on every live tick (see workers/pricing.worker.js).
+ *
+ * Results match blackScholes() element for element: same conventions (theta
+ * per day, vega and rho per 1%) and intrinsic value with zero Greeks once
+ * expired or at zero vol.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { normalCDF, normalPDF } from "./blackScholes.js";
+import { resolveVol } from "./strategy.js";
+import { EXOTIC_TYPES, exoticPrice } from "./exotics.js";
+
+export const CALL = 1;
+export const PUT = -1;
+export const UNDERLYING = 0;
+
+const MIN_VOL = 0.01;
+
+/** Kind code for a leg or contract type string. */
+export function kindCode(kind) {
+  return kind === "put" ? PUT : kind === "underlying" ? UNDERLYING : CALL;
+}
+
+/**
+ * Preallocated outputs for n contracts.
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho }} Float64Arrays of length n
+ */
+export function createBatchOutput(n) {
+  return {
+    price: new Float64Array(n), delta: new Float64Array(n), gamma: new Float64Array(n),
+    theta: new Float64Array(n), vega: new Float64Array(n), rho: new Float64Array(n),
+  };
+}
+
+const isArr = (x) => x != null && typeof x === "object" && typeof x.length === "number";
+
+/**
+ * Price n contracts. Every input is either a number (shared by all) or an
+ * array / typed array indexed by contract.
+ *
+ * @param {object} input
+ * @param {number|ArrayLike<number>} input.S     - Underlying price
+ * @param {number|ArrayLike<number>} input.K     - Strike
+ * @param {number|ArrayLike<number>} input.T     - Years to expiry
+ * @param {number|ArrayLike<number>} input.sigma - Volatility
+ * @param {number|ArrayLike<number>} [input.r=0]
+ * @param {number|ArrayLike<number>} [input.q=0]
+ * @param {number|ArrayLike<number>} [input.kind=CALL] - CALL, PUT or UNDERLYING (worth S, delta 1)
+ * @param {number} [input.n] - Contract count (default: length of the first array input)
+ * @param {object} [out]     - createBatchOutput(n) to write into; allocated when omitted
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho }} `out`
+ */
+export function priceBatch({ S, K, T, sigma, r = 0, q = 0, kind = CALL, n }, out) {
+  const count = n ?? [S, K, T, sigma, r, q, kind].find(isArr)?.length ?? 1;
+  const o = out || createBatchOutput(count);
+  const aS = isArr(S), aK = isArr(K), aT = isArr(T), aV = isArr(sigma), aR = isArr(r), aQ = isArr(q), aC = isArr(kind);
+
+  for (let i = 0; i < count; i++) {
+    const s = aS ? S[i] : S, k = aK ? K[i] : K, t = aT ? T[i] : T, v = aV ? sigma[i] : sigma;
+    const ri = aR ? r[i] : r, qi = aQ ? q[i] : q, c = aC ? kind[i] : kind;
+
+    if (c === UNDERLYING) {
+      o.price[i] = s; o.delta[i] = 1; o.gamma[i] = 0; o.theta[i] = 0; o.vega[i] = 0; o.rho[i] = 0;
+      continue;
+    }
+    if (!(t > 0) || !(v > 0) || !(s > 0) || !(k > 0)) {
+      o.price[i] = isFinite(s) && isFinite(k) ? Math.max(0, c === CALL ? s - k : k - s) : 0;
+      o.delta[i] = 0; o.gamma[i] = 0; o.theta[i] = 0; o.vega[i] = 0; o.rho[i] = 0;
+      continue;
+    }
+
+    const sqrtT = Math.sqrt(t);
+    const sd = v * sqrtT;
+    const eqT = Math.exp(-qi * t), erT = Math.exp(-ri * t);
+    const d1 = (Math.log(s / k) + (ri - qi + 0.5 * v * v) * t) / sd;
+    const d2 = d1 - sd;
+    const pdf = normalPDF(d1);
+    const decay = -s * eqT * pdf * v / (2 * sqrtT);
+
+    if (c === CALL) {
+      const n1 = normalCDF(d1), n2 = normalCDF(d2);
+      o.price[i] = s * eqT * n1 - k * erT * n2;
+      o.delta[i] = eqT * n1;
+      o.theta[i] = (decay + qi * s * eqT * n1 - ri * k * erT * n2) / 365;
+      o.rho[i] = k * t * erT * n2 / 100;
+    } else {
+      const n1 = normalCDF(-d1), n2 = normalCDF(-d2);
+      o.price[i] = k * erT * n2 - s * eqT * n1;
+      o.delta[i] = -eqT * n1;
+      o.theta[i] = (decay - qi * s * eqT * n1 + ri * k * erT * n2) / 365;
+      o.rho[i] = -k * t * erT * n2 / 100;
+    }
+    o.gamma[i] = eqT * pdf / (s * sd);
+    o.vega[i] = s * eqT * pdf * sqrtT / 100;
+  }
+  return o;
+}
+
+// ─── STRATEGY GRIDS ─────────────────────────────────────────────────────────
+
+/**
+ * Flatten strategy groups (pnlGrid() groups from strategy.js) into typed
+ * arrays for pnlGridBatch(). Vols are resolved here — per leg and per day,
+ * since a surface sigma depends on remaining time — so the packed form holds
+ * only numbers and can be posted to a worker. Exotic legs (exotics.js) are
+ * coded as their index in EXOTIC_TYPES + 1, 0 for a vanilla.
+ *
+ * @param {Array<{ S, legs, sigma, q? }>} groups
+ * @param {object}   opts
+ * @param {number[]} opts.days      - Calendar days from today the grid will be evaluated on
+ * @param {number}   [opts.ivShift] - Absolute vol shift for every option leg (floored at 1%)
+ *
+ * @returns {{ S, q, group, kind, strike, T, weight, exotic, barrier, payout, vol, cost, days }}
+ *   per-group S and q; per-leg group index, kind code, strike, T, signed
+ *   quantity and exotic code / barrier / payout; vol[leg × days + day];
+ *   cost = total net premium
+ */
+export function packStrategies(groups, { days, ivShift = 0 }) {
+  const nLegs = groups.reduce((s, g) => s + g.legs.length, 0);
+  const nDays = days.length;
+  const packed = {
+    S: new Float64Array(groups.length), q: new Float64Array(groups.length),
+    group: new Int32Array(nLegs), kind: new Int8Array(nLegs),
+    strike: new Float64Array(nLegs), T: new Float64Array(nLegs), weight: new Float64Array(nLegs),
+    exotic: new Int8Array(nLegs), barrier: new Float64Array(nLegs), payout: new Float64Array(nLegs),
+    vol: new Float64Array(nLegs * nDays), cost: 0, days: Float64Array.from(days),
+  };
+  let l = 0;
+  groups.forEach((g, gi) => {
+    packed.S[gi] = g.S;
+    packed.q[gi] = g.q || 0;
+    for (const leg of g.legs) {
+      const w = (leg.side === "short" ? -1 : 1) * leg.qty;
+      packed.group[l] = gi;
+      packed.kind[l] = kindCode(leg.kind);
+      packed.strike[l] = leg.strike;
+      packed.T[l] = leg.T;
+      packed.weight[l] = w;
+      if (leg.exotic) {
+        packed.exotic[l] = EXOTIC_TYPES.findIndex(e => e.key === leg.exotic) + 1;
+        packed.barrier[l] = leg.barrier || 0;
+        packed.payout[l] = leg.payout || 0;
+      }
+      packed.cost += w * leg.premium;
+      if (leg.kind !== "underlying") {
+        for (let d = 0; d < nDays; d++) {
+          const remaining = Math.max(0, leg.T - days[d] / 365);
+          const v = resolveVol(g.sigma, leg.strike, remaining, leg.iv);
+          packed.vol[l * nDays + d] = ivShift ? Math.max(MIN_VOL, v + ivShift) : v;
+        }
+      }
+      l++;
+    }
+  });
+  return packed;
+}
+
+/**
+ * P&L grid over price moves × days from packStrategies() output — the batch
+ * counterpart of pnlGrid() in strategy.js, with the same values. Exotic legs
+ * are repriced one by one with their closed forms after the vanilla batch.
+ *
+ * @param {object}   packed
+ * @param {object}   opts
+ * @param {ArrayLike<number>} opts.moves - Fractional price moves applied to every group's S
+ * @param {number}   opts.r
+ *
+ * @returns {{ moves, days, grid, min, max }} grid is a Float64Array, grid[day × moves.length + move]
+ */
+export function pnlGridBatch(packed, { moves, r }) {
+  const nLegs = packed.kind.length, nDays = packed.days.length, nMoves = moves.length;
+  const n = nLegs * nMoves;
+  const S = new Float64Array(n), K = new Float64Array(n), T = new Float64Array(n);
+  const sigma = new Float64Array(n), q = new Float64Array(n), kind = new Int8Array(n);
+  const out = createBatchOutput(n);
+  const grid = new Float64Array(nDays * nMoves);
+
+  for (let l = 0; l < nLegs; l++) {
+    const g = packed.group[l];
+    for (let j = 0; j < nMoves; j++) {
+      const i = l * nMoves + j;
+      S[i] = packed.S[g] * (1 + moves[j]);
+      K[i] = packed.strike[l];
+      q[i] = packed.q[g];
+      kind[i] = packed.kind[l];
+    }
+  }
+
+  let min = Infinity, max = -Infinity;
+  for (let d = 0; d < nDays; d++) {
+    const t = packed.days[d] / 365;
+    for (let l = 0; l < nLegs; l++) {
+      const remaining = Math.max(0, packed.T[l] - t), v = packed.vol[l * nDays + d];
+      for (let j = 0; j < nMoves; j++) { T[l * nMoves + j] = remaining; sigma[l * nMoves + j] = v; }
+    }
+    priceBatch({ S, K, T, sigma, r, q, kind, n }, out);
+    for (let l = 0; l < nLegs; l++) {
+      const code = packed.exotic?.[l];
+      if (!code) continue;
+      const leg = { exotic: EXOTIC_TYPES[code - 1].key, barrier: packed.barrier[l], payout: packed.payout[l] };
+      const type = packed.kind[l] === PUT ? "put" : "call";
+      for (let j = 0; j < nMoves; j++) {
+        const i = l * nMoves + j;
+        out.price[i] = exoticPrice(leg, S[i], K[i], T[i], r, sigma[i], type, q[i]);
+      }
+    }
+    for (let j = 0; j < nMoves; j++) {
+      let value = 0;
+      for (let l = 0; l < nLegs; l++) value += packed.weight[l] * out.price[l * nMoves + j];
+      const pnl = value - packed.cost;
+      grid[d * nMoves + j] = pnl;
+      if (pnl < min) min = pnl;
+      if (pnl > max) max = pnl;
+    }
+  }
+  return { moves: Array.from(moves), days: Array.from(packed.days), grid, min, max };
+}
@@ -2,7 +2,8 @@
  * Black-Scholes Options Pricing Engine
  * 
  * Provides European option pricing with continuous dividend yield,
- * full Greeks computation, and implied volatility solver.
+ * full Greeks computation, implied volatility solver, and the lognormal
+ * expected-move and touch / finish probabilities behind them.
  * 
  * This module is pure math — no React, no DOM, no side effects.
  * All functions are deterministic given the same inputs.
@@ -12,17 +13,44 @@
 
 /**
  * Standard normal cumulative distribution function.
- * Uses Abramowitz & Stegun approximation (equation 7.1.26).
- * Max error: |ε| < 1.5×10⁻⁷
+ * Hart's double-precision rational approximation as given by West (2005),
+ * "Better approximations to cumulative normal functions" (a Cody-style
+ * rational in |x| < 7.07, continued fraction in the tail).
+ * Max error: |ε| < 1×10⁻¹⁴ — deep OTM prices and IV bisection stay clean.
  */
 export function normalCDF(x) {
-  const a1 = 0.254829592, a2 = -0.284496736, a3 = 1.421413741;
-  const a4 = -1.453152027, a5 = 1.061405429, p = 0.3275911;
-  const sign = x < 0 ? -1 : 1;
-  const absX = Math.abs(x) / Math.sqrt(2);
-  const t = 1.0 / (1.0 + p * absX);
-  const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-absX * absX);
-  return 0.5 * (1.0 + sign * y);
+  if (Number.isNaN(x)) return NaN;
+  const absX = Math.abs(x);
+  let tail; // N(−|x|)
+  if (absX > 37) {
+    tail = 0;
+  } else {
+    const e = Math.exp(-0.5 * absX * absX);
+    if (absX < 7.07106781186547) {
+      let num = 3.52624965998911e-2 * absX + 0.700383064443688;
+      num = num * absX + 6.37396220353165;
+      num = num * absX + 33.912866078383;
+      num = num * absX + 112.079291497871;
+      num = num * absX + 221.213596169931;
+      num = num * absX + 220.206867912376;
+      let den = 8.83883476483184e-2 * absX + 1.75566716318264;
+      den = den * absX + 16.064177579207;
+      den = den * absX + 86.7807322029461;
+      den = den * absX + 296.564248779674;
+      den = den * absX + 637.333633378831;
+      den = den * absX + 793.826512519948;
+      den = den * absX + 440.413735824752;
+      tail = e * num / den;
+    } else {
+      let cf = absX + 0.65;
+      cf = absX + 4 / cf;
+      cf = absX + 3 / cf;
+      cf = absX + 2 / cf;
+      cf = absX + 1 / cf;
+      tail = e / cf / 2.506628274631;
+    }
+  }
+  return x > 0 ? 1 - tail : tail;
 }
 
 /**
@@ -34,7 +62,10 @@ export function normalPDF(x) {
 
 // ─── BLACK-SCHOLES PRICING ──────────────────────────────────────────────────
 
-const EMPTY_GREEKS = Object.freeze({ price: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 });
+const EMPTY_GREEKS = Object.freeze({
+  price: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0,
+  vanna: 0, volga: 0, charm: 0, speed: 0, color: 0, dualDelta: 0,
+});
 
 /**
  * Black-Scholes European option pricing with Greeks.
@@ -47,13 +78,19 @@ const EMPTY_GREEKS = Object.freeze({ price: 0, delta: 0, gamma: 0, theta: 0, veg
  * @param {string} type  - "call" or "put"
  * @param {number} q     - Continuous dividend yield (default 0)
  * 
- * @returns {{ price, delta, gamma, theta, vega, rho }}
+ * @returns {{ price, delta, gamma, theta, vega, rho, vanna, volga, charm, speed, color, dualDelta }}
  *   - price: theoretical option value
  *   - delta: ∂price/∂S (per $1 move in underlying)
  *   - gamma: ∂²price/∂S² (rate of delta change)
  *   - theta: daily time decay (negative = losing value)
  *   - vega:  sensitivity to 1% IV change
  *   - rho:   sensitivity to 1% rate change
+ *   - vanna: change in delta per 1% IV change (∂²price/∂S∂σ / 100)
+ *   - volga: change in vega per 1% IV change (vomma, ∂²price/∂σ² / 100²)
+ *   - charm: change in delta per day passing (delta decay)
+ *   - speed: ∂gamma/∂S (per $1 move)
+ *   - color: change in gamma per day passing (gamma decay)
+ *   - dualDelta: ∂price/∂K (per $1 of strike; −e^(−rT)·N(d2) for a call)
  */
 export function blackScholes(S, K, T, r, sigma, type = "call", q = 0) {
   // Guard against non-finite inputs
@@ -101,7 +138,76 @@ export function blackScholes(S, K, T, r, sigma, type = "call", q = 0) {
   const rhoPut = -K * T * erT * normalCDF(-d2) / 100;
   const rho = type === "call" ? rhoCall : rhoPut;
 
-  return { price, delta, gamma, theta, vega, rho };
+  // Second order — per 1% vol and per calendar day, like vega and theta
+  const sigmaSqrtT = sigma * sqrtT;
+  const vanna = -eqT * normalPDF(d1) * d2 / sigma / 100;
+  const volga = vega * d1 * d2 / sigma / 100;
+  const drift = (2 * (r - q) * T - d2 * sigmaSqrtT) / (2 * T * sigmaSqrtT);
+  const charm = (type === "call"
+    ? q * eqT * normalCDF(d1) - eqT * normalPDF(d1) * drift
+    : -q * eqT * normalCDF(-d1) - eqT * normalPDF(d1) * drift) / 365;
+  const speed = -gamma / S * (d1 / sigmaSqrtT + 1);
+  const color = gamma / (2 * T) * (2 * q * T + 1 + d1 * (2 * (r - q) * T - d2 * sigmaSqrtT) / sigmaSqrtT) / 365;
+  const dualDelta = type === "call" ? -erT * normalCDF(d2) : erT * normalCDF(-d2);
+
+  return { price, delta, gamma, theta, vega, rho, vanna, volga, charm, speed, color, dualDelta };
+}
+
+// ─── EXPECTED MOVE & PROBABILITIES ──────────────────────────────────────────
+//
+// Under the pricing measure ln(S_T / S) is normal with mean (r − q − σ²/2)·T
+// and standard deviation σ√T. Pass r = q = 0 for the driftless "market
+// implied" view usually quoted alongside IV.
+
+/**
+ * Lognormal n-sigma price band at horizon T — the expected-move cone.
+ *
+ * @param {number} S     - Current price
+ * @param {number} sigma - Annualized volatility
+ * @param {number} T     - Horizon in years
+ * @param {number} n     - Number of standard deviations (default 1)
+ * @param {number} r     - Risk-free rate (default 0)
+ * @param {number} q     - Dividend yield (default 0)
+ *
+ * @returns {{ lower: number, upper: number }} S itself at T = 0 or zero vol
+ */
+export function expectedMove(S, sigma, T, n = 1, r = 0, q = 0) {
+  if (!(S > 0) || !(T > 0) || !(sigma > 0)) return { lower: S, upper: S };
+  const mu = (r - q - 0.5 * sigma * sigma) * T;
+  const sd = sigma * Math.sqrt(T);
+  return { lower: S * Math.exp(mu - n * sd), upper: S * Math.exp(mu + n * sd) };
+}
+
+/**
+ * Probability of finishing above `level` at T — N(d2).
+ * The probability of finishing below is its complement.
+ */
+export function probAbove(S, level, T, sigma, r = 0, q = 0) {
+  if (!(S > 0) || !(level > 0)) return S > level ? 1 : 0;
+  if (!(T > 0) || !(sigma > 0)) return S * Math.exp((r - q) * Math.max(0, T)) > level ? 1 : 0;
+  const sd = sigma * Math.sqrt(T);
+  return normalCDF((Math.log(S / level) + (r - q - 0.5 * sigma * sigma) * T) / sd);
+}
+
+/**
+ * Probability of touching `level` at any time before T — the first-passage
+ * probability of drifted Brownian motion in log price (reflection principle).
+ * A level above S is touched from below, one below S from above. Always at
+ * least the probability of finishing beyond the level; close to twice it
+ * when the drift is small.
+ */
+export function probTouch(S, level, T, sigma, r = 0, q = 0) {
+  if (!(S > 0) || !(level > 0)) return 0;
+  if (level === S) return 1;
+  if (!(T > 0) || !(sigma > 0)) return 0;
+  const mu = r - q - 0.5 * sigma * sigma;
+  const sd = sigma * Math.sqrt(T);
+  const b = Math.log(level / S);
+  const sign = b > 0 ? 1 : -1;
+  // P(max ≥ b) for b > 0; mirror (b, μ) → (−b, −μ) for a level below
+  const a = sign * b, m = sign * mu;
+  const p = normalCDF((m * T - a) / sd) + Math.exp(2 * m * a / (sigma * sigma)) * normalCDF((-m * T - a) / sd);
+  return Math.min(1, Math.max(0, p));
 }
 
 // ─── IMPLIED VOLATILITY SOLVER ──────────────────────────────────────────────
@@ -117,10 +223,13 @@ export function blackScholes(S, K, T, r, sigma, type = "call", q = 0) {
  * @param {string} type         - "call" or "put"
  * @param {number} q            - Dividend yield (default 0)
  * @param {number} initialGuess - Starting IV estimate (default 0.3 = 30%)
+ * @param {Function} model      - Pricing model with the blackScholes() signature, returning
+ *                                { price, vega } (default blackScholes; pass binomialAmerican
+ *                                or bjerksundStensland to back out American IV)
  * 
  * @returns {number} Implied volatility (annualized, e.g. 0.30 = 30%)
  */
-export function impliedVol(marketPrice, S, K, T, r, type = "call", q = 0, initialGuess = 0.3) {
+export function impliedVol(marketPrice, S, K, T, r, type = "call", q = 0, initialGuess = 0.3, model = blackScholes) {
   if (!isFinite(marketPrice) || !isFinite(S) || !isFinite(K) || !isFinite(T) || !isFinite(r)) {
     return initialGuess;
   }
@@ -136,7 +245,7 @@ export function impliedVol(marketPrice, S, K, T, r, type = "call", q = 0, initia
   let bestErr = Infinity;
 
   for (let i = 0; i < 100; i++) {
-    const bs = blackScholes(S, K, T, r, sigma, type, q);
+    const bs = model(S, K, T, r, sigma, type, q);
     const diff = bs.price - marketPrice;
     const err = Math.abs(diff);
 
@@ -157,7 +266,7 @@ export function impliedVol(marketPrice, S, K, T, r, type = "call", q = 0, initia
   let lo = IV_MIN, hi = IV_MAX;
   for (let i = 0; i < 80; i++) {
     const mid = (lo + hi) / 2;
-    const bs = blackScholes(S, K, T, r, mid, type, q);
+    const bs = model(S, K, T, r, mid, type, q);
     const diff = bs.price - marketPrice;
 
     if (Math.abs(diff) < PRICE_TOL) return mid;
@@ -0,0 +1,140 @@
+/**
+ * Contract Comparison Engine
+ *
+ * Side-by-side metrics for single option contracts on the same underlying —
+ * e.g. a 6-month 0.30-delta call against a 12-month ATM call: Greeks,
+ * breakevens at expiry and at a future date, theta burn, capital required
+ * and P&L across underlying prices at a chosen horizon.
+ *
+ * A contract is { type, strike, T, iv, premium? } with T in years and iv the
+ * contract's own vol; premium (per share) defaults to its Black-Scholes
+ * value. Money amounts are per contract (premium × multiplier).
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { blackScholes } from "./blackScholes.js";
+
+export const MAX_CONTRACTS = 6;
+
+function priceAt(c, S, T, r, q) {
+  return blackScholes(S, c.strike, T, r, c.iv, c.type, q).price;
+}
+
+// Bisection for a monotone f on [lo, hi]; null when the root isn't bracketed
+function bisect(f, lo, hi, tol = 1e-8) {
+  let flo = f(lo), fhi = f(hi);
+  if (!isFinite(flo) || !isFinite(fhi) || flo * fhi > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2, fm = f(mid);
+    if (Math.abs(fm) < tol || hi - lo < tol * Math.max(1, mid)) return mid;
+    if (fm * flo > 0) { lo = mid; flo = fm; } else { hi = mid; }
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Strike whose Black-Scholes delta equals `delta` (0.30 for a 30-delta call,
+ * −0.30 or 0.30 for a 30-delta put).
+ *
+ * @returns {number|null} Strike, or null when no strike gives that delta
+ */
+export function strikeForDelta(delta, { S, T, r = 0, q = 0, sigma, type = "call" }) {
+  const target = Math.abs(delta);
+  if (!(S > 0) || !(T > 0) || !(sigma > 0) || !(target > 0) || target >= Math.exp(-q * T)) return null;
+  const f = (K) => Math.abs(blackScholes(S, K, T, r, sigma, type, q).delta) - target;
+  return bisect(f, S * 1e-3, S * 1e3);
+}
+
+/**
+ * Underlying price at which the contract is worth its premium `t` years from
+ * now (at expiry when t ≥ T). Vol, rate and yield held constant.
+ *
+ * @returns {number|null}
+ */
+export function breakevenAt(c, t, { S, r = 0, q = 0 }) {
+  const premium = c.premium != null ? c.premium : priceAt(c, S, c.T, r, q);
+  const tau = Math.max(0, c.T - t);
+  if (tau === 0) {
+    const be = c.type === "call" ? c.strike + premium : c.strike - premium;
+    return be > 0 ? be : null;
+  }
+  return bisect(x => priceAt(c, x, tau, r, q) - premium, S * 1e-3, S * 1e3);
+}
+
+/**
+ * Metrics for one contract.
+ *
+ * @param {object} c - { type, strike, T, iv, premium? }
+ * @param {object} market
+ * @param {number} market.S
+ * @param {number} [market.r=0]
+ * @param {number} [market.q=0]
+ * @param {number} [market.multiplier=100]
+ * @param {number} [market.horizon] - Years ahead for the dated breakeven (default: none)
+ *
+ * @returns {{ price, premium, delta, gamma, theta, vega, rho, breakeven, breakevenMove,
+ *   breakevenAtHorizon, thetaPct, burn30, capital, dollarDelta, leverage, edge }}
+ *   - breakevenMove: breakeven at expiry as a fraction of spot (+0.12 = needs +12%)
+ *   - thetaPct: one day of theta as a fraction of the premium
+ *   - burn30: value lost over the next 30 days at an unchanged spot, per contract
+ *   - capital: premium × multiplier; dollarDelta: delta × S × multiplier
+ *   - leverage: dollar delta per dollar of capital
+ *   - edge: model price − premium per share
+ */
+export function contractMetrics(c, { S, r = 0, q = 0, multiplier = 100, horizon = null }) {
+  const g = blackScholes(S, c.strike, c.T, r, c.iv, c.type, q);
+  const premium = c.premium != null ? c.premium : g.price;
+  const breakeven = breakevenAt({ ...c, premium }, c.T, { S, r, q });
+  const in30 = Math.max(0, c.T - 30 / 365);
+  const burn30 = (g.price - priceAt(c, S, in30, r, q)) * multiplier;
+  const capital = premium * multiplier;
+  const dollarDelta = g.delta * S * multiplier;
+  return {
+    ...g,
+    premium,
+    breakeven,
+    breakevenMove: breakeven != null ? breakeven / S - 1 : null,
+    breakevenAtHorizon: horizon != null ? breakevenAt({ ...c, premium }, horizon, { S, r, q }) : null,
+    thetaPct: premium > 0 ? g.theta / premium : 0,
+    burn30,
+    capital,
+    dollarDelta,
+    leverage: capital > 0 ? dollarDelta / capital : 0,
+    edge: g.price - premium,
+  };
+}
+
+/**
+ * P&L of each contract across underlying prices `horizon` years from now.
+ * Contracts already expired by then are at intrinsic.
+ *
+ * @param {Array} contracts
+ * @param {object} opts
+ * @param {number} opts.S
+ * @param {number} opts.horizon      - Years from now
+ * @param {number} [opts.r=0]
+ * @param {number} [opts.q=0]
+ * @param {number} [opts.multiplier=100]
+ * @param {number[]} [opts.range=[0.5, 1.5]] - Price range as multiples of S
+ * @param {number} [opts.points=81]
+ *
+ * @returns {Array<{ x, pnl0, ret0, pnl1, ret1, ... }>}
+ *   pnlN per contract in dollars, retN as a fraction of the premium paid
+ */
+export function compareCurves(contracts, { S, horizon, r = 0, q = 0, multiplier = 100, range = [0.5, 1.5], points = 81 }) {
+  const premiums = contracts.map(c => c.premium != null ? c.premium : priceAt(c, S, c.T, r, q));
+  const [lo, hi] = range;
+  const rows = [];
+  for (let i = 0; i < points; i++) {
+    const x = S * (lo + (hi - lo) * i / (points - 1));
+    const row = { x };
+    contracts.forEach((c, j) => {
+      const value = priceAt(c, x, Math.max(0, c.T - horizon), r, q);
+      row[`pnl${j}`] = (value - premiums[j]) * multiplier;
+      row[`ret${j}`] = premiums[j] > 0 ? value / premiums[j] - 1 : 0;
+    });
+    rows.push(row);
+  }
+  return rows;
+}
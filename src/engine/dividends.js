@@ -0,0 +1,108 @@
+/**
+ * Discrete Dividends
+ *
+ * Schedules of known cash dividends for equity option pricing. European
+ * pricers use the escrowed-dividend model: the spot net of the present value
+ * of dividends paid before expiry follows the lognormal process, so any
+ * blackScholes()-shaped pricer runs unchanged on the adjusted spot. American
+ * options handle the same schedule explicitly in the binomial tree (see
+ * binomialAmerican() in american.js), where exercise just before an ex-date
+ * is valued correctly.
+ *
+ * A schedule is [{ t, amount }] with t in years from now (the ex-date) and
+ * amount in cash per share. toSchedule() converts dated dividends.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { yearsToExpiry, DAY_MS } from "../utils/dates.js";
+
+// ─── SCHEDULES ──────────────────────────────────────────────────────────────
+
+/**
+ * Dated dividends → schedule, keeping only ex-dates still ahead of `now`.
+ *
+ * @param {Array<{ date: string, amount: number }>} dividends - date "YYYY-MM-DD"
+ * @param {number} [now=Date.now()]
+ * @returns {Array<{ t, amount }>} sorted by t
+ */
+export function toSchedule(dividends, now = Date.now()) {
+  return (dividends || [])
+    .map(d => ({ t: yearsToExpiry(d.date, now), amount: Number(d.amount) || 0 }))
+    .filter(d => d.t > 0 && d.amount > 0)
+    .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Present value at time `from` of the dividends with from < t ≤ T.
+ */
+export function pvDividends(schedule, T, r, from = 0) {
+  let pv = 0;
+  for (const d of schedule || []) {
+    if (d.t > from && d.t <= T) pv += d.amount * Math.exp(-r * (d.t - from));
+  }
+  return pv;
+}
+
+/**
+ * Project upcoming ex-dates from a dividend history by repeating the median
+ * recent spacing and the latest amount.
+ *
+ * @param {Array<{ date: string, amount: number }>} history - Past dividends, any order
+ * @param {object} [opts]
+ * @param {number} [opts.now=Date.now()]
+ * @param {number} [opts.horizonDays=400] - How far ahead to project
+ * @returns {Array<{ date, amount, projected: true }>} empty with fewer than two past dividends
+ */
+export function projectDividends(history, { now = Date.now(), horizonDays = 400 } = {}) {
+  const past = (history || [])
+    .map(d => ({ ms: Date.parse(`${d.date}T00:00:00Z`), amount: Number(d.amount) || 0 }))
+    .filter(d => isFinite(d.ms) && d.amount > 0)
+    .sort((a, b) => a.ms - b.ms);
+  if (past.length < 2) return [];
+
+  const gaps = [];
+  for (let i = Math.max(1, past.length - 4); i < past.length; i++) gaps.push(past[i].ms - past[i - 1].ms);
+  gaps.sort((a, b) => a - b);
+  const gap = gaps[Math.floor(gaps.length / 2)];
+  if (!(gap >= 20 * DAY_MS)) return [];
+
+  const last = past[past.length - 1];
+  const out = [];
+  for (let ms = last.ms + gap; ms <= now + horizonDays * DAY_MS; ms += gap) {
+    if (ms > now) out.push({ date: new Date(ms).toISOString().slice(0, 10), amount: last.amount, projected: true });
+  }
+  return out;
+}
+
+// ─── ESCROWED-DIVIDEND PRICING ──────────────────────────────────────────────
+
+/**
+ * Wrap a European pricer with the blackScholes() signature so it prices on
+ * the escrowed spot S − PV(dividends before expiry). Delta, gamma and vega
+ * carry over, as the adjusted spot moves one for one with S; theta and rho
+ * are re-taken by finite differences because the dividend PV moves with
+ * time and rate.
+ *
+ * @param {Function} model    - (S, K, T, r, sigma, type, q) => { price, delta, ... }
+ * @param {Array<{ t, amount }>} schedule
+ * @returns {Function} Pricer with the same signature and Greeks shape
+ */
+export function escrowed(model, schedule) {
+  if (!schedule || schedule.length === 0) return model;
+  const priceAt = (S, K, T, r, sigma, type, q, shift = 0) => {
+    const pv = pvDividends(schedule, T + shift, r, shift);
+    return model(Math.max(1e-9, S - pv), K, T, r, sigma, type, q);
+  };
+  return (S, K, T, r, sigma, type = "call", q = 0) => {
+    const g = priceAt(S, K, T, r, sigma, type, q);
+    if (!(T > 0) || !(S > 0)) return g;
+    // One day on: dividends move a day closer, any passing day 1 drop out of the spot
+    const day = Math.min(1 / 365, T);
+    const passed = pvDividends(schedule, day, r);
+    const next = priceAt(S - passed, K, T - day, r, sigma, type, q, day);
+    const hr = 0.0001;
+    const rho = (priceAt(S, K, T, r + hr, sigma, type, q).price - priceAt(S, K, T, r - hr, sigma, type, q).price) / (2 * hr) / 100;
+    return { ...g, theta: (next.price - g.price) / (day * 365), rho };
+  };
+}
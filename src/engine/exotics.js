@@ -0,0 +1,198 @@
+/**
+ * Digital and Barrier Options
+ *
+ * Closed-form European pricers for:
+ *   - cash-or-nothing digitals: pay a fixed amount if S_T finishes beyond K
+ *   - asset-or-nothing digitals: pay S_T itself if it finishes beyond K
+ *   - single-barrier knock-in / knock-out calls and puts, continuously
+ *     monitored (Reiner & Rubinstein 1991, as tabulated in Haug's "Complete
+ *     Guide to Option Pricing Formulas"), with an optional cash rebate
+ *
+ * Pricers share the blackScholes() argument order plus a trailing options
+ * object and return the price alone; Greeks for any of them come from
+ * fdGreeks() by bump-and-reprice, in the same units as blackScholes()
+ * (theta per day, vega and rho per 1%). exoticGreeks() dispatches on a
+ * strategy leg's `exotic` field so barrier-style products can sit in a
+ * multi-leg position next to vanillas.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { blackScholes, normalCDF } from "./blackScholes.js";
+
+/** Exotic payoff styles a strategy leg can carry. */
+export const EXOTIC_TYPES = Object.freeze([
+  { key: "cash", label: "Cash-or-nothing", barrier: false },
+  { key: "asset", label: "Asset-or-nothing", barrier: false },
+  { key: "down-in", label: "Down-and-in", barrier: true },
+  { key: "down-out", label: "Down-and-out", barrier: true },
+  { key: "up-in", label: "Up-and-in", barrier: true },
+  { key: "up-out", label: "Up-and-out", barrier: true },
+]);
+
+export function isBarrierType(type) {
+  return type === "down-in" || type === "down-out" || type === "up-in" || type === "up-out";
+}
+
+// ─── DIGITALS ───────────────────────────────────────────────────────────────
+
+function d1d2(S, K, T, r, sigma, q) {
+  const sd = sigma * Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / sd;
+  return [d1, d1 - sd];
+}
+
+/**
+ * Cash-or-nothing digital: pays `payout` at expiry if S_T > K (call) or
+ * S_T < K (put). Call + put = discounted payout.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.payout=1] - Cash paid when in the money
+ * @returns {number} Price
+ */
+export function cashOrNothingPrice(S, K, T, r, sigma, type = "call", q = 0, { payout = 1 } = {}) {
+  if (!(T > 0) || !(sigma > 0)) return (type === "call" ? S > K : S < K) ? payout : 0;
+  const [, d2] = d1d2(S, K, T, r, sigma, q);
+  return payout * Math.exp(-r * T) * normalCDF(type === "call" ? d2 : -d2);
+}
+
+/**
+ * Asset-or-nothing digital: pays S_T at expiry if S_T > K (call) or
+ * S_T < K (put). An asset-or-nothing call less K cash-or-nothing calls is
+ * the vanilla call.
+ *
+ * @returns {number} Price
+ */
+export function assetOrNothingPrice(S, K, T, r, sigma, type = "call", q = 0) {
+  if (!(T > 0) || !(sigma > 0)) return (type === "call" ? S > K : S < K) ? S : 0;
+  const [d1] = d1d2(S, K, T, r, sigma, q);
+  return S * Math.exp(-q * T) * normalCDF(type === "call" ? d1 : -d1);
+}
+
+// ─── BARRIERS ───────────────────────────────────────────────────────────────
+
+/**
+ * Single-barrier option, continuously monitored.
+ *
+ * Knock-outs pay the rebate when the barrier is hit; knock-ins pay it at
+ * expiry if the barrier was never hit. With no rebate, in + out = vanilla.
+ * A barrier already breached at S prices as the vanilla (knock-in) or the
+ * rebate (knock-out).
+ *
+ * @param {number} S, K, T, r, sigma - As blackScholes()
+ * @param {string} type              - "call" or "put"
+ * @param {number} q                 - Dividend yield (default 0)
+ * @param {object} opts
+ * @param {string} opts.barrier      - "down-in", "down-out", "up-in" or "up-out"
+ * @param {number} opts.level        - Barrier level H
+ * @param {number} [opts.rebate=0]   - Cash rebate
+ *
+ * @returns {number} Price
+ */
+export function barrierPrice(S, K, T, r, sigma, type = "call", q = 0, { barrier, level: H, rebate = 0 } = {}) {
+  const down = barrier === "down-in" || barrier === "down-out";
+  const knockIn = barrier === "down-in" || barrier === "up-in";
+  const breached = down ? S <= H : S >= H;
+  if (!(H > 0) || breached) return knockIn ? blackScholes(S, K, T, r, sigma, type, q).price : rebate;
+  if (!(T > 0) || !(sigma > 0)) {
+    // At expiry, not breached: knock-outs pay intrinsic, knock-ins the rebate
+    return knockIn ? rebate : Math.max(0, type === "call" ? S - K : K - S);
+  }
+
+  const phi = type === "call" ? 1 : -1;
+  const eta = down ? 1 : -1;
+  const sd = sigma * Math.sqrt(T);
+  const mu = (r - q - 0.5 * sigma * sigma) / (sigma * sigma);
+  const lambda = Math.sqrt(mu * mu + 2 * r / (sigma * sigma));
+  const carry = S * Math.exp(-q * T), disc = Math.exp(-r * T);
+  const hs = H / S;
+
+  const x1 = Math.log(S / K) / sd + (1 + mu) * sd;
+  const x2 = Math.log(S / H) / sd + (1 + mu) * sd;
+  const y1 = Math.log(H * H / (S * K)) / sd + (1 + mu) * sd;
+  const y2 = Math.log(H / S) / sd + (1 + mu) * sd;
+  const z = Math.log(H / S) / sd + lambda * sd;
+
+  // Haug's building blocks A–F
+  const A = phi * carry * normalCDF(phi * x1) - phi * K * disc * normalCDF(phi * (x1 - sd));
+  const B = phi * carry * normalCDF(phi * x2) - phi * K * disc * normalCDF(phi * (x2 - sd));
+  const C = phi * carry * Math.pow(hs, 2 * (mu + 1)) * normalCDF(eta * y1) - phi * K * disc * Math.pow(hs, 2 * mu) * normalCDF(eta * (y1 - sd));
+  const D = phi * carry * Math.pow(hs, 2 * (mu + 1)) * normalCDF(eta * y2) - phi * K * disc * Math.pow(hs, 2 * mu) * normalCDF(eta * (y2 - sd));
+  const E = rebate > 0 ? rebate * disc * (normalCDF(eta * (x2 - sd)) - Math.pow(hs, 2 * mu) * normalCDF(eta * (y2 - sd))) : 0;
+  const F = rebate > 0 ? rebate * (Math.pow(hs, mu + lambda) * normalCDF(eta * z) + Math.pow(hs, mu - lambda) * normalCDF(eta * (z - 2 * lambda * sd))) : 0;
+
+  const above = K > H;
+  let price;
+  if (type === "call") {
+    switch (barrier) {
+      case "down-in": price = above ? C + E : A - B + D + E; break;
+      case "up-in": price = above ? A + E : B - C + D + E; break;
+      case "down-out": price = above ? A - C + F : B - D + F; break;
+      default: price = above ? F : A - B + C - D + F; // up-out
+    }
+  } else {
+    switch (barrier) {
+      case "down-in": price = above ? B - C + D + E : A + E; break;
+      case "up-in": price = above ? A - B + D + E : C + E; break;
+      case "down-out": price = above ? A - B + C - D + F : F; break;
+      default: price = above ? B - D + F : A - C + F; // up-out
+    }
+  }
+  return Math.max(0, price);
+}
+
+// ─── FINITE-DIFFERENCE GREEKS ───────────────────────────────────────────────
+
+/**
+ * Greeks of any price-only pricer with the blackScholes() signature (plus
+ * optional trailing opts), by central differences in S, σ and r and a
+ * one-day step in T. Near a barrier the spot bumps straddle it, so delta and
+ * gamma there describe the jump rather than a slope.
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho }} theta per day, vega and rho per 1%
+ */
+export function fdGreeks(pricer, S, K, T, r, sigma, type = "call", q = 0, opts) {
+  const price = pricer(S, K, T, r, sigma, type, q, opts);
+  if (!(S > 0) || !(T > 0)) return { price, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  const hS = S * 1e-3, hV = 1e-3, hR = 1e-4;
+  const up = pricer(S + hS, K, T, r, sigma, type, q, opts);
+  const dn = pricer(S - hS, K, T, r, sigma, type, q, opts);
+  const day = Math.min(1 / 365, T);
+  const later = pricer(S, K, T - day, r, sigma, type, q, opts);
+  const vega = sigma > hV
+    ? (pricer(S, K, T, r, sigma + hV, type, q, opts) - pricer(S, K, T, r, sigma - hV, type, q, opts)) / (2 * hV)
+    : 0;
+  const rho = (pricer(S, K, T, r + hR, sigma, type, q, opts) - pricer(S, K, T, r - hR, sigma, type, q, opts)) / (2 * hR);
+  return {
+    price,
+    delta: (up - dn) / (2 * hS),
+    gamma: (up - 2 * price + dn) / (hS * hS),
+    theta: (later - price) / (day * 365),
+    vega: vega / 100,
+    rho: rho / 100,
+  };
+}
+
+/**
+ * Value of one unit of an exotic leg; plain Black-Scholes for a vanilla.
+ *
+ * @param {object} leg - { exotic, barrier, payout } as set by createLeg() in strategy.js:
+ *   exotic one of EXOTIC_TYPES' keys (null for a vanilla); barrier the
+ *   barrier level; payout the cash-or-nothing amount or the barrier rebate
+ * @returns {number} Price
+ */
+export function exoticPrice(leg, S, K, T, r, sigma, type = "call", q = 0) {
+  if (leg.exotic === "cash") return cashOrNothingPrice(S, K, T, r, sigma, type, q, { payout: leg.payout ?? 1 });
+  if (leg.exotic === "asset") return assetOrNothingPrice(S, K, T, r, sigma, type, q);
+  if (isBarrierType(leg.exotic)) return barrierPrice(S, K, T, r, sigma, type, q, { barrier: leg.exotic, level: leg.barrier, rebate: leg.payout || 0 });
+  return blackScholes(S, K, T, r, sigma, type, q).price;
+}
+
+/**
+ * Value and finite-difference Greeks of one unit of an exotic leg.
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho }}
+ */
+export function exoticGreeks(leg, S, K, T, r, sigma, type = "call", q = 0) {
+  return fdGreeks((s, k, t, rr, v, ty, qq) => exoticPrice(leg, s, k, t, rr, v, ty, qq), S, K, T, r, sigma, type, q);
+}
@@ -0,0 +1,118 @@
+/**
+ * Portfolio Exposure
+ *
+ * Aggregates position Greeks across a book into net dollar exposure, and
+ * estimates each underlying's beta to a benchmark (SPY, BTC) from daily
+ * closes so delta can be expressed in benchmark terms.
+ *
+ * Exposure inputs are per position:
+ *   { key, price, delta, gamma, theta, vega }
+ * where delta is in units of the underlying (shares, coins — a leveraged perp
+ * contributes its full notional quantity), gamma is the change in that delta
+ * per $1, theta is $ per day and vega is $ per vol point.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+// ─── BETA ───────────────────────────────────────────────────────────────────
+
+/**
+ * Estimate beta of an asset to a benchmark from close series.
+ * Closes are aligned on their `date` key and log returns are taken between
+ * consecutive shared dates, so weekend crypto bars simply fold into Monday's
+ * return against an equity benchmark.
+ *
+ * @param {Array<{date, close}>} assetKlines
+ * @param {Array<{date, close}>} benchKlines
+ * @param {number} minObs - Minimum paired returns required (default 20)
+ *
+ * @returns {{ beta, correlation, n } | null} null with too little overlap
+ */
+export function estimateBeta(assetKlines, benchKlines, minObs = 20) {
+  const bench = new Map();
+  for (const k of benchKlines || []) if (k.close > 0) bench.set(k.date, k.close);
+  const pairs = (assetKlines || [])
+    .filter(k => k.close > 0 && bench.has(k.date))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const ra = [], rb = [];
+  for (let i = 1; i < pairs.length; i++) {
+    ra.push(Math.log(pairs[i].close / pairs[i - 1].close));
+    rb.push(Math.log(bench.get(pairs[i].date) / bench.get(pairs[i - 1].date)));
+  }
+  const n = ra.length;
+  if (n < minObs) return null;
+
+  const ma = ra.reduce((s, x) => s + x, 0) / n;
+  const mb = rb.reduce((s, x) => s + x, 0) / n;
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (ra[i] - ma) * (rb[i] - mb);
+    va += (ra[i] - ma) ** 2;
+    vb += (rb[i] - mb) ** 2;
+  }
+  if (vb <= 0) return null;
+  return { beta: cov / vb, correlation: va > 0 ? cov / Math.sqrt(va * vb) : 0, n };
+}
+
+// ─── AGGREGATION ────────────────────────────────────────────────────────────
+
+/**
+ * Net Greeks across positions, grouped by underlying.
+ *
+ * @param {Array<{key, price, delta, gamma?, theta?, vega?}>} exposures
+ * @param {object} [opts]
+ * @param {object} [opts.betas]          - { [key]: beta } to the benchmark
+ * @param {number} [opts.benchmarkPrice] - Benchmark price, to express beta-weighted
+ *                                         delta in benchmark units
+ *
+ * @returns {{ byUnderlying, dollarDelta, dollarGamma, theta, vega, betaDollarDelta, betaDelta, unweighted }}
+ *   - byUnderlying: [{ key, price, delta, dollarDelta, gamma, dollarGamma, theta, vega, beta }]
+ *     sorted by |dollarDelta| descending
+ *   - dollarDelta: Σ delta × price — $ P&L per 1% move × 100
+ *   - dollarGamma: Σ gamma × price² / 100 — change in dollar delta per 1% move
+ *   - betaDollarDelta: Σ beta × dollarDelta over underlyings with a beta
+ *   - betaDelta: betaDollarDelta / benchmarkPrice (benchmark-equivalent units), 0 without a price
+ *   - unweighted: keys with exposure but no beta (left out of the beta figures)
+ */
+export function aggregateExposure(exposures, { betas = {}, benchmarkPrice = 0 } = {}) {
+  const groups = new Map();
+  for (const e of exposures || []) {
+    if (!e || !e.key || !(e.price > 0)) continue;
+    const g = groups.get(e.key) || { key: e.key, price: e.price, delta: 0, gamma: 0, theta: 0, vega: 0 };
+    g.delta += e.delta || 0;
+    g.gamma += e.gamma || 0;
+    g.theta += e.theta || 0;
+    g.vega += e.vega || 0;
+    groups.set(e.key, g);
+  }
+
+  let dollarDelta = 0, dollarGamma = 0, theta = 0, vega = 0, betaDollarDelta = 0;
+  const unweighted = [];
+  const byUnderlying = [...groups.values()].map(g => {
+    const row = {
+      ...g,
+      dollarDelta: g.delta * g.price,
+      dollarGamma: g.gamma * g.price * g.price / 100,
+      beta: betas[g.key] != null && isFinite(betas[g.key]) ? betas[g.key] : null,
+    };
+    dollarDelta += row.dollarDelta;
+    dollarGamma += row.dollarGamma;
+    theta += row.theta;
+    vega += row.vega;
+    if (row.beta != null) betaDollarDelta += row.beta * row.dollarDelta;
+    else if (row.delta !== 0) unweighted.push(row.key);
+    return row;
+  }).sort((a, b) => Math.abs(b.dollarDelta) - Math.abs(a.dollarDelta));
+
+  return {
+    byUnderlying,
+    dollarDelta,
+    dollarGamma,
+    theta,
+    vega,
+    betaDollarDelta,
+    betaDelta: benchmarkPrice > 0 ? betaDollarDelta / benchmarkPrice : 0,
+    unweighted,
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Futures & Commodity Options Pricing Engine
+ *
+ * Black-76 (lognormal forward) for options on futures, and Bachelier
+ * (normal forward) for underlyings that trade near zero or below it —
+ * spreads, rates, or crude in April 2020. Both share the blackScholes()
+ * signature (F, K, T, r, sigma, type, q) and Greeks shape so they drop into
+ * the simulator's model list; `q` is ignored since a future has no carry
+ * beyond discounting the premium.
+ *
+ * Black-76 sigma is the usual lognormal vol (0.30 = 30%). Bachelier sigma is
+ * an absolute normal vol in price units per √year (20 = $20), and its vega
+ * is per 1.00 of that normal vol.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { normalCDF, normalPDF, impliedVol } from "./blackScholes.js";
+
+const EMPTY_GREEKS = Object.freeze({ price: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 });
+
+function invalidInputs(F, K, T, r, sigma) {
+  return !isFinite(F) || !isFinite(K) || !isFinite(T) || !isFinite(r) || !isFinite(sigma);
+}
+
+// ─── BLACK-76 ───────────────────────────────────────────────────────────────
+
+/**
+ * Black-76 European option on a futures contract.
+ *
+ * @param {number} F     - Futures price
+ * @param {number} K     - Strike price
+ * @param {number} T     - Time to expiration in years
+ * @param {number} r     - Risk-free rate used to discount the premium
+ * @param {number} sigma - Lognormal volatility of the future
+ * @param {string} type  - "call" or "put"
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho }}
+ *   Greeks are with respect to the futures price; theta is per calendar
+ *   day, vega per 1% vol and rho per 1% rate (premium discounting only).
+ */
+export function black76(F, K, T, r, sigma, type = "call") {
+  if (invalidInputs(F, K, T, r, sigma)) return { ...EMPTY_GREEKS };
+  if (T <= 0 || sigma <= 0 || F <= 0 || K <= 0) {
+    return { ...EMPTY_GREEKS, price: Math.max(0, type === "call" ? F - K : K - F) };
+  }
+
+  const sqrtT = Math.sqrt(T);
+  const df = Math.exp(-r * T);
+  const d1 = (Math.log(F / K) + 0.5 * sigma * sigma * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const pdf = normalPDF(d1);
+
+  const price = type === "call"
+    ? df * (F * normalCDF(d1) - K * normalCDF(d2))
+    : df * (K * normalCDF(-d2) - F * normalCDF(-d1));
+  const delta = type === "call" ? df * normalCDF(d1) : -df * normalCDF(-d1);
+  const gamma = df * pdf / (F * sigma * sqrtT);
+  const theta = (r * price - df * F * pdf * sigma / (2 * sqrtT)) / 365;
+  const vega = df * F * pdf * sqrtT / 100;
+  const rho = -T * price / 100;
+
+  return { price, delta, gamma, theta, vega, rho };
+}
+
+/**
+ * Black-76 implied volatility — impliedVol() with black76 as the model.
+ *
+ * @returns {number} Lognormal implied vol (initialGuess when unsolvable)
+ */
+export function impliedVolBlack76(marketPrice, F, K, T, r, type = "call", initialGuess = 0.3) {
+  return impliedVol(marketPrice, F, K, T, r, type, 0, initialGuess, black76);
+}
+
+// ─── BACHELIER ──────────────────────────────────────────────────────────────
+
+/**
+ * Bachelier (normal) European option on a forward. Prices and Greeks stay
+ * well-defined for zero or negative forwards and strikes.
+ *
+ * @param {number} F      - Forward / futures price (may be ≤ 0)
+ * @param {number} K      - Strike price (may be ≤ 0)
+ * @param {number} T      - Time to expiration in years
+ * @param {number} r      - Risk-free rate used to discount the premium
+ * @param {number} sigmaN - Normal volatility in price units per √year
+ * @param {string} type   - "call" or "put"
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho }}
+ *   vega is per 1.00 of normal vol; theta per day; rho per 1% rate
+ */
+export function bachelier(F, K, T, r, sigmaN, type = "call") {
+  if (invalidInputs(F, K, T, r, sigmaN)) return { ...EMPTY_GREEKS };
+  if (T <= 0 || sigmaN <= 0) {
+    return { ...EMPTY_GREEKS, price: Math.max(0, type === "call" ? F - K : K - F) };
+  }
+
+  const sqrtT = Math.sqrt(T);
+  const df = Math.exp(-r * T);
+  const sd = sigmaN * sqrtT;
+  const d = (F - K) / sd;
+  const pdf = normalPDF(d);
+
+  const price = type === "call"
+    ? df * ((F - K) * normalCDF(d) + sd * pdf)
+    : df * ((K - F) * normalCDF(-d) + sd * pdf);
+  const delta = type === "call" ? df * normalCDF(d) : -df * normalCDF(-d);
+  const gamma = df * pdf / sd;
+  const theta = (r * price - df * sigmaN * pdf / (2 * sqrtT)) / 365;
+  const vega = df * sqrtT * pdf;
+  const rho = -T * price / 100;
+
+  return { price, delta, gamma, theta, vega, rho };
+}
+
+/**
+ * Solve for Bachelier normal vol: Newton-Raphson from the ATM approximation,
+ * falling back to bisection on a bracket that doubles until it holds the price.
+ *
+ * @returns {number|null} Normal vol in price units per √year, or null when the
+ *   price is at or below discounted intrinsic (no time value to solve for)
+ */
+export function impliedNormalVol(marketPrice, F, K, T, r, type = "call") {
+  if (!isFinite(marketPrice) || invalidInputs(F, K, T, r, 0) || T <= 0) return null;
+  const df = Math.exp(-r * T);
+  const intrinsic = df * Math.max(0, type === "call" ? F - K : K - F);
+  if (!(marketPrice > intrinsic)) return null;
+
+  // Tolerance on the time value: deep ITM, vega is tiny and a price-scaled tolerance leaves σN loose
+  const PRICE_TOL = 1e-8 * Math.min(1, marketPrice - intrinsic);
+  const sqrtT = Math.sqrt(T);
+
+  // Phase 1: Newton-Raphson — the price is convex enough in σN to converge quickly
+  let sigma = marketPrice * Math.sqrt(2 * Math.PI) / (df * sqrtT);
+  for (let i = 0; i < 50; i++) {
+    const b = bachelier(F, K, T, r, sigma, type);
+    const diff = b.price - marketPrice;
+    if (Math.abs(diff) < PRICE_TOL) return sigma;
+    if (b.vega < 1e-12) break;
+    const next = sigma - diff / b.vega;
+    if (!(next > 0)) break;
+    sigma = next;
+  }
+
+  // Phase 2: bisection
+  let lo = 0, hi = Math.max(sigma, Math.abs(F - K) + 1);
+  while (bachelier(F, K, T, r, hi, type).price < marketPrice && hi < 1e12) hi *= 2;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const diff = bachelier(F, K, T, r, mid, type).price - marketPrice;
+    if (Math.abs(diff) < PRICE_TOL) return mid;
+    if (diff > 0) hi = mid; else lo = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Normal vol equivalent to a lognormal vol at the forward (σN ≈ σ·F), the
+ * usual quick conversion when a lognormal quote is all there is.
+ */
+export function lognormalToNormalVol(sigma, F) {
+  return sigma * Math.abs(F);
+}
@@ -0,0 +1,378 @@
+/**
+ * Monte Carlo Path Simulator
+ *
+ * Seeded path generation for one or more underlyings — geometric Brownian
+ * motion with optional Merton jumps and Heston stochastic volatility — plus:
+ *   - path-dependent option pricing (European, Asian, lookback, barrier)
+ *   - scenario P&L for a book of positions across correlated underlyings
+ *   - distribution summaries (probability of profit, percentiles, histogram)
+ *     and percentile fan bands over time
+ *
+ * Every run is deterministic for a given seed, so results are reproducible
+ * in tests and across the Web Worker boundary (see workers/monteCarlo.worker.js).
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { blackScholes } from "./blackScholes.js";
+
+export const DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+
+// ─── RANDOM NUMBERS ─────────────────────────────────────────────────────────
+
+/**
+ * Seeded generator (mulberry32) with standard normals via Box-Muller and
+ * Poisson counts via Knuth's method (fine for the small λ·dt of jump models).
+ *
+ * @param {number} seed - Any integer; 0 is remapped to a fixed non-zero seed
+ * @returns {{ uniform, normal, poisson }}
+ */
+export function createRng(seed = 1) {
+  let a = (seed >>> 0) || 0x9e3779b9;
+  let spare = null;
+
+  const uniform = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const normal = () => {
+    if (spare !== null) { const z = spare; spare = null; return z; }
+    let u;
+    do { u = uniform(); } while (u <= 0);
+    const m = Math.sqrt(-2 * Math.log(u));
+    const th = 2 * Math.PI * uniform();
+    spare = m * Math.sin(th);
+    return m * Math.cos(th);
+  };
+
+  const poisson = (lambda) => {
+    if (!(lambda > 0)) return 0;
+    const L = Math.exp(-lambda);
+    let k = 0, p = 1;
+    do { k++; p *= uniform(); } while (p > L);
+    return k - 1;
+  };
+
+  return { uniform, normal, poisson };
+}
+
+// ─── PATHS ──────────────────────────────────────────────────────────────────
+
+/**
+ * Simulate price paths for several underlyings at once.
+ *
+ * Shocks are correlated through a single common factor: each asset's
+ * Brownian increment is √ρ·Z + √(1−ρ)·ε, giving pairwise correlation ρ.
+ * Jumps are idiosyncratic per asset.
+ *
+ * @param {object} opts
+ * @param {Array<{S0, sigma, mu?, q?}>} opts.assets - Spot, vol, drift (default r) and yield
+ * @param {number} opts.T             - Horizon in years
+ * @param {number} opts.steps         - Time steps per path
+ * @param {number} opts.paths         - Number of paths
+ * @param {number} [opts.r=0]         - Risk-free rate; the default drift (risk-neutral)
+ * @param {number} [opts.correlation=0] - Pairwise correlation between assets, in [0, 1)
+ * @param {number} [opts.seed=1]
+ * @param {object} [opts.jumps]       - Merton jumps { lambda (per year), mu, sigma } in log space
+ * @param {object} [opts.stochVol]    - Heston { kappa, theta?, xi, rho, v0? }; theta and v0
+ *                                      default to sigma², so each asset's sigma anchors its vol
+ *
+ * @returns {{ times: Float64Array, paths: Array<Array<Float64Array>> }}
+ *   paths[asset][path] is a Float64Array of steps + 1 prices starting at S0
+ */
+export function simulateMarket({ assets, T, steps, paths, r = 0, correlation = 0, seed = 1, jumps = null, stochVol = null }) {
+  const rng = createRng(seed);
+  const n = Math.max(1, Math.floor(steps));
+  const dt = T / n;
+  const sqdt = Math.sqrt(dt);
+  const rho = Math.min(0.999, Math.max(0, assets.length > 1 ? correlation : 0));
+  const wCommon = Math.sqrt(rho), wOwn = Math.sqrt(1 - rho);
+
+  const jumpRate = jumps && jumps.lambda > 0 ? jumps.lambda * dt : 0;
+  const jumpComp = jumpRate > 0 ? jumps.lambda * (Math.exp(jumps.mu + 0.5 * jumps.sigma * jumps.sigma) - 1) : 0;
+  const sv = stochVol && stochVol.xi >= 0 && stochVol.kappa >= 0 ? stochVol : null;
+  const svRho = sv ? Math.max(-0.999, Math.min(0.999, sv.rho || 0)) : 0;
+  const svOrth = Math.sqrt(1 - svRho * svRho);
+
+  const times = new Float64Array(n + 1);
+  for (let i = 0; i <= n; i++) times[i] = i * dt;
+
+  const out = assets.map(() => new Array(paths));
+  const logS = new Float64Array(assets.length);
+  const v = new Float64Array(assets.length);
+
+  for (let p = 0; p < paths; p++) {
+    assets.forEach((a, k) => {
+      const path = new Float64Array(n + 1);
+      path[0] = a.S0;
+      out[k][p] = path;
+      logS[k] = Math.log(a.S0);
+      v[k] = sv ? (sv.v0 != null ? sv.v0 : a.sigma * a.sigma) : a.sigma * a.sigma;
+    });
+
+    for (let i = 1; i <= n; i++) {
+      const common = rho > 0 ? rng.normal() : 0;
+      for (let k = 0; k < assets.length; k++) {
+        const a = assets[k];
+        const z = wCommon * common + wOwn * rng.normal();
+        const drift = (a.mu != null ? a.mu : r) - (a.q || 0) - jumpComp;
+        const vk = v[k] > 0 ? v[k] : 0; // full truncation
+        logS[k] += (drift - 0.5 * vk) * dt + Math.sqrt(vk) * sqdt * z;
+
+        if (sv) {
+          const theta = sv.theta != null ? sv.theta : a.sigma * a.sigma;
+          const zv = svRho * z + svOrth * rng.normal();
+          v[k] += sv.kappa * (theta - vk) * dt + sv.xi * Math.sqrt(vk) * sqdt * zv;
+        }
+        if (jumpRate > 0) {
+          const j = rng.poisson(jumpRate);
+          if (j > 0) logS[k] += j * jumps.mu + Math.sqrt(j) * jumps.sigma * rng.normal();
+        }
+        out[k][p][i] = Math.exp(logS[k]);
+      }
+    }
+  }
+  return { times, paths: out };
+}
+
+/**
+ * Single-underlying convenience wrapper around simulateMarket().
+ *
+ * @returns {{ times: Float64Array, paths: Array<Float64Array> }}
+ */
+export function simulatePaths({ S0, sigma, mu, q = 0, ...opts }) {
+  const { times, paths } = simulateMarket({ ...opts, assets: [{ S0, sigma, mu, q }] });
+  return { times, paths: paths[0] };
+}
+
+// ─── PAYOFFS ────────────────────────────────────────────────────────────────
+
+export const PAYOFF_STYLES = [
+  { key: "european", label: "European" },
+  { key: "asian", label: "Asian (avg price)" },
+  { key: "lookback", label: "Lookback (fixed strike)" },
+  { key: "barrier", label: "Barrier" },
+];
+
+export const BARRIER_TYPES = ["up-and-out", "up-and-in", "down-and-out", "down-and-in"];
+
+/**
+ * Per-share payoff of one path. Monitoring (average, extremes, barrier) is
+ * discrete at the simulation steps, excluding the starting price.
+ *
+ * @param {Float64Array} path
+ * @param {object} spec
+ * @param {string} spec.type        - "call" or "put"
+ * @param {number} spec.strike
+ * @param {string} [spec.style="european"] - "european", "asian", "lookback" or "barrier"
+ * @param {number} [spec.barrier]   - Barrier level (style "barrier")
+ * @param {string} [spec.barrierType="up-and-out"]
+ */
+export function pathPayoff(path, { type = "call", strike, style = "european", barrier = 0, barrierType = "up-and-out" }) {
+  const last = path[path.length - 1];
+  const vanilla = (x) => Math.max(0, type === "call" ? x - strike : strike - x);
+
+  if (style === "asian") {
+    let sum = 0;
+    for (let i = 1; i < path.length; i++) sum += path[i];
+    return vanilla(sum / (path.length - 1));
+  }
+  if (style === "lookback") {
+    let hi = -Infinity, lo = Infinity;
+    for (let i = 1; i < path.length; i++) { if (path[i] > hi) hi = path[i]; if (path[i] < lo) lo = path[i]; }
+    return vanilla(type === "call" ? hi : lo);
+  }
+  if (style === "barrier") {
+    const up = barrierType.startsWith("up");
+    let hit = false;
+    for (let i = 1; i < path.length && !hit; i++) hit = up ? path[i] >= barrier : path[i] <= barrier;
+    const knockIn = barrierType.endsWith("in");
+    return hit === knockIn ? vanilla(last) : 0;
+  }
+  return vanilla(last);
+}
+
+// ─── STATISTICS ─────────────────────────────────────────────────────────────
+
+// Linear-interpolated percentile (p in 0..100) of a sorted array
+function percentileSorted(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx), hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Summary of a sample distribution (e.g. terminal P&L).
+ *
+ * @param {ArrayLike<number>} values
+ * @param {object} [opts]
+ * @param {number[]} [opts.percentiles] - Percentiles to report, 0..100
+ * @param {number}   [opts.bins=40]     - Histogram bins
+ *
+ * @returns {{ n, mean, std, stderr, probProfit, min, max, percentiles: {[p]: value}, histogram: [{ x0, x1, count, freq }] }}
+ *   probProfit is the share of samples strictly above zero
+ */
+export function summarizeDistribution(values, { percentiles = DEFAULT_PERCENTILES, bins = 40 } = {}) {
+  const n = values.length;
+  if (n === 0) return { n: 0, mean: 0, std: 0, stderr: 0, probProfit: 0, min: 0, max: 0, percentiles: {}, histogram: [] };
+  const sorted = Float64Array.from(values).sort();
+  let sum = 0, wins = 0;
+  for (let i = 0; i < n; i++) { sum += sorted[i]; if (sorted[i] > 0) wins++; }
+  const mean = sum / n;
+  let ss = 0;
+  for (let i = 0; i < n; i++) ss += (sorted[i] - mean) ** 2;
+  const std = n > 1 ? Math.sqrt(ss / (n - 1)) : 0;
+
+  const pct = {};
+  for (const p of percentiles) pct[p] = percentileSorted(sorted, p);
+
+  const min = sorted[0], max = sorted[n - 1];
+  const width = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ x0: min + i * width, x1: min + (i + 1) * width, count: 0, freq: 0 }));
+  for (let i = 0; i < n; i++) histogram[Math.min(bins - 1, Math.floor((sorted[i] - min) / width))].count++;
+  for (const b of histogram) b.freq = b.count / n;
+
+  return { n, mean, std, stderr: std / Math.sqrt(n), probProfit: wins / n, min, max, percentiles: pct, histogram };
+}
+
+/**
+ * Percentile bands across paths over time.
+ *
+ * @param {number} count           - Number of paths
+ * @param {Float64Array} times
+ * @param {Function} valueAt       - (pathIndex, stepIndex) => value
+ * @param {object} [opts]
+ * @param {number[]} [opts.percentiles]
+ * @param {number} [opts.points=40] - Max time points sampled (always includes both ends)
+ *
+ * @returns {Array<{ t, [pNN]: value }>} e.g. { t, p5, p25, p50, p75, p95 }
+ */
+export function fanBands(count, times, valueAt, { percentiles = DEFAULT_PERCENTILES, points = 40 } = {}) {
+  const n = times.length - 1;
+  const stride = Math.max(1, Math.ceil(n / points));
+  const idx = [];
+  for (let i = 0; i < n; i += stride) idx.push(i);
+  idx.push(n);
+
+  const col = new Float64Array(count);
+  return idx.map(i => {
+    for (let p = 0; p < count; p++) col[p] = valueAt(p, i);
+    col.sort();
+    const row = { t: times[i] };
+    for (const q of percentiles) row[`p${q}`] = percentileSorted(col, q);
+    return row;
+  });
+}
+
+// ─── OPTION PRICING ─────────────────────────────────────────────────────────
+
+/**
+ * Price an option by simulation and describe its P&L at expiry.
+ *
+ * @param {object} opts - simulatePaths() inputs (S0, sigma, T, steps, paths, r, q, seed,
+ *                        jumps, stochVol) plus the pathPayoff() spec (type, strike, style,
+ *                        barrier, barrierType) and:
+ * @param {number} [opts.premium] - Entry price per share for the P&L distribution
+ *                                  (default: the simulated fair value)
+ * @param {string} [opts.side="long"]
+ * @param {number[]} [opts.percentiles]
+ *
+ * @returns {{ price, stderr, probITM, pnl, fan }}
+ *   - price/stderr: discounted mean payoff and its standard error
+ *   - pnl: summarizeDistribution() of per-share P&L at expiry
+ *   - fan: underlying price bands over time
+ */
+export function priceMonteCarlo(opts) {
+  const { T, r = 0, side = "long", percentiles = DEFAULT_PERCENTILES } = opts;
+  const { times, paths } = simulatePaths(opts);
+  const disc = Math.exp(-r * T);
+  const payoffs = new Float64Array(paths.length);
+  let sum = 0, sumSq = 0, itm = 0;
+  for (let p = 0; p < paths.length; p++) {
+    const x = pathPayoff(paths[p], opts);
+    payoffs[p] = x;
+    sum += x; sumSq += x * x;
+    if (x > 0) itm++;
+  }
+  const n = paths.length;
+  const mean = sum / n;
+  const variance = n > 1 ? (sumSq - n * mean * mean) / (n - 1) : 0;
+  const price = disc * mean;
+
+  const premium = opts.premium != null ? opts.premium : price;
+  const sign = side === "short" ? -1 : 1;
+  const pnl = payoffs.map(x => sign * (x - premium));
+
+  return {
+    price,
+    stderr: disc * Math.sqrt(Math.max(0, variance) / n),
+    probITM: itm / n,
+    pnl: summarizeDistribution(pnl, { percentiles }),
+    fan: fanBands(n, times, (p, i) => paths[p][i], { percentiles }),
+  };
+}
+
+// ─── PORTFOLIO SCENARIOS ────────────────────────────────────────────────────
+
+/**
+ * Value of one position at price S with `tau` years left on its options.
+ * Underlying positions are worth qty × S; options are Black-Scholes at their
+ * IV (intrinsic once expired). qty is signed and includes any multiplier.
+ */
+export function positionValue(pos, S, tau, r = 0) {
+  if (pos.kind === "underlying") return pos.qty * S;
+  const K = pos.strike;
+  if (tau <= 0) return pos.qty * Math.max(0, pos.kind === "call" ? S - K : K - S);
+  return pos.qty * blackScholes(S, K, tau, r, pos.iv, pos.kind, pos.q || 0).price;
+}
+
+/**
+ * Simulate a book of positions over a horizon and report the distribution
+ * of P&L relative to today's model value.
+ *
+ * @param {object} opts
+ * @param {Array<{key, S0, sigma, mu?, q?}>} opts.assets
+ * @param {Array<{key, kind, qty, strike?, T?, iv?}>} opts.positions
+ *   kind "underlying", "call" or "put"; T is years to expiry today
+ * @param {number} opts.horizon       - Years to simulate
+ * @param {number} [opts.steps=20]
+ * @param {number} [opts.paths=2000]
+ * @param {number} [opts.r=0]
+ * @param {number} [opts.correlation=0]
+ * @param {number} [opts.seed=1]
+ * @param {object} [opts.jumps]
+ * @param {object} [opts.stochVol]
+ * @param {number[]} [opts.percentiles]
+ *
+ * @returns {{ startValue, pnl, fan }}
+ *   - pnl: summarizeDistribution() of P&L at the horizon
+ *   - fan: P&L percentile bands over time
+ */
+export function runScenario({ assets, positions, horizon, steps = 20, paths = 2000, r = 0, correlation = 0, seed = 1, jumps = null, stochVol = null, percentiles = DEFAULT_PERCENTILES }) {
+  const index = new Map(assets.map((a, i) => [a.key, i]));
+  const book = positions.filter(p => index.has(p.key));
+  const sim = simulateMarket({ assets, T: horizon, steps, paths, r, correlation, seed, jumps, stochVol });
+  const { times } = sim;
+
+  const startValue = book.reduce((s, pos) => s + positionValue(pos, assets[index.get(pos.key)].S0, pos.T || 0, r), 0);
+  const valueAt = (p, i) => {
+    let v = 0;
+    for (const pos of book) v += positionValue(pos, sim.paths[index.get(pos.key)][p][i], (pos.T || 0) - times[i], r);
+    return v - startValue;
+  };
+
+  const n = times.length - 1;
+  const terminal = new Float64Array(paths);
+  for (let p = 0; p < paths; p++) terminal[p] = valueAt(p, n);
+
+  return {
+    startValue,
+    pnl: summarizeDistribution(terminal, { percentiles }),
+    fan: fanBands(paths, times, valueAt, { percentiles, points: Math.min(steps, 30) }),
+  };
+}
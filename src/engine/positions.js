@@ -0,0 +1,131 @@
+/**
+ * Option Position Valuation
+ *
+ * Values a held option contract (a Portfolio holding with assetClass
+ * "option") from its underlying price: mark, market value, P&L and
+ * position-level Greeks, plus settlement to intrinsic at expiry.
+ *
+ * Holding fields used:
+ *   underlying, strike, expiry ("YYYY-MM-DD"), optionType ("call" | "put"),
+ *   multiplier (shares per contract), side ("long" | "short"),
+ *   qty (contracts), costBasis (premium per share), iv (decimal),
+ *   underlyingType ("equity" | "crypto"; crypto contracts expire at 08:00 UTC)
+ *
+ * Short positions carry negative value and Greeks, so summing across a book
+ * gives net exposure.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { blackScholes } from "./blackScholes.js";
+import { yearsToExpiry, EXPIRY_HOUR_UTC } from "../utils/dates.js";
+
+export const DEFAULT_MULTIPLIER = 100;
+
+// ─── CONTRACT HELPERS ───────────────────────────────────────────────────────
+
+/**
+ * Display symbol for a contract, e.g. "MSTR 2025-03-21 400C".
+ */
+export function optionSymbol({ underlying, expiry, strike, optionType }) {
+  return `${String(underlying || "").toUpperCase()} ${expiry} ${strike}${optionType === "put" ? "P" : "C"}`;
+}
+
+/**
+ * Signed number of underlying units the position controls per $1 of option
+ * price: ±qty × multiplier (negative when short).
+ */
+export function positionScale(holding) {
+  const sign = holding.side === "short" ? -1 : 1;
+  return sign * (holding.qty || 0) * (holding.multiplier || DEFAULT_MULTIPLIER);
+}
+
+/**
+ * Years until the holding expires: 08:00 UTC on the expiry date for crypto
+ * underlyings (Deribit's settlement time), the 21:00 UTC close otherwise.
+ */
+export function holdingYearsToExpiry(holding, now = Date.now()) {
+  const hour = holding.underlyingType === "crypto" ? EXPIRY_HOUR_UTC.crypto : EXPIRY_HOUR_UTC.equity;
+  return yearsToExpiry(holding.expiry, now, hour);
+}
+
+/** Intrinsic value per share at underlying price S. */
+export function intrinsicValue(holding, S) {
+  return Math.max(0, holding.optionType === "put" ? holding.strike - S : S - holding.strike);
+}
+
+// ─── VALUATION ──────────────────────────────────────────────────────────────
+
+/**
+ * Value an option holding at underlying price S.
+ *
+ * The mark is the chain mid when one is supplied, otherwise Black-Scholes at
+ * the holding's IV (or `iv` when given, e.g. the chain's mid IV). Greeks
+ * always come from Black-Scholes at that IV.
+ *
+ * @param {object} holding - Option holding (see module header)
+ * @param {number} S       - Underlying price
+ * @param {object} [opts]
+ * @param {number} [opts.r=0.045] - Risk-free rate
+ * @param {number} [opts.q=0]     - Dividend yield
+ * @param {number} [opts.mid]     - Chain mid per share; used as the mark when > 0
+ * @param {number} [opts.iv]      - IV override for pricing and Greeks
+ * @param {number} [opts.now]     - Valuation time in ms (default Date.now())
+ *
+ * @returns {{ T, iv, mark, source, marketValue, costTotal, pnl, pnlPct, delta, gamma, theta, vega }}
+ *   - source: "chain", "model" or "intrinsic" (expired)
+ *   - marketValue, costTotal, pnl: signed dollars for the whole position
+ *   - delta: share-equivalent delta; gamma: change in that delta per $1
+ *   - theta: $ per day; vega: $ per 1 vol point
+ */
+export function valueOptionPosition(holding, S, { r = 0.045, q = 0, mid = null, iv = null, now = Date.now() } = {}) {
+  const scale = positionScale(holding);
+  const T = holdingYearsToExpiry(holding, now);
+  const sigma = iv > 0 ? iv : holding.iv || 0;
+  const g = blackScholes(S, holding.strike, T, r, sigma, holding.optionType, q);
+
+  let mark, source;
+  if (T <= 0) { mark = intrinsicValue(holding, S); source = "intrinsic"; }
+  else if (mid > 0) { mark = mid; source = "chain"; }
+  else { mark = g.price; source = "model"; }
+
+  const marketValue = mark * scale;
+  const costTotal = (holding.costBasis || 0) * scale;
+  const pnl = marketValue - costTotal;
+  return {
+    T,
+    iv: sigma,
+    mark,
+    source,
+    marketValue,
+    costTotal,
+    pnl,
+    pnlPct: costTotal !== 0 ? pnl / Math.abs(costTotal) : 0,
+    delta: g.delta * scale,
+    gamma: g.gamma * scale,
+    theta: g.theta * scale,
+    vega: g.vega * scale,
+  };
+}
+
+// ─── SETTLEMENT ─────────────────────────────────────────────────────────────
+
+/**
+ * Settle an expired holding to intrinsic at underlying price S.
+ *
+ * @returns {{ exitPrice, realizedPnl, pnlPct, cashFlow }}
+ *   - exitPrice: intrinsic per share
+ *   - cashFlow: signed cash from settlement (paid out when short and ITM)
+ */
+export function settleOptionPosition(holding, S) {
+  const scale = positionScale(holding);
+  const exitPrice = intrinsicValue(holding, S);
+  const cost = holding.costBasis || 0;
+  const realizedPnl = (exitPrice - cost) * scale;
+  return {
+    exitPrice,
+    realizedPnl,
+    pnlPct: cost > 0 ? (exitPrice - cost) / cost * Math.sign(scale || 1) : 0,
+    cashFlow: exitPrice * scale,
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Roll Planning Engine
+ *
+ * Chains sequential options to hold exposure past the longest listed expiry.
+ * Given a starting leg, a daily price path and a flat vol, a schedule holds
+ * each option until its days to expiry fall to a threshold, then sells it and
+ * buys a new one `tenor` days out at a strike chosen by a rule, accumulating
+ * roll debits and friction. optimizeRolls() runs a grid of thresholds,
+ * tenors and strike rules and ranks the schedules by final P&L.
+ *
+ * Options are marked with Black-Scholes at the flat vol; days are calendar
+ * days with day 0 = today.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { blackScholes } from "./blackScholes.js";
+import { roundStrike } from "./strategy.js";
+
+export const PATH_SHAPES = [
+  { key: "flat", label: "Flat" },
+  { key: "drift", label: "Drift" },
+  { key: "custom", label: "Drawn" },
+];
+
+export const STRIKE_RULES = [
+  { key: "same", label: "Same strike" },
+  { key: "moneyness", label: "Keep moneyness" },
+  { key: "atm", label: "At the money" },
+];
+
+// ─── PRICE PATHS ────────────────────────────────────────────────────────────
+
+/**
+ * Daily price path for the planning horizon.
+ *
+ * - flat:   S0 every day
+ * - drift:  S0 · (1 + drift)^(day / 365), drift an annual decimal
+ * - custom: log-linear through anchors [{ day, price }], starting from S0 at
+ *           day 0 unless an anchor sets it; flat past the last anchor
+ *
+ * @returns {number[]} days + 1 prices, index = day
+ */
+export function buildPricePath({ S0, days, shape = "flat", drift = 0, anchors = [] }) {
+  const n = Math.max(0, Math.round(days));
+  const path = new Array(n + 1);
+  if (shape === "drift") {
+    const g = Math.log(1 + drift);
+    for (let d = 0; d <= n; d++) path[d] = S0 * Math.exp(g * d / 365);
+    return path;
+  }
+  if (shape !== "custom" || anchors.length === 0) return path.fill(S0);
+
+  const pts = anchors.filter(a => a.price > 0 && a.day >= 0).sort((a, b) => a.day - b.day);
+  if (pts.length === 0 || pts[0].day > 0) pts.unshift({ day: 0, price: S0 });
+  let seg = 0;
+  for (let d = 0; d <= n; d++) {
+    while (seg < pts.length - 2 && d > pts[seg + 1].day) seg++;
+    const a = pts[seg], b = pts[seg + 1];
+    if (!b || d >= b.day) { path[d] = (b || a).price; continue; }
+    const w = (d - a.day) / (b.day - a.day);
+    path[d] = Math.exp(Math.log(a.price) + w * (Math.log(b.price) - Math.log(a.price)));
+  }
+  return path;
+}
+
+// ─── ROLL SIMULATION ────────────────────────────────────────────────────────
+
+// Snap a new strike to the listing increment (no rounding when step ≤ 0)
+function listedStrike(K, step) {
+  return step > 0 ? roundStrike(K, step) : K;
+}
+
+function markOption(type, S, K, dte, r, sigma, q) {
+  if (dte <= 0) return Math.max(0, type === "call" ? S - K : K - S);
+  return blackScholes(S, K, dte / 365, r, sigma, type, q).price;
+}
+
+/**
+ * Simulate one roll schedule along a price path.
+ *
+ * @param {object} opts
+ * @param {object} opts.leg - { type, strike, dte, qty = 1, multiplier = 100, side = "long", entryPrice? }
+ *   dte is days to expiry of the starting option; entryPrice (per share)
+ *   defaults to its model price on day 0
+ * @param {number[]} opts.path - Daily prices from buildPricePath()
+ * @param {number} opts.sigma  - Flat vol used to mark every option
+ * @param {number} [opts.r=0]
+ * @param {number} [opts.q=0]
+ * @param {number|null} opts.rollAtDte - Roll once days to expiry fall to this; null never rolls
+ *   (an expired leg settles to intrinsic and is held as cash)
+ * @param {number} opts.tenor          - Days to expiry of each new option; must exceed rollAtDte
+ * @param {string} [opts.strikeRule="same"] - See STRIKE_RULES; moneyness keeps the starting K / S
+ * @param {number} [opts.strikeStep=0]      - Listing increment new strikes are rounded to
+ * @param {number} [opts.slippage=0]        - Fraction of premium lost on each trade of a roll
+ *
+ * @returns {{ rolls, entryCost, rollCost, friction, finalValue, finalStrike, finalDte, pnl } | null}
+ *   rolls: [{ day, S, closeStrike, closePrice, openStrike, openPrice, openDte, net }], prices
+ *   per share with net = open − close; money totals are for the whole position (signed
+ *   for shorts). null when tenor ≤ rollAtDte.
+ */
+export function simulateRollSchedule({ leg, path, sigma, r = 0, q = 0, rollAtDte, tenor, strikeRule = "same", strikeStep = 0, slippage = 0 }) {
+  if (rollAtDte != null && !(tenor > rollAtDte)) return null;
+  const { type, qty = 1, multiplier = 100, side = "long" } = leg;
+  const scale = (side === "short" ? -1 : 1) * qty * multiplier;
+  const horizon = path.length - 1;
+  const S0 = path[0];
+
+  let strike = leg.strike;
+  let expiryDay = leg.dte;
+  const entryPrice = leg.entryPrice != null ? leg.entryPrice : markOption(type, S0, strike, expiryDay, r, sigma, q);
+  const rolls = [];
+  let rollCost = 0, friction = 0;
+  let settled = null; // cash value of an expired, un-rolled leg
+
+  for (let day = 0; day < horizon; day++) {
+    const dte = expiryDay - day;
+    if (rollAtDte == null) {
+      if (dte <= 0) { settled = scale * markOption(type, path[day], strike, 0, r, sigma, q); break; }
+      continue;
+    }
+    if (dte > rollAtDte) continue;
+
+    const S = path[day];
+    const closePrice = markOption(type, S, strike, dte, r, sigma, q);
+    const target = strikeRule === "atm" ? S : strikeRule === "moneyness" ? S * leg.strike / S0 : strike;
+    const openStrike = listedStrike(target, strikeStep);
+    const openPrice = markOption(type, S, openStrike, tenor, r, sigma, q);
+    const net = openPrice - closePrice;
+    rolls.push({ day, S, closeStrike: strike, closePrice, openStrike, openPrice, openDte: tenor, net });
+    rollCost += scale * net;
+    friction += Math.abs(scale) * slippage * (openPrice + closePrice);
+    strike = openStrike;
+    expiryDay = day + tenor;
+  }
+
+  const finalDte = Math.max(0, expiryDay - horizon);
+  const finalValue = settled != null ? settled : scale * markOption(type, path[horizon], strike, finalDte, r, sigma, q);
+  const entryCost = scale * entryPrice;
+  return {
+    rolls, entryCost, rollCost, friction, finalValue,
+    finalStrike: strike, finalDte,
+    pnl: finalValue - entryCost - rollCost - friction,
+  };
+}
+
+/**
+ * Run every combination of roll threshold, tenor and strike rule (plus a
+ * never-roll baseline) and rank the schedules by final P&L.
+ *
+ * @param {object} opts - simulateRollSchedule() options, minus the schedule fields
+ * @param {number[]} [opts.thresholds=[7, 14, 30, 60, 90]] - rollAtDte values to try
+ * @param {number[]} [opts.tenors=[90, 180, 365, 730]]     - New-option DTEs to try
+ * @param {string[]} [opts.strikeRules]                    - Defaults to all STRIKE_RULES
+ *
+ * @returns {Array<{ rollAtDte, tenor, strikeRule, ...schedule }>} best first
+ */
+export function optimizeRolls({ thresholds = [7, 14, 30, 60, 90], tenors = [90, 180, 365, 730], strikeRules = STRIKE_RULES.map(s => s.key), ...opts }) {
+  const out = [];
+  const hold = simulateRollSchedule({ ...opts, rollAtDte: null, tenor: 0 });
+  out.push({ rollAtDte: null, tenor: null, strikeRule: null, ...hold });
+  for (const rollAtDte of thresholds) {
+    for (const tenor of tenors) {
+      for (const strikeRule of strikeRules) {
+        const s = simulateRollSchedule({ ...opts, rollAtDte, tenor, strikeRule });
+        if (s) out.push({ rollAtDte, tenor, strikeRule, ...s });
+      }
+    }
+  }
+  return out.sort((a, b) => b.pnl - a.pnl);
+}
@@ -0,0 +1,376 @@
+/**
+ * Multi-Leg Strategy Engine
+ *
+ * Represents a position as a list of legs (options and/or underlying) and
+ * aggregates pricing, Greeks, payoff curves, breakevens and max profit/loss.
+ * Option legs are priced with blackScholes(); each leg may carry its own
+ * expiry and IV, so calendars and diagonals work the same as verticals.
+ * A call or put leg may also be a digital or single-barrier option
+ * (exotics.js), for barrier-style structured products.
+ * Wherever a strategy-wide `sigma` is taken it may also be a vol surface
+ * function `(K, T) => iv` (see volSurface.js) instead of a flat number.
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { blackScholes } from "./blackScholes.js";
+import { EXOTIC_TYPES, isBarrierType, exoticGreeks } from "./exotics.js";
+
+// ─── LEGS ───────────────────────────────────────────────────────────────────
+
+/**
+ * Build a normalized leg.
+ *
+ * @param {object} leg
+ * @param {string} leg.side    - "long" or "short"
+ * @param {string} leg.kind    - "call", "put" or "underlying"
+ * @param {number} leg.strike  - Strike price (ignored for underlying)
+ * @param {number} leg.T       - Time to expiration in years (ignored for underlying)
+ * @param {number} leg.qty     - Number of units (default 1)
+ * @param {number} leg.premium - Entry price per unit (option premium, or share cost)
+ * @param {number} [leg.iv]    - Per-leg volatility override; falls back to the strategy sigma
+ * @param {string} [leg.exotic] - Exotic payoff for a call/put: a key of EXOTIC_TYPES
+ *                                ("cash", "asset", "down-in", "down-out", "up-in", "up-out")
+ * @param {number} [leg.barrier] - Barrier level, for the barrier types
+ * @param {number} [leg.payout]  - Cash-or-nothing payout (default 1) or barrier rebate (default 0)
+ */
+export function createLeg({ side = "long", kind = "call", strike = 0, T = 0, qty = 1, premium = 0, iv = null, exotic = null, barrier = 0, payout = null } = {}) {
+  const normalizedKind = kind === "put" || kind === "underlying" ? kind : "call";
+  const ex = normalizedKind !== "underlying" && EXOTIC_TYPES.some(e => e.key === exotic) ? exotic : null;
+  return {
+    side: side === "short" ? "short" : "long",
+    kind: normalizedKind,
+    strike: Number(strike) || 0,
+    T: Math.max(0, Number(T) || 0),
+    qty: Math.abs(Number(qty) || 0),
+    premium: Number(premium) || 0,
+    iv: iv != null && isFinite(iv) && iv > 0 ? Number(iv) : null,
+    exotic: ex,
+    barrier: isBarrierType(ex) ? Math.max(0, Number(barrier) || 0) : 0,
+    payout: ex === "cash" ? (payout == null || payout === "" ? 1 : Number(payout) || 0) : isBarrierType(ex) ? Math.max(0, Number(payout) || 0) : 0,
+  };
+}
+
+function legSign(leg) {
+  return leg.side === "short" ? -1 : 1;
+}
+
+/**
+ * Volatility for an option leg: its own IV override, else the strategy sigma —
+ * evaluated at (strike, remaining time) when sigma is a surface function.
+ */
+export function resolveVol(sigma, K, T, override = null) {
+  if (override != null) return override;
+  return typeof sigma === "function" ? sigma(K, T) : sigma;
+}
+
+const EMPTY_AGG = Object.freeze({ price: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 });
+
+/**
+ * Value and Greeks of a single unit of a leg, `t` years after entry.
+ * Underlying legs are worth S with delta 1; options past expiry are intrinsic.
+ * Exotic legs take finite-difference Greeks from exotics.js; a barrier is
+ * judged on S alone, so at expiry it counts as breached only if S is beyond it.
+ */
+export function legGreeks(leg, S, r, sigma, q = 0, t = 0) {
+  if (leg.kind === "underlying") return { ...EMPTY_AGG, price: S, delta: 1 };
+  const remaining = Math.max(0, leg.T - t);
+  const vol = resolveVol(sigma, leg.strike, remaining, leg.iv);
+  if (leg.exotic) return exoticGreeks(leg, S, leg.strike, remaining, r, vol, leg.kind, q);
+  return blackScholes(S, leg.strike, remaining, r, vol, leg.kind, q);
+}
+
+// ─── AGGREGATES ─────────────────────────────────────────────────────────────
+
+/**
+ * Net cost to open the position. Positive = debit paid, negative = credit received.
+ */
+export function netPremium(legs) {
+  return legs.reduce((sum, leg) => sum + legSign(leg) * leg.qty * leg.premium, 0);
+}
+
+/**
+ * Aggregate mark-to-model value and Greeks across all legs.
+ * `price` is the net position value (short legs count negative).
+ *
+ * @returns {{ price, delta, gamma, theta, vega, rho }}
+ */
+export function strategyGreeks(legs, S, r, sigma, q = 0, t = 0) {
+  const agg = { ...EMPTY_AGG };
+  for (const leg of legs) {
+    const g = legGreeks(leg, S, r, sigma, q, t);
+    const w = legSign(leg) * leg.qty;
+    for (const k of Object.keys(agg)) agg[k] += w * g[k];
+  }
+  return agg;
+}
+
+/**
+ * Position P&L at underlying price S, `t` years after entry.
+ */
+export function strategyPnl(legs, S, r, sigma, q = 0, t = 0) {
+  return strategyGreeks(legs, S, r, sigma, q, t).price - netPremium(legs);
+}
+
+/**
+ * Time of the first option expiry in the position (years), or 0 if none.
+ * "At expiry" analysis is evaluated here — later-dated legs keep their time value.
+ */
+export function firstExpiry(legs) {
+  const Ts = legs.filter(l => l.kind !== "underlying").map(l => l.T);
+  return Ts.length > 0 ? Math.min(...Ts) : 0;
+}
+
+// ─── PAYOFF CURVE ───────────────────────────────────────────────────────────
+
+/**
+ * P&L curve at the first expiry and "today" (or any evaluation time) across a price range.
+ *
+ * @param {object[]} legs
+ * @param {object}   opts
+ * @param {number}   opts.S      - Current underlying price (centre of the default range)
+ * @param {number}   opts.r      - Risk-free rate
+ * @param {number|Function} opts.sigma - Volatility (or surface) for legs without their own IV
+ * @param {number}   [opts.q]    - Dividend yield
+ * @param {number}   [opts.t]    - Years elapsed for the "today" curve (default 0)
+ * @param {number}   [opts.lo]   - Range start (default 0.5 × S)
+ * @param {number}   [opts.hi]   - Range end (default 1.5 × S)
+ * @param {number}   [opts.steps] - Number of intervals (default 120)
+ *
+ * @returns {Array<{ S, expiry, today }>}
+ */
+export function payoffCurve(legs, { S, r, sigma, q = 0, t = 0, lo, hi, steps = 120 }) {
+  const from = lo ?? S * 0.5;
+  const to = hi ?? S * 1.5;
+  const tExp = firstExpiry(legs);
+  const pts = [];
+  for (let i = 0; i <= steps; i++) {
+    const x = from + (to - from) * i / steps;
+    pts.push({
+      S: x,
+      expiry: strategyPnl(legs, x, r, sigma, q, tExp),
+      today: strategyPnl(legs, x, r, sigma, q, t),
+    });
+  }
+  return pts;
+}
+
+/**
+ * Underlying prices where the P&L at first expiry crosses zero.
+ * Scans from 0 to well beyond the highest strike, so breakevens outside
+ * the charted range are still found.
+ */
+export function breakevens(legs, r, sigma, q = 0) {
+  const strikes = legs.filter(l => l.kind !== "underlying").map(l => l.strike);
+  const ref = Math.max(1, ...strikes, ...legs.map(l => l.premium));
+  const tExp = firstExpiry(legs);
+  const hi = ref * 4;
+  const steps = 2000;
+  const out = [];
+
+  let prevX = 0;
+  let prevY = strategyPnl(legs, 0, r, sigma, q, tExp);
+  for (let i = 1; i <= steps; i++) {
+    const x = hi * i / steps;
+    const y = strategyPnl(legs, x, r, sigma, q, tExp);
+    if ((prevY < 0 && y >= 0) || (prevY > 0 && y <= 0)) {
+      // Linear interpolation between the bracketing samples
+      const be = prevX + (x - prevX) * (-prevY / (y - prevY));
+      if (!out.some(v => Math.abs(v - be) < hi / steps)) out.push(be);
+    }
+    prevX = x; prevY = y;
+  }
+  return out;
+}
+
+/**
+ * Max profit and max loss at first expiry.
+ * Unbounded sides are reported as +Infinity / -Infinity.
+ *
+ * @returns {{ maxProfit, maxLoss }}
+ */
+export function maxProfitLoss(legs, r, sigma, q = 0) {
+  const strikes = legs.filter(l => l.kind !== "underlying").map(l => l.strike);
+  const ref = Math.max(1, ...strikes, ...legs.map(l => l.premium));
+  const tExp = firstExpiry(legs);
+  const hi = ref * 4;
+  const pnl = (x) => strategyPnl(legs, x, r, sigma, q, tExp);
+
+  // Piecewise-linear for single-expiry positions, so strikes + endpoints suffice;
+  // a dense grid covers later-dated legs that still carry time value.
+  const xs = [0, hi, ...strikes];
+  for (let i = 1; i < 400; i++) xs.push(hi * i / 400);
+
+  let maxProfit = -Infinity, maxLoss = Infinity;
+  for (const x of xs) {
+    const y = pnl(x);
+    if (y > maxProfit) maxProfit = y;
+    if (y < maxLoss) maxLoss = y;
+  }
+
+  // Slope far above the highest strike decides whether the upside is unbounded
+  const slope = (pnl(hi * 2) - pnl(hi)) / hi;
+  if (slope > 1e-6) maxProfit = Infinity;
+  if (slope < -1e-6) maxLoss = -Infinity;
+
+  return { maxProfit, maxLoss };
+}
+
+/**
+ * Full strategy analysis in one call — what the builder UI renders.
+ */
+export function analyzeStrategy(legs, { S, r, sigma, q = 0, t = 0, lo, hi, steps }) {
+  return {
+    cost: netPremium(legs),
+    greeks: strategyGreeks(legs, S, r, sigma, q, t),
+    curve: payoffCurve(legs, { S, r, sigma, q, t, lo, hi, steps }),
+    breakevens: breakevens(legs, r, sigma, q),
+    ...maxProfitLoss(legs, r, sigma, q),
+  };
+}
+
+// ─── P&L SURFACE ────────────────────────────────────────────────────────────
+
+const MIN_VOL = 0.01;
+
+/**
+ * Shift every option leg's vol by `shift` (absolute, 0.05 = +5 vol points),
+ * whether it comes from a leg override or the strategy sigma / surface.
+ * Shifted vols are floored at 1%.
+ *
+ * @returns {{ legs, sigma }}
+ */
+export function shiftVol(legs, sigma, shift) {
+  if (!shift) return { legs, sigma };
+  const bump = (v) => Math.max(MIN_VOL, v + shift);
+  return {
+    legs: legs.map(l => l.iv != null ? { ...l, iv: bump(l.iv) } : l),
+    sigma: typeof sigma === "function" ? (K, T) => bump(sigma(K, T)) : bump(sigma),
+  };
+}
+
+/**
+ * P&L on a grid of price moves × calendar days for one or more positions.
+ * Each group is a strategy on its own underlying; every underlying moves by
+ * the same percentage, so a multi-underlying book is stressed in one grid.
+ *
+ * @param {Array<{ S, legs, sigma, q? }>} groups
+ * @param {object}   opts
+ * @param {number[]} opts.moves     - Fractional price moves (−0.2 = −20%)
+ * @param {number[]} opts.days      - Calendar days from today
+ * @param {number}   opts.r         - Risk-free rate
+ * @param {number}   [opts.ivShift] - Absolute vol shift applied to every leg (default 0)
+ *
+ * @returns {{ moves, days, grid, min, max }} grid[i][j] is the P&L on days[i] at moves[j]
+ */
+export function pnlGrid(groups, { moves, days, r, ivShift = 0 }) {
+  const shifted = groups.map(g => ({ ...g, ...shiftVol(g.legs, g.sigma, ivShift) }));
+  let min = Infinity, max = -Infinity;
+  const grid = days.map(d => moves.map(m => {
+    let pnl = 0;
+    for (const g of shifted) pnl += strategyPnl(g.legs, g.S * (1 + m), r, g.sigma, g.q || 0, d / 365);
+    if (pnl < min) min = pnl;
+    if (pnl > max) max = pnl;
+    return pnl;
+  }));
+  return { moves, days, grid, min, max };
+}
+
+// ─── PRESETS ────────────────────────────────────────────────────────────────
+
+/**
+ * Listed-strike increment appropriate for an underlying price
+ * (e.g. $5 for a $300 stock, $500 for a $100k BTC).
+ */
+export function strikeStep(S) {
+  if (!(S > 0)) return 1;
+  return 5 * Math.pow(10, Math.floor(Math.log10(S)) - 2);
+}
+
+export function roundStrike(x, step) {
+  return Math.max(step, Math.round(x / step) * step);
+}
+
+// Each preset lists its legs relative to the ATM strike: `offset` is in
+// "widths", `dT` multiplies the base expiry (calendars use a 2× back month).
+const PRESET_DEFS = {
+  bullCallSpread: {
+    label: "Bull Call Spread",
+    legs: [{ side: "long", kind: "call", offset: 0 }, { side: "short", kind: "call", offset: 1 }],
+  },
+  bearPutSpread: {
+    label: "Bear Put Spread",
+    legs: [{ side: "long", kind: "put", offset: 0 }, { side: "short", kind: "put", offset: -1 }],
+  },
+  longStraddle: {
+    label: "Long Straddle",
+    legs: [{ side: "long", kind: "call", offset: 0 }, { side: "long", kind: "put", offset: 0 }],
+  },
+  longStrangle: {
+    label: "Long Strangle",
+    legs: [{ side: "long", kind: "call", offset: 1 }, { side: "long", kind: "put", offset: -1 }],
+  },
+  callButterfly: {
+    label: "Call Butterfly",
+    legs: [
+      { side: "long", kind: "call", offset: -1 },
+      { side: "short", kind: "call", offset: 0, qty: 2 },
+      { side: "long", kind: "call", offset: 1 },
+    ],
+  },
+  ironCondor: {
+    label: "Iron Condor",
+    legs: [
+      { side: "long", kind: "put", offset: -2 },
+      { side: "short", kind: "put", offset: -1 },
+      { side: "short", kind: "call", offset: 1 },
+      { side: "long", kind: "call", offset: 2 },
+    ],
+  },
+  callCalendar: {
+    label: "Call Calendar",
+    legs: [{ side: "short", kind: "call", offset: 0 }, { side: "long", kind: "call", offset: 0, dT: 2 }],
+  },
+  coveredCall: {
+    label: "Covered Call",
+    legs: [{ side: "long", kind: "underlying" }, { side: "short", kind: "call", offset: 1 }],
+  },
+};
+
+export const STRATEGY_PRESETS = Object.freeze(
+  Object.entries(PRESET_DEFS).map(([id, def]) => ({ id, label: def.label }))
+);
+
+/**
+ * Build the legs of a preset strategy around the current price,
+ * with premiums filled in from blackScholes() at the given inputs.
+ *
+ * @param {string} id        - Key from STRATEGY_PRESETS
+ * @param {object} opts
+ * @param {number} opts.S     - Underlying price
+ * @param {number} opts.T     - Base expiry in years
+ * @param {number} opts.r     - Risk-free rate
+ * @param {number|Function} opts.sigma - Volatility, or a surface (K, T) => iv
+ * @param {number} [opts.q]   - Dividend yield
+ * @param {number} [opts.width] - Strike spacing as a fraction of S (default 0.05)
+ * @param {number} [opts.qty]   - Units per leg (default 1)
+ *
+ * @returns {object[]} legs
+ */
+export function buildPreset(id, { S, T, r, sigma, q = 0, width = 0.05, qty = 1 }) {
+  const def = PRESET_DEFS[id];
+  if (!def || !(S > 0)) return [];
+  const step = strikeStep(S);
+  const atm = roundStrike(S, step);
+  const gap = Math.max(step, roundStrike(S * width, step));
+
+  return def.legs.map(l => {
+    if (l.kind === "underlying") {
+      return createLeg({ side: l.side, kind: "underlying", qty: qty * (l.qty || 1), premium: S });
+    }
+    const strike = Math.max(step, atm + (l.offset || 0) * gap);
+    const legT = T * (l.dT || 1);
+    const premium = blackScholes(S, strike, legT, r, resolveVol(sigma, strike, legT), l.kind, q).price;
+    return createLeg({ side: l.side, kind: l.kind, strike, T: legT, qty: qty * (l.qty || 1), premium });
+  });
+}
@@ -0,0 +1,323 @@
+/**
+ * Implied Volatility Surface Engine
+ *
+ * Backs out implied vols from a chain of option quotes, fits a raw SVI smile
+ * per expiry and interpolates linearly in total variance across expiries,
+ * giving a queryable volSurface(K, T). Calendar and butterfly arbitrage
+ * checks flag fits that would produce negative densities or forward variance.
+ *
+ * Raw SVI (Gatheral 2004), in log-moneyness k = ln(K / F):
+ *   w(k) = a + b · (ρ · (k − m) + √((k − m)² + σ²)),  w = σ_BS² · T
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+import { impliedVol } from "./blackScholes.js";
+
+// ─── SVI ────────────────────────────────────────────────────────────────────
+
+/**
+ * Total implied variance of a raw SVI slice at log-moneyness k.
+ *
+ * @param {{ a, b, rho, m, sigma }} p - Raw SVI parameters
+ * @param {number} k - ln(K / F)
+ */
+export function sviTotalVariance(p, k) {
+  const x = k - p.m;
+  return p.a + p.b * (p.rho * x + Math.sqrt(x * x + p.sigma * p.sigma));
+}
+
+function sviDerivatives(p, k) {
+  const x = k - p.m;
+  const root = Math.sqrt(x * x + p.sigma * p.sigma);
+  return {
+    w: p.a + p.b * (p.rho * x + root),
+    w1: p.b * (p.rho + x / root),
+    w2: p.b * p.sigma * p.sigma / (root * root * root),
+  };
+}
+
+// Solve the 3×3 system A·x = y by Gaussian elimination (null if singular)
+function solve3(A, y) {
+  const M = A.map((row, i) => [...row, y[i]]);
+  for (let c = 0; c < 3; c++) {
+    let piv = c;
+    for (let r = c + 1; r < 3; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+    if (Math.abs(M[piv][c]) < 1e-14) return null;
+    [M[c], M[piv]] = [M[piv], M[c]];
+    for (let r = 0; r < 3; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let j = c; j < 4; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return [M[0][3] / M[0][0], M[1][3] / M[1][1], M[2][3] / M[2][2]];
+}
+
+// Weighted least squares for w ≈ a + c·g, with c ≥ 0
+function fitLine(points, g) {
+  let sw = 0, sg = 0, sw_ = 0, sgg = 0, sgw = 0;
+  for (let i = 0; i < points.length; i++) {
+    const { weight: wt, w } = points[i];
+    sw += wt; sg += wt * g[i]; sw_ += wt * w; sgg += wt * g[i] * g[i]; sgw += wt * g[i] * w;
+  }
+  const den = sw * sgg - sg * sg;
+  let c = Math.abs(den) > 1e-14 ? (sw * sgw - sg * sw_) / den : 0;
+  c = Math.max(0, c);
+  return { a: (sw_ - c * sg) / sw, c };
+}
+
+/**
+ * For fixed (m, σ), SVI is linear in (a, d = bρσ, c = bσ) with
+ * y = (k − m)/σ:  w = a + d·y + c·√(y² + 1)  (Zeliade quasi-explicit fit).
+ * Solves the inner least-squares problem; if the solution breaks c ≥ 0, |d| ≤ c
+ * the optimum lies on the boundary, so the ρ = ±1 edges are solved instead.
+ */
+function fitInner(points, m, sigma) {
+  const ys = points.map(pt => (pt.k - m) / sigma);
+  const roots = ys.map(y => Math.sqrt(y * y + 1));
+
+  const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const rhs = [0, 0, 0];
+  points.forEach((pt, i) => {
+    const f = [1, ys[i], roots[i]];
+    for (let r = 0; r < 3; r++) {
+      rhs[r] += pt.weight * f[r] * pt.w;
+      for (let j = 0; j < 3; j++) A[r][j] += pt.weight * f[r] * f[j];
+    }
+  });
+
+  const candidates = [];
+  const sol = solve3(A, rhs);
+  if (sol && sol[2] >= 0 && Math.abs(sol[1]) <= sol[2]) {
+    candidates.push({ a: sol[0], d: sol[1], c: sol[2] });
+  } else {
+    for (const sign of [1, -1]) {
+      const { a, c } = fitLine(points, ys.map((y, i) => sign * y + roots[i]));
+      candidates.push({ a, d: sign * c, c });
+    }
+  }
+
+  let best = null;
+  for (const { a, d, c } of candidates) {
+    const params = { a, b: c / sigma, rho: c > 0 ? d / c : 0, m, sigma };
+    let sse = 0;
+    for (const pt of points) {
+      const e = sviTotalVariance(params, pt.k) - pt.w;
+      sse += pt.weight * e * e;
+    }
+    if (!best || sse < best.sse) best = { params, sse };
+  }
+  return best;
+}
+
+// Minimal 2-D Nelder-Mead over (m, ln σ)
+function nelderMead(f, start, scale, iterations = 200) {
+  let simplex = [start, [start[0] + scale[0], start[1]], [start[0], start[1] + scale[1]]]
+    .map(x => ({ x, v: f(x) }));
+  for (let it = 0; it < iterations; it++) {
+    simplex.sort((p, q) => p.v - q.v);
+    const [best, mid, worst] = simplex;
+    if (Math.abs(worst.v - best.v) < 1e-14) break;
+    const c = [(best.x[0] + mid.x[0]) / 2, (best.x[1] + mid.x[1]) / 2];
+    const at = (t) => [c[0] + t * (worst.x[0] - c[0]), c[1] + t * (worst.x[1] - c[1])];
+    const xr = at(-1), vr = f(xr);
+    if (vr < best.v) {
+      const xe = at(-2), ve = f(xe);
+      simplex[2] = ve < vr ? { x: xe, v: ve } : { x: xr, v: vr };
+    } else if (vr < mid.v) {
+      simplex[2] = { x: xr, v: vr };
+    } else {
+      const xc = at(0.5), vc = f(xc);
+      if (vc < worst.v) {
+        simplex[2] = { x: xc, v: vc };
+      } else {
+        simplex = simplex.map((p, i) => {
+          if (i === 0) return p;
+          const x = [(p.x[0] + best.x[0]) / 2, (p.x[1] + best.x[1]) / 2];
+          return { x, v: f(x) };
+        });
+      }
+    }
+  }
+  simplex.sort((p, q) => p.v - q.v);
+  return simplex[0].x;
+}
+
+/**
+ * Fit a raw SVI slice to total-variance observations.
+ *
+ * @param {Array<{ k, w, weight? }>} points - Log-moneyness and total variance
+ * @returns {{ params: { a, b, rho, m, sigma }, rmse }} rmse is in total-variance units
+ */
+export function fitSVI(points) {
+  const pts = points
+    .filter(p => isFinite(p.k) && isFinite(p.w) && p.w > 0)
+    .map(p => ({ k: p.k, w: p.w, weight: p.weight > 0 ? p.weight : 1 }));
+  if (pts.length === 0) return null;
+
+  // Too few quotes for five parameters → flat smile at the average variance
+  if (pts.length < 5) {
+    const a = pts.reduce((s, p) => s + p.w, 0) / pts.length;
+    const params = { a, b: 0, rho: 0, m: 0, sigma: 0.1 };
+    return { params, rmse: Math.sqrt(pts.reduce((s, p) => s + (p.w - a) ** 2, 0) / pts.length) };
+  }
+
+  const ks = pts.map(p => p.k);
+  const kMin = Math.min(...ks), kMax = Math.max(...ks);
+  // Keep the vertex near the data and σ off zero so near-linear smiles don't
+  // run away to degenerate (huge b, tiny σ) parameter sets
+  const span = Math.max(kMax - kMin, 0.05);
+  const clampM = (m) => Math.min(kMax + span, Math.max(kMin - span, m));
+  const clampSigma = (lnSigma) => Math.min(5, Math.max(0.005, Math.exp(lnSigma)));
+  const objective = ([m, lnSigma]) => fitInner(pts, clampM(m), clampSigma(lnSigma)).sse;
+
+  // Coarse grid for a starting point, then Nelder-Mead refinement
+  let start = [0, Math.log(0.1)], bestV = Infinity;
+  for (let i = 0; i <= 6; i++) {
+    const m = kMin + (kMax - kMin) * i / 6;
+    for (const s of [0.02, 0.05, 0.1, 0.2, 0.4, 0.8]) {
+      const v = objective([m, Math.log(s)]);
+      if (v < bestV) { bestV = v; start = [m, Math.log(s)]; }
+    }
+  }
+  const [m, lnSigma] = nelderMead(objective, start, [span / 10, 0.3]);
+  const { params, sse } = fitInner(pts, clampM(m), clampSigma(lnSigma));
+  const wSum = pts.reduce((s, p) => s + p.weight, 0);
+  return { params, rmse: Math.sqrt(sse / wSum) };
+}
+
+// ─── ARBITRAGE CHECKS ───────────────────────────────────────────────────────
+
+const K_GRID = Array.from({ length: 121 }, (_, i) => -1.5 + i * 0.025);
+
+/**
+ * Butterfly (density) check for one slice: Gatheral's g(k) must be ≥ 0 and
+ * total variance positive across the grid.
+ *
+ * @returns {{ ok, minG, at }} worst g(k) and where it occurs
+ */
+export function checkButterfly(params, kGrid = K_GRID) {
+  let minG = Infinity, at = 0;
+  for (const k of kGrid) {
+    const { w, w1, w2 } = sviDerivatives(params, k);
+    const g = w <= 0
+      ? -Infinity
+      : (1 - k * w1 / (2 * w)) ** 2 - (w1 * w1 / 4) * (1 / w + 0.25) + w2 / 2;
+    if (g < minG) { minG = g; at = k; }
+  }
+  return { ok: minG >= -1e-9, minG, at };
+}
+
+/**
+ * Calendar check between two slices (near before far): total variance must
+ * not decrease with maturity at any log-moneyness.
+ *
+ * @returns {{ ok, worst, at }} most negative w_far − w_near and where
+ */
+export function checkCalendar(near, far, kGrid = K_GRID) {
+  let worst = Infinity, at = 0;
+  for (const k of kGrid) {
+    const diff = sviTotalVariance(far, k) - sviTotalVariance(near, k);
+    if (diff < worst) { worst = diff; at = k; }
+  }
+  return { ok: worst >= -1e-9, worst, at };
+}
+
+// ─── SURFACE ────────────────────────────────────────────────────────────────
+
+/**
+ * Fit an implied volatility surface to a chain of quotes.
+ *
+ * Each quote carries either a market `price` (IV is backed out with
+ * impliedVol() under `model`) or an already-known `iv` (e.g. exchange mark IV).
+ * Quotes whose IV pins to the solver bounds are dropped as unusable.
+ *
+ * @param {Array<{ strike, T, type?, price?, iv? }>} quotes
+ * @param {object}   opts
+ * @param {number}   opts.S       - Underlying price
+ * @param {number}   [opts.r]     - Risk-free rate
+ * @param {number}   [opts.q]     - Dividend yield
+ * @param {Function} [opts.model] - Pricer passed through to impliedVol()
+ *
+ * @returns {{ slices, volSurface, totalVariance, arbitrage }} or null if nothing fits
+ *   - slices: [{ T, F, params, rmse, atmVol, points: [{ strike, k, iv }] }] sorted by T
+ *   - volSurface(K, T): interpolated implied vol
+ *   - totalVariance(k, T): interpolated total variance at log-moneyness k
+ *   - arbitrage: { ok, butterfly: [{ T, minG, at }], calendar: [{ T1, T2, worst, at }] }
+ */
+export function fitVolSurface(quotes, { S, r = 0, q = 0, model } = {}) {
+  if (!(S > 0) || !Array.isArray(quotes)) return null;
+  const forward = (T) => S * Math.exp((r - q) * T);
+
+  // Group usable quotes by expiry
+  const byT = new Map();
+  for (const quote of quotes) {
+    const K = Number(quote.strike), T = Number(quote.T);
+    if (!(K > 0) || !(T > 0)) continue;
+    let iv = Number(quote.iv);
+    if (!(iv > 0)) {
+      if (!(quote.price > 0)) continue;
+      iv = impliedVol(quote.price, S, K, T, r, quote.type || "call", q, 0.3, model);
+      if (!(iv > 0.011 && iv < 4.99)) continue;
+    }
+    const key = T.toFixed(6);
+    if (!byT.has(key)) byT.set(key, { T, points: [] });
+    byT.get(key).points.push({ strike: K, k: Math.log(K / forward(T)), iv });
+  }
+
+  const slices = [];
+  for (const { T, points } of [...byT.values()].sort((a, b) => a.T - b.T)) {
+    const fit = fitSVI(points.map(p => ({ k: p.k, w: p.iv * p.iv * T })));
+    if (!fit) continue;
+    const w0 = sviTotalVariance(fit.params, 0);
+    slices.push({
+      T,
+      F: forward(T),
+      params: fit.params,
+      rmse: fit.rmse,
+      atmVol: w0 > 0 ? Math.sqrt(w0 / T) : 0,
+      points: points.sort((a, b) => a.strike - b.strike),
+    });
+  }
+  if (slices.length === 0) return null;
+
+  // Linear in total variance between slices; constant vol outside the fitted range
+  function totalVariance(k, T) {
+    if (!(T > 0)) return 0;
+    const first = slices[0], last = slices[slices.length - 1];
+    if (T <= first.T) return Math.max(0, sviTotalVariance(first.params, k)) * T / first.T;
+    if (T >= last.T) return Math.max(0, sviTotalVariance(last.params, k)) * T / last.T;
+    let i = 0;
+    while (slices[i + 1].T < T) i++;
+    const a = slices[i], b = slices[i + 1];
+    const t = (T - a.T) / (b.T - a.T);
+    const wa = Math.max(0, sviTotalVariance(a.params, k));
+    const wb = Math.max(0, sviTotalVariance(b.params, k));
+    return wa + t * (wb - wa);
+  }
+
+  function volSurface(K, T) {
+    if (!(K > 0) || !(T > 0)) return 0;
+    const w = totalVariance(Math.log(K / forward(T)), T);
+    return w > 0 ? Math.sqrt(w / T) : 0;
+  }
+
+  const butterfly = [];
+  for (const s of slices) {
+    const chk = checkButterfly(s.params);
+    if (!chk.ok) butterfly.push({ T: s.T, minG: chk.minG, at: chk.at });
+  }
+  const calendar = [];
+  for (let i = 1; i < slices.length; i++) {
+    const chk = checkCalendar(slices[i - 1].params, slices[i].params);
+    if (!chk.ok) calendar.push({ T1: slices[i - 1].T, T2: slices[i].T, worst: chk.worst, at: chk.at });
+  }
+
+  return {
+    slices,
+    volSurface,
+    totalVariance,
+    arbitrage: { ok: butterfly.length === 0 && calendar.length === 0, butterfly, calendar },
+  };
+}
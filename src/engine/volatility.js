@@ -0,0 +1,189 @@
+/**
+ * Realized Volatility Estimators
+ *
+ * Historical volatility from price bars: close-to-close, Parkinson,
+ * Garman-Klass and Yang-Zhang, over full series or rolling windows, plus a
+ * volatility cone (percentiles of realized vol by window length).
+ *
+ * Bars are { open, high, low, close } (extra fields such as time/date are
+ * carried through), as returned by fetchAllKlines and the chart providers.
+ * Close-to-close only needs `close`; the range-based estimators return null
+ * when a bar lacks OHLC.
+ *
+ * All results are annualized decimals (0.60 = 60%) given the number of bars
+ * per year — see periodsPerYear().
+ *
+ * This module is pure math — no React, no DOM, no side effects.
+ */
+
+const LN2 = Math.log(2);
+
+export const ESTIMATORS = [
+  { key: "closeToClose", label: "Close-to-Close", short: "C2C" },
+  { key: "parkinson", label: "Parkinson", short: "PK" },
+  { key: "garmanKlass", label: "Garman-Klass", short: "GK" },
+  { key: "yangZhang", label: "Yang-Zhang", short: "YZ" },
+];
+
+/**
+ * Bars per year for a bar length. Crypto trades 24/7 over 365 days;
+ * equities trade 252 days a year with 6.5-hour sessions.
+ *
+ * @param {number} barSeconds - Bar length in seconds
+ * @param {string} calendar   - "crypto" (default) or "equity"
+ */
+export function periodsPerYear(barSeconds, calendar = "crypto") {
+  if (!(barSeconds > 0)) return 0;
+  if (calendar === "equity") {
+    return barSeconds >= 86400 ? 252 * 86400 / barSeconds : 252 * 6.5 * 3600 / barSeconds;
+  }
+  return 365 * 86400 / barSeconds;
+}
+
+function hasOHLC(b) {
+  return b.open > 0 && b.high > 0 && b.low > 0 && b.close > 0;
+}
+
+// ─── ESTIMATORS ─────────────────────────────────────────────────────────────
+// Each takes a slice of bars and returns annualized vol, or null when the
+// slice is too short or lacks the fields the estimator needs.
+
+/** Sample standard deviation of log close-to-close returns. */
+export function closeToClose(bars, ppy) {
+  const r = [];
+  for (let i = 1; i < bars.length; i++) {
+    if (bars[i].close > 0 && bars[i - 1].close > 0) r.push(Math.log(bars[i].close / bars[i - 1].close));
+  }
+  if (r.length < 2) return null;
+  const mean = r.reduce((s, x) => s + x, 0) / r.length;
+  const v = r.reduce((s, x) => s + (x - mean) ** 2, 0) / (r.length - 1);
+  return Math.sqrt(v * ppy);
+}
+
+/** Parkinson (1980): high-low range, ~5× more efficient than close-to-close. */
+export function parkinson(bars, ppy) {
+  if (bars.length < 1 || !bars.every(hasOHLC)) return null;
+  const s = bars.reduce((acc, b) => acc + Math.log(b.high / b.low) ** 2, 0);
+  return Math.sqrt(s / (4 * LN2 * bars.length) * ppy);
+}
+
+/** Garman-Klass (1980): range plus open-to-close, assumes no drift or gaps. */
+export function garmanKlass(bars, ppy) {
+  if (bars.length < 1 || !bars.every(hasOHLC)) return null;
+  const s = bars.reduce((acc, b) => {
+    const hl = Math.log(b.high / b.low), co = Math.log(b.close / b.open);
+    return acc + 0.5 * hl * hl - (2 * LN2 - 1) * co * co;
+  }, 0);
+  return s > 0 ? Math.sqrt(s / bars.length * ppy) : 0;
+}
+
+/**
+ * Yang-Zhang (2000): overnight, open-to-close and Rogers-Satchell variances
+ * combined — drift-independent and robust to opening gaps. Uses the bar
+ * before the slice for the first overnight return, so needs n + 1 bars.
+ */
+export function yangZhang(bars, ppy) {
+  if (bars.length < 3 || !bars.every(hasOHLC)) return null;
+  const overnight = [], openClose = [];
+  let rs = 0;
+  for (let i = 1; i < bars.length; i++) {
+    const b = bars[i];
+    overnight.push(Math.log(b.open / bars[i - 1].close));
+    openClose.push(Math.log(b.close / b.open));
+    rs += Math.log(b.high / b.close) * Math.log(b.high / b.open) + Math.log(b.low / b.close) * Math.log(b.low / b.open);
+  }
+  const n = overnight.length;
+  const variance = (xs) => {
+    const m = xs.reduce((s, x) => s + x, 0) / xs.length;
+    return xs.reduce((s, x) => s + (x - m) ** 2, 0) / (xs.length - 1);
+  };
+  const k = 0.34 / (1.34 + (n + 1) / (n - 1));
+  const v = variance(overnight) + k * variance(openClose) + (1 - k) * rs / n;
+  return v > 0 ? Math.sqrt(v * ppy) : 0;
+}
+
+const ESTIMATOR_FNS = { closeToClose, parkinson, garmanKlass, yangZhang };
+
+// Close-to-close and Yang-Zhang consume one extra leading bar for their first return
+function barsNeeded(estimator, window) {
+  return estimator === "closeToClose" || estimator === "yangZhang" ? window + 1 : window;
+}
+
+// ─── SERIES ─────────────────────────────────────────────────────────────────
+
+/**
+ * Realized vol over the last `window` bars (all bars when omitted).
+ *
+ * @param {Array} bars
+ * @param {object} opts
+ * @param {string} [opts.estimator="closeToClose"]
+ * @param {number} [opts.window]        - Number of returns / bars
+ * @param {number} opts.periodsPerYear  - Bars per year for annualization
+ * @returns {number|null}
+ */
+export function realizedVol(bars, { estimator = "closeToClose", window = null, periodsPerYear: ppy } = {}) {
+  const fn = ESTIMATOR_FNS[estimator];
+  if (!fn || !bars?.length || !(ppy > 0)) return null;
+  const slice = window ? bars.slice(-barsNeeded(estimator, window)) : bars;
+  if (window && slice.length < barsNeeded(estimator, window)) return null;
+  return fn(slice, ppy);
+}
+
+/**
+ * Rolling realized vol: one point per bar once `window` bars are available.
+ *
+ * @returns {Array<{ ...bar fields time/date, vol }>}
+ */
+export function rollingVol(bars, { estimator = "closeToClose", window = 20, periodsPerYear: ppy } = {}) {
+  const fn = ESTIMATOR_FNS[estimator];
+  if (!fn || !bars?.length || !(ppy > 0)) return [];
+  const need = barsNeeded(estimator, window);
+  const out = [];
+  for (let end = need; end <= bars.length; end++) {
+    const vol = fn(bars.slice(end - need, end), ppy);
+    const last = bars[end - 1];
+    if (vol != null) out.push({ time: last.time, date: last.date, vol });
+  }
+  return out;
+}
+
+/** Linear-interpolated percentile of a sorted array, p in [0, 1]. */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = p * (sorted.length - 1);
+  const lo = Math.floor(idx), hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Volatility cone: for each window length, the distribution of rolling
+ * realized vol over the whole history, and where the latest reading sits.
+ *
+ * @param {Array} bars
+ * @param {object} opts
+ * @param {number[]} [opts.windows=[10, 20, 30, 60, 90, 120]]
+ * @param {string} [opts.estimator="closeToClose"]
+ * @param {number} opts.periodsPerYear
+ *
+ * @returns {Array<{ window, min, p25, median, p75, max, current, samples }>}
+ *   windows with no full sample are omitted
+ */
+export function volCone(bars, { windows = [10, 20, 30, 60, 90, 120], estimator = "closeToClose", periodsPerYear: ppy } = {}) {
+  const cone = [];
+  for (const window of windows) {
+    const series = rollingVol(bars, { estimator, window, periodsPerYear: ppy }).map(p => p.vol);
+    if (series.length === 0) continue;
+    const sorted = [...series].sort((a, b) => a - b);
+    cone.push({
+      window,
+      min: sorted[0],
+      p25: percentile(sorted, 0.25),
+      median: percentile(sorted, 0.5),
+      p75: percentile(sorted, 0.75),
+      max: sorted[sorted.length - 1],
+      current: series[series.length - 1],
+      samples: series.length,
+    });
+  }
+  return cone;
+}
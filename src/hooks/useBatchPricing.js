@@ -0,0 +1,108 @@
+/**
+ * useBatchPricing.js — Batch option pricing in a Web Worker, driven by live ticks.
+ *
+ * One shared worker serves every caller; requests are matched to replies by
+ * id. If Workers are unavailable the engine runs on the main thread instead.
+ * useTickPricing() recomputes a job on every Coinbase tick, skipping ticks that
+ * arrive while a computation is in flight so the worker never falls behind.
+ */
+
+import { useState, useEffect, useRef } from "react"
+import { priceBatch, pnlGridBatch } from "../engine/batch"
+import { subscribeCoinbase } from "../lib/liveData"
+
+let worker = null
+let nextId = 1
+const pending = new Map()
+
+function getWorker() {
+  if (worker || typeof Worker === "undefined") return worker
+  worker = new Worker(new URL("../workers/pricing.worker.js", import.meta.url), { type: "module" })
+  worker.onmessage = (e) => {
+    const { id, result, error } = e.data
+    const p = pending.get(id)
+    if (!p) return
+    pending.delete(id)
+    if (error) p.reject(new Error(error))
+    else p.resolve(result)
+  }
+  worker.onerror = (e) => {
+    if(import.meta.env.DEV) console.error("[Pricing] worker error:", e.message)
+    for (const p of pending.values()) p.reject(new Error(e.message || "Pricing worker failed"))
+    pending.clear()
+    worker.terminate()
+    worker = null
+  }
+  return worker
+}
+
+/**
+ * Run a batch pricing task off the main thread.
+ * task: "price" (priceBatch input) or "grid" ({ packed, moves, r } for pnlGridBatch).
+ * Returns a Promise of the engine result.
+ */
+export function runPricing(task, params) {
+  const w = getWorker()
+  if (!w) {
+    return new Promise((resolve, reject) => {
+      try { resolve(task === "grid" ? pnlGridBatch(params.packed, params) : priceBatch(params)) } catch (err) { reject(err) }
+    })
+  }
+  const id = nextId++
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject })
+    w.postMessage({ id, task, params })
+  })
+}
+
+/**
+ * Recompute a pricing job on every live tick of a Coinbase product.
+ *
+ * buildJob(spot) returns { task, params } (or null to skip); it is also re-run
+ * against the last tick whenever its identity changes, so wrap it in useCallback.
+ * Pass a null productId to stop.
+ *
+ * Returns { spot, result, error } for the latest completed job.
+ */
+export function useTickPricing(productId, buildJob) {
+  const [state, setState] = useState({ spot: null, result: null, error: null })
+  const jobRef = useRef(buildJob)
+  const loop = useRef(null)
+  jobRef.current = buildJob
+
+  useEffect(() => {
+    setState({ spot: null, result: null, error: null })
+    if (!productId) return
+    let active = true, busy = false, queued = null, last = null
+
+    const pump = async () => {
+      if (!active || busy || queued == null) return
+      const spot = queued
+      queued = null
+      busy = true
+      try {
+        const job = jobRef.current(spot)
+        const result = job ? await runPricing(job.task, job.params) : null
+        if (active) setState({ spot, result, error: null })
+      } catch (err) {
+        if (active) setState(s => ({ ...s, error: err.message }))
+      } finally {
+        busy = false
+        pump()
+      }
+    }
+
+    loop.current = { requeue: () => { if (last != null) { queued = last; pump() } } }
+    const unsub = subscribeCoinbase(productId, (tick) => {
+      const price = parseFloat(tick.price)
+      if (!(price > 0)) return
+      last = queued = price
+      pump()
+    })
+    return () => { active = false; loop.current = null; unsub() }
+  }, [productId])
+
+  useEffect(() => { loop.current?.requeue() }, [buildJob])
+
+  return state
+}
@@ -1,8 +1,9 @@
 import { useState, useEffect, useCallback } from 'react'
+import { request } from '../lib/request'
 
 /**
- * Fetch historical kline (candlestick) data from Binance public API.
- * Free, no API key required. Rate limited to 1200 req/min.
+ * Fetch historical kline (candlestick) data from Binance public API, through
+ * the /api/binance proxy. Free, no API key required. Rate limited to 1200 req/min.
  *
  * @param {string} symbol - e.g. "BTCUSDT"
  * @param {string} interval - e.g. "1d", "4h", "1h"
@@ -21,13 +22,10 @@ export function useBinanceKlines(symbol, interval = "1d", limit = 365, startTime
     setLoading(true)
     setError(null)
 
-    const url = new URL("https://api.binance.com/api/v3/klines")
-    url.searchParams.set("symbol", symbol.toUpperCase())
-    url.searchParams.set("interval", interval)
-    url.searchParams.set("limit", String(Math.min(limit, 1000)))
-    if (startTime) url.searchParams.set("startTime", String(startTime))
+    const params = new URLSearchParams({ symbol: symbol.toUpperCase(), interval, limit: String(Math.min(limit, 1000)) })
+    if (startTime) params.set("startTime", String(startTime))
 
-    fetch(url.toString())
+    request(`/api/binance/api/v3/klines?${params}`, { ttl: 30000 })
       .then(res => {
         if (!res.ok) throw new Error(`Binance API ${res.status}`)
         return res.json()
@@ -66,7 +64,7 @@ export function useBinanceKlines(symbol, interval = "1d", limit = 365, startTime
  */
 export async function fetchBinancePrice(symbol) {
   try {
-    const res = await fetch(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol.toUpperCase()}`)
+    const res = await request(`/api/binance/api/v3/ticker/price?symbol=${symbol.toUpperCase()}`, { ttl: 2000 })
     if (!res.ok) return null
     const data = await res.json()
     return parseFloat(data.price)
@@ -81,7 +79,7 @@ export async function fetchBinanceTickers(symbols) {
   if (!symbols || symbols.length === 0) return {}
   try {
     const encoded = encodeURIComponent(JSON.stringify(symbols))
-    const res = await fetch(`https://api.binance.com/api/v3/ticker/24hr?symbols=${encoded}`)
+    const res = await request(`/api/binance/api/v3/ticker/24hr?symbols=${encoded}`, { ttl: 5000 })
     if (!res.ok) return {}
     const data = await res.json()
     const map = {}
@@ -111,12 +109,9 @@ export async function fetchMultiKlines(requests) {
   for (const chunk of chunks) {
     const promises = chunk.map(async ({ symbol, startTime, interval = "1d" }) => {
       try {
-        const url = new URL("https://api.binance.com/api/v3/klines")
-        url.searchParams.set("symbol", symbol.toUpperCase())
-        url.searchParams.set("interval", interval)
-        url.searchParams.set("limit", "1000")
-        if (startTime) url.searchParams.set("startTime", String(startTime))
-        const res = await fetch(url.toString())
+        const params = new URLSearchParams({ symbol: symbol.toUpperCase(), interval, limit: "1000" })
+        if (startTime) params.set("startTime", String(startTime))
+        const res = await request(`/api/binance/api/v3/klines?${params}`, { ttl: 30000 })
         if (!res.ok) return { symbol, klines: [] }
         const data = await res.json()
         return {
@@ -5,9 +5,16 @@
  * Yu-Gi-Oh (raw):  ygoprodeck.com   → TCGPlayer prices
  * Graded cards:    pricecharting.com → PSA/BGS/CGC graded prices
  *
- * All requests proxy through Vite dev server / Vercel to avoid CORS.
+ * All requests proxy through Vite dev server / Vercel to avoid CORS, and go
+ * through lib/request for caching and per-host rate limits (PriceCharting 1 req/s).
  */
 
+import { request } from "../lib/request"
+
+// Card prices update daily at most
+const PRICE_TTL = 10 * 60 * 1000
+const SEARCH_TTL = 24 * 60 * 60 * 1000
+
 // ─── GRADE PARSING ────────────────────────────────────────────────────────────
 
 /**
@@ -73,7 +80,7 @@ async function fetchPriceChartingPrice(cardName, gradeStr) {
     if (!productId) {
       const searchUrl = `/api/pricecharting/products?q=${encodeURIComponent(cardName)}`
       if (import.meta.env.DEV) console.log(`[PC] searching: ${cardName}`)
-      const searchRes = await fetch(searchUrl)
+      const searchRes = await request(searchUrl, { ttl: SEARCH_TTL })
 
       if (!searchRes.ok) {
         if (searchRes.status === 503) {
@@ -98,7 +105,7 @@ async function fetchPriceChartingPrice(cardName, gradeStr) {
     // Step 2: Get prices for the product
     const priceUrl = `/api/pricecharting/product?id=${productId}`
     if (import.meta.env.DEV) console.log(`[PC] fetching prices: id=${productId} field=${field}`)
-    const priceRes = await fetch(priceUrl)
+    const priceRes = await request(priceUrl, { ttl: PRICE_TTL })
 
     if (!priceRes.ok) {
       if (import.meta.env.DEV) console.warn(`[PC] product ${productId} → ${priceRes.status}`)
@@ -142,7 +149,7 @@ async function fetchPokemonPrice(cardName, setId, cardNumber) {
     const url = `/api/pokemon/v2/cards?q=${encodeURIComponent(q)}&pageSize=1`
     if (import.meta.env.DEV) console.log(`[PKM] fetching: ${q}`)
 
-    const res = await fetch(url)
+    const res = await request(url, { ttl: PRICE_TTL })
     if (!res.ok) {
       if (import.meta.env.DEV) console.warn(`[PKM] ${cardName} → ${res.status}`)
       return null
@@ -187,12 +194,12 @@ async function fetchYugiohPrice(cardName) {
     const url = `/api/yugioh/api/v7/cardinfo.php?name=${encodeURIComponent(cardName)}`
     if (import.meta.env.DEV) console.log(`[YGO] fetching: ${cardName}`)
 
-    const res = await fetch(url)
+    const res = await request(url, { ttl: PRICE_TTL })
     if (!res.ok) {
       if (res.status === 400) {
         const fuzzyUrl = `/api/yugioh/api/v7/cardinfo.php?fname=${encodeURIComponent(cardName)}&num=1&offset=0`
         if (import.meta.env.DEV) console.log(`[YGO] exact miss, trying fuzzy: ${cardName}`)
-        const fuzzyRes = await fetch(fuzzyUrl)
+        const fuzzyRes = await request(fuzzyUrl, { ttl: PRICE_TTL })
         if (!fuzzyRes.ok) {
           if (import.meta.env.DEV) console.warn(`[YGO] ${cardName} → fuzzy also failed: ${fuzzyRes.status}`)
           return null
@@ -304,7 +311,7 @@ export async function fetchCardPrices(collectibleHoldings) {
     await Promise.all(rawFns.slice(i, i + 4).map(fn => fn()))
   }
 
-  // Graded lookups sequentially — PriceCharting has 1 req/sec limit
+  // Graded lookups sequentially — PriceCharting's 1 req/sec limit is enforced by lib/request
   for (const fn of gradedFns) {
     await fn()
   }
@@ -1,132 +1,52 @@
 /**
- * useMarketData.js — Multi-exchange data fetcher
+ * useMarketData.js — Portfolio market data
  * 
- * Routing:
- *   Spot crypto    → Coinbase (api.exchange.coinbase.com)
- *   Perp crypto    → Phemex   (api.phemex.com)
- *   Equities/ETFs  → Yahoo Finance (query1.finance.yahoo.com)
+ * Prices and klines go through the provider registry in lib/providers, which
+ * routes each symbol and falls back between exchanges:
+ *   Spot crypto    → Coinbase, then Binance / Phemex / CoinGecko
+ *   Perp crypto    → Phemex, then Binance USD-M / Coinbase / CoinGecko
+ *   Equities/ETFs  → Yahoo Finance (commodities via YAHOO_OVERRIDES futures)
  * 
- * Coinbase klines: 1h / 2h / 1d resolution
- * Phemex klines: 1h / 4h / 1d resolution
- * Yahoo klines: 1h / 2h / 1d resolution
- * CoinGecko klines: 1h / 4h / 1d resolution
+ * Option chains: Yahoo Finance v7 options (mid IVs solved locally),
+ *                BTC/ETH → Deribit (mark IVs, USD-converted premiums)
  * All requests proxy through Vite dev server to avoid CORS.
  */
 
-// ─── SYMBOL ALIASES ────────────────────────────────────────────────────────
-// Map common names / misspellings / full names → canonical tickers
-const SYMBOL_ALIASES = {
-  LAYERZERO: "ZRO", BITCOIN: "BTC", ETHEREUM: "ETH", SOLANA: "SOL",
-  DOGECOIN: "DOGE", RIPPLE: "XRP", CARDANO: "ADA", POLKADOT: "DOT",
-  CHAINLINK: "LINK", AVALANCHE: "AVAX", COSMOS: "ATOM", POLYGON: "MATIC",
-  ARBITRUM: "ARB", OPTIMISM: "OP", CELESTIA: "TIA", INJECTIVE: "INJ",
-  RENDERTOKEN: "RENDER", HYPERLIQUID: "HYPE", APTOS: "APT",
-  LITECOIN: "LTC", UNISWAP: "UNI",
-  MICROSTRATEGY: "MSTR", STRATEGY: "MSTR", TESLA: "TSLA", APPLE: "AAPL",
-  NVIDIA: "NVDA", NUSCALE: "SMR",
-}
-
-// ─── SYMBOL MAPS (from shared canonical source) ────────────────────────────
-// If a symbol is NOT here, we still try the standard format,
-// then fall back to CoinGecko (crypto) or Yahoo Finance (equities) if the exchange 404s.
-import { COINBASE_PRODUCTS as COINBASE_MAP, PHEMEX_PRODUCTS as PHEMEX_MAP, COINGECKO_IDS as COINGECKO_ID_MAP, YAHOO_OVERRIDES } from "../utils/symbols"
-
-function coingeckoId(key) {
-  return COINGECKO_ID_MAP[key] || key.toLowerCase()
-}
-
-async function coingeckoQuote(key) {
-  const id = coingeckoId(key)
-  try {
-    const url = `/api/coingecko/simple/price?ids=${id}&vs_currencies=usd&include_24hr_change=true`
-    if(import.meta.env.DEV) console.log(`[CG] quote ${key} → ${id}`)
-    const res = await fetch(url)
-    if (!res.ok) { if(import.meta.env.DEV) console.warn(`[CG] quote ${key} → ${res.status}`); return null }
-    const data = await res.json()
-    const entry = data[id]
-    if (!entry || !entry.usd) { if(import.meta.env.DEV) console.warn(`[CG] quote ${key}: no data`); return null }
-    if(import.meta.env.DEV) console.log(`[CG] quote ${key}: $${entry.usd} (${(entry.usd_24h_change || 0).toFixed(2)}%)`)
-    return { price: entry.usd, change: entry.usd_24h_change || 0 }
-  } catch (e) { if(import.meta.env.DEV) console.warn(`[CG] quote err:`, e.message); return null }
-}
-
-async function coingeckoKlines(key, startTimeMs, resolution = "4h") {
-  const id = coingeckoId(key)
-  const days = Math.ceil((Date.now() - startTimeMs) / (1000 * 60 * 60 * 24))
-  try {
-    // CoinGecko: days <= 90 → hourly granularity, > 90 → daily
-    const url = `/api/coingecko/coins/${id}/market_chart?vs_currency=usd&days=${Math.min(days, 365)}`
-    if(import.meta.env.DEV) console.log(`[CG] klines ${key} → ${id} (${days}d, ${resolution})`)
-    const res = await fetch(url)
-    if (!res.ok) { if(import.meta.env.DEV) console.warn(`[CG] klines ${key} → ${res.status}`); return [] }
-    const data = await res.json()
-    const prices = data.prices || []
-    if (prices.length === 0) { if(import.meta.env.DEV) console.warn(`[CG] klines ${key}: no prices`); return [] }
-
-    if(import.meta.env.DEV) console.log(`[CG] klines ${key}: ${prices.length} raw points`)
-
-    if (resolution === "1d") {
-      // Group into daily buckets — last close per day
-      const byDay = {}
-      for (const [ts, close] of prices) {
-        if (!close || close <= 0) continue
-        const day = new Date(ts).toISOString().slice(0, 10)
-        if (!byDay[day] || ts > byDay[day].ts) byDay[day] = { ts, date: day, close }
-      }
-      const klines = Object.values(byDay).sort((a, b) => a.ts - b.ts)
-      if(import.meta.env.DEV) console.log(`[CG] klines ${key}: ${klines.length} daily bars`)
-      return klines
-    }
-
-    if (resolution === "1h") {
-      // Return raw hourly data without grouping
-      const klines = prices
-        .filter(([ts, close]) => close && close > 0)
-        .map(([ts, close]) => ({ ts, date: new Date(ts).toISOString().slice(0, 13), close }))
-      if(import.meta.env.DEV) console.log(`[CG] klines ${key}: ${klines.length} 1h bars`)
-      return klines
-    }
-
-    // Group into 4h buckets
-    const by4h = {}
-    for (const [ts, close] of prices) {
-      if (!close || close <= 0) continue
-      const bucket = Math.floor(ts / (4 * 3600 * 1000)) * (4 * 3600 * 1000)
-      by4h[bucket] = { ts: bucket, date: new Date(bucket).toISOString().slice(0, 13), close }
-    }
-    const klines = Object.values(by4h).sort((a, b) => a.ts - b.ts)
-    if(import.meta.env.DEV) console.log(`[CG] klines ${key}: ${klines.length} 4h bars`)
-    return klines
-  } catch (e) { if(import.meta.env.DEV) console.warn(`[CG] klines err:`, e.message); return [] }
-}
+import { normalizeSymbol, COINBASE_PRODUCTS as COINBASE_MAP, BINANCE_PRODUCTS as BINANCE_MAP, BINANCE_FUTURES as BINANCE_FUTURES_MAP, PHEMEX_PRODUCTS as PHEMEX_MAP, COINGECKO_IDS as COINGECKO_ID_MAP, YAHOO_OVERRIDES } from "../utils/symbols"
+import { marketData } from "../lib/providers"
+import { request } from "../lib/request"
+import { impliedVol } from "../engine/blackScholes"
+import { projectDividends } from "../engine/dividends"
+import { yearsToExpiry } from "../utils/dates"
+import { parseDeribitInstrument, normalizeDeribitSummary, deribitYears } from "../lib/deribit"
 
 // ─── HELPERS ────────────────────────────────────────────────────────────────
 
-export function normalizeSymbol(symbol) {
-  let s = symbol.toUpperCase()
-    .replace(/[:/\-]/g, "")            // strip separators (ZRO:USDT, ZRO/USD, ZRO-USD)
-    .replace(/USDT$/, "")              // strip trailing USDT
-    .replace(/USDC$/, "")              // strip trailing USDC
-    .replace(/USD$/, "")               // strip trailing USD
-    .replace(/PERP$/, "")              // strip trailing PERP
-    .trim()
-  // Apply aliases: LAYERZERO → ZRO, BITCOIN → BTC, etc.
-  return SYMBOL_ALIASES[s] || s
-}
+export { normalizeSymbol, parseDeribitInstrument }
 
 export function isCryptoSymbol(symbol) {
   const key = normalizeSymbol(symbol)
-  return !!(COINBASE_MAP[key] || PHEMEX_MAP[key] || COINGECKO_ID_MAP[key])
+  return !!(COINBASE_MAP[key] || BINANCE_MAP[key] || BINANCE_FUTURES_MAP[key] || PHEMEX_MAP[key] || COINGECKO_ID_MAP[key])
 }
 
 export function isEquitySymbol(symbol) {
   const key = normalizeSymbol(symbol)
-  return !COINBASE_MAP[key] && !PHEMEX_MAP[key] && /^[A-Z]{1,5}$/.test(key)
+  return !isCryptoSymbol(symbol) && /^[A-Z]{1,5}$/.test(key)
+}
+
+/**
+ * Yahoo futures ticker a symbol resolves to (GOLD → GC=F, CL=F → CL=F),
+ * or null when the underlying isn't a future.
+ */
+export function futuresTicker(symbol) {
+  const key = normalizeSymbol(symbol)
+  const sym = YAHOO_OVERRIDES[key] || key
+  return /^[A-Z]{1,4}=F$/.test(sym) ? sym : null
 }
 
 /**
  * Returns true if we can fetch live prices + klines for this holding.
- * Covers crypto (Coinbase/Phemex) AND equities (Yahoo Finance).
+ * Covers crypto (Coinbase/Binance/Phemex) AND equities (Yahoo Finance).
  */
 export function isTrackedSymbol(symbol, type) {
   if (isCryptoSymbol(symbol)) return true
@@ -138,366 +58,6 @@ export function isTrackedSymbol(symbol, type) {
   return false
 }
 
-function resolveExchange(symbol, type, exchange) {
-  const key = normalizeSymbol(symbol)
-  const isPerp = type === "crypto_perp"
-  const isSpot = type === "crypto_spot"
-
-  // If exchange is explicitly set, use it directly
-  if (exchange === "coinbase") return { exchange: "coinbase", sym: COINBASE_MAP[key] || `${key}-USD`, key }
-  if (exchange === "phemex") return { exchange: "phemex", sym: PHEMEX_MAP[key] || `${key}USDT`, key }
-  if (exchange === "coingecko") return { exchange: "coingecko", sym: coingeckoId(key), key }
-  if (exchange === "nasdaq" || exchange === "nyse" || exchange === "amex") return { exchange: "yahoo", sym: key, key }
-
-  // Fallback: guess from type (backward compat for holdings without exchange field)
-  // Crypto perps → Phemex
-  if (isPerp && PHEMEX_MAP[key]) return { exchange: "phemex", sym: PHEMEX_MAP[key], key }
-  if (isPerp && COINBASE_MAP[key]) return { exchange: "coinbase", sym: COINBASE_MAP[key], key }
-  if (isPerp) return { exchange: "phemex", sym: `${key}USDT`, key }
-
-  // Crypto spot → Coinbase, then CoinGecko for tokens not on major exchanges
-  if (type !== "equity" && COINBASE_MAP[key]) return { exchange: "coinbase", sym: COINBASE_MAP[key], key }
-  if (type !== "equity" && PHEMEX_MAP[key]) return { exchange: "phemex", sym: PHEMEX_MAP[key], key }
-  if (type !== "equity" && COINGECKO_ID_MAP[key]) return { exchange: "coingecko", sym: coingeckoId(key), key }
-  if (isSpot && COINGECKO_ID_MAP[key]) return { exchange: "coingecko", sym: coingeckoId(key), key }
-  if (isSpot) return { exchange: "coinbase", sym: `${key}-USD`, key }
-
-  // Yahoo overrides — commodities, futures, non-standard tickers (XCUUSD → HG=F, etc.)
-  if (YAHOO_OVERRIDES[key]) return { exchange: "yahoo", sym: YAHOO_OVERRIDES[key], key }
-
-  // Yahoo Finance futures notation (HG=F, CL=F, etc.) — pass through directly
-  if (/^[A-Z]{1,4}=F$/.test(key)) return { exchange: "yahoo", sym: key, key }
-
-  // Equities → Yahoo Finance
-  if (/^[A-Z]{1,5}$/.test(key)) return { exchange: "yahoo", sym: key, key }
-
-  if(import.meta.env.DEV) console.warn(`[Resolve] no exchange for symbol="${symbol}" type="${type}" exchange="${exchange}" key="${key}"`)
-  return null
-}
-
-
-// ─── COINBASE ───────────────────────────────────────────────────────────────
-
-async function coinbaseTicker(cbSymbol) {
-  try {
-    const res = await fetch(`/api/coinbase/products/${cbSymbol}/ticker`)
-    if (!res.ok) { if(import.meta.env.DEV) console.warn(`[CB] ticker ${cbSymbol} → ${res.status}`); return null }
-    const data = await res.json()
-    return { price: parseFloat(data.price) || 0, change: 0 }
-  } catch (e) { if(import.meta.env.DEV) console.warn(`[CB] ticker err:`, e.message); return null }
-}
-
-async function coinbase24h(cbSymbol) {
-  try {
-    const res = await fetch(`/api/coinbase/products/${cbSymbol}/stats`)
-    if (!res.ok) return 0
-    const d = await res.json()
-    const open = parseFloat(d.open) || 0, last = parseFloat(d.last) || 0
-    return open > 0 ? ((last - open) / open) * 100 : 0
-  } catch { return 0 }
-}
-
-// Coinbase candles — 1h (3600s), optionally grouped into 2h or 1d client-side
-async function coinbaseCandles(cbSymbol, startTimeMs, resolution = "2h") {
-  if(import.meta.env.DEV) console.log(`[CB] candles ${resolution} ${cbSymbol} from ${new Date(startTimeMs).toISOString().split("T")[0]}`)
-  const results = []
-  // Use daily granularity for 1d resolution (much fewer API calls)
-  const granularity = resolution === "1d" ? 86400 : 3600
-  let endSec = Math.floor(Date.now() / 1000)
-  const startSec = Math.floor(startTimeMs / 1000)
-  let batch = 0
-
-  while (endSec > startSec && batch < 20) {
-    batch++
-    const batchStart = Math.max(startSec, endSec - 299 * granularity)
-    try {
-      const startISO = new Date(batchStart * 1000).toISOString()
-      const endISO = new Date(endSec * 1000).toISOString()
-      const url = `/api/coinbase/products/${cbSymbol}/candles?granularity=${granularity}&start=${startISO}&end=${endISO}`
-      if(import.meta.env.DEV) console.log(`[CB] batch ${batch}: ${startISO.slice(0, 16)} → ${endISO.slice(0, 16)}`)
-      const res = await fetch(url)
-      if (!res.ok) {
-        const body = await res.text().catch(() => "")
-        if(import.meta.env.DEV) console.warn(`[CB] candles ${cbSymbol} batch ${batch} → ${res.status}`, body.slice(0, 200))
-        break
-      }
-      const data = await res.json()
-      if (!Array.isArray(data) || data.length === 0) { if(import.meta.env.DEV) console.log(`[CB] batch ${batch}: empty`); break }
-
-      if(import.meta.env.DEV) console.log(`[CB] batch ${batch}: ${data.length} candles`)
-      for (const c of data) {
-        if (!Array.isArray(c) || c.length < 5) continue
-        const ts = c[0] * 1000
-        const dateKey = resolution === "1d"
-          ? new Date(ts).toISOString().slice(0, 10)
-          : new Date(ts).toISOString().slice(0, 13)
-        results.push({ ts, date: dateKey, close: parseFloat(c[4]) })
-      }
-      endSec = batchStart - granularity
-      if (data.length < 250) break
-    } catch (e) { if(import.meta.env.DEV) console.warn(`[CB] candles err:`, e.message); break }
-  }
-
-  if (resolution === "1d") {
-    // Daily: deduplicate by date (keep last candle per day)
-    const byDay = {}
-    for (const r of results) {
-      if (r.close <= 0) continue
-      if (!byDay[r.date] || r.ts > byDay[r.date].ts) byDay[r.date] = r
-    }
-    const sorted = Object.values(byDay).sort((a, b) => a.ts - b.ts)
-    if(import.meta.env.DEV) console.log(`[CB] candles ${cbSymbol}: ${sorted.length} daily bars`)
-    return sorted
-  }
-
-  if (resolution === "1h") {
-    // Return raw 1h candles without grouping
-    const sorted = results.filter(r => r.close > 0).sort((a, b) => a.ts - b.ts)
-    if(import.meta.env.DEV) console.log(`[CB] candles ${cbSymbol}: ${sorted.length} 1h bars`)
-    return sorted
-  }
-
-  // Group 1h into 2h buckets
-  const by2h = {}
-  for (const r of results) {
-    if (r.close <= 0) continue
-    const d = new Date(r.ts)
-    const h2 = Math.floor(d.getUTCHours() / 2) * 2
-    const key = `${d.toISOString().slice(0, 10)}T${String(h2).padStart(2, "0")}`
-    if (!by2h[key] || r.ts > by2h[key].ts) by2h[key] = { ...r, date: key }
-  }
-  const sorted = Object.values(by2h).sort((a, b) => a.ts - b.ts)
-  if(import.meta.env.DEV) console.log(`[CB] candles ${cbSymbol}: ${results.length} raw 1h → ${sorted.length} 2h bars`)
-  return sorted
-}
-
-
-// ─── PHEMEX ─────────────────────────────────────────────────────────────────
-
-async function phemexTicker(phSymbol) {
-  try {
-    const res = await fetch(`/api/phemex/md/v2/ticker/24hr?symbol=${phSymbol}`)
-    if (!res.ok) { if(import.meta.env.DEV) console.warn(`[PH] ticker ${phSymbol} → ${res.status}`); return null }
-    const data = await res.json()
-
-    if(import.meta.env.DEV) console.log(`[PH] ticker raw ${phSymbol}:`, JSON.stringify(data).slice(0, 400))
-
-    const t = data.result || (Array.isArray(data.data) ? data.data[0] : data.data) || data
-
-    // Parse price — Rp fields first (raw price strings), then plain, then Ep (scaled int)
-    let price = 0
-    for (const f of ["closeRp", "lastPriceRp", "markPriceRp", "indexPriceRp"]) {
-      const val = parseFloat(t[f])
-      if (val > 0) { price = val; if(import.meta.env.DEV) console.log(`[PH] price from ${f}: ${val}`); break }
-    }
-    if (!price) {
-      for (const f of ["lastPrice", "close", "markPrice", "indexPrice"]) {
-        const val = parseFloat(t[f])
-        if (val > 0) { price = val; break }
-      }
-    }
-    if (!price) {
-      for (const f of ["closeEp", "lastPriceEp", "markPriceEp"]) {
-        const raw = parseInt(t[f])
-        if (raw > 0) {
-          price = raw > 1e12 ? raw / 1e8 : raw / 1e4
-          if (price > 0) break
-        }
-      }
-    }
-
-    // 24h change
-    let change = 0
-    const openRp = parseFloat(t.openRp || 0)
-    if (openRp > 0 && price > 0) change = ((price - openRp) / openRp) * 100
-
-    if(import.meta.env.DEV) console.log(`[PH] ticker ${phSymbol}: $${price} (${change.toFixed(2)}%)`)
-    return price > 0 ? { price, change } : null
-  } catch (e) { if(import.meta.env.DEV) console.warn(`[PH] ticker err:`, e.message); return null }
-}
-
-// Phemex klines — 4h (14400s), 1h (3600s), or 1d (86400s), tries multiple endpoint patterns
-async function phemexKlines(phSymbol, startTimeMs, tickerPrice, resolution = "4h") {
-  const resSec = resolution === "1d" ? 86400 : resolution === "1h" ? 3600 : 14400
-  if(import.meta.env.DEV) console.log(`[PH] klines ${resolution} ${phSymbol} from ${new Date(startTimeMs).toISOString().split("T")[0]}`)
-
-  const fromSec = Math.floor(startTimeMs / 1000)
-  const toSec = Math.floor(Date.now() / 1000)
-
-  const endpoints = [
-    `/api/phemex/exchange/public/md/v2/kline?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-    `/api/phemex/md/v2/kline?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-    `/api/phemex/exchange/public/md/kline?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-    `/api/phemex/md/kline?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-    `/api/phemex/exchange/public/md/v2/kline/last?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-  ]
-
-  for (const url of endpoints) {
-    try {
-      const shortPath = url.split("/api/phemex")[1]
-      if(import.meta.env.DEV) console.log(`[PH] trying: ${shortPath}`)
-      const res = await fetch(url)
-      if (!res.ok) { if(import.meta.env.DEV) console.warn(`[PH] ${res.status} for ${shortPath}`); continue }
-      const data = await res.json()
-
-      if (data.code !== 0 && data.code !== undefined) { if(import.meta.env.DEV) console.warn(`[PH] code=${data.code}`); continue }
-
-      const rows = data.data?.rows || data.data?.klines || data.data || []
-      if (!Array.isArray(rows) || rows.length === 0) { if(import.meta.env.DEV) console.log(`[PH] no rows`); continue }
-
-      if(import.meta.env.DEV) console.log(`[PH] klines ${phSymbol}: ${rows.length} rows, sample:`, JSON.stringify(rows[0]).slice(0, 200))
-
-      let results = []
-      if (Array.isArray(rows[0])) {
-        if(import.meta.env.DEV) console.log(`[PH] row length=${rows[0].length}, types: ${rows[0].map((v, i) => `[${i}]${typeof v}`).join(", ")}`)
-        results = rows.map(row => {
-          const ts = (row[0] || 0) * 1000
-          const close = parseFloat(row[6]) || parseFloat(row[5]) || parseFloat(row[4]) || 0
-          const dateKey = resolution === "1d" ? new Date(ts).toISOString().slice(0, 10) : new Date(ts).toISOString().slice(0, 13)
-          return { ts, date: dateKey, close }
-        })
-      } else {
-        results = rows.map(row => {
-          const ts = (row.timestamp || row.t || 0) * 1000
-          let close = parseFloat(row.closeRp || row.close || row.c || 0)
-          if (!close && row.closeEp) {
-            const raw = parseInt(row.closeEp)
-            close = raw > 1e8 ? raw / 1e4 : raw / 100
-          }
-          const dateKey = resolution === "1d" ? new Date(ts).toISOString().slice(0, 10) : new Date(ts).toISOString().slice(0, 13)
-          return { ts, date: dateKey, close }
-        })
-      }
-
-      results = results.filter(r => r.close > 0 && r.ts > 0)
-      results.sort((a, b) => a.ts - b.ts)
-
-      if (results.length > 0) {
-        if(import.meta.env.DEV) console.log(`[PH] klines ${phSymbol}: ✅ ${results.length} valid 4h bars, $${results[0].close} → $${results[results.length - 1].close}`)
-        return results
-      }
-    } catch (e) { if(import.meta.env.DEV) console.warn(`[PH] klines err:`, e.message); continue }
-  }
-
-  if(import.meta.env.DEV) console.warn(`[PH] klines ${phSymbol}: ❌ all endpoints failed`)
-  return []
-}
-
-
-// ─── YAHOO FINANCE ──────────────────────────────────────────────────────────
-
-async function yahooQuote(ticker) {
-  try {
-    // v7/finance/quote — lighter endpoint, less rate-limited than v8/chart
-    const v7url = `/api/yahoo/v7/finance/quote?symbols=${ticker}&fields=regularMarketPrice,regularMarketChangePercent,regularMarketPreviousClose`
-    if(import.meta.env.DEV) console.log(`[YF] v7 quote ${ticker}`)
-    const r7 = await fetch(v7url)
-    if (r7.ok) {
-      const d7 = await r7.json()
-      const q = d7.quoteResponse?.result?.[0]
-      if (q && q.regularMarketPrice > 0) {
-        const price = q.regularMarketPrice
-        const change = q.regularMarketChangePercent || 0
-        if(import.meta.env.DEV) console.log(`[YF] v7 quote ${ticker}: $${price} (${change.toFixed(2)}%)`)
-        return { price, change }
-      }
-    }
-    if(import.meta.env.DEV) console.warn(`[YF] v7 quote ${ticker} → ${r7.status}, falling back to v8 chart`)
-
-    // Fallback: v8/finance/chart with 2d range
-    const url = `/api/yahoo/v8/finance/chart/${ticker}?interval=1d&range=2d`
-    const res = await fetch(url)
-    if (!res.ok) { if(import.meta.env.DEV) console.warn(`[YF] quote ${ticker} → ${res.status}`); return null }
-    const data = await res.json()
-
-    const result = data.chart?.result?.[0]
-    if (!result) { if(import.meta.env.DEV) console.warn(`[YF] quote ${ticker}: no result`); return null }
-
-    const meta = result.meta || {}
-    const price = meta.regularMarketPrice || 0
-    const prevClose = meta.chartPreviousClose || meta.previousClose || 0
-    const change = prevClose > 0 ? ((price - prevClose) / prevClose) * 100 : 0
-
-    if(import.meta.env.DEV) console.log(`[YF] v8 quote ${ticker}: $${price} (${change.toFixed(2)}%)`)
-    return price > 0 ? { price, change } : null
-  } catch (e) { if(import.meta.env.DEV) console.warn(`[YF] quote err:`, e.message); return null }
-}
-
-// Yahoo Finance klines — 1h candles (grouped into 2h), or 1d daily candles
-async function yahooKlines(ticker, startTimeMs, resolution = "2h") {
-  if(import.meta.env.DEV) console.log(`[YF] klines ${resolution} ${ticker} from ${new Date(startTimeMs).toISOString().split("T")[0]}`)
-  try {
-    const now = Math.floor(Date.now() / 1000)
-    const start = Math.floor(startTimeMs / 1000)
-
-    // Use daily interval for 1d resolution (returns full history), 1h for intraday
-    const yahooInterval = resolution === "1d" ? "1d" : "1h"
-    const url = `/api/yahoo/v8/finance/chart/${ticker}?interval=${yahooInterval}&period1=${start}&period2=${now}`
-    if(import.meta.env.DEV) console.log(`[YF] fetching: ${ticker} interval=${yahooInterval} period1=${start} period2=${now}`)
-    const res = await fetch(url)
-    if (!res.ok) {
-      const body = await res.text().catch(() => "")
-      if(import.meta.env.DEV) console.warn(`[YF] klines ${ticker} → ${res.status}`, body.slice(0, 200))
-      return []
-    }
-    const data = await res.json()
-
-    const result = data.chart?.result?.[0]
-    if (!result) { if(import.meta.env.DEV) console.warn(`[YF] klines ${ticker}: no result`); return [] }
-
-    const timestamps = result.timestamp || []
-    const closes = result.indicators?.quote?.[0]?.close || []
-
-    if (timestamps.length === 0) { if(import.meta.env.DEV) console.warn(`[YF] klines ${ticker}: no timestamps`); return [] }
-
-    if(import.meta.env.DEV) console.log(`[YF] klines ${ticker}: ${timestamps.length} raw ${yahooInterval} candles`)
-
-    // Build raw candles
-    const raw = []
-    for (let i = 0; i < timestamps.length; i++) {
-      const close = closes[i]
-      if (close == null || close <= 0) continue
-      const ts = timestamps[i] * 1000
-      // For daily resolution, use YYYY-MM-DD date key; for intraday, use YYYY-MM-DDTHH
-      const dateKey = resolution === "1d"
-        ? new Date(ts).toISOString().slice(0, 10)
-        : new Date(ts).toISOString().slice(0, 13)
-      raw.push({ ts, date: dateKey, close })
-    }
-
-    if (resolution === "1d") {
-      // Daily: deduplicate by date (keep last candle per day)
-      const byDay = {}
-      for (const r of raw) {
-        if (!byDay[r.date] || r.ts > byDay[r.date].ts) byDay[r.date] = r
-      }
-      const sorted = Object.values(byDay).sort((a, b) => a.ts - b.ts)
-      if(import.meta.env.DEV) console.log(`[YF] klines ${ticker}: ${sorted.length} daily bars, $${sorted[0]?.close} → $${sorted[sorted.length - 1]?.close}`)
-      return sorted
-    }
-
-    if (resolution === "1h") {
-      raw.sort((a, b) => a.ts - b.ts)
-      if(import.meta.env.DEV) console.log(`[YF] klines ${ticker}: ${raw.length} 1h bars`)
-      return raw
-    }
-
-    // Group 1h into 2h buckets
-    const by2h = {}
-    for (const r of raw) {
-      const d = new Date(r.ts)
-      const h2 = Math.floor(d.getUTCHours() / 2) * 2
-      const key = `${d.toISOString().slice(0, 10)}T${String(h2).padStart(2, "0")}`
-      if (!by2h[key] || r.ts > by2h[key].ts) by2h[key] = { ...r, date: key }
-    }
-
-    const sorted = Object.values(by2h).sort((a, b) => a.ts - b.ts)
-    if(import.meta.env.DEV) console.log(`[YF] klines ${ticker}: ${raw.length} raw 1h → ${sorted.length} 2h bars, $${sorted[0]?.close} → $${sorted[sorted.length - 1]?.close}`)
-    return sorted
-  } catch (e) { if(import.meta.env.DEV) console.warn(`[YF] klines err:`, e.message); return [] }
-}
-
-
 // ─── PUBLIC API ─────────────────────────────────────────────────────────────
 
 /**
@@ -510,45 +70,18 @@ export async function fetchTickers(holdings) {
   const tasks = []
 
   for (const h of holdings) {
-    const resolved = resolveExchange(h.symbol, h.type, h.exchange)
+    const resolved = marketData.resolve(h.symbol, { type: h.type, exchange: h.exchange })
     if (!resolved || seen.has(resolved.key)) continue
     seen.add(resolved.key)
     const rawKey = h.symbol.toUpperCase()
-    if(import.meta.env.DEV) console.log(`[Ticker] ${h.symbol}(${h.type}/${h.exchange || "auto"}) → ${resolved.exchange}:${resolved.sym}`)
 
     tasks.push((async () => {
-      let data = null
-
-      if (resolved.exchange === "coingecko") {
-        data = await coingeckoQuote(resolved.key)
-        if (data) if(import.meta.env.DEV) console.log(`[Ticker] ${resolved.key}: ✅ CoinGecko: $${data.price}`)
-      } else if (resolved.exchange === "coinbase") {
-        data = await coinbaseTicker(resolved.sym)
-        if (data) {
-          data.change = await coinbase24h(resolved.sym)
-        } else {
-          // FALLBACK: Coinbase Exchange API doesn't have this product → CoinGecko
-          if(import.meta.env.DEV) console.log(`[Ticker] ${resolved.key}: CB failed, trying CoinGecko`)
-          data = await coingeckoQuote(resolved.key)
-          if (data) if(import.meta.env.DEV) console.log(`[Ticker] ${resolved.key}: ✅ CoinGecko fallback: $${data.price}`)
-        }
-      } else if (resolved.exchange === "phemex") {
-        data = await phemexTicker(resolved.sym)
-        if (!data) {
-          // FALLBACK: Phemex doesn't have this product → CoinGecko
-          if(import.meta.env.DEV) console.log(`[Ticker] ${resolved.key}: PH failed, trying CoinGecko`)
-          data = await coingeckoQuote(resolved.key)
-          if (data) if(import.meta.env.DEV) console.log(`[Ticker] ${resolved.key}: ✅ CoinGecko fallback: $${data.price}`)
-        }
-      } else if (resolved.exchange === "yahoo") {
-        data = await yahooQuote(resolved.sym)
-      }
-
-      if (data && data.price > 0) {
-        results[resolved.key] = data
-        // Also store under raw symbol so Portfolio can look up by h.symbol.toUpperCase()
-        if (rawKey !== resolved.key) results[rawKey] = data
-      }
+      const q = await marketData.quote(resolved)
+      if (!q) { if(import.meta.env.DEV) console.warn(`[Ticker] ${resolved.key}: ❌ no quote`); return }
+      const data = { price: q.price, change: q.change || 0 }
+      results[resolved.key] = data
+      // Also store under raw symbol so Portfolio can look up by h.symbol.toUpperCase()
+      if (rawKey !== resolved.key) results[rawKey] = data
     })())
   }
 
@@ -558,61 +91,219 @@ export async function fetchTickers(holdings) {
 
 /**
  * Fetch historical klines for holdings.
- * Each request: { symbol, type, startTime (ms) }
- * resolution: "1h" for intraday, "4h" for multi-day (default)
- * Returns: { [normalizedKey]: [{ ts, date, close }] }
+ * Each request: { symbol, type, exchange?, startTime (ms) }
+ * resolution: "1h" for intraday, "4h" for multi-day (default); also "2h", "1d"
+ * Returns: { [normalizedKey]: [{ ts, date, open, high, low, close, volume }] }, ascending,
+ *   date "YYYY-MM-DD" for 1d, else "YYYY-MM-DDTHH" (UTC, start of the bar)
+ * Resolutions an exchange doesn't serve natively are built from its hourly (or
+ * finer) bars: first open, highest high, lowest low, last close, summed volume.
  */
 export async function fetchAllKlines(requests, resolution = "4h") {
   const results = {}
   const seen = new Set()
   const tasks = []
-
-  if(import.meta.env.DEV) console.log(`[Klines] ── Starting with ${requests.length} requests:`, requests.map(r => `${r.symbol}(${r.type})`).join(", "))
+  const dateLength = resolution === "1d" ? 10 : 13
 
   for (const req of requests) {
-    const resolved = resolveExchange(req.symbol, req.type, req.exchange)
-    if(import.meta.env.DEV) console.log(`[Klines] resolve ${req.symbol} (type=${req.type}, exchange=${req.exchange || "auto"}) →`, resolved ? `${resolved.exchange}:${resolved.sym}` : "NULL")
+    const resolved = marketData.resolve(req.symbol, { type: req.type, exchange: req.exchange })
     if (!resolved || seen.has(resolved.key)) continue
     seen.add(resolved.key)
 
     tasks.push((async () => {
-      let klines = []
-      if(import.meta.env.DEV) console.log(`[Klines] ${resolved.key} → ${resolved.exchange}:${resolved.sym}`)
-
-      if (resolved.exchange === "coingecko") {
-        klines = await coingeckoKlines(resolved.key, req.startTime, resolution)
-        if (klines.length > 0) if(import.meta.env.DEV) console.log(`[Klines] ${resolved.key}: ✅ CoinGecko: ${klines.length} bars`)
-      } else if (resolved.exchange === "coinbase") {
-        klines = await coinbaseCandles(resolved.sym, req.startTime, resolution)
-        if (klines.length === 0) {
-          // FALLBACK: Coinbase Exchange API doesn't have this product → CoinGecko
-          if(import.meta.env.DEV) console.log(`[Klines] ${resolved.key}: CB failed, trying CoinGecko`)
-          klines = await coingeckoKlines(resolved.key, req.startTime, resolution)
-          if (klines.length > 0) if(import.meta.env.DEV) console.log(`[Klines] ${resolved.key}: ✅ CoinGecko fallback: ${klines.length} bars`)
-        }
-      } else if (resolved.exchange === "phemex") {
-        const ticker = await phemexTicker(resolved.sym)
-        klines = await phemexKlines(resolved.sym, req.startTime, ticker?.price || 0, resolution)
-        if (klines.length === 0) {
-          // FALLBACK: Phemex doesn't have this product → CoinGecko
-          if(import.meta.env.DEV) console.log(`[Klines] ${resolved.key}: PH failed, trying CoinGecko`)
-          klines = await coingeckoKlines(resolved.key, req.startTime, resolution)
-          if (klines.length > 0) if(import.meta.env.DEV) console.log(`[Klines] ${resolved.key}: ✅ CoinGecko fallback: ${klines.length} bars`)
-        }
-      } else if (resolved.exchange === "yahoo") {
-        klines = await yahooKlines(resolved.sym, req.startTime, resolution)
-      }
-
-      if (klines.length > 0) {
-        if(import.meta.env.DEV) console.log(`[Klines] ${resolved.key}: ✅ ${klines.length} bars`)
-        results[resolved.key] = klines
-      } else {
-        if(import.meta.env.DEV) console.warn(`[Klines] ${resolved.key}: ❌ no data`)
-      }
+      const { candles } = await marketData.candles(resolved, resolution, { from: Math.floor(req.startTime / 1000) })
+      if (candles.length === 0) { if(import.meta.env.DEV) console.warn(`[Klines] ${resolved.key}: ❌ no data`); return }
+      results[resolved.key] = candles.map(c => {
+        const ts = c.time * 1000
+        return { ts, date: new Date(ts).toISOString().slice(0, dateLength), open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume }
+      })
     })())
   }
 
   for (let i = 0; i < tasks.length; i += 3) await Promise.all(tasks.slice(i, i + 3))
-  if(import.meta.env.DEV) console.log(`[Klines] Done:`, Object.keys(results).map(k => `${k}(${results[k].length})`).join(", "))
   return results
 }
+
+
+// ─── OPTION CHAINS ──────────────────────────────────────────────────────────
+
+// Chains and the index move slowly next to the UI refresh; dividend history hardly at all
+const CHAIN_TTL = 30000
+const DIVIDEND_TTL = 6 * 60 * 60 * 1000
+
+// Yahoo keys expiries by 00:00 UTC unix seconds of the expiry date
+function expiryToUnix(expiry) {
+  if (typeof expiry === "number") return expiry
+  const ms = Date.parse(`${expiry}T00:00:00Z`)
+  return isFinite(ms) ? Math.floor(ms / 1000) : null
+}
+
+function unixToExpiry(sec) {
+  return new Date(sec * 1000).toISOString().slice(0, 10)
+}
+
+/**
+ * Solve the IV of a contract's bid/ask mid. Returns null when there is no
+ * two-sided market or the solver pins to its bounds (price below intrinsic, etc.)
+ */
+export function midImpliedVol(contract, spot, r, q) {
+  if (!(contract.mid > 0) || !(spot > 0) || !(contract.T > 0)) return null
+  const iv = impliedVol(contract.mid, spot, contract.strike, contract.T, r, contract.type, q)
+  return iv > 0.011 && iv < 4.99 ? iv : null
+}
+
+function normalizeYahooContract(c, type, underlying, spot, r, q) {
+  const bid = c.bid > 0 ? c.bid : 0
+  const ask = c.ask > 0 ? c.ask : 0
+  const expiry = unixToExpiry(c.expiration)
+  const contract = {
+    contractSymbol: c.contractSymbol,
+    underlying,
+    type,
+    strike: c.strike,
+    expiry,
+    T: yearsToExpiry(expiry),
+    bid,
+    ask,
+    last: c.lastPrice || 0,
+    mid: bid > 0 && ask > 0 ? (bid + ask) / 2 : 0,
+    volume: c.volume || 0,
+    openInterest: c.openInterest || 0,
+    inTheMoney: type === "call" ? spot > c.strike : spot < c.strike,
+  }
+  contract.iv = midImpliedVol(contract, spot, r, q)
+  return contract
+}
+
+/**
+ * Fetch one expiry of an option chain. Equities come from Yahoo (v7 options
+ * endpoint); BTC and ETH are routed to Deribit via fetchDeribitChain().
+ *
+ * expiry: "YYYY-MM-DD" (or Yahoo unix seconds); omitted → nearest expiry.
+ * r, q: rate and dividend yield used to back out mid IVs (decimals).
+ *
+ * Returns: { symbol, source, spot, expiries: ["YYYY-MM-DD"], expiry, T, calls, puts }
+ *   calls/puts sorted by strike: { contractSymbol, underlying, type, strike, expiry, T,
+ *   bid, ask, last, mid, volume, openInterest, inTheMoney, iv } — iv is the mid IV, null if unsolvable.
+ * Returns null on failure.
+ */
+export async function fetchOptionChain(ticker, expiry, { r = 0.045, q = 0 } = {}) {
+  const key = normalizeSymbol(ticker)
+  if (DERIBIT_CURRENCIES.includes(key)) return fetchDeribitChain(key, expiry)
+  const sym = YAHOO_OVERRIDES[key] || key
+  const date = expiry != null ? expiryToUnix(expiry) : null
+  try {
+    const url = `/api/yahoo/v7/finance/options/${encodeURIComponent(sym)}${date ? `?date=${date}` : ""}`
+    if(import.meta.env.DEV) console.log(`[YF] options ${sym}${date ? ` ${unixToExpiry(date)}` : ""}`)
+    const res = await request(url, { ttl: CHAIN_TTL })
+    if (!res.ok) { if(import.meta.env.DEV) console.warn(`[YF] options ${sym} → ${res.status}`); return null }
+    const data = await res.json()
+
+    const result = data.optionChain?.result?.[0]
+    if (!result) { if(import.meta.env.DEV) console.warn(`[YF] options ${sym}: no result`); return null }
+
+    const spot = result.quote?.regularMarketPrice || 0
+    const chain = result.options?.[0] || {}
+    const expiries = (result.expirationDates || []).map(unixToExpiry)
+    const chainExpiry = chain.expirationDate ? unixToExpiry(chain.expirationDate) : expiries[0] || null
+
+    const calls = (chain.calls || []).map(c => normalizeYahooContract(c, "call", sym, spot, r, q)).sort((a, b) => a.strike - b.strike)
+    const puts = (chain.puts || []).map(c => normalizeYahooContract(c, "put", sym, spot, r, q)).sort((a, b) => a.strike - b.strike)
+
+    if(import.meta.env.DEV) console.log(`[YF] options ${sym} ${chainExpiry}: ${calls.length} calls, ${puts.length} puts, ${expiries.length} expiries`)
+    return {
+      symbol: sym,
+      source: "yahoo",
+      spot,
+      expiries,
+      expiry: chainExpiry,
+      T: chainExpiry ? yearsToExpiry(chainExpiry) : 0,
+      calls,
+      puts,
+    }
+  } catch (e) { if(import.meta.env.DEV) console.warn(`[YF] options err:`, e.message); return null }
+}
+
+// ─── DIVIDENDS ──────────────────────────────────────────────────────────────
+
+/**
+ * Dividend history from the Yahoo chart endpoint's dividend events, plus
+ * upcoming ex-dates projected from it (Yahoo only reports paid dividends).
+ *
+ * Returns: { symbol, history: [{ date, amount }], upcoming: [{ date, amount, projected }] }
+ *   dates "YYYY-MM-DD", amounts per share; empty lists for non-payers.
+ * Returns null on failure or for crypto.
+ */
+export async function fetchDividends(ticker) {
+  const key = normalizeSymbol(ticker)
+  if (isCryptoSymbol(key)) return null
+  const sym = YAHOO_OVERRIDES[key] || key
+  try {
+    const url = `/api/yahoo/v8/finance/chart/${encodeURIComponent(sym)}?interval=1d&range=2y&events=div`
+    if(import.meta.env.DEV) console.log(`[YF] dividends ${sym}`)
+    const res = await request(url, { ttl: DIVIDEND_TTL })
+    if (!res.ok) { if(import.meta.env.DEV) console.warn(`[YF] dividends ${sym} → ${res.status}`); return null }
+    const data = await res.json()
+    const result = data.chart?.result?.[0]
+    if (!result) return null
+
+    const history = Object.values(result.events?.dividends || {})
+      .filter(d => d.amount > 0 && d.date > 0)
+      .map(d => ({ date: new Date(d.date * 1000).toISOString().slice(0, 10), amount: d.amount }))
+      .sort((a, b) => a.date.localeCompare(b.date))
+    const upcoming = projectDividends(history)
+    if(import.meta.env.DEV) console.log(`[YF] dividends ${sym}: ${history.length} paid, next ${upcoming[0]?.date || "none"}`)
+    return { symbol: sym, history, upcoming }
+  } catch (e) { if(import.meta.env.DEV) console.warn(`[YF] dividends err:`, e.message); return null }
+}
+
+// ─── DERIBIT ────────────────────────────────────────────────────────────────
+
+const DERIBIT_CURRENCIES = ["BTC", "ETH"]
+
+/**
+ * Fetch a BTC or ETH option chain from Deribit (public API, via /api/deribit).
+ *
+ * expiry: "YYYY-MM-DD"; omitted → nearest unexpired expiry.
+ * Returns the same shape as fetchOptionChain(), plus indexPrice (spot is the
+ * Deribit index) and forward (the chain expiry's underlying price; each
+ * contract carries it as underlyingPrice). Returns null on failure.
+ */
+export async function fetchDeribitChain(currency, expiry) {
+  const cur = normalizeSymbol(currency)
+  try {
+    if(import.meta.env.DEV) console.log(`[DB] options ${cur}${expiry ? ` ${expiry}` : ""}`)
+    const [bookRes, indexRes] = await Promise.all([
+      request(`/api/deribit/api/v2/public/get_book_summary_by_currency?currency=${cur}&kind=option`, { ttl: CHAIN_TTL }),
+      request(`/api/deribit/api/v2/public/get_index_price?index_name=${cur.toLowerCase()}_usd`, { ttl: CHAIN_TTL }),
+    ])
+    if (!bookRes.ok || !indexRes.ok) { if(import.meta.env.DEV) console.warn(`[DB] options ${cur} → ${bookRes.status}/${indexRes.status}`); return null }
+    const book = await bookRes.json()
+    const index = await indexRes.json()
+
+    const indexPrice = index.result?.index_price || 0
+    const summaries = book.result || []
+    if (!(indexPrice > 0) || summaries.length === 0) { if(import.meta.env.DEV) console.warn(`[DB] options ${cur}: no data`); return null }
+
+    const contracts = summaries.map(s => normalizeDeribitSummary(s, indexPrice)).filter(c => c && c.T > 0)
+    const expiries = [...new Set(contracts.map(c => c.expiry))].sort()
+    const chainExpiry = expiry && expiries.includes(expiry) ? expiry : expiries[0] || null
+    const inExpiry = contracts.filter(c => c.expiry === chainExpiry)
+
+    const calls = inExpiry.filter(c => c.type === "call").sort((a, b) => a.strike - b.strike)
+    const puts = inExpiry.filter(c => c.type === "put").sort((a, b) => a.strike - b.strike)
+
+    if(import.meta.env.DEV) console.log(`[DB] options ${cur} ${chainExpiry}: ${calls.length} calls, ${puts.length} puts, index $${indexPrice}`)
+    return {
+      symbol: cur,
+      source: "deribit",
+      spot: indexPrice,
+      indexPrice,
+      forward: calls[0]?.underlyingPrice || puts[0]?.underlyingPrice || indexPrice,
+      expiries,
+      expiry: chainExpiry,
+      T: chainExpiry ? deribitYears(chainExpiry) : 0,
+      calls,
+      puts,
+    }
+  } catch (e) { if(import.meta.env.DEV) console.warn(`[DB] options err:`, e.message); return null }
+}
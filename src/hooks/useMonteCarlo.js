@@ -0,0 +1,86 @@
+/**
+ * useMonteCarlo.js — Runs Monte Carlo simulations in a Web Worker.
+ *
+ * One shared worker serves every caller; requests are matched to replies by
+ * id. If Workers are unavailable the engine runs on the main thread instead,
+ * with identical (seeded) results.
+ */
+
+import { useState, useCallback, useRef } from "react"
+import { priceMonteCarlo, runScenario } from "../engine/monteCarlo"
+
+let worker = null
+let nextId = 1
+const pending = new Map()
+
+function getWorker() {
+  if (worker || typeof Worker === "undefined") return worker
+  worker = new Worker(new URL("../workers/monteCarlo.worker.js", import.meta.url), { type: "module" })
+  worker.onmessage = (e) => {
+    const { id, result, error } = e.data
+    const p = pending.get(id)
+    if (!p) return
+    pending.delete(id)
+    if (error) p.reject(new Error(error))
+    else p.resolve(result)
+  }
+  worker.onerror = (e) => {
+    if(import.meta.env.DEV) console.error("[MC] worker error:", e.message)
+    for (const p of pending.values()) p.reject(new Error(e.message || "Monte Carlo worker failed"))
+    pending.clear()
+    worker.terminate()
+    worker = null
+  }
+  return worker
+}
+
+/**
+ * Run a Monte Carlo task off the main thread.
+ * task: "price" (priceMonteCarlo) or "scenario" (runScenario); params as the engine takes them.
+ * Returns a Promise of the engine result.
+ */
+export function runMonteCarlo(task, params) {
+  const w = getWorker()
+  if (!w) {
+    const fn = task === "scenario" ? runScenario : priceMonteCarlo
+    return new Promise((resolve, reject) => {
+      try { resolve(fn(params)) } catch (err) { reject(err) }
+    })
+  }
+  const id = nextId++
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject })
+    w.postMessage({ id, task, params })
+  })
+}
+
+/**
+ * Hook wrapper: { run(task, params), result, running, error, elapsed }.
+ * Only the latest run's result is kept if several overlap.
+ */
+export function useMonteCarlo() {
+  const [result, setResult] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState(null)
+  const [elapsed, setElapsed] = useState(0)
+  const latest = useRef(0)
+
+  const run = useCallback(async (task, params) => {
+    const ticket = ++latest.current
+    setRunning(true)
+    setError(null)
+    const t0 = performance.now()
+    try {
+      const res = await runMonteCarlo(task, params)
+      if (ticket !== latest.current) return
+      setResult(res)
+      setElapsed(performance.now() - t0)
+    } catch (err) {
+      if (ticket === latest.current) setError(err.message)
+    } finally {
+      if (ticket === latest.current) setRunning(false)
+    }
+  }, [])
+
+  return { run, result, running, error, elapsed }
+}
@@ -10,9 +10,14 @@ import {
   loadWatchlist, saveWatchlist, addToWatchlist, removeFromWatchlist,
   recordSnapshot, getCardSnapshots, loadSnapshots,
 } from "../lib/pokemonMarketPersistence"
+import { request } from "../lib/request"
 
 // ─── API HELPERS ────────────────────────────────────────────────────────────
 
+// Under the 5-minute refresh, so each refresh is fresh but repeat views are not refetched
+const SEARCH_TTL = 60 * 1000
+const PRICE_TTL = 4 * 60 * 1000
+
 async function searchCards(query, page = 1) {
   if (!query || query.trim().length < 2) return { cards: [], totalCount: 0 }
 
@@ -20,7 +25,7 @@ async function searchCards(query, page = 1) {
   const q = `name:"${query.trim()}*"`
   const url = `/api/pokemon/v2/cards?q=${encodeURIComponent(q)}&pageSize=20&page=${page}&orderBy=-set.releaseDate`
 
-  const res = await fetch(url)
+  const res = await request(url, { ttl: SEARCH_TTL })
   if (!res.ok) return { cards: [], totalCount: 0 }
 
   const data = await res.json()
@@ -46,7 +51,7 @@ async function searchCards(query, page = 1) {
 
 async function fetchCardPrice(cardId) {
   const url = `/api/pokemon/v2/cards/${cardId}`
-  const res = await fetch(url)
+  const res = await request(url, { ttl: PRICE_TTL })
   if (!res.ok) return null
 
   const data = await res.json()
@@ -103,7 +108,7 @@ const POPULAR_SETS = [
 async function fetchSetHighlights(setId) {
   const q = `set.id:${setId}`
   const url = `/api/pokemon/v2/cards?q=${encodeURIComponent(q)}&pageSize=10&orderBy=-tcgplayer.prices.holofoil.market`
-  const res = await fetch(url)
+  const res = await request(url, { ttl: PRICE_TTL })
   if (!res.ok) return []
   const data = await res.json()
   return (data.data || []).map(c => ({
@@ -0,0 +1,67 @@
+/**
+ * deribit.js — Deribit option instruments and book summaries
+ *
+ * Pure mapping from Deribit's public API to the contract shape used for
+ * equity chains; fetching lives in fetchDeribitChain (hooks/useMarketData).
+ * Deribit quotes inverse options in the coin and marks IV against each
+ * expiry's forward (`underlying_price`). Contracts expire at 08:00 UTC.
+ *
+ * Runs in the browser and under Node (tests).
+ */
+
+import { yearsToExpiry, EXPIRY_HOUR_UTC } from "../utils/dates.js"
+
+const DERIBIT_MONTHS = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 }
+
+/**
+ * Parse a Deribit option instrument name.
+ * "BTC-27DEC24-100000-C" → { underlying: "BTC", expiry: "2024-12-27", strike: 100000, type: "call" }
+ * Strikes with a "d" decimal separator (e.g. "0d625") are supported. Returns null if not an option.
+ */
+export function parseDeribitInstrument(name) {
+  const m = /^([A-Z]+(?:_[A-Z]+)?)-(\d{1,2})([A-Z]{3})(\d{2})-([\dd.]+)-([CP])$/.exec(name || "")
+  if (!m || !DERIBIT_MONTHS[m[3]]) return null
+  const expiry = `20${m[4]}-${String(DERIBIT_MONTHS[m[3]]).padStart(2, "0")}-${m[2].padStart(2, "0")}`
+  return {
+    underlying: m[1],
+    expiry,
+    strike: parseFloat(m[5].replace("d", ".")),
+    type: m[6] === "C" ? "call" : "put",
+  }
+}
+
+/** Years from `now` (ms) to a YYYY-MM-DD expiry's 08:00 UTC settlement. */
+export const deribitYears = (expiry, now = Date.now()) => yearsToExpiry(expiry, now, EXPIRY_HOUR_UTC.crypto)
+
+/**
+ * Map a Deribit book summary to the chain contract shape. Premiums are
+ * converted to USD at the expiry's forward, falling back to the index when
+ * it is missing. `iv` is Deribit's mark IV. Returns null for instruments
+ * that aren't options.
+ */
+export function normalizeDeribitSummary(s, indexPrice, now = Date.now()) {
+  const inst = parseDeribitInstrument(s.instrument_name)
+  if (!inst) return null
+  const forward = s.underlying_price > 0 ? s.underlying_price : indexPrice
+  const usd = (px) => px > 0 ? px * forward : 0
+  const bid = usd(s.bid_price)
+  const ask = usd(s.ask_price)
+  return {
+    contractSymbol: s.instrument_name,
+    underlying: inst.underlying,
+    type: inst.type,
+    strike: inst.strike,
+    expiry: inst.expiry,
+    T: deribitYears(inst.expiry, now),
+    bid,
+    ask,
+    last: usd(s.last),
+    mid: bid > 0 && ask > 0 ? (bid + ask) / 2 : 0,
+    mark: usd(s.mark_price),
+    volume: s.volume || 0,
+    openInterest: s.open_interest || 0,
+    underlyingPrice: forward,
+    inTheMoney: inst.type === "call" ? forward > inst.strike : forward < inst.strike,
+    iv: s.mark_iv > 0 ? s.mark_iv / 100 : null,
+  }
+}
@@ -1,67 +1,13 @@
 /**
- * liveData.js — Shared WebSocket manager + REST candle fetchers
+ * liveData.js — Shared exchange WebSocket managers
  *
- * Data source priority (crypto):
- *   1. Coinbase Exchange (WebSocket live, REST candles)
- *   2. Phemex (REST polling 5s, REST candles) — for perps/tokens not on CB
- *   3. CoinGecko (REST OHLC fallback) — last resort
- *
- * Equities: Yahoo Finance REST polling (15s)
+ * One socket per feed for the whole app: subscribers register per product
+ * (Coinbase), per stream name (Binance) or per symbol and kline resolution
+ * (Phemex) and the manager subscribes, unsubscribes and reconnects with
+ * backoff as they come and go. Messages are passed on as received. Everything else (REST quotes, candles, polling
+ * feeds) lives in the providers under lib/providers.
  */
 
-// ─── SYMBOL MAPS (from shared canonical source) ────────────────────────────
-import { COINBASE_PRODUCTS as CB_PRODUCTS, PHEMEX_PRODUCTS as PH_PRODUCTS, COINGECKO_IDS as CG_IDS } from "../utils/symbols"
-
-// ─── PARSE CHART SYMBOL ─────────────────────────────────────────────────────
-
-export function parseChartSymbol(symbol) {
-  const parts = symbol.split(":")
-  const exchangeHint = (parts[0] || "").toLowerCase()
-  const raw = (parts[1] || parts[0] || "").toUpperCase()
-
-  // Extract base ticker from raw
-  let base = raw
-  if (raw.endsWith("USDT")) base = raw.slice(0, -4)
-  else if (raw.endsWith("USD")) base = raw.slice(0, -3)
-
-  // Explicit exchange hints
-  if (exchangeHint === "nasdaq" || exchangeHint === "nyse" || exchangeHint === "amex") {
-    return { exchange: "yahoo", base: raw, quote: "USD", cbProduct: null, phProduct: null, coingeckoId: null, ticker: raw }
-  }
-
-  if (exchangeHint === "phemex") {
-    const phProduct = PH_PRODUCTS[base] || `${base}USDT`
-    const cbProduct = CB_PRODUCTS[base] || null
-    return { exchange: "phemex", base, quote: "USDT", cbProduct, phProduct, coingeckoId: CG_IDS[base] || base.toLowerCase(), ticker: null }
-  }
-
-  if (exchangeHint === "coinbase") {
-    const cbProduct = CB_PRODUCTS[base] || `${base}-USD`
-    const phProduct = PH_PRODUCTS[base] || null
-    return { exchange: "coinbase", base, quote: "USD", cbProduct, phProduct, coingeckoId: CG_IDS[base] || base.toLowerCase(), ticker: null }
-  }
-
-  // Auto-detect: equity vs crypto
-  const isCrypto = raw.endsWith("USD") || raw.endsWith("USDT") || CB_PRODUCTS[base] || PH_PRODUCTS[base] || CG_IDS[base]
-
-  if (!isCrypto) {
-    // Looks like an equity ticker
-    return { exchange: "yahoo", base: raw, quote: "USD", cbProduct: null, phProduct: null, coingeckoId: null, ticker: raw }
-  }
-
-  // Crypto: determine primary exchange
-  const cbProduct = CB_PRODUCTS[base] || null
-  const phProduct = PH_PRODUCTS[base] || `${base}USDT`
-  const coingeckoId = CG_IDS[base] || base.toLowerCase()
-
-  if (cbProduct) {
-    return { exchange: "coinbase", base, quote: "USD", cbProduct, phProduct, coingeckoId, ticker: null }
-  }
-  // Not on Coinbase → Phemex primary
-  return { exchange: "phemex", base, quote: "USDT", cbProduct: null, phProduct, coingeckoId, ticker: null }
-}
-
-
 // ─── COINBASE WEBSOCKET (SHARED) ────────────────────────────────────────────
 
 let cbWs = null
@@ -138,285 +84,294 @@ export function subscribeCoinbase(productId, callback) {
   }
 }
 
+// ─── BINANCE COMBINED STREAMS (SHARED) ──────────────────────────────────────
+//
+// Spot and USD-M futures each get one combined-stream socket. Streams are
+// added and removed with SUBSCRIBE / UNSUBSCRIBE requests on the open socket
+// and replayed after a reconnect. Binance drops every connection after 24h,
+// so reconnects are routine.
 
-// ─── PHEMEX REST POLLING ────────────────────────────────────────────────────
+const BN_URLS = {
+  spot: "wss://stream.binance.com:9443/stream",
+  futures: "wss://fstream.binance.com/stream",
+}
+const bnSockets = {} // market → { ws, ready, attempts, reconnectTimer, nextId, subscribers }
 
-export function subscribePhemex(phSymbol, callback, intervalMs = 5000) {
-  let active = true
+function bnSocket(market) {
+  if (!bnSockets[market]) bnSockets[market] = { ws: null, ready: false, attempts: 0, reconnectTimer: null, nextId: 1, subscribers: new Map() }
+  return bnSockets[market]
+}
 
-  async function poll() {
-    if (!active) return
-    try {
-      const res = await fetch(`/api/phemex/md/v2/ticker/24hr?symbol=${phSymbol}`)
-      if (!res.ok) return
-      const data = await res.json()
-      const t = data.result || (Array.isArray(data.data) ? data.data[0] : data.data) || data
-
-      // Parse price — Rp fields first, then plain, then Ep (scaled int)
-      let price = 0
-      for (const f of ["closeRp", "lastPriceRp", "markPriceRp", "indexPriceRp"]) {
-        const val = parseFloat(t[f]); if (val > 0) { price = val; break }
-      }
-      if (!price) {
-        for (const f of ["lastPrice", "close", "markPrice", "indexPrice"]) {
-          const val = parseFloat(t[f]); if (val > 0) { price = val; break }
-        }
-      }
-      if (!price) {
-        for (const f of ["closeEp", "lastPriceEp", "markPriceEp"]) {
-          const raw = parseInt(t[f])
-          if (raw > 0) { price = raw > 1e12 ? raw / 1e8 : raw / 1e4; if (price > 0) break }
-        }
-      }
+function bnSend(s, method, streams) {
+  if (!s.ready || !s.ws || streams.length === 0) return
+  try { s.ws.send(JSON.stringify({ method, params: streams, id: s.nextId++ })) } catch {}
+}
 
-      if (price <= 0) return
+function bnConnect(market) {
+  const s = bnSocket(market)
+  if (s.ws && (s.ws.readyState === WebSocket.CONNECTING || s.ws.readyState === WebSocket.OPEN)) return
 
-      // 24h change
-      let change = 0
-      const openRp = parseFloat(t.openRp || 0)
-      if (openRp > 0) change = ((price - openRp) / openRp) * 100
+  let ws
+  try {
+    ws = s.ws = new WebSocket(BN_URLS[market])
+  } catch (e) {
+    console.warn(`[BN-WS] Failed to create ${market} WebSocket:`, e.message)
+    bnScheduleReconnect(market)
+    return
+  }
 
-      // Volume
-      const vol = parseFloat(t.volumeRq || t.turnoverRv || t.volume || 0)
+  // Handlers ignore a socket that has since been closed and replaced
+  ws.onopen = () => {
+    if (s.ws !== ws) return
+    s.ready = true
+    s.attempts = 0
+    console.log(`[BN-WS] ${market} connected`)
+    bnSend(s, "SUBSCRIBE", [...s.subscribers.keys()])
+  }
 
-      // High/low
-      const high = parseFloat(t.highRp || t.high || 0) || price
-      const low = parseFloat(t.lowRp || t.low || 0) || price
+  ws.onmessage = (e) => {
+    try {
+      // Combined streams wrap every payload as { stream, data }; request acks are { result, id }
+      const msg = JSON.parse(e.data)
+      if (!msg.stream) return
+      const cbs = s.subscribers.get(msg.stream)
+      if (cbs) cbs.forEach(cb => cb(msg.data))
+    } catch {}
+  }
 
-      callback({
-        price, open24h: openRp || price, high, low, volume: vol,
-        change, time: Date.now(),
-        product_id: phSymbol,
-      })
-    } catch (e) { console.warn("[PH] poll error:", e.message) }
+  ws.onclose = () => {
+    if (s.ws !== ws) return
+    s.ready = false
+    console.log(`[BN-WS] ${market} disconnected`)
+    bnScheduleReconnect(market)
   }
 
-  poll()
-  const timer = setInterval(poll, intervalMs)
-  return () => { active = false; clearInterval(timer) }
+  ws.onerror = () => { if (s.ws === ws) s.ready = false }
 }
 
+function bnScheduleReconnect(market) {
+  const s = bnSocket(market)
+  if (s.reconnectTimer) return
+  if (s.subscribers.size === 0) return
+  const delay = Math.min(1000 * Math.pow(2, s.attempts), 30000)
+  s.attempts++
+  s.reconnectTimer = setTimeout(() => { s.reconnectTimer = null; bnConnect(market) }, delay)
+}
 
-// ─── YAHOO REST POLLING ─────────────────────────────────────────────────────
+/**
+ * Subscribe to a Binance stream ("btcusdt@ticker", "btcusdt@markPrice@1s";
+ * symbols in stream names are lowercase). The callback gets each payload as
+ * sent by Binance.
+ *
+ * @param {string} stream
+ * @param {Function} callback
+ * @param {object} [opts]
+ * @param {boolean} [opts.futures=false] - USD-M futures streams instead of spot
+ * @returns {Function} unsubscribe
+ */
+export function subscribeBinance(stream, callback, { futures = false } = {}) {
+  const market = futures ? "futures" : "spot"
+  const s = bnSocket(market)
+  if (!s.subscribers.has(stream)) {
+    s.subscribers.set(stream, new Set())
+    bnSend(s, "SUBSCRIBE", [stream])
+  }
+  s.subscribers.get(stream).add(callback)
 
-export function subscribeYahoo(ticker, callback, intervalMs = 15000) {
-  let active = true
+  if (!s.ws || s.ws.readyState === WebSocket.CLOSED) bnConnect(market)
 
-  async function poll() {
-    if (!active) return
-    try {
-      const url = `/api/yahoo/v7/finance/quote?symbols=${ticker}&fields=regularMarketPrice,regularMarketChangePercent,regularMarketOpen,regularMarketDayHigh,regularMarketDayLow,regularMarketVolume,regularMarketPreviousClose`
-      const res = await fetch(url)
-      if (!res.ok) return
-      const data = await res.json()
-      const q = data.quoteResponse?.result?.[0]
-      if (q && q.regularMarketPrice > 0) {
-        callback({
-          price: q.regularMarketPrice,
-          open24h: q.regularMarketPreviousClose || q.regularMarketOpen || 0,
-          high: q.regularMarketDayHigh || q.regularMarketPrice,
-          low: q.regularMarketDayLow || q.regularMarketPrice,
-          volume: q.regularMarketVolume || 0,
-          change: q.regularMarketChangePercent || 0,
-          time: Date.now(),
-        })
+  return () => {
+    const subs = s.subscribers.get(stream)
+    if (subs) {
+      subs.delete(callback)
+      if (subs.size === 0) {
+        s.subscribers.delete(stream)
+        bnSend(s, "UNSUBSCRIBE", [stream])
       }
-    } catch (e) { console.warn("[YF] poll error:", e.message) }
+    }
+    if (s.subscribers.size === 0) {
+      clearTimeout(s.reconnectTimer)
+      s.reconnectTimer = null
+      if (s.ws) { try { s.ws.close() } catch {}; s.ws = null; s.ready = false }
+    }
   }
-
-  poll()
-  const timer = setInterval(poll, intervalMs)
-  return () => { active = false; clearInterval(timer) }
 }
 
+// ─── PHEMEX WEBSOCKET (SHARED) ──────────────────────────────────────────────
+//
+// USDT perpetuals over one JSON-RPC socket. Tickers come from the 24h pack
+// channel, which carries every symbol in each update, so it is subscribed
+// once and fanned out per symbol. Klines are one subscription per symbol and
+// resolution. Phemex closes sockets that go 30s without a ping, so the
+// manager pings every 5s and reconnects if the server goes quiet. Every
+// subscription is replayed after a reconnect.
+
+const PH_URL = "wss://ws.phemex.com"
+const PH_PING_MS = 5000
+const PH_STALE_MS = 30000
+
+let phWs = null
+let phReady = false
+let phAttempts = 0
+let phReconnectTimer = null
+let phPingTimer = null
+let phLastMessage = 0
+let phNextId = 1
+const phTickers = new Map() // symbol → Set(callback)
+const phKlines = new Map()  // "SYMBOL:resolution" → Set(callback)
+
+function phSend(method, params = []) {
+  if (!phReady || !phWs) return
+  try { phWs.send(JSON.stringify({ id: phNextId++, method, params })) } catch {}
+}
 
-// ─── HISTORICAL CANDLE FETCHERS ─────────────────────────────────────────────
+function phKlineParams(key) {
+  const [symbol, resolution] = key.split(":")
+  return [symbol, Number(resolution)]
+}
 
-const GRANULARITY_MAP = { "1m": 60, "5m": 300, "15m": 900, "1H": 3600, "4H": 14400, "1D": 86400 }
-const CANDLE_COUNTS = { "1m": 360, "5m": 288, "15m": 288, "1H": 720, "4H": 540, "1D": 365 }
+// kline_p.unsubscribe drops every kline subscription, so re-add the ones still wanted
+function phResubscribeKlines() {
+  phSend("kline_p.unsubscribe")
+  for (const key of phKlines.keys()) phSend("kline_p.subscribe", phKlineParams(key))
+}
 
-// ─── Coinbase Candles ───
+function phConnect() {
+  if (phWs && (phWs.readyState === WebSocket.CONNECTING || phWs.readyState === WebSocket.OPEN)) return
 
-export async function fetchCoinbaseCandles(productId, timeframe = "1H") {
-  const granularity = GRANULARITY_MAP[timeframe] || 3600
-  const count = CANDLE_COUNTS[timeframe] || 720
-  const endSec = Math.floor(Date.now() / 1000)
-  const startSec = endSec - count * granularity
-  const results = []
+  let ws
+  try {
+    ws = phWs = new WebSocket(PH_URL)
+  } catch (e) {
+    console.warn("[PH-WS] Failed to create WebSocket:", e.message)
+    phScheduleReconnect()
+    return
+  }
 
-  const fetchGran = timeframe === "4H" ? 3600 : granularity
-  let cursor = endSec
-  let batch = 0
+  ws.onopen = () => {
+    if (phWs !== ws) return
+    phReady = true
+    phAttempts = 0
+    phLastMessage = Date.now()
+    console.log("[PH-WS] Connected")
+    if (phTickers.size > 0) phSend("perp_market24h_pack_p.subscribe")
+    for (const key of phKlines.keys()) phSend("kline_p.subscribe", phKlineParams(key))
+    clearInterval(phPingTimer)
+    phPingTimer = setInterval(() => {
+      if (Date.now() - phLastMessage > PH_STALE_MS) { console.warn("[PH-WS] No messages, reconnecting"); try { ws.close() } catch {}; return }
+      phSend("server.ping")
+    }, PH_PING_MS)
+  }
 
-  while (cursor > startSec && batch < 15) {
-    batch++
-    const bStart = Math.max(startSec, cursor - 299 * fetchGran)
+  ws.onmessage = (e) => {
+    if (phWs !== ws) return
+    phLastMessage = Date.now()
     try {
-      const url = `/api/coinbase/products/${productId}/candles?granularity=${fetchGran}&start=${new Date(bStart * 1000).toISOString()}&end=${new Date(cursor * 1000).toISOString()}`
-      const res = await fetch(url)
-      if (!res.ok) break
-      const data = await res.json()
-      if (!Array.isArray(data) || data.length === 0) break
-      for (const c of data) {
-        if (!Array.isArray(c) || c.length < 6) continue
-        results.push({ time: c[0], low: c[1], high: c[2], open: c[3], close: c[4], volume: c[5] })
+      const msg = JSON.parse(e.data)
+      if (msg.method === "perp_market24h_pack_p.update" && Array.isArray(msg.data)) {
+        // { fields: ["symbol", "openRp", ...], data: [[...], ...] } → one object per symbol
+        for (const row of msg.data) {
+          const cbs = phTickers.get(row[0])
+          if (!cbs) continue
+          const t = {}
+          msg.fields.forEach((f, i) => { t[f] = row[i] })
+          t.timestamp = msg.timestamp
+          cbs.forEach(cb => cb(t))
+        }
+      } else if (msg.kline_p && msg.symbol) {
+        const resolution = msg.kline_p[0]?.[1]
+        const cbs = phKlines.get(`${msg.symbol}:${resolution}`)
+        if (cbs) cbs.forEach(cb => cb(msg))
       }
-      cursor = bStart - fetchGran
-      if (data.length < 250) break
-    } catch { break }
+    } catch {}
   }
 
-  let candles = results.filter(c => c.close > 0).sort((a, b) => a.time - b.time)
-
-  if (timeframe === "4H") {
-    const grouped = {}
-    for (const c of candles) {
-      const bucket = Math.floor(c.time / 14400) * 14400
-      if (!grouped[bucket]) grouped[bucket] = { time: bucket, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume }
-      else { const g = grouped[bucket]; g.high = Math.max(g.high, c.high); g.low = Math.min(g.low, c.low); g.close = c.close; g.volume += c.volume }
-    }
-    candles = Object.values(grouped).sort((a, b) => a.time - b.time)
+  ws.onclose = () => {
+    if (phWs !== ws) return
+    phReady = false
+    clearInterval(phPingTimer)
+    phPingTimer = null
+    console.log("[PH-WS] Disconnected")
+    phScheduleReconnect()
   }
 
-  const seen = new Set()
-  return candles.filter(c => { if (seen.has(c.time)) return false; seen.add(c.time); return true })
+  ws.onerror = () => { if (phWs === ws) phReady = false }
 }
 
-// ─── Phemex Candles ───
-
-export async function fetchPhemexCandles(phSymbol, timeframe = "1H") {
-  const resSec = GRANULARITY_MAP[timeframe] || 3600
-  const count = CANDLE_COUNTS[timeframe] || 720
-  const toSec = Math.floor(Date.now() / 1000)
-  const fromSec = toSec - count * resSec
-
-  // Phemex kline endpoints — try multiple patterns
-  const endpoints = [
-    `/api/phemex/exchange/public/md/v2/kline?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-    `/api/phemex/md/v2/kline?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-    `/api/phemex/exchange/public/md/kline?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-    `/api/phemex/md/kline?symbol=${phSymbol}&resolution=${resSec}&from=${fromSec}&to=${toSec}`,
-  ]
-
-  for (const url of endpoints) {
-    try {
-      const res = await fetch(url)
-      if (!res.ok) continue
-      const data = await res.json()
-      if (data.code !== 0 && data.code !== undefined) continue
-
-      const rows = data.data?.rows || data.data?.klines || data.data || []
-      if (!Array.isArray(rows) || rows.length === 0) continue
-
-      let results = []
-      if (Array.isArray(rows[0])) {
-        // Array format: [timestamp, interval, open, high, low, close, volume, ...]
-        results = rows.map(row => {
-          const ts = (row[0] || 0)
-          const open = parseFloat(row[3]) || parseFloat(row[2]) || 0
-          const high = parseFloat(row[4]) || parseFloat(row[3]) || 0
-          const low = parseFloat(row[5]) || parseFloat(row[4]) || 0
-          const close = parseFloat(row[6]) || parseFloat(row[5]) || parseFloat(row[4]) || 0
-          const volume = parseFloat(row[7]) || 0
-          return { time: ts, open: open || close, high: high || close, low: low || close, close, volume }
-        })
-      } else {
-        // Object format
-        results = rows.map(row => {
-          const ts = row.timestamp || row.t || 0
-          let close = parseFloat(row.closeRp || row.close || row.c || 0)
-          let open = parseFloat(row.openRp || row.open || row.o || 0) || close
-          let high = parseFloat(row.highRp || row.high || row.h || 0) || close
-          let low = parseFloat(row.lowRp || row.low || row.l || 0) || close
-          const volume = parseFloat(row.volumeRq || row.volume || row.v || 0)
-          // Handle Ep fields
-          if (!close && row.closeEp) { const raw = parseInt(row.closeEp); close = raw > 1e8 ? raw / 1e4 : raw / 100 }
-          return { time: ts, open, high, low, close, volume }
-        })
-      }
-
-      results = results.filter(r => r.close > 0 && r.time > 0).sort((a, b) => a.time - b.time)
-      if (results.length > 0) {
-        const seen = new Set()
-        return results.filter(c => { if (seen.has(c.time)) return false; seen.add(c.time); return true })
-      }
-    } catch { continue }
-  }
-  return []
+function phScheduleReconnect() {
+  if (phReconnectTimer) return
+  if (phTickers.size === 0 && phKlines.size === 0) return
+  const delay = Math.min(1000 * Math.pow(2, phAttempts), 30000)
+  phAttempts++
+  phReconnectTimer = setTimeout(() => { phReconnectTimer = null; phConnect() }, delay)
 }
 
-// ─── Yahoo Candles ───
+// Close the socket once nothing is subscribed
+function phRelease() {
+  if (phTickers.size > 0 || phKlines.size > 0) return
+  clearTimeout(phReconnectTimer)
+  clearInterval(phPingTimer)
+  phReconnectTimer = null
+  phPingTimer = null
+  if (phWs) { try { phWs.close() } catch {}; phWs = null; phReady = false }
+}
 
-export async function fetchYahooCandles(ticker, timeframe = "1H") {
-  const intervalMap = { "1m": "1m", "5m": "5m", "15m": "15m", "1H": "1h", "4H": "1h", "1D": "1d" }
-  const interval = intervalMap[timeframe] || "1h"
-  const count = CANDLE_COUNTS[timeframe] || 720
-  const gran = GRANULARITY_MAP[timeframe] || 3600
-  const endSec = Math.floor(Date.now() / 1000)
-  const startSec = endSec - count * gran
+function phEnsureOpen() {
+  if (!phWs || phWs.readyState === WebSocket.CLOSED) phConnect()
+}
 
-  try {
-    const url = `/api/yahoo/v8/finance/chart/${ticker}?interval=${interval}&period1=${startSec}&period2=${endSec}`
-    const res = await fetch(url)
-    if (!res.ok) return []
-    const data = await res.json()
-    const result = data.chart?.result?.[0]
-    if (!result) return []
-
-    const ts = result.timestamp || []
-    const q = result.indicators?.quote?.[0] || {}
-
-    let candles = []
-    for (let i = 0; i < ts.length; i++) {
-      const o = q.open?.[i], h = q.high?.[i], l = q.low?.[i], c = q.close?.[i], v = q.volume?.[i]
-      if (c == null || c <= 0) continue
-      candles.push({ time: ts[i], open: o || c, high: h || c, low: l || c, close: c, volume: v || 0 })
-    }
+/**
+ * 24h ticker for a Phemex USDT perpetual. The callback gets the pack's
+ * fields as an object ({ symbol, openRp, highRp, lowRp, lastRp, volumeRq,
+ * markRp, indexRp, fundingRateRr, ... }) plus the update's timestamp (ns).
+ *
+ * @returns {Function} unsubscribe
+ */
+export function subscribePhemexTicker(symbol, callback) {
+  if (phTickers.size === 0) phSend("perp_market24h_pack_p.subscribe")
+  if (!phTickers.has(symbol)) phTickers.set(symbol, new Set())
+  phTickers.get(symbol).add(callback)
+  phEnsureOpen()
 
-    if (timeframe === "4H") {
-      const grouped = {}
-      for (const c of candles) {
-        const bucket = Math.floor(c.time / 14400) * 14400
-        if (!grouped[bucket]) grouped[bucket] = { ...c, time: bucket }
-        else { const g = grouped[bucket]; g.high = Math.max(g.high, c.high); g.low = Math.min(g.low, c.low); g.close = c.close; g.volume += c.volume }
+  return () => {
+    const subs = phTickers.get(symbol)
+    if (subs) {
+      subs.delete(callback)
+      if (subs.size === 0) {
+        phTickers.delete(symbol)
+        if (phTickers.size === 0) phSend("perp_market24h_pack_p.unsubscribe")
       }
-      candles = Object.values(grouped)
     }
-
-    candles.sort((a, b) => a.time - b.time)
-    const seen = new Set()
-    return candles.filter(c => { if (seen.has(c.time)) return false; seen.add(c.time); return true })
-  } catch { return [] }
+    phRelease()
+  }
 }
 
-// ─── CoinGecko Candles (fallback) ───
-
-export async function fetchCoingeckoCandles(coinId, timeframe = "1H") {
-  const count = CANDLE_COUNTS[timeframe] || 720
-  const gran = GRANULARITY_MAP[timeframe] || 3600
-  const days = Math.ceil((count * gran) / 86400)
+/**
+ * Klines for a Phemex USDT perpetual at `resolution` seconds. The callback
+ * gets each message as received: { symbol, type: "snapshot" | "incremental",
+ * kline_p: [[timestamp, interval, lastCloseRp, openRp, highRp, lowRp,
+ * closeRp, volumeRq, turnoverRv], ...] }.
+ *
+ * @returns {Function} unsubscribe
+ */
+export function subscribePhemexKlines(symbol, resolution, callback) {
+  const key = `${symbol}:${resolution}`
+  if (!phKlines.has(key)) {
+    phKlines.set(key, new Set())
+    phSend("kline_p.subscribe", [symbol, resolution])
+  }
+  phKlines.get(key).add(callback)
+  phEnsureOpen()
 
-  try {
-    const url = `/api/coingecko/coins/${coinId}/ohlc?vs_currency=usd&days=${Math.min(days, 365)}`
-    const res = await fetch(url)
-    if (!res.ok) return []
-    const data = await res.json()
-    if (!Array.isArray(data)) return []
-
-    let candles = data.map(([ts, o, h, l, c]) => ({
-      time: Math.floor(ts / 1000), open: o, high: h, low: l, close: c, volume: 0,
-    })).filter(c => c.close > 0)
-
-    const bucketSize = GRANULARITY_MAP[timeframe] || 3600
-    const grouped = {}
-    for (const c of candles) {
-      const bucket = Math.floor(c.time / bucketSize) * bucketSize
-      if (!grouped[bucket]) grouped[bucket] = { ...c, time: bucket }
-      else { const g = grouped[bucket]; g.high = Math.max(g.high, c.high); g.low = Math.min(g.low, c.low); g.close = c.close }
+  return () => {
+    const subs = phKlines.get(key)
+    if (subs) {
+      subs.delete(callback)
+      if (subs.size === 0) {
+        phKlines.delete(key)
+        phResubscribeKlines()
+      }
     }
-
-    candles = Object.values(grouped).sort((a, b) => a.time - b.time)
-    const seen = new Set()
-    return candles.filter(c => { if (seen.has(c.time)) return false; seen.add(c.time); return true })
-  } catch { return [] }
+    phRelease()
+  }
 }
@@ -0,0 +1,139 @@
+/**
+ * binance.js — Binance spot and USD-M perpetuals
+ *
+ * Two providers over one module: spot (/api/v3) and USD-M futures (/fapi/v1)
+ * share the /api/binance proxy, which routes fapi/ paths to the futures host.
+ * REST quotes and klines at every timeframe in common.js; live ticks over the
+ * shared combined-stream sockets in liveData.js. The futures provider also
+ * reports mark price and funding, both from premiumIndex and on its ticks.
+ * Contracts on 1000 tokens (1000PEPEUSDT) are reported per token, so they
+ * agree with the other routes for the same key.
+ *
+ * Binance refuses some regions (HTTP 451); the registry then falls through to
+ * the next route.
+ */
+
+import { BINANCE_PRODUCTS, BINANCE_FUTURES } from "../../utils/symbols.js"
+import { subscribeBinance } from "../liveData.js"
+import { request } from "../request.js"
+import { TIMEFRAMES, timeframeSeconds, timeframesFor, candleRange, cleanCandles, lotSize, devLog, devWarn } from "./common.js"
+
+// Binance interval names are the TIMEFRAMES keys themselves
+const NATIVE = Object.values(TIMEFRAMES)
+const PAGE = 1000
+const MAX_PAGES = 10
+const QUOTE_TTL = 2000
+const FUNDING_TTL = 5000
+const CANDLE_TTL = 30000
+
+const MARKETS = {
+  spot: { id: "binance", label: "Binance", short: "BN", api: "/api/v3", products: BINANCE_PRODUCTS },
+  futures: { id: "binance-futures", label: "Binance USD-M", short: "BNF", api: "/fapi/v1", products: BINANCE_FUTURES },
+}
+
+const num = (v) => parseFloat(v) || 0
+
+function createMarket(market, { baseUrl = "/api/binance" } = {}) {
+  const m = MARKETS[market]
+  const futures = market === "futures"
+  const tag = `[${m.short}]`
+
+  async function getJson(path, ttl) {
+    const res = await request(`${baseUrl}${m.api}${path}`, { ttl })
+    if (!res.ok) { devWarn(`${tag} ${path.split("?")[0]} → ${res.status}`); return null }
+    return res.json()
+  }
+
+  async function quote(symbol) {
+    try {
+      const t = await getJson(`/ticker/24hr?symbol=${symbol}`, QUOTE_TTL)
+      const lot = lotSize(symbol)
+      const price = num(t?.lastPrice) / lot
+      if (!(price > 0)) return null
+      devLog(`${tag} ticker ${symbol}: $${price}`)
+      return {
+        price, change: num(t.priceChangePercent),
+        high: num(t.highPrice) / lot || price, low: num(t.lowPrice) / lot || price, volume: num(t.volume) * lot,
+      }
+    } catch (e) { devWarn(`${tag} ticker err:`, e.message); return null }
+  }
+
+  async function candles(symbol, timeframe, range) {
+    const seconds = timeframeSeconds(timeframe)
+    if (!seconds) return []
+    const { from, to } = candleRange(seconds, range)
+    const interval = String(timeframe).toLowerCase()
+    const lot = lotSize(symbol)
+    const rows = []
+    let cursor = from
+    for (let page = 0; cursor < to && page < MAX_PAGES; page++) {
+      try {
+        const data = await getJson(`/klines?symbol=${symbol}&interval=${interval}&startTime=${cursor * 1000}&endTime=${to * 1000}&limit=${PAGE}`, CANDLE_TTL)
+        if (!Array.isArray(data) || data.length === 0) break
+        // [openTime(ms), open, high, low, close, volume, closeTime, ...], oldest first
+        for (const k of data) {
+          rows.push({ time: Math.floor(k[0] / 1000), open: num(k[1]) / lot, high: num(k[2]) / lot, low: num(k[3]) / lot, close: num(k[4]) / lot, volume: num(k[5]) * lot })
+        }
+        cursor = rows[rows.length - 1].time + seconds
+        if (data.length < PAGE) break
+      } catch (e) { devWarn(`${tag} klines err:`, e.message); break }
+    }
+    devLog(`${tag} klines ${symbol} ${interval}: ${rows.length} bars`)
+    return cleanCandles(rows)
+  }
+
+  /**
+   * Mark price and funding for a perpetual.
+   *
+   * @returns {Promise<{ markPrice, indexPrice, fundingRate, nextFundingTime } | null>}
+   *          fundingRate per 8h interval as a fraction; nextFundingTime in ms
+   */
+  async function funding(symbol) {
+    try {
+      const p = await getJson(`/premiumIndex?symbol=${symbol}`, FUNDING_TTL)
+      if (!(num(p?.markPrice) > 0)) return null
+      const lot = lotSize(symbol)
+      return { markPrice: num(p.markPrice) / lot, indexPrice: num(p.indexPrice) / lot, fundingRate: num(p.lastFundingRate), nextFundingTime: p.nextFundingTime || 0 }
+    } catch (e) { devWarn(`${tag} premiumIndex err:`, e.message); return null }
+  }
+
+  function subscribe(symbol, callback) {
+    const stream = symbol.toLowerCase()
+    const lot = lotSize(symbol)
+    let mark = null
+    const unsubs = [subscribeBinance(`${stream}@ticker`, (t) => {
+      const price = num(t.c) / lot
+      if (!(price > 0)) return
+      callback({
+        price, change: num(t.P), high: num(t.h) / lot || price, low: num(t.l) / lot || price, volume: num(t.v) * lot,
+        time: t.E || Date.now(), symbol, ...mark,
+      })
+    }, { futures })]
+    // Mark price and funding ride along on the next ticker tick
+    if (futures) {
+      unsubs.push(subscribeBinance(`${stream}@markPrice@1s`, (p) => {
+        mark = { markPrice: num(p.p) / lot, indexPrice: num(p.i) / lot, fundingRate: num(p.r), nextFundingTime: p.T || 0 }
+      }, { futures }))
+    }
+    return () => unsubs.forEach(u => u())
+  }
+
+  return {
+    id: m.id,
+    label: m.label,
+    short: m.short,
+    capabilities: { assets: ["crypto"], timeframes: timeframesFor(NATIVE), stream: true, ...(futures && { funding: true }) },
+    listed: (key) => !!m.products[key],
+    symbol: (key) => m.products[key] || `${key}USDT`,
+    quote,
+    candles,
+    subscribe,
+    ...(futures && { funding }),
+  }
+}
+
+/** Binance spot (USDT pairs). */
+export const createBinance = (opts) => createMarket("spot", opts)
+
+/** Binance USD-M perpetuals, with funding(). */
+export const createBinanceFutures = (opts) => createMarket("futures", opts)
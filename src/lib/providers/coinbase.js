@@ -0,0 +1,86 @@
+/**
+ * coinbase.js — Coinbase Exchange (spot crypto)
+ *
+ * REST quotes and candles, live ticks over the shared WebSocket in liveData.js.
+ * Candles come 300 per request at 1m / 5m / 15m / 1h / 6h / 1d; other
+ * timeframes are aggregated from the largest of those that divides them.
+ */
+
+import { COINBASE_PRODUCTS } from "../../utils/symbols.js"
+import { subscribeCoinbase } from "../liveData.js"
+import { request } from "../request.js"
+import { timeframeSeconds, timeframesFor, nativeStep, candleRange, cleanCandles, aggregateCandles, devLog, devWarn } from "./common.js"
+
+const NATIVE = [60, 300, 900, 3600, 21600, 86400]
+const PAGE = 300
+const MAX_PAGES = 20
+const QUOTE_TTL = 5000
+const STATS_TTL = 60000
+const CANDLE_TTL = 30000
+
+export function createCoinbase({ baseUrl = "/api/coinbase" } = {}) {
+  async function getJson(path, ttl) {
+    const res = await request(`${baseUrl}${path}`, { ttl })
+    if (!res.ok) { devWarn(`[CB] ${path.split("?")[0]} → ${res.status}`); return null }
+    return res.json()
+  }
+
+  async function quote(product) {
+    try {
+      const [ticker, stats] = await Promise.all([getJson(`/products/${product}/ticker`, QUOTE_TTL), getJson(`/products/${product}/stats`, STATS_TTL).catch(() => null)])
+      const price = parseFloat(ticker?.price) || 0
+      if (!(price > 0)) return null
+      const open = parseFloat(stats?.open) || 0
+      return { price, change: open > 0 ? ((price - open) / open) * 100 : 0 }
+    } catch (e) { devWarn(`[CB] quote err:`, e.message); return null }
+  }
+
+  async function candles(product, timeframe, range) {
+    const seconds = timeframeSeconds(timeframe)
+    const step = seconds && nativeStep(seconds, NATIVE)
+    if (!step) return []
+    const { from, to } = candleRange(seconds, range)
+    devLog(`[CB] candles ${product} ${seconds}s from ${new Date(from * 1000).toISOString().slice(0, 10)}`)
+    const rows = []
+    let cursor = to
+    for (let page = 0; cursor > from && page < MAX_PAGES; page++) {
+      const start = Math.max(from, cursor - (PAGE - 1) * step)
+      try {
+        const data = await getJson(`/products/${product}/candles?granularity=${step}&start=${new Date(start * 1000).toISOString()}&end=${new Date(cursor * 1000).toISOString()}`, CANDLE_TTL)
+        if (!Array.isArray(data) || data.length === 0) break
+        // [time, low, high, open, close, volume], newest first
+        for (const c of data) {
+          if (Array.isArray(c) && c.length >= 6) rows.push({ time: c[0], low: c[1], high: c[2], open: c[3], close: c[4], volume: c[5] })
+        }
+        cursor = start - step
+        if (data.length < PAGE - 50) break
+      } catch (e) { devWarn(`[CB] candles err:`, e.message); break }
+    }
+    return step === seconds ? cleanCandles(rows) : aggregateCandles(rows, seconds)
+  }
+
+  function subscribe(product, callback) {
+    return subscribeCoinbase(product, (t) => {
+      const price = parseFloat(t.price)
+      if (!(price > 0)) return
+      const open = parseFloat(t.open_24h) || 0
+      callback({
+        price, change: open > 0 ? ((price - open) / open) * 100 : 0,
+        high: parseFloat(t.high_24h) || price, low: parseFloat(t.low_24h) || price, volume: parseFloat(t.volume_24h) || 0,
+        time: Date.parse(t.time) || Date.now(), symbol: product,
+      })
+    })
+  }
+
+  return {
+    id: "coinbase",
+    label: "Coinbase",
+    short: "CB",
+    capabilities: { assets: ["crypto"], timeframes: timeframesFor(NATIVE), stream: true },
+    listed: (key) => !!COINBASE_PRODUCTS[key],
+    symbol: (key) => COINBASE_PRODUCTS[key] || `${key}-USD`,
+    quote,
+    candles,
+    subscribe,
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * coingecko.js — CoinGecko (last-resort crypto prices)
+ *
+ * Covers tokens the exchanges don't list. Quotes from simple/price; candles
+ * are built from market_chart price points, which CoinGecko samples hourly
+ * for ranges up to 90 days and daily beyond, so bars are never finer than
+ * that and carry no volume. No stream — ticks poll the quote every 60s.
+ */
+
+import { COINGECKO_IDS } from "../../utils/symbols.js"
+import { request } from "../request.js"
+import { timeframeSeconds, candleRange, aggregateCandles, pollQuote, devLog, devWarn } from "./common.js"
+
+const MAX_DAYS = 365
+const POLL_MS = 60000
+const QUOTE_TTL = 30000
+const CHART_TTL = 5 * 60000
+
+// Spacing of market_chart points for a range of `days`
+const sampleSeconds = (days) => days > 90 ? 86400 : 3600
+
+export function createCoingecko({ baseUrl = "/api/coingecko" } = {}) {
+  async function quote(id) {
+    try {
+      const res = await request(`${baseUrl}/simple/price?ids=${id}&vs_currencies=usd&include_24hr_change=true`, { ttl: QUOTE_TTL })
+      if (!res.ok) { devWarn(`[CG] quote ${id} → ${res.status}`); return null }
+      const entry = (await res.json())[id]
+      if (!entry?.usd) { devWarn(`[CG] quote ${id}: no data`); return null }
+      return { price: entry.usd, change: entry.usd_24h_change || 0 }
+    } catch (e) { devWarn(`[CG] quote err:`, e.message); return null }
+  }
+
+  async function candles(id, timeframe, range) {
+    const seconds = timeframeSeconds(timeframe)
+    if (!seconds) return []
+    const { from } = candleRange(seconds, range)
+    const days = Math.min(MAX_DAYS, Math.max(1, Math.ceil((Date.now() / 1000 - from) / 86400)))
+    if (seconds < sampleSeconds(days)) return []
+    try {
+      const res = await request(`${baseUrl}/coins/${id}/market_chart?vs_currency=usd&days=${days}`, { ttl: CHART_TTL })
+      if (!res.ok) { devWarn(`[CG] chart ${id} → ${res.status}`); return [] }
+      const points = (await res.json()).prices || []
+      const bars = points.map(([ts, p]) => ({ time: Math.floor(ts / 1000), open: p, high: p, low: p, close: p, volume: 0 }))
+      devLog(`[CG] chart ${id}: ${points.length} points over ${days}d`)
+      return aggregateCandles(bars, seconds).filter(c => c.time >= from - seconds)
+    } catch (e) { devWarn(`[CG] chart err:`, e.message); return [] }
+  }
+
+  return {
+    id: "coingecko",
+    label: "CoinGecko",
+    short: "CG",
+    capabilities: { assets: ["crypto"], timeframes: ["1h", "2h", "4h", "1d"], stream: false, pollMs: POLL_MS },
+    listed: (key) => !!COINGECKO_IDS[key],
+    symbol: (key) => COINGECKO_IDS[key] || key.toLowerCase(),
+    quote,
+    candles,
+    subscribe: (id, callback) => pollQuote(quote, id, callback, POLL_MS),
+  }
+}
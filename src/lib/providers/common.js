@@ -0,0 +1,106 @@
+/**
+ * common.js — Shared pieces of the market-data providers
+ *
+ * Candles everywhere are { time, open, high, low, close, volume } with `time`
+ * in unix seconds at the start of the bar, sorted ascending, one per time.
+ * Timeframes are the keys of TIMEFRAMES.
+ *
+ * Runs in the browser and under Node (api/cron), so no Vite-only APIs beyond
+ * the optional import.meta.env check below.
+ */
+
+export const TIMEFRAMES = { "1m": 60, "5m": 300, "15m": 900, "1h": 3600, "2h": 7200, "4h": 14400, "1d": 86400 }
+
+/** Bar length in seconds for a timeframe key ("1H" and "1h" alike), or null. */
+export function timeframeSeconds(timeframe) {
+  return TIMEFRAMES[String(timeframe).toLowerCase()] || null
+}
+
+// Verbose logging in the Vite dev server only; import.meta.env is absent under Node
+const DEV = !!import.meta.env?.DEV
+export const devLog = (...args) => { if (DEV) console.log(...args) }
+export const devWarn = (...args) => { if (DEV) console.warn(...args) }
+
+/**
+ * Largest native bar length (seconds, ascending list) that evenly divides
+ * the requested one — the bars a provider fetches before aggregating.
+ */
+export function nativeStep(seconds, natives) {
+  let best = null
+  for (const n of natives) if (n <= seconds && seconds % n === 0) best = n
+  return best
+}
+
+/** Timeframe keys a provider can serve from its native bar lengths. */
+export function timeframesFor(natives) {
+  return Object.keys(TIMEFRAMES).filter(tf => nativeStep(TIMEFRAMES[tf], natives))
+}
+
+/**
+ * Tokens per contract for a symbol: 1000 for 1000PEPEUSDT, else 1. Providers
+ * divide prices and multiply volumes by it, so every route for a key quotes
+ * per token.
+ */
+export function lotSize(symbol) {
+  const m = /^(10+)[A-Z]/.exec(symbol)
+  return m ? Number(m[1]) : 1
+}
+
+/**
+ * Drop empty bars, sort by time and keep the last bar for any repeated time.
+ */
+export function cleanCandles(candles) {
+  const byTime = new Map()
+  for (const c of candles) if (c.close > 0 && c.time > 0) byTime.set(c.time, c)
+  return [...byTime.values()].sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Merge bars into `seconds`-wide buckets aligned to UTC: first open, highest
+ * high, lowest low, last close, summed volume.
+ */
+export function aggregateCandles(candles, seconds) {
+  const out = []
+  let cur = null
+  for (const c of cleanCandles(candles)) {
+    const bucket = Math.floor(c.time / seconds) * seconds
+    if (!cur || cur.time !== bucket) {
+      cur = { time: bucket, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume || 0 }
+      out.push(cur)
+    } else {
+      cur.high = Math.max(cur.high, c.high)
+      cur.low = Math.min(cur.low, c.low)
+      cur.close = c.close
+      cur.volume += c.volume || 0
+    }
+  }
+  return out
+}
+
+/**
+ * Bars from `from` to `to` (unix seconds; `to` defaults to now, `from` to
+ * `count` bars before it). The default end is floored to the minute so
+ * requests made close together share a URL, and so a cached response.
+ */
+export function candleRange(seconds, { from, to, count = 500 } = {}) {
+  const end = to ?? Math.floor(Date.now() / 60000) * 60
+  return { from: from ?? end - count * seconds, to: end }
+}
+
+/**
+ * Poll a provider's quote() as a tick stream. Ticks are
+ * { price, change, time, symbol }; returns an unsubscribe function.
+ */
+export function pollQuote(quote, sym, callback, intervalMs) {
+  let active = true
+  async function poll() {
+    if (!active) return
+    try {
+      const q = await quote(sym)
+      if (active && q?.price > 0) callback({ ...q, time: Date.now(), symbol: sym })
+    } catch (e) { devWarn(`[Poll] ${sym} error:`, e.message) }
+  }
+  poll()
+  const timer = setInterval(poll, intervalMs)
+  return () => { active = false; clearInterval(timer) }
+}
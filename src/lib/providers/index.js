@@ -0,0 +1,246 @@
+/**
+ * Market-data provider registry
+ *
+ * One provider per exchange (coinbase.js, binance.js, phemex.js, yahoo.js,
+ * coingecko.js), each a factory returning the same shape:
+ *
+ *   id, label, short      "coinbase", "Coinbase", "CB"
+ *   capabilities          { assets, timeframes, stream, pollMs?, delayed? }
+ *   listed(key)           whether the exchange is known to carry a canonical key
+ *   symbol(key)           canonical key → exchange symbol (BTC → BTC-USD)
+ *   quote(sym)            → { price, change, ... } | null
+ *   candles(sym, tf, { from, to, count })
+ *                         → [{ time, open, high, low, close, volume }], timeframes as in common.js
+ *   subscribe(sym, cb)    cb({ price, change, time, symbol }) per tick → unsubscribe
+ *   streamCandles(sym, tf, cb)
+ *                         optional: cb(bar) with the forming bar as it changes → unsubscribe
+ *   funding(sym)          perpetuals with capabilities.funding only
+ *                         → { markPrice, indexPrice, fundingRate, nextFundingTime } | null
+ *
+ * The registry decides which providers serve a symbol (resolve) and walks
+ * that route list until one answers, so Portfolio, LiveChart and the hourly
+ * cron all share the same routing and fallbacks.
+ */
+
+import { normalizeSymbol, COINBASE_PRODUCTS, BINANCE_PRODUCTS, BINANCE_FUTURES, PHEMEX_PRODUCTS, COINGECKO_IDS, YAHOO_OVERRIDES } from "../../utils/symbols.js"
+import { createCoinbase } from "./coinbase.js"
+import { createBinance, createBinanceFutures } from "./binance.js"
+import { createPhemex } from "./phemex.js"
+import { createYahoo } from "./yahoo.js"
+import { createCoingecko } from "./coingecko.js"
+import { devLog, devWarn } from "./common.js"
+
+export { TIMEFRAMES, timeframeSeconds } from "./common.js"
+
+// Upstream hosts for server-side use (api/cron), where there is no dev proxy
+const DIRECT = {
+  coinbase: { baseUrl: "https://api.exchange.coinbase.com" },
+  binance: { baseUrl: "https://api.binance.com" },
+  "binance-futures": { baseUrl: "https://fapi.binance.com" },
+  phemex: { baseUrl: "https://api.phemex.com" },
+  yahoo: { baseUrl: "https://query2.finance.yahoo.com", headers: { "User-Agent": "Mozilla/5.0" } },
+  coingecko: { baseUrl: "https://api.coingecko.com/api/v3" },
+}
+
+// A route counts as quiet after this long without a tick: streams get a fixed
+// window, polling routes two missed polls
+const STREAM_STALE_MS = 15000
+const WATCHDOG_MS = 1000
+const staleAfter = (provider) => provider.capabilities.stream ? STREAM_STALE_MS : 2 * (provider.capabilities.pollMs || STREAM_STALE_MS) + 5000
+
+const EQUITY_VENUES = ["nasdaq", "nyse", "amex"]
+const CRYPTO = ["coinbase", "binance", "phemex", "binance-futures", "coingecko"]
+const PERPS = ["phemex", "binance-futures"]
+
+/**
+ * Build a registry over the built-in providers.
+ *
+ * @param {object} [opts]
+ * @param {boolean} [opts.direct=false] - Call exchange hosts directly instead of the /api proxies
+ */
+export function createRegistry({ direct = false } = {}) {
+  const providers = new Map()
+  const register = (provider) => { providers.set(provider.id, provider); return provider }
+  const get = (id) => providers.get(id) || null
+
+  const cfg = (id) => (direct ? DIRECT[id] : undefined)
+  register(createCoinbase(cfg("coinbase")))
+  register(createBinance(cfg("binance")))
+  register(createBinanceFutures(cfg("binance-futures")))
+  register(createPhemex(cfg("phemex")))
+  register(createYahoo(cfg("yahoo")))
+  register(createCoingecko(cfg("coingecko")))
+
+  const route = (id, key) => { const p = get(id); return p ? { provider: p, symbol: p.symbol(key) } : null }
+
+  /**
+   * Providers that can serve a symbol, best first.
+   *
+   * Accepts holding symbols (BTC, ZRO:USDT, AAPL, XAUUSD) with the holding's
+   * type / exchange, and chart symbols with an exchange prefix
+   * (COINBASE:BTCUSD, BINANCE:SOLUSDT, BINANCE:SOLUSDT.P, NASDAQ:AAPL).
+   * Crypto falls back through whichever exchanges list the token — perp
+   * venues first for perps — then CoinGecko.
+   *
+   * @param {string} symbol
+   * @param {object} [opts]
+   * @param {string} [opts.type]     - Holding type: "crypto_spot", "crypto_perp", "equity", ...
+   * @param {string} [opts.exchange] - Preferred provider id or equity venue
+   * @returns {{ key, base, quote, asset, routes: Array<{ provider, symbol }> } | null}
+   */
+  function resolve(symbol, { type, exchange } = {}) {
+    const raw = String(symbol || "").trim().toUpperCase()
+    const colon = raw.indexOf(":")
+    const prefix = colon > 0 ? raw.slice(0, colon).toLowerCase() : ""
+    const hinted = prefix && (providers.has(prefix) || EQUITY_VENUES.includes(prefix))
+    let pair = hinted ? raw.slice(colon + 1) : raw
+    // TradingView marks perpetuals with a .P suffix (BINANCE:BTCUSDT.P)
+    const dotP = pair.endsWith(".P")
+    if (dotP) pair = pair.slice(0, -2)
+    const perp = dotP || type === "crypto_perp"
+    let venue = hinted ? prefix : (exchange || "").toLowerCase()
+    if (venue === "binance" && perp) venue = "binance-futures"
+    const key = normalizeSymbol(pair)
+    if (!key) return null
+
+    const equity = (sym) => ({ key, base: key, quote: "USD", asset: "equity", routes: [route("yahoo", sym)].filter(Boolean) })
+
+    // Explicit venue
+    if (EQUITY_VENUES.includes(venue)) return equity(key)
+    if (venue === "yahoo") return equity(YAHOO_OVERRIDES[key] || key)
+    if (venue && providers.has(venue) && !CRYPTO.includes(venue)) {
+      return { key, base: key, quote: "USD", asset: get(venue).capabilities.assets[0], routes: [route(venue, key)] }
+    }
+
+    let primary = CRYPTO.includes(venue) ? venue : null
+    if (!primary && type !== "equity") {
+      if (perp) primary = PHEMEX_PRODUCTS[key] ? "phemex" : BINANCE_FUTURES[key] ? "binance-futures" : COINBASE_PRODUCTS[key] ? "coinbase" : "phemex"
+      else if (COINBASE_PRODUCTS[key]) primary = "coinbase"
+      else if (BINANCE_PRODUCTS[key]) primary = "binance"
+      else if (PHEMEX_PRODUCTS[key]) primary = "phemex"
+      else if (COINGECKO_IDS[key]) primary = "coingecko"
+      else if (type === "crypto_spot") primary = "coinbase"
+      // Untyped pair notation (FOOUSDT) reads as a perp
+      else if (!type && /USDT?$/.test(pair) && !YAHOO_OVERRIDES[key] && !YAHOO_OVERRIDES[pair]) primary = "phemex"
+    }
+
+    if (!primary) {
+      // Commodities and non-standard tickers, Yahoo futures notation (HG=F), then plain equity tickers
+      if (YAHOO_OVERRIDES[key] || YAHOO_OVERRIDES[pair]) return equity(YAHOO_OVERRIDES[key] || YAHOO_OVERRIDES[pair])
+      if (/^[A-Z]{1,4}=F$/.test(key) || /^[A-Z]{1,5}$/.test(key)) return equity(key)
+      devWarn(`[Resolve] no provider for symbol="${symbol}" type="${type}" exchange="${exchange}" key="${key}"`)
+      return null
+    }
+
+    const order = PERPS.includes(primary) ? [...PERPS, ...CRYPTO.filter(id => !PERPS.includes(id))] : CRYPTO
+    const ids = [primary, ...order.filter(id => id !== primary && (id === "coingecko" || get(id)?.listed(key)))]
+    return {
+      key, base: key, quote: primary === "coinbase" || primary === "coingecko" ? "USD" : "USDT", asset: "crypto",
+      routes: ids.map(id => route(id, key)).filter(Boolean),
+    }
+  }
+
+  const resolved = (symbol, opts) => (typeof symbol === "string" ? resolve(symbol, opts) : symbol)
+
+  /**
+   * Latest price from the first route that answers.
+   *
+   * @param {string|object} symbol - Symbol, or the result of resolve()
+   * @returns {Promise<{ price, change, provider } | null>}
+   */
+  async function quote(symbol, opts) {
+    const res = resolved(symbol, opts)
+    for (const { provider, symbol: sym } of res?.routes || []) {
+      const q = await provider.quote(sym)
+      if (q?.price > 0) {
+        devLog(`[Quote] ${res.key} → ${provider.short}:${sym} $${q.price}`)
+        return { ...q, provider }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Candles from the first route that has them at this timeframe.
+   *
+   * @param {string|object} symbol - Symbol, or the result of resolve()
+   * @param {string} timeframe     - Key of TIMEFRAMES ("1m" … "1d")
+   * @param {object} [opts]        - { from, to, count } range plus resolve()'s { type, exchange }
+   * @returns {Promise<{ candles, provider }>} provider null when nothing answered
+   */
+  async function candles(symbol, timeframe, { type, exchange, ...range } = {}) {
+    const res = resolved(symbol, { type, exchange })
+    const tf = String(timeframe).toLowerCase()
+    for (const { provider, symbol: sym } of res?.routes || []) {
+      if (!provider.capabilities.timeframes.includes(tf)) continue
+      const bars = await provider.candles(sym, tf, range)
+      if (bars.length > 0) {
+        devLog(`[Candles] ${res.key} ${tf} → ${provider.short}:${sym} ${bars.length} bars`)
+        return { candles: bars, provider }
+      }
+    }
+    return { candles: [], provider: null }
+  }
+
+  /**
+   * Live ticks with failover. Only the first route is subscribed at first;
+   * when every open route has gone quiet (no tick within staleAfter(), or
+   * none yet since it was opened) the next route is opened as well. Ticks
+   * from a route are dropped while a better route is ticking, and once a
+   * route ticks, the routes after it are closed again, so a recovered
+   * primary takes back over.
+   *
+   * @param {string|object} symbol
+   * @param {Function} callback - (tick, provider) => void
+   * @returns {Function} unsubscribe
+   */
+  function subscribe(symbol, callback, opts) {
+    const routes = resolved(symbol, opts)?.routes || []
+    if (routes.length === 0) return () => {}
+    const unsubs = routes.map(() => null)
+    const openedAt = routes.map(() => 0)
+    const lastTick = routes.map(() => 0)
+
+    const fresh = (i, since, now) => since > 0 && now - since < staleAfter(routes[i].provider)
+    const ticking = (i, now) => fresh(i, lastTick[i], now)
+    const healthy = (i, now) => !!unsubs[i] && (ticking(i, now) || (!lastTick[i] && fresh(i, openedAt[i], now)))
+
+    function close(i) {
+      if (!unsubs[i]) return
+      unsubs[i]()
+      unsubs[i] = null
+      openedAt[i] = lastTick[i] = 0
+    }
+
+    function open(i) {
+      const { provider, symbol: sym } = routes[i]
+      openedAt[i] = Date.now()
+      devLog(`[Subscribe] ${sym} → ${provider.short}${i > 0 ? " (fallback)" : ""}`)
+      unsubs[i] = provider.subscribe(sym, (tick) => {
+        const now = Date.now()
+        lastTick[i] = now
+        for (let j = 0; j < i; j++) if (ticking(j, now)) return
+        for (let k = i + 1; k < routes.length; k++) close(k)
+        callback(tick, provider)
+      })
+    }
+
+    open(0)
+    const watchdog = setInterval(() => {
+      const now = Date.now()
+      if (unsubs.some((_, i) => healthy(i, now))) return
+      const next = unsubs.findLastIndex(Boolean) + 1
+      if (next < routes.length) {
+        devWarn(`[Subscribe] ${routes[0].symbol}: no ticks, falling back to ${routes[next].provider.short}`)
+        open(next)
+      }
+    }, WATCHDOG_MS)
+
+    return () => { clearInterval(watchdog); routes.forEach((_, i) => close(i)) }
+  }
+
+  return { providers, register, get, resolve, quote, candles, subscribe }
+}
+
+/** Registry for the browser, going through the /api proxies. */
+export const marketData = createRegistry()
@@ -0,0 +1,171 @@
+/**
+ * phemex.js — Phemex USDT perpetuals
+ *
+ * REST quotes and klines for history; live ticks and bars over the shared
+ * WebSocket in liveData.js. Phemex has moved its REST kline route between API
+ * versions, so candles() walks a list of known paths and keeps the first that
+ * answers with rows. Contracts on 1000 tokens (1000PEPEUSDT) are reported per
+ * token, on REST and WebSocket alike, so they agree with the other routes.
+ */
+
+import { PHEMEX_PRODUCTS } from "../../utils/symbols.js"
+import { subscribePhemexTicker, subscribePhemexKlines } from "../liveData.js"
+import { request } from "../request.js"
+import { timeframeSeconds, timeframesFor, nativeStep, candleRange, cleanCandles, aggregateCandles, lotSize, devLog, devWarn } from "./common.js"
+
+const NATIVE = [60, 300, 900, 1800, 3600, 14400, 86400]
+const QUOTE_TTL = 4000
+const CANDLE_TTL = 30000
+
+const KLINE_PATHS = [
+  "/exchange/public/md/v2/kline",
+  "/md/v2/kline",
+  "/exchange/public/md/kline",
+  "/md/kline",
+  "/exchange/public/md/v2/kline/last",
+]
+
+// Ep fields are integers scaled by 1e4 (or 1e8 for the largest values)
+function scaledEp(raw) {
+  const n = parseInt(raw)
+  return n > 0 ? (n > 1e12 ? n / 1e8 : n / 1e4) : 0
+}
+
+// Price from a v2 or v3 ticker: Rp fields (decimal strings) first, then plain, then Ep
+function tickerPrice(t) {
+  for (const f of ["closeRp", "lastRp", "lastPriceRp", "markPriceRp", "indexPriceRp", "lastPrice", "close", "markPrice", "indexPrice"]) {
+    const val = parseFloat(t[f])
+    if (val > 0) return val
+  }
+  for (const f of ["closeEp", "lastEp", "lastPriceEp", "markPriceEp"]) {
+    const val = scaledEp(t[f])
+    if (val > 0) return val
+  }
+  return 0
+}
+
+// Contracts traded in 24h, in tokens; turnover is already in USDT
+function tickerVolume(t, lot) {
+  const qty = parseFloat(t.volumeRq)
+  if (qty > 0) return qty * lot
+  return parseFloat(t.turnoverRv) || (parseFloat(t.volume) || 0) * lot
+}
+
+// Kline rows come as arrays [time, interval, lastClose, open, high, low, close, volume, turnover] or objects;
+// prices per contract are divided by `lot` and volumes multiplied, giving per-token bars
+function parseKline(row, lot = 1) {
+  if (Array.isArray(row)) {
+    const close = parseFloat(row[6]) || parseFloat(row[5]) || parseFloat(row[4]) || 0
+    return {
+      time: row[0] || 0,
+      open: (parseFloat(row[3]) || close) / lot, high: (parseFloat(row[4]) || close) / lot, low: (parseFloat(row[5]) || close) / lot,
+      close: close / lot, volume: (parseFloat(row[7]) || 0) * lot,
+    }
+  }
+  const close = parseFloat(row.closeRp || row.close || row.c || 0) || scaledEp(row.closeEp)
+  return {
+    time: row.timestamp || row.t || 0,
+    open: (parseFloat(row.openRp || row.open || row.o || 0) || close) / lot,
+    high: (parseFloat(row.highRp || row.high || row.h || 0) || close) / lot,
+    low: (parseFloat(row.lowRp || row.low || row.l || 0) || close) / lot,
+    close: close / lot, volume: parseFloat(row.volumeRq || row.volume || row.v || 0) * lot,
+  }
+}
+
+export function createPhemex({ baseUrl = "/api/phemex" } = {}) {
+  async function quote(symbol) {
+    try {
+      const res = await request(`${baseUrl}/md/v2/ticker/24hr?symbol=${symbol}`, { ttl: QUOTE_TTL })
+      if (!res.ok) { devWarn(`[PH] ticker ${symbol} → ${res.status}`); return null }
+      const data = await res.json()
+      const t = data.result || (Array.isArray(data.data) ? data.data[0] : data.data) || data
+      const lot = lotSize(symbol)
+      const price = tickerPrice(t) / lot
+      if (!(price > 0)) return null
+      const open = parseFloat(t.openRp || 0) / lot
+      devLog(`[PH] ticker ${symbol}: $${price}`)
+      return {
+        price, change: open > 0 ? ((price - open) / open) * 100 : 0,
+        high: parseFloat(t.highRp || t.high || 0) / lot || price, low: parseFloat(t.lowRp || t.low || 0) / lot || price,
+        volume: tickerVolume(t, lot),
+      }
+    } catch (e) { devWarn(`[PH] ticker err:`, e.message); return null }
+  }
+
+  async function candles(symbol, timeframe, range) {
+    const seconds = timeframeSeconds(timeframe)
+    const step = seconds && nativeStep(seconds, NATIVE)
+    if (!step) return []
+    const { from, to } = candleRange(seconds, range)
+    const query = `?symbol=${symbol}&resolution=${step}&from=${from}&to=${to}`
+    const lot = lotSize(symbol)
+
+    for (const path of KLINE_PATHS) {
+      try {
+        const res = await request(`${baseUrl}${path}${query}`, { ttl: CANDLE_TTL })
+        if (!res.ok) { devWarn(`[PH] ${res.status} for ${path}`); continue }
+        const data = await res.json()
+        if (data.code !== 0 && data.code !== undefined) { devWarn(`[PH] code=${data.code} for ${path}`); continue }
+        const rows = data.data?.rows || data.data?.klines || data.data || []
+        if (!Array.isArray(rows) || rows.length === 0) continue
+        const bars = rows.map(row => parseKline(row, lot))
+        const out = step === seconds ? cleanCandles(bars) : aggregateCandles(bars, seconds)
+        if (out.length > 0) {
+          devLog(`[PH] klines ${symbol} ${timeframe}: ${out.length} bars from ${path}`)
+          return out
+        }
+      } catch (e) { devWarn(`[PH] klines err:`, e.message) }
+    }
+    devWarn(`[PH] klines ${symbol}: all endpoints failed`)
+    return []
+  }
+
+  function subscribe(symbol, callback) {
+    const lot = lotSize(symbol)
+    return subscribePhemexTicker(symbol, (t) => {
+      const price = tickerPrice(t) / lot
+      if (!(price > 0)) return
+      const open = (parseFloat(t.openRp) || 0) / lot
+      callback({
+        price, change: open > 0 ? ((price - open) / open) * 100 : 0,
+        high: parseFloat(t.highRp) / lot || price, low: parseFloat(t.lowRp) / lot || price, volume: (parseFloat(t.volumeRq) || 0) * lot,
+        markPrice: parseFloat(t.markRp) / lot || price, fundingRate: parseFloat(t.fundingRateRr) || 0,
+        time: Math.floor(t.timestamp / 1e6) || Date.now(), symbol,
+      })
+    })
+  }
+
+  /**
+   * Live bars: callback(bar) with the current bar whenever it changes.
+   * Timeframes without a native resolution are merged from native bars.
+   */
+  function streamCandles(symbol, timeframe, callback) {
+    const seconds = timeframeSeconds(timeframe)
+    const step = seconds && nativeStep(seconds, NATIVE)
+    if (!step) return () => {}
+    const lot = lotSize(symbol)
+    const parts = new Map() // native bars of the current bucket, by time
+    return subscribePhemexKlines(symbol, step, (msg) => {
+      const bars = cleanCandles(msg.kline_p.map(row => parseKline(row, lot)))
+      if (bars.length === 0) return
+      const bucket = Math.floor(bars[bars.length - 1].time / seconds) * seconds
+      for (const time of parts.keys()) if (time < bucket) parts.delete(time)
+      for (const b of bars) if (b.time >= bucket) parts.set(b.time, b)
+      const [bar] = aggregateCandles([...parts.values()], seconds)
+      if (bar) callback(bar)
+    })
+  }
+
+  return {
+    id: "phemex",
+    label: "Phemex",
+    short: "PH",
+    capabilities: { assets: ["crypto"], timeframes: timeframesFor(NATIVE), stream: true },
+    listed: (key) => !!PHEMEX_PRODUCTS[key],
+    symbol: (key) => PHEMEX_PRODUCTS[key] || `${key}USDT`,
+    quote,
+    candles,
+    subscribe,
+    streamCandles,
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * yahoo.js — Yahoo Finance (equities, ETFs, futures)
+ *
+ * Quotes from v7/finance/quote, falling back to the v8 chart meta when v7 is
+ * rate-limited; candles from v8/finance/chart. Quotes are delayed, so ticks
+ * are the quote polled every 15s.
+ */
+
+import { YAHOO_OVERRIDES } from "../../utils/symbols.js"
+import { request } from "../request.js"
+import { timeframeSeconds, timeframesFor, nativeStep, candleRange, cleanCandles, aggregateCandles, pollQuote, devLog, devWarn } from "./common.js"
+
+const INTERVALS = { 60: "1m", 300: "5m", 900: "15m", 3600: "1h", 86400: "1d" }
+const NATIVE = Object.keys(INTERVALS).map(Number)
+const POLL_MS = 15000
+const QUOTE_TTL = 12000
+const CANDLE_TTL = 60000
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.baseUrl="/api/yahoo"] - Proxy prefix, or the query2 host when called server-side
+ * @param {object} [opts.headers]              - Extra request headers (Yahoo rejects requests without a User-Agent)
+ */
+export function createYahoo({ baseUrl = "/api/yahoo", headers } = {}) {
+  const get = (path, ttl) => request(`${baseUrl}${path}`, { ttl, headers })
+
+  async function quote(ticker) {
+    try {
+      const r7 = await get(`/v7/finance/quote?symbols=${ticker}&fields=regularMarketPrice,regularMarketChangePercent,regularMarketDayHigh,regularMarketDayLow,regularMarketVolume`, QUOTE_TTL)
+      if (r7.ok) {
+        const q = (await r7.json()).quoteResponse?.result?.[0]
+        if (q && q.regularMarketPrice > 0) {
+          return {
+            price: q.regularMarketPrice, change: q.regularMarketChangePercent || 0,
+            high: q.regularMarketDayHigh || q.regularMarketPrice, low: q.regularMarketDayLow || q.regularMarketPrice,
+            volume: q.regularMarketVolume || 0,
+          }
+        }
+      }
+      devWarn(`[YF] v7 quote ${ticker} → ${r7.status}, falling back to v8 chart`)
+
+      const res = await get(`/v8/finance/chart/${ticker}?interval=1d&range=2d`, QUOTE_TTL)
+      if (!res.ok) { devWarn(`[YF] quote ${ticker} → ${res.status}`); return null }
+      const meta = (await res.json()).chart?.result?.[0]?.meta || {}
+      const price = meta.regularMarketPrice || 0
+      const prevClose = meta.chartPreviousClose || meta.previousClose || 0
+      return price > 0 ? { price, change: prevClose > 0 ? ((price - prevClose) / prevClose) * 100 : 0 } : null
+    } catch (e) { devWarn(`[YF] quote err:`, e.message); return null }
+  }
+
+  async function candles(ticker, timeframe, range) {
+    const seconds = timeframeSeconds(timeframe)
+    const step = seconds && nativeStep(seconds, NATIVE)
+    if (!step) return []
+    const { from, to } = candleRange(seconds, range)
+    try {
+      const res = await get(`/v8/finance/chart/${ticker}?interval=${INTERVALS[step]}&period1=${from}&period2=${to}`, CANDLE_TTL)
+      if (!res.ok) { devWarn(`[YF] chart ${ticker} → ${res.status}`); return [] }
+      const result = (await res.json()).chart?.result?.[0]
+      const ts = result?.timestamp || []
+      const q = result?.indicators?.quote?.[0] || {}
+      const bars = []
+      for (let i = 0; i < ts.length; i++) {
+        const c = q.close?.[i]
+        if (c == null || c <= 0) continue
+        bars.push({ time: ts[i], open: q.open?.[i] || c, high: q.high?.[i] || c, low: q.low?.[i] || c, close: c, volume: q.volume?.[i] || 0 })
+      }
+      devLog(`[YF] chart ${ticker} ${timeframe}: ${bars.length} ${INTERVALS[step]} bars`)
+      return step === seconds ? cleanCandles(bars) : aggregateCandles(bars, seconds)
+    } catch (e) { devWarn(`[YF] chart err:`, e.message); return [] }
+  }
+
+  return {
+    id: "yahoo",
+    label: "Yahoo Finance",
+    short: "YF",
+    capabilities: { assets: ["equity", "future"], timeframes: timeframesFor(NATIVE), stream: false, delayed: true, pollMs: POLL_MS },
+    listed: () => true,
+    symbol: (key) => YAHOO_OVERRIDES[key] || key,
+    quote,
+    candles,
+    subscribe: (ticker, callback) => pollQuote(quote, ticker, callback, POLL_MS),
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Portfolio report generator.
+ *
+ * Renders the Portfolio summary, allocation, snapshot equity curve, option
+ * Greeks and price/date scenarios, and closed trades into one self-contained
+ * HTML document: inline CSS and SVG only, no scripts beyond a print button,
+ * so the file opens anywhere and prints to PDF from the browser.
+ *
+ * In privacy mode every dollar amount and quantity is masked; percentages,
+ * weights and market prices stay, and the equity curve is indexed to 100.
+ */
+import { pnlGrid } from "../engine/strategy";
+import { fmt, fmtDollar, fmtPnl, fmtPnlPct, fmtPrice } from "../utils/format";
+
+const MASK = "•••••";
+const INK = { text: "#111827", muted: "#6b7280", grid: "#e5e7eb", positive: "#15803d", negative: "#b91c1c", accent: "#2563eb", faint: "#9ca3af" };
+const PALETTE = ["#2563eb", "#16a34a", "#d97706", "#9333ea", "#dc2626", "#0891b2", "#db2777", "#65a30d", "#4b5563"];
+const SCENARIO_MOVES = [-0.2, -0.1, -0.05, 0, 0.05, 0.1, 0.2];
+const SCENARIO_DAYS = [0, 7, 30];
+const MAX_ALLOCATION_ROWS = 10;
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+const signColor = (v) => v >= 0 ? INK.positive : INK.negative;
+
+// ─── SVG CHARTS ─────────────────────────────────────────────────────────────
+
+/**
+ * Line chart over time. series: [{ points: [{ t, y }], color, dashed?, label }],
+ * t in ms. yFormat null hides the value axis.
+ */
+function lineChartSvg(series, { width = 720, height = 240, yFormat = fmtDollar } = {}) {
+  const all = series.flatMap(s => s.points);
+  if (all.length < 2) return "";
+  const pad = { top: 12, right: 12, bottom: 24, left: yFormat ? 78 : 12 };
+  const t0 = Math.min(...all.map(p => p.t)), t1 = Math.max(...all.map(p => p.t));
+  let y0 = Math.min(...all.map(p => p.y)), y1 = Math.max(...all.map(p => p.y));
+  if (y1 === y0) { y0 -= 1; y1 += 1; }
+  const span = y1 - y0;
+  y0 -= span * 0.05; y1 += span * 0.05;
+  const w = width - pad.left - pad.right, h = height - pad.top - pad.bottom;
+  const x = (t) => pad.left + (t1 > t0 ? (t - t0) / (t1 - t0) : 0) * w;
+  const y = (v) => pad.top + (1 - (v - y0) / (y1 - y0)) * h;
+
+  const parts = [];
+  for (let i = 0; i <= 4; i++) {
+    const v = y0 + (y1 - y0) * i / 4, yy = y(v).toFixed(1);
+    parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${yy}" y2="${yy}" stroke="${INK.grid}" />`);
+    if (yFormat) parts.push(`<text x="${pad.left - 6}" y="${yy}" dy="3" text-anchor="end">${esc(yFormat(v))}</text>`);
+  }
+  for (const f of [0, 0.5, 1]) {
+    const t = t0 + (t1 - t0) * f;
+    const anchor = f === 0 ? "start" : f === 1 ? "end" : "middle";
+    parts.push(`<text x="${x(t).toFixed(1)}" y="${height - 6}" text-anchor="${anchor}">${new Date(t).toISOString().slice(0, 10)}</text>`);
+  }
+  for (const s of series) {
+    if (s.points.length < 2) continue;
+    const d = s.points.map((p, i) => `${i ? "L" : "M"}${x(p.t).toFixed(1)},${y(p.y).toFixed(1)}`).join("");
+    parts.push(`<path d="${d}" fill="none" stroke="${s.color}" stroke-width="${s.dashed ? 1 : 1.75}"${s.dashed ? ' stroke-dasharray="5 3"' : ""} />`);
+  }
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg" font-size="9" fill="${INK.muted}">${parts.join("")}</svg>`;
+}
+
+/** Single stacked bar of weights, rows: [{ label, weight }] with weights summing to 1. */
+function stackedBarSvg(rows, { width = 720, height = 18 } = {}) {
+  let x = 0;
+  const rects = rows.map((r, i) => {
+    const w = r.weight * width;
+    const rect = `<rect x="${x.toFixed(1)}" y="0" width="${Math.max(0, w).toFixed(1)}" height="${height}" fill="${PALETTE[i % PALETTE.length]}"><title>${esc(r.label)} ${fmt(r.weight * 100, 1)}%</title></rect>`;
+    x += w;
+    return rect;
+  });
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" preserveAspectRatio="none" xmlns="http://www.w3.org/2000/svg">${rects.join("")}</svg>`;
+}
+
+// ─── SECTIONS ───────────────────────────────────────────────────────────────
+
+function table(headers, rows, { right = [] } = {}) {
+  const th = headers.map((h, i) => `<th${right.includes(i) ? ' class="r"' : ""}>${esc(h)}</th>`).join("");
+  const body = rows.map(cells => `<tr>${cells.map((c, i) => `<td${right.includes(i) ? ' class="r"' : ""}>${c}</td>`).join("")}</tr>`).join("");
+  return `<table><thead><tr>${th}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function allocationRows(summary) {
+  const items = [
+    ...summary.enrichedMarket.map(h => ({ label: h.symbol, value: h.marketValue })),
+    ...summary.enrichedOptions.map(h => ({ label: h.symbol || h.underlying, value: h.marketValue })),
+    ...summary.enrichedCollectibles.map(h => ({ label: h.label || h.symbol, value: h.marketValue })),
+  ].filter(r => r.value > 0);
+  if (summary.cashValue > 0) items.push({ label: "Cash", value: summary.cashValue });
+  const total = items.reduce((s, r) => s + r.value, 0);
+  if (!(total > 0)) return [];
+  items.sort((a, b) => b.value - a.value);
+  const top = items.slice(0, MAX_ALLOCATION_ROWS);
+  const rest = items.slice(MAX_ALLOCATION_ROWS).reduce((s, r) => s + r.value, 0);
+  if (rest > 0) top.push({ label: "Other", value: rest });
+  return top.map(r => ({ ...r, weight: r.value / total }));
+}
+
+function equityCurveSection(snapshots, privacy) {
+  const pts = snapshots.filter(s => s.totalValue > 0).map(s => ({ t: new Date(s.date).getTime(), value: s.totalValue, cost: s.costBasis }));
+  if (pts.length < 2) return `<p class="muted">Not enough portfolio snapshots recorded yet.</p>`;
+  const first = pts[0].value, last = pts[pts.length - 1].value;
+  const series = privacy
+    ? [{ points: pts.map(p => ({ t: p.t, y: 100 * p.value / first })), color: INK.accent }]
+    : [
+      { points: pts.map(p => ({ t: p.t, y: p.value })), color: INK.accent },
+      { points: pts.filter(p => p.cost > 0).map(p => ({ t: p.t, y: p.cost })), color: INK.faint, dashed: true },
+    ];
+  const svg = lineChartSvg(series, { yFormat: privacy ? (v => fmt(v, 0)) : fmtDollar });
+  const note = privacy ? "Indexed to 100 at the first snapshot." : "Total value (solid) and cost basis (dashed).";
+  return `${svg}<p class="muted">${note} ${pts.length} snapshots · change over period <b style="color:${signColor(last - first)}">${fmtPnlPct(last / first - 1)}</b></p>`;
+}
+
+function optionsSection({ summary, exposure, optionBook, r }, money, qty) {
+  const options = summary.enrichedOptions;
+  if (options.length === 0) return "";
+  const rows = options.map(h => {
+    const v = h.valuation;
+    return [
+      `<b>${esc(h.symbol || h.underlying)}</b>`, esc(h.side || "long"), qty(h.qty), fmtPrice(h.strike), esc(h.expiry),
+      v ? fmtPrice(v.mark) : "—", v ? `${fmt(v.iv * 100, 1)}%` : "—",
+      v ? qty(fmt(v.delta, 1)) : "—", v ? qty(fmt(v.gamma, 3)) : "—", v ? money(v.theta, fmtPnl) : "—", v ? money(v.vega, fmtPnl) : "—",
+      `<span style="color:${signColor(h.pnl)}">${money(h.pnl, fmtPnl)}</span>`,
+    ];
+  });
+  let html = `<h2>Options &amp; Greeks</h2>` + table(
+    ["Contract", "Side", "Qty", "Strike", "Expiry", "Mark", "IV", "Δ shares", "Γ", "Θ / day", "Vega / pt", "Unrealized"],
+    rows, { right: [2, 3, 5, 6, 7, 8, 9, 10, 11] });
+
+  if (exposure) {
+    html += `<div class="cards">${[
+      ["Net $ delta", money(exposure.dollarDelta, fmtDollar)],
+      ["$ gamma (1%)", money(exposure.dollarGamma, fmtDollar)],
+      ["Theta / day", money(exposure.theta, fmtPnl)],
+      ["Vega / vol pt", money(exposure.vega, fmtPnl)],
+      ["Beta-weighted $ delta", money(exposure.betaDollarDelta, fmtDollar)],
+    ].map(([l, v]) => `<div class="card"><div class="label">${l}</div><div class="value">${v}</div></div>`).join("")}</div>`;
+  }
+
+  if (optionBook.length > 0) {
+    const g = pnlGrid(optionBook, { moves: SCENARIO_MOVES, days: SCENARIO_DAYS, r });
+    const scenarioRows = g.days.map((d, i) => [
+      d === 0 ? "Today" : `+${d} days`,
+      ...g.grid[i].map(v => `<span style="color:${signColor(v)}">${money(v, fmtPnl)}</span>`),
+    ]);
+    html += `<h3>Option book scenarios</h3>` + table(
+      ["Horizon", ...g.moves.map(m => m === 0 ? "Unchanged" : `${m > 0 ? "+" : ""}${fmt(m * 100, 0)}%`)],
+      scenarioRows, { right: g.moves.map((_, i) => i + 1) });
+    html += `<p class="muted">P&amp;L vs today's marks with every underlying moved by the same percentage; Black-Scholes at current IVs, options past expiry at intrinsic.</p>`;
+  }
+  return html;
+}
+
+// ─── REPORT ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build the report document.
+ *
+ * @param {object} data
+ * @param {object} data.summary        - Portfolio summary (enrichedMarket, enrichedOptions, totals...)
+ * @param {object} [data.exposure]     - aggregateExposure() result for the book
+ * @param {Array}  [data.optionBook]   - pnlGrid() groups for the option book
+ * @param {Array}  [data.closedTrades]
+ * @param {Array}  [data.snapshots]    - loadSnapshots() rows, oldest first
+ * @param {number} [data.r=0]          - Rate used for option scenarios
+ * @param {boolean} [data.privacy]     - Mask dollar amounts and quantities
+ * @param {Date}   [data.generatedAt]
+ * @returns {string} Complete HTML document
+ */
+export function buildReportHtml({ summary, exposure = null, optionBook = [], closedTrades = [], snapshots = [], r = 0, privacy = false, generatedAt = new Date() }) {
+  const money = (v, f = fmtDollar) => privacy ? MASK : esc(f(v));
+  const qty = (v) => privacy ? MASK : esc(v);
+  const stamp = generatedAt.toISOString().replace("T", " ").slice(0, 16) + " UTC";
+
+  const cards = [
+    ["Total net worth", money(summary.totalValue)],
+    ["Market assets", money(summary.marketValue)],
+    ["Options", money(summary.optionValue)],
+    ["Collectibles", money(summary.collectibleValue)],
+    ["Cash & margin", money(summary.cashValue)],
+    ["Unrealized P&L", `<span style="color:${signColor(summary.totalPnl)}">${money(summary.totalPnl, fmtPnl)} (${fmtPnlPct(summary.totalPnlPct)})</span>`],
+    ["Realized P&L", `<span style="color:${signColor(summary.realizedPnl)}">${money(summary.realizedPnl, fmtPnl)}</span>`],
+  ];
+
+  const alloc = allocationRows(summary);
+  const allocHtml = alloc.length === 0 ? `<p class="muted">No priced holdings.</p>` : stackedBarSvg(alloc) + table(
+    ["", "Holding", "Value", "Weight"],
+    alloc.map((a, i) => [`<span class="swatch" style="background:${PALETTE[i % PALETTE.length]}"></span>`, esc(a.label), money(a.value), `${fmt(a.weight * 100, 1)}%`]),
+    { right: [2, 3] });
+
+  const positions = summary.enrichedMarket.length === 0 ? "" : `<h2>Market positions</h2>` + table(
+    ["Symbol", "Qty", "Cost basis", "Price", "Value", "Unrealized", "Return"],
+    summary.enrichedMarket.map(h => [
+      `<b>${esc(h.symbol)}</b>${h.leverage > 1 ? ` <span class="muted">${esc(h.leverage)}×</span>` : ""}`,
+      qty(h.qty), money(h.costBasis, fmtPrice), esc(fmtPrice(h.currentPrice)), money(h.marketValue),
+      `<span style="color:${signColor(h.pnl)}">${money(h.pnl, fmtPnl)}</span>`,
+      `<span style="color:${signColor(h.pnlPct)}">${fmtPnlPct(h.pnlPct)}</span>`,
+    ]),
+    { right: [1, 2, 3, 4, 5, 6] });
+
+  const closed = closedTrades.length === 0 ? `<p class="muted">No closed trades.</p>` : table(
+    ["Asset", "Type", "Qty", "Entry", "Exit", "Opened", "Closed", "Realized P&L", "Return"],
+    closedTrades.map(t => [
+      `<b>${esc(t.label || t.symbol)}</b>`, esc(t.assetClass || "market"), qty(t.qty), money(t.costBasis, fmtPrice), money(t.exitPrice, fmtPrice),
+      esc(t.openDate), esc(t.closeDate),
+      `<span style="color:${signColor(t.realizedPnl)}">${money(t.realizedPnl, fmtPnl)}</span>`,
+      `<span style="color:${signColor(t.pnlPct)}">${fmtPnlPct(t.pnlPct)}</span>`,
+    ]),
+    { right: [2, 3, 4, 7, 8] });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Options Lab — Portfolio Report ${esc(stamp.slice(0, 10))}</title>
+<style>
+  * { box-sizing: border-box; }
+  body { font: 12px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: ${INK.text}; margin: 32px auto; max-width: 860px; padding: 0 24px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 14px; margin: 28px 0 10px; padding-bottom: 4px; border-bottom: 1px solid ${INK.grid}; }
+  h3 { font-size: 12px; margin: 18px 0 8px; }
+  .muted { color: ${INK.muted}; font-size: 10px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 8px; margin: 12px 0; }
+  .card { flex: 1 1 150px; border: 1px solid ${INK.grid}; border-radius: 4px; padding: 8px 10px; }
+  .label { font-size: 9px; text-transform: uppercase; letter-spacing: 0.04em; color: ${INK.muted}; }
+  .value { font-size: 14px; font-weight: 600; margin-top: 2px; font-variant-numeric: tabular-nums; }
+  table { width: 100%; border-collapse: collapse; margin: 8px 0; font-variant-numeric: tabular-nums; }
+  th { text-align: left; font-size: 9px; text-transform: uppercase; color: ${INK.muted}; border-bottom: 1px solid ${INK.grid}; padding: 4px 6px; }
+  td { padding: 4px 6px; border-bottom: 1px solid #f3f4f6; }
+  .r { text-align: right; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; }
+  .toolbar { position: fixed; top: 12px; right: 12px; }
+  .toolbar button { font: inherit; padding: 6px 12px; border: 1px solid ${INK.grid}; background: #fff; border-radius: 4px; cursor: pointer; }
+  @media print { .toolbar { display: none; } body { margin: 0 auto; } h2 { break-after: avoid; } table, svg { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+<h1>Portfolio Report</h1>
+<div class="muted">Options Lab · generated ${esc(stamp)}${privacy ? " · amounts hidden" : ""}</div>
+
+<h2>Summary</h2>
+<div class="cards">${cards.map(([l, v]) => `<div class="card"><div class="label">${esc(l)}</div><div class="value">${v}</div></div>`).join("")}</div>
+
+<h2>Allocation</h2>
+${allocHtml}
+
+<h2>Equity curve</h2>
+${equityCurveSection(snapshots, privacy)}
+${positions}
+${optionsSection({ summary, exposure, optionBook, r }, money, qty)}
+
+<h2>Closed trades</h2>
+${closed}
+
+<p class="muted" style="margin-top:32px">Values are marks at generation time from live quotes, option chain mids or Black-Scholes; not investment advice.</p>
+</body>
+</html>
+`;
+}
+
+/** Save a report as an .html file. */
+export function downloadReport(html, filename = `optionslab-report-${new Date().toISOString().split("T")[0]}.html`) {
+  const blob = new Blob([html], { type: "text/html" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url; a.download = filename;
+  a.click(); URL.revokeObjectURL(url);
+}
@@ -0,0 +1,159 @@
+/**
+ * request.js — Shared client for outbound data calls
+ *
+ * A drop-in for fetch() on GET requests, adding:
+ *   - TTL cache: a successful response is reused for `ttl` ms
+ *   - In-flight coalescing: identical requests share one network call
+ *   - Per-host token buckets (PriceCharting 1 req/s, CoinGecko's free tier, ...)
+ *   - Exponential backoff on 429, honouring Retry-After, with the whole host
+ *     paused meanwhile so queued calls don't pile on
+ *
+ * Every caller gets its own Response clone, so bodies can be read as usual.
+ * Freshness is per caller: a cached response is served only while it is
+ * younger than the caller's own ttl, and a fetch shared by coalesced callers
+ * is kept for the longest ttl among them.
+ * Hosts are keyed by proxy prefix (/api/coingecko) or by the upstream
+ * hostname for direct calls (api.coingecko.com); both share one bucket.
+ *
+ * Runs in the browser and under Node (api/cron).
+ */
+
+// Requests per second and burst size per host
+export const RATE_LIMITS = {
+  pricecharting: { rate: 1, burst: 1 },
+  coingecko: { rate: 0.4, burst: 5 },     // free tier: ~30 calls/min
+  yahoo: { rate: 2, burst: 5 },
+  coinbase: { rate: 8, burst: 10 },       // public REST: 10 req/s
+  phemex: { rate: 5, burst: 10 },
+  pokemon: { rate: 2, burst: 4 },
+  yugioh: { rate: 5, burst: 10 },         // ygoprodeck: 20 req/s, then a 1h ban
+  deribit: { rate: 5, burst: 10 },
+  binance: { rate: 10, burst: 20 },        // spot and futures share the budget here
+}
+
+const UPSTREAM_HOSTS = {
+  "www.pricecharting.com": "pricecharting",
+  "api.coingecko.com": "coingecko",
+  "query1.finance.yahoo.com": "yahoo",
+  "query2.finance.yahoo.com": "yahoo",
+  "api.exchange.coinbase.com": "coinbase",
+  "api.phemex.com": "phemex",
+  "api.pokemontcg.io": "pokemon",
+  "db.ygoprodeck.com": "yugioh",
+  "www.deribit.com": "deribit",
+  "api.binance.com": "binance",
+  "fapi.binance.com": "binance",
+}
+
+const MAX_CACHED = 500
+const MAX_RETRIES = 4
+const BASE_BACKOFF_MS = 1000
+const MAX_BACKOFF_MS = 30000
+
+const cache = new Map()      // url → { fetched, expires, response }
+const inflight = new Map()   // url → { promise: Promise<Response>, ttl }
+const buckets = new Map()    // host → { tokens, updated, pausedUntil, queue }
+
+// Drop expired entries, then the oldest if still full
+function sweep() {
+  const now = Date.now()
+  for (const [url, hit] of cache) if (hit.expires <= now) cache.delete(url)
+  while (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value)
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/** Rate-limit key for a URL: the /api/<name> proxy, else the mapped upstream host. */
+export function hostKey(url) {
+  const proxied = /^\/api\/([^/?]+)/.exec(url)
+  if (proxied) return proxied[1]
+  try {
+    const host = new URL(url).host
+    return UPSTREAM_HOSTS[host] || host
+  } catch { return "" }
+}
+
+function bucketFor(host) {
+  let b = buckets.get(host)
+  if (!b) {
+    b = { tokens: RATE_LIMITS[host]?.burst ?? 0, updated: Date.now(), pausedUntil: 0, queue: Promise.resolve() }
+    buckets.set(host, b)
+  }
+  return b
+}
+
+// Wait for a token from the host's bucket; callers are served in arrival order
+function acquire(host) {
+  const limit = RATE_LIMITS[host]
+  if (!limit) return Promise.resolve()
+  const b = bucketFor(host)
+  const turn = b.queue.then(async () => {
+    for (;;) {
+      const now = Date.now()
+      if (now < b.pausedUntil) { await sleep(b.pausedUntil - now); continue }
+      b.tokens = Math.min(limit.burst, b.tokens + ((now - b.updated) / 1000) * limit.rate)
+      b.updated = now
+      if (b.tokens >= 1) { b.tokens -= 1; return }
+      await sleep(Math.ceil(((1 - b.tokens) / limit.rate) * 1000))
+    }
+  })
+  b.queue = turn.catch(() => {})
+  return turn
+}
+
+function backoffMs(res, attempt) {
+  const retryAfter = Number(res.headers.get("retry-after"))
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_BACKOFF_MS)
+  const base = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS)
+  return base / 2 + Math.random() * (base / 2)
+}
+
+async function send(url, init, host) {
+  for (let attempt = 0; ; attempt++) {
+    await acquire(host)
+    const res = await fetch(url, init)
+    if (res.status !== 429 || attempt >= MAX_RETRIES) return res
+    const wait = backoffMs(res, attempt)
+    if (host) { const b = bucketFor(host); b.pausedUntil = Math.max(b.pausedUntil, Date.now() + wait) }
+    if (import.meta.env?.DEV) console.warn(`[HTTP] 429 from ${host || url}, retry ${attempt + 1} in ${Math.round(wait)}ms`)
+    await sleep(wait)
+  }
+}
+
+/**
+ * GET `url` through the cache, coalescing and rate limiter.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {number} [opts.ttl=0]    - Accept a cached response up to this many ms old (0: coalesce only)
+ * @param {object} [opts.headers]  - Request headers
+ * @returns {Promise<Response>} a fresh clone per caller; non-OK responses are returned, never cached
+ */
+export async function request(url, { ttl = 0, headers } = {}) {
+  const hit = cache.get(url)
+  if (hit && Date.now() - hit.fetched < ttl) return hit.response.clone()
+
+  let pending = inflight.get(url)
+  if (pending) {
+    pending.ttl = Math.max(pending.ttl, ttl)
+  } else {
+    const entry = pending = { ttl }
+    entry.promise = send(url, headers ? { headers } : undefined, hostKey(url))
+      .then(res => {
+        if (res.ok && entry.ttl > 0) {
+          if (cache.size >= MAX_CACHED) sweep()
+          const now = Date.now()
+          cache.set(url, { fetched: now, expires: now + entry.ttl, response: res })
+        }
+        return res
+      })
+      .finally(() => inflight.delete(url))
+    inflight.set(url, entry)
+  }
+  return (await pending.promise).clone()
+}
+
+/** Drop cached responses, all of them or those whose URL starts with `prefix`. */
+export function clearRequestCache(prefix = "") {
+  for (const url of cache.keys()) if (url.startsWith(prefix)) cache.delete(url)
+}
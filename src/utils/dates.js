@@ -0,0 +1,25 @@
+/**
+ * Date helpers for option expiries.
+ * Pure functions — no side effects.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** YYYY-MM-DD for the date `days` from now. */
+export function isoDateFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString().split("T")[0];
+}
+
+// Time of day (UTC hour) contracts expire: US equity options at the 21:00
+// close, crypto options (Deribit) at 08:00
+export const EXPIRY_HOUR_UTC = { equity: 21, crypto: 8 };
+
+/**
+ * Years from now until `hourUTC` (default the 21:00 UTC close) on a
+ * YYYY-MM-DD expiry date. Uses a 365-day year, matching the engine's theta
+ * convention.
+ */
+export function yearsToExpiry(expiry, now = Date.now(), hourUTC = EXPIRY_HOUR_UTC.equity) {
+  const ms = new Date(`${expiry}T${String(hourUTC).padStart(2, "0")}:00:00Z`).getTime() - now;
+  return isFinite(ms) ? Math.max(0, ms / (365 * DAY_MS)) : 0;
+}
@@ -1,13 +1,37 @@
 /**
  * Canonical symbol maps — single source of truth for exchange product IDs.
  *
- * Used by: liveData.js, useMarketData.js, api/cron/snapshot.js
+ * Used by: lib/providers (market-data routing), useMarketData.js, api/cron/snapshot.js
  * When adding a new symbol, add it here and all consumers get it.
  */
 
+// Map common names / misspellings / full names → canonical tickers
+export const SYMBOL_ALIASES = {
+  LAYERZERO: "ZRO", BITCOIN: "BTC", ETHEREUM: "ETH", SOLANA: "SOL",
+  DOGECOIN: "DOGE", RIPPLE: "XRP", CARDANO: "ADA", POLKADOT: "DOT",
+  CHAINLINK: "LINK", AVALANCHE: "AVAX", COSMOS: "ATOM", POLYGON: "MATIC",
+  ARBITRUM: "ARB", OPTIMISM: "OP", CELESTIA: "TIA", INJECTIVE: "INJ",
+  RENDERTOKEN: "RENDER", HYPERLIQUID: "HYPE", APTOS: "APT",
+  LITECOIN: "LTC", UNISWAP: "UNI",
+  MICROSTRATEGY: "MSTR", STRATEGY: "MSTR", TESLA: "TSLA", APPLE: "AAPL",
+  NVIDIA: "NVDA", NUSCALE: "SMR",
+}
+
+// Canonical key for any spelling of a symbol: ZRO:USDT, ZRO/USD, ZRO-USD, LAYERZERO → ZRO
+export function normalizeSymbol(symbol) {
+  const s = symbol.toUpperCase()
+    .replace(/[:/\-]/g, "")            // strip separators (ZRO:USDT, ZRO/USD, ZRO-USD)
+    .replace(/USDT$/, "")              // strip trailing USDT
+    .replace(/USDC$/, "")              // strip trailing USDC
+    .replace(/USD$/, "")               // strip trailing USD
+    .replace(/PERP$/, "")              // strip trailing PERP
+    .trim()
+  return SYMBOL_ALIASES[s] || s
+}
+
 // Coinbase Exchange API product IDs (spot trading)
 // NOTE: Some tokens (e.g. ZRO) are on Coinbase retail but may not be on the Exchange API.
-// Consumers should handle 404s gracefully and fall back to Phemex/CoinGecko.
+// Consumers should handle 404s gracefully and fall back to Binance/Phemex/CoinGecko.
 export const COINBASE_PRODUCTS = {
   BTC: "BTC-USD", ETH: "ETH-USD", SOL: "SOL-USD", DOGE: "DOGE-USD",
   XRP: "XRP-USD", ADA: "ADA-USD", AVAX: "AVAX-USD", DOT: "DOT-USD",
@@ -30,6 +54,31 @@ export const PHEMEX_PRODUCTS = {
   CC: "CCUSDT", PEPE: "1000PEPEUSDT", ZRO: "ZROUSDT",
 }
 
+// Binance spot pairs (USDT-quoted). Binance refuses some regions (the US
+// included), where these routes fail and the next venue answers instead.
+export const BINANCE_PRODUCTS = {
+  BTC: "BTCUSDT", ETH: "ETHUSDT", SOL: "SOLUSDT", DOGE: "DOGEUSDT",
+  XRP: "XRPUSDT", ADA: "ADAUSDT", AVAX: "AVAXUSDT", DOT: "DOTUSDT",
+  LINK: "LINKUSDT", NEAR: "NEARUSDT", SUI: "SUIUSDT", APT: "APTUSDT",
+  ARB: "ARBUSDT", OP: "OPUSDT", SEI: "SEIUSDT", INJ: "INJUSDT",
+  TIA: "TIAUSDT", WIF: "WIFUSDT", RENDER: "RENDERUSDT", FET: "FETUSDT",
+  TAO: "TAOUSDT", LTC: "LTCUSDT", UNI: "UNIUSDT", AAVE: "AAVEUSDT",
+  ATOM: "ATOMUSDT", FIL: "FILUSDT", PEPE: "PEPEUSDT", SHIB: "SHIBUSDT",
+  ZRO: "ZROUSDT",
+}
+
+// Binance USD-M perpetual contract symbols
+export const BINANCE_FUTURES = {
+  BTC: "BTCUSDT", ETH: "ETHUSDT", SOL: "SOLUSDT", DOGE: "DOGEUSDT",
+  XRP: "XRPUSDT", ADA: "ADAUSDT", AVAX: "AVAXUSDT", DOT: "DOTUSDT",
+  LINK: "LINKUSDT", NEAR: "NEARUSDT", SUI: "SUIUSDT", APT: "APTUSDT",
+  ARB: "ARBUSDT", OP: "OPUSDT", SEI: "SEIUSDT", INJ: "INJUSDT",
+  TIA: "TIAUSDT", WIF: "WIFUSDT", RENDER: "RENDERUSDT", FET: "FETUSDT",
+  TAO: "TAOUSDT", LTC: "LTCUSDT", UNI: "UNIUSDT", AAVE: "AAVEUSDT",
+  ATOM: "ATOMUSDT", FIL: "FILUSDT", HYPE: "HYPEUSDT", ZRO: "ZROUSDT",
+  PEPE: "1000PEPEUSDT", SHIB: "1000SHIBUSDT",
+}
+
 // Yahoo Finance overrides — commodities, futures, and non-standard tickers
 // Maps normalized symbol → Yahoo Finance ticker
 export const YAHOO_OVERRIDES = {
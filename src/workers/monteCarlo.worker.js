@@ -0,0 +1,21 @@
+/**
+ * Monte Carlo Web Worker
+ *
+ * Runs engine/monteCarlo.js off the main thread. Messages are
+ * { id, task, params } with task "price" (priceMonteCarlo) or "scenario"
+ * (runScenario); replies are { id, result } or { id, error }.
+ */
+import { priceMonteCarlo, runScenario } from "../engine/monteCarlo"
+
+const TASKS = { price: priceMonteCarlo, scenario: runScenario }
+
+self.onmessage = (e) => {
+  const { id, task, params } = e.data
+  const fn = TASKS[task]
+  if (!fn) { self.postMessage({ id, error: `Unknown task: ${task}` }); return }
+  try {
+    self.postMessage({ id, result: fn(params) })
+  } catch (err) {
+    self.postMessage({ id, error: err.message })
+  }
+}
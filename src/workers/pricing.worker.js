@@ -0,0 +1,33 @@
+/**
+ * Batch Pricing Web Worker
+ *
+ * Runs engine/batch.js off the main thread so chains and P&L grids can be
+ * recomputed on every tick. Messages are { id, task, params } with task
+ * "price" (priceBatch) or "grid" (pnlGridBatch, params { packed, moves, r });
+ * replies are { id, result } or { id, error }, with result arrays transferred
+ * rather than copied.
+ */
+import { priceBatch, pnlGridBatch } from "../engine/batch"
+
+const TASKS = {
+  price: (params) => {
+    const out = priceBatch(params)
+    return { result: out, transfer: Object.values(out).map(a => a.buffer) }
+  },
+  grid: ({ packed, moves, r }) => {
+    const out = pnlGridBatch(packed, { moves, r })
+    return { result: out, transfer: [out.grid.buffer] }
+  },
+}
+
+self.onmessage = (e) => {
+  const { id, task, params } = e.data
+  const fn = TASKS[task]
+  if (!fn) { self.postMessage({ id, error: `Unknown task: ${task}` }); return }
+  try {
+    const { result, transfer } = fn(params)
+    self.postMessage({ id, result }, transfer)
+  } catch (err) {
+    self.postMessage({ id, error: err.message })
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * American Pricing Engine Unit Tests
+ *
+ * Run: node tests/american.test.js
+ *
+ * Validates the CRR binomial tree and Bjerksund-Stensland approximation
+ * against the European engine, no-arbitrage bounds and each other.
+ */
+
+import { blackScholes, impliedVol } from "../src/engine/blackScholes.js";
+import { binomialAmerican, bjerksundStensland, bivariateNormalCDF } from "../src/engine/american.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+// ─── BIVARIATE NORMAL ───────────────────────────────────────────────────────
+section("bivariateNormalCDF");
+assertClose(bivariateNormalCDF(0, 0, 0.5), 1 / 4 + Math.asin(0.5) / (2 * Math.PI), 1e-6, "M(0,0,ρ) = 1/4 + asin(ρ)/2π");
+assertClose(bivariateNormalCDF(0, 0, -0.7), 1 / 4 + Math.asin(-0.7) / (2 * Math.PI), 1e-6, "M(0,0,-0.7)");
+assertClose(bivariateNormalCDF(10, 1.96, 0.6), 0.975, 0.001, "M(∞,b,ρ) = N(b)");
+assertClose(bivariateNormalCDF(-10, 1, 0.6), 0, 1e-9, "M(-∞,b,ρ) = 0");
+
+// ─── BINOMIAL TREE ──────────────────────────────────────────────────────────
+section("Binomial: calls without dividends match European");
+{
+  const bs = blackScholes(100, 100, 1, 0.05, 0.20, "call");
+  const am = binomialAmerican(100, 100, 1, 0.05, 0.20, "call", 0, 500);
+  assertClose(am.price, bs.price, 0.01, "no early exercise premium for q = 0 call");
+  assertClose(am.delta, bs.delta, 0.005, "tree delta ≈ BS delta");
+  assertClose(am.gamma, bs.gamma, 0.001, "tree gamma ≈ BS gamma");
+  assertClose(am.theta, bs.theta, 0.001, "tree theta ≈ BS theta (per day)");
+  assertClose(am.vega, bs.vega, 0.005, "FD vega ≈ BS vega (per 1%)");
+  assertClose(am.rho, bs.rho, 0.005, "FD rho ≈ BS rho (per 1%)");
+  assert(am.boundary.length === 0, "no exercise boundary for q = 0 call");
+}
+
+section("Binomial: American put");
+{
+  const eu = blackScholes(100, 100, 1, 0.05, 0.20, "put");
+  const am = binomialAmerican(100, 100, 1, 0.05, 0.20, "put", 0, 1000);
+  // Reference: American put S=K=100, T=1, r=5%, σ=20% ≈ 6.090
+  assertClose(am.price, 6.090, 0.01, "American put reference value");
+  assert(am.price > eu.price, "American put > European put");
+  assert(am.delta < 0 && am.delta > -1, "put delta in (-1, 0)");
+  assert(am.gamma > 0, "put gamma positive");
+
+  const deep = binomialAmerican(50, 100, 1, 0.05, 0.20, "put");
+  assertClose(deep.price, 50, 1e-9, "deep ITM put is worth intrinsic (exercise now)");
+}
+
+section("Binomial: exercise boundary");
+{
+  const am = binomialAmerican(100, 100, 1, 0.05, 0.25, "put");
+  const b = am.boundary;
+  assert(b.length > 100, "put boundary populated");
+  assert(b.every(p => p.S < 100), "put boundary below strike");
+  assert(b.every((p, i) => i === 0 || p.t > b[i - 1].t), "boundary sorted by time");
+  assert(b[b.length - 1].S > b[0].S, "put boundary rises toward expiry");
+
+  const call = binomialAmerican(100, 100, 1, 0.02, 0.25, "call", 0.08);
+  assert(call.boundary.length > 0 && call.boundary.every(p => p.S > 100), "dividend call boundary above strike");
+}
+
+section("Binomial: degenerate inputs");
+{
+  assertClose(binomialAmerican(110, 100, 0, 0.05, 0.2, "call").price, 10, 1e-12, "expired → intrinsic");
+  assertClose(binomialAmerican(NaN, 100, 1, 0.05, 0.2, "call").price, 0, 1e-12, "NaN → zero");
+  assert(Array.isArray(binomialAmerican(100, 100, 0, 0.05, 0.2).boundary), "boundary always an array");
+}
+
+// ─── BJERKSUND-STENSLAND ────────────────────────────────────────────────────
+section("Bjerksund-Stensland vs binomial");
+{
+  const cases = [
+    [100, 100, 1, 0.05, 0.20, "put", 0],
+    [90, 100, 0.5, 0.08, 0.30, "put", 0.02],
+    [42, 40, 0.75, 0.04, 0.35, "call", 0.08],
+    [110, 100, 0.25, 0.03, 0.25, "call", 0.10],
+  ];
+  for (const [S, K, T, r, sigma, type, q] of cases) {
+    const tree = binomialAmerican(S, K, T, r, sigma, type, q, 1000);
+    const bjs = bjerksundStensland(S, K, T, r, sigma, type, q);
+    const eu = blackScholes(S, K, T, r, sigma, type, q);
+    const tag = `${type} S=${S} K=${K} q=${q}`;
+    assert(Math.abs(bjs.price - tree.price) / tree.price < 0.015, `${tag}: within 1.5% of tree`);
+    assert(bjs.price <= tree.price + 0.005, `${tag}: approximation is a lower bound`);
+    assert(bjs.price >= eu.price - 1e-9, `${tag}: ≥ European`);
+    assertClose(bjs.delta, tree.delta, 0.01, `${tag}: delta agrees with tree`);
+    assertClose(bjs.vega, tree.vega, 0.01, `${tag}: vega agrees with tree`);
+  }
+
+  const call = bjerksundStensland(100, 100, 1, 0.05, 0.20, "call");
+  assertClose(call.price, blackScholes(100, 100, 1, 0.05, 0.20, "call").price, 1e-9, "q = 0 call is exactly European");
+  assertClose(bjerksundStensland(40, 100, 1, 0.05, 0.2, "put").price, 60, 1e-9, "deep ITM put → intrinsic");
+}
+
+// ─── IMPLIED VOL UNDER AMERICAN MODEL ───────────────────────────────────────
+section("impliedVol with pricing model");
+{
+  const price = binomialAmerican(100, 95, 0.5, 0.05, 0.42, "put", 0.01).price;
+  const ivAm = impliedVol(price, 100, 95, 0.5, 0.05, "put", 0.01, 0.3, binomialAmerican);
+  assertClose(ivAm, 0.42, 0.001, "American IV round-trip (binomial)");
+  const ivEu = impliedVol(price, 100, 95, 0.5, 0.05, "put", 0.01);
+  assert(ivEu > ivAm, "European IV overstates vol on an American put");
+
+  const bjsPrice = bjerksundStensland(100, 110, 0.25, 0.04, 0.55, "call", 0.06).price;
+  assertClose(impliedVol(bjsPrice, 100, 110, 0.25, 0.04, "call", 0.06, 0.3, bjerksundStensland), 0.55, 0.001, "American IV round-trip (Bjerksund-Stensland)");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
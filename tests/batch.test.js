@@ -0,0 +1,133 @@
+/**
+ * Batch Pricing Engine Unit Tests
+ *
+ * Run: node tests/batch.test.js
+ *
+ * Checks the typed-array pricer against blackScholes() element by element and
+ * the packed P&L grid against pnlGrid() from the strategy engine.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import { createLeg, pnlGrid } from "../src/engine/strategy.js";
+import { CALL, PUT, UNDERLYING, kindCode, createBatchOutput, priceBatch, packStrategies, pnlGridBatch } from "../src/engine/batch.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const FIELDS = ["price", "delta", "gamma", "theta", "vega", "rho"];
+
+// ─── PRICE BATCH ────────────────────────────────────────────────────────────
+section("priceBatch matches blackScholes");
+{
+  const strikes = [], expiries = [], vols = [], kinds = [];
+  for (const K of [60, 85, 100, 115, 160]) {
+    for (const T of [0.02, 0.25, 1, 3]) {
+      for (const v of [0.1, 0.45, 1.2]) {
+        for (const type of ["call", "put"]) { strikes.push(K); expiries.push(T); vols.push(v); kinds.push(kindCode(type)); }
+      }
+    }
+  }
+  const n = strikes.length;
+  const out = priceBatch({ S: 100, K: Float64Array.from(strikes), T: Float64Array.from(expiries), sigma: Float64Array.from(vols), r: 0.04, q: 0.015, kind: Int8Array.from(kinds) });
+  assert(out.price.length === n && out.price instanceof Float64Array, `writes ${n} prices into a Float64Array`);
+  let worst = 0;
+  for (let i = 0; i < n; i++) {
+    const bs = blackScholes(100, strikes[i], expiries[i], 0.04, vols[i], kinds[i] === CALL ? "call" : "put", 0.015);
+    for (const f of FIELDS) worst = Math.max(worst, Math.abs(out[f][i] - bs[f]));
+  }
+  assert(worst < 1e-12, `every price and Greek within 1e-12 of blackScholes (worst ${worst.toExponential(2)})`);
+}
+
+section("Broadcasting, degenerate inputs and output reuse");
+{
+  const out = createBatchOutput(4);
+  const res = priceBatch({ S: Float64Array.from([90, 100, 110, 120]), K: 100, T: 0.5, sigma: 0.3, r: 0.05, kind: PUT }, out);
+  assert(res === out, "writes into the supplied output");
+  for (let i = 0; i < 4; i++) {
+    assertClose(out.price[i], blackScholes([90, 100, 110, 120][i], 100, 0.5, 0.05, 0.3, "put").price, 1e-12, `array spot, scalar strike — row ${i}`);
+  }
+
+  const edge = priceBatch({ S: 100, K: Float64Array.from([90, 110, 90, 0]), T: Float64Array.from([0, 0, 1, 1]), sigma: Float64Array.from([0.2, 0.2, 0, 0.2]), kind: CALL });
+  assertClose(edge.price[0], 10, 1e-12, "expired ITM call → intrinsic");
+  assertClose(edge.price[1], 0, 1e-12, "expired OTM call → 0");
+  assertClose(edge.price[2], 10, 1e-12, "zero vol → intrinsic");
+  assert(edge.delta[0] === 0 && edge.vega[2] === 0, "degenerate entries have zero Greeks");
+
+  const stock = priceBatch({ S: 123, K: 0, T: 0, sigma: 0, kind: UNDERLYING, n: 1 });
+  assert(stock.price[0] === 123 && stock.delta[0] === 1, "underlying entries are worth S with delta 1");
+  assert(kindCode("put") === PUT && kindCode("underlying") === UNDERLYING && kindCode("call") === CALL, "kind codes");
+}
+
+// ─── P&L GRIDS ──────────────────────────────────────────────────────────────
+section("pnlGridBatch matches pnlGrid");
+{
+  const moves = [-0.3, -0.1, 0, 0.05, 0.25];
+  const days = [0, 10, 45, 120];
+  const condor = [
+    createLeg({ side: "long", kind: "put", strike: 80, T: 0.25, qty: 1, premium: 0.6 }),
+    createLeg({ side: "short", kind: "put", strike: 90, T: 0.25, qty: 1, premium: 1.8 }),
+    createLeg({ side: "short", kind: "call", strike: 110, T: 0.25, qty: 1, premium: 1.9, iv: 0.28 }),
+    createLeg({ side: "long", kind: "call", strike: 120, T: 0.5, qty: 2, premium: 0.9 }),
+  ];
+  const covered = [
+    createLeg({ side: "long", kind: "underlying", qty: 100, premium: 2000 }),
+    createLeg({ side: "short", kind: "call", strike: 2200, T: 0.1, qty: 100, premium: 45 }),
+  ];
+  const surface = (K, T) => 0.2 + 0.1 * Math.abs(Math.log(K / 100)) + 0.05 * T;
+  const groups = [
+    { S: 100, legs: condor, sigma: surface, q: 0.01 },
+    { S: 2000, legs: covered, sigma: 0.6 },
+  ];
+
+  for (const ivShift of [0, 0.08, -0.5]) {
+    const ref = pnlGrid(groups, { moves, days, r: 0.04, ivShift });
+    const got = pnlGridBatch(packStrategies(groups, { days, ivShift }), { moves, r: 0.04 });
+    let worst = 0;
+    for (let d = 0; d < days.length; d++) {
+      for (let j = 0; j < moves.length; j++) worst = Math.max(worst, Math.abs(got.grid[d * moves.length + j] - ref.grid[d][j]));
+    }
+    assert(worst < 1e-9, `ivShift ${ivShift}: every cell matches pnlGrid (worst ${worst.toExponential(2)})`);
+    assertClose(got.min, ref.min, 1e-9, `ivShift ${ivShift}: min`);
+    assertClose(got.max, ref.max, 1e-9, `ivShift ${ivShift}: max`);
+  }
+
+  const packed = packStrategies(groups, { days });
+  assert(packed.vol.length === 6 * days.length, "one resolved vol per leg per day");
+  assertClose(packed.vol[2 * days.length], 0.28, 1e-15, "leg IV override wins over the surface");
+  assert(Object.values(packed).every(v => typeof v !== "function"), "packed form holds no functions (postable to a worker)");
+  const got = pnlGridBatch(packed, { moves, r: 0.04 });
+  assert(got.days.length === days.length && got.moves.length === moves.length, "echoes the axes");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
@@ -7,7 +7,7 @@
  * No test framework needed — just assertions.
  */
 
-import { blackScholes, impliedVol, normalCDF, normalPDF } from "../src/engine/blackScholes.js";
+import { blackScholes, impliedVol, normalCDF, normalPDF, expectedMove, probAbove, probTouch } from "../src/engine/blackScholes.js";
 
 let passed = 0;
 let failed = 0;
@@ -47,6 +47,17 @@ section("normalPDF");
 assertClose(normalPDF(0), 0.3989, 0.001, "n(0) ≈ 0.3989");
 assertClose(normalPDF(1), 0.2420, 0.001, "n(1) ≈ 0.2420");
 
+section("normalCDF double precision");
+// Reference values from 0.5·erfc(−x/√2)
+assertClose(normalCDF(1), 0.8413447460685429, 1e-14, "N(1)");
+assertClose(normalCDF(-1), 0.15865525393145707, 1e-14, "N(-1)");
+assertClose(normalCDF(2.5), 0.9937903346742238, 1e-14, "N(2.5)");
+assertClose(normalCDF(-3), 0.0013498980316300957, 1e-15, "N(-3)");
+assert(Math.abs(normalCDF(-6) / 9.865876450377012e-10 - 1) < 1e-8, "N(-6) relative error < 1e-8");
+assert(Math.abs(normalCDF(-10) / 7.619853024160593e-24 - 1) < 1e-8, "N(-10) relative error < 1e-8 (continued-fraction tail)");
+assertClose(normalCDF(0.7) + normalCDF(-0.7), 1, 1e-15, "N(x) + N(-x) = 1");
+assert(normalCDF(-40) === 0 && normalCDF(40) === 1, "N saturates beyond |x| > 37");
+
 // ─── BLACK-SCHOLES PRICING ──────────────────────────────────────────────────
 section("Black-Scholes Call Pricing");
 
@@ -176,6 +187,62 @@ section("Greeks numerical consistency");
   assertClose(bs.vega, numVega, 0.01, "analytical vega ≈ numerical vega");
 }
 
+// ─── SECOND-ORDER GREEKS ────────────────────────────────────────────────────
+section("Second-order Greeks — reference values");
+{
+  // Closed forms evaluated in double precision (erfc); vanna/volga per 1% vol, charm/color per day
+  const c = blackScholes(100, 100, 1, 0.05, 0.20, "call");
+  assertClose(c.price, 10.450583572185565, 1e-12, "Hull ATM call price to 1e-12");
+  assertClose(c.vanna, -0.0028143026018770346, 1e-14, "call vanna");
+  assertClose(c.volga, 0.0009850059106569623, 1e-14, "call volga");
+  assertClose(c.charm, -0.0001799097553711346, 1e-14, "call charm");
+  assertClose(c.speed, -0.0005159554770107896, 1e-14, "call speed");
+  assertClose(c.color, 2.884981434344266e-05, 1e-14, "call color");
+  assertClose(c.dualDelta, -0.5323248154537634, 1e-13, "call dual delta");
+
+  const p = blackScholes(90, 100, 0.5, 0.03, 0.35, "put", 0.01);
+  assertClose(p.price, 14.415343892942573, 1e-12, "OTM-spot put price with dividends");
+  assertClose(p.vanna, 0.005579317045582843, 1e-14, "put vanna");
+  assertClose(p.volga, 0.0009287484839082136, 1e-14, "put volga");
+  assertClose(p.charm, -0.0006363767711686182, 1e-14, "put charm");
+  assertClose(p.speed, 1.088941109587513e-05, 1e-14, "put speed");
+  assertClose(p.color, 4.037552353855928e-05, 1e-14, "put color");
+  assertClose(p.dualDelta, 0.6843024331074782, 1e-13, "put dual delta");
+}
+
+section("Second-order Greeks — finite differences");
+{
+  const S = 100, K = 110, T = 0.5, r = 0.05, sigma = 0.25, q = 0.02;
+  const at = (dS, dK, dT, dv, type) => blackScholes(S + dS, K + dK, T + dT, r, sigma + dv, type, q);
+  for (const type of ["call", "put"]) {
+    const g = at(0, 0, 0, 0, type);
+    const h = 1e-4, dt = 1e-5;
+    assertClose(g.vanna, (at(0, 0, 0, h, type).delta - at(0, 0, 0, -h, type).delta) / (2 * h) / 100, 1e-8, `${type} vanna = ∂delta/∂σ`);
+    assertClose(g.volga, (at(0, 0, 0, h, type).vega - at(0, 0, 0, -h, type).vega) / (2 * h) / 100, 1e-8, `${type} volga = ∂vega/∂σ`);
+    assertClose(g.charm, -(at(0, 0, dt, 0, type).delta - at(0, 0, -dt, 0, type).delta) / (2 * dt) / 365, 1e-9, `${type} charm = −∂delta/∂T per day`);
+    assertClose(g.speed, (at(h, 0, 0, 0, type).gamma - at(-h, 0, 0, 0, type).gamma) / (2 * h), 1e-9, `${type} speed = ∂gamma/∂S`);
+    assertClose(g.color, -(at(0, 0, dt, 0, type).gamma - at(0, 0, -dt, 0, type).gamma) / (2 * dt) / 365, 1e-9, `${type} color = −∂gamma/∂T per day`);
+    assertClose(g.dualDelta, (at(0, h, 0, 0, type).price - at(0, -h, 0, 0, type).price) / (2 * h), 1e-7, `${type} dual delta = ∂price/∂K`);
+  }
+  // Vanna and volga don't depend on the option type; dual deltas differ by the discount factor
+  const cg = at(0, 0, 0, 0, "call"), pg = at(0, 0, 0, 0, "put");
+  assertClose(cg.vanna, pg.vanna, 1e-15, "call and put vanna agree");
+  assertClose(pg.dualDelta - cg.dualDelta, Math.exp(-r * T), 1e-14, "put − call dual delta = e^(−rT)");
+  const expired = blackScholes(100, 90, 0, 0.05, 0.2, "call");
+  assert(expired.vanna === 0 && expired.charm === 0 && expired.dualDelta === 0, "expired option has zero higher-order Greeks");
+}
+
+section("Deep OTM precision");
+{
+  // Put-call parity holds to machine precision and tiny prices round-trip through IV
+  const S = 100, K = 300, T = 0.25, r = 0.04, sigma = 0.3, q = 0.01;
+  const c = blackScholes(S, K, T, r, sigma, "call", q), p = blackScholes(S, K, T, r, sigma, "put", q);
+  assertClose(c.price - p.price, S * Math.exp(-q * T) - K * Math.exp(-r * T), 1e-12, "parity deep OTM");
+  assert(c.price > 0 && c.price < 1e-8, "deep OTM call is tiny but positive");
+  const otm = blackScholes(100, 140, 0.5, 0.03, 0.35, "call");
+  assertClose(impliedVol(otm.price, 100, 140, 0.5, 0.03, "call"), 0.35, 1e-3, "IV round-trip deep OTM");
+}
+
 // ─── CRYPTO-SCALE PRICING ───────────────────────────────────────────────────
 section("Crypto-scale prices (BTC-like)");
 {
@@ -192,6 +259,64 @@ section("Crypto-scale prices (BTC-like)");
   assertClose(ivSolved, 0.60, 0.02, "IV round-trip at BTC scale");
 }
 
+// ─── EXPECTED MOVE & PROBABILITIES ──────────────────────────────────────────
+section("Expected move");
+{
+  const S = 100, sigma = 0.4, T = 30 / 365;
+  const one = expectedMove(S, sigma, T), two = expectedMove(S, sigma, T, 2);
+  const sd = sigma * Math.sqrt(T), mu = -0.5 * sigma * sigma * T;
+  assertClose(one.upper, S * Math.exp(mu + sd), 1e-10, "1σ upper = S·exp(μT + σ√T)");
+  assertClose(one.lower, S * Math.exp(mu - sd), 1e-10, "1σ lower = S·exp(μT − σ√T)");
+  assertClose(one.upper * one.lower, two.upper * two.lower, 1e-9, "bands are symmetric in log price");
+  assert(two.lower < one.lower && two.upper > one.upper, "2σ band contains 1σ band");
+  assertClose(probAbove(S, one.upper, T, sigma), 1 - normalCDF(1), 1e-12, "P(finish above 1σ upper) = 15.87%");
+  assertClose(probAbove(S, two.lower, T, sigma) - probAbove(S, two.upper, T, sigma), normalCDF(2) - normalCDF(-2), 1e-12, "2σ band holds 95.45%");
+  const carry = expectedMove(S, sigma, T, 1, 0.05, 0.01);
+  assert(carry.upper > one.upper && carry.lower > one.lower, "positive carry shifts the cone up");
+  const flat = expectedMove(S, 0, T);
+  assert(flat.lower === S && flat.upper === S, "zero vol → no cone");
+}
+
+section("Finish and touch probabilities");
+{
+  const S = 100, sigma = 0.5, T = 0.25;
+  assertClose(probAbove(S, S, T, sigma), normalCDF(-0.5 * sigma * Math.sqrt(T)), 1e-12, "ATM finish-above = N(−σ√T/2)");
+  const c = blackScholes(S, 110, T, 0.03, sigma, "call");
+  assertClose(probAbove(S, 110, T, sigma, 0.03), -c.dualDelta * Math.exp(0.03 * T), 1e-12, "finish-above matches N(d2) from dual delta");
+
+  // Zero log drift (r − q = σ²/2): reflection principle gives exactly twice the finish probability
+  const r = 0.5 * sigma * sigma;
+  assertClose(probTouch(S, 120, T, sigma, r), 2 * probAbove(S, 120, T, sigma, r), 1e-12, "driftless touch above = 2 × finish above");
+  assertClose(probTouch(S, 85, T, sigma, r), 2 * (1 - probAbove(S, 85, T, sigma, r)), 1e-12, "driftless touch below = 2 × finish below");
+
+  for (const L of [70, 90, 105, 130]) {
+    const finish = L > S ? probAbove(S, L, T, sigma) : 1 - probAbove(S, L, T, sigma);
+    const touch = probTouch(S, L, T, sigma);
+    assert(touch >= finish && touch <= 1, `touch ≥ finish beyond ${L}`);
+    assert(probTouch(S, L, 2 * T, sigma) > touch, `touch probability grows with time (${L})`);
+  }
+  assert(probTouch(S, 150, T, sigma) < probTouch(S, 120, T, sigma), "farther levels are less likely to be touched");
+  assert(probTouch(S, S, T, sigma) === 1, "current price is already touched");
+  assert(probTouch(S, 120, 0, sigma) === 0, "no time → no touch");
+  assert(probAbove(S, 90, 0, sigma) === 1 && probAbove(S, 110, 0, sigma) === 0, "expired → indicator");
+
+  // Discrete-path check: daily-monitored touches converge from below to the continuous value
+  let seed = 7;
+  const rand = () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647; };
+  const gauss = () => Math.sqrt(-2 * Math.log(rand())) * Math.cos(2 * Math.PI * rand());
+  const steps = 250, dt = T / steps, paths = 4000;
+  let hits = 0;
+  for (let p = 0; p < paths; p++) {
+    let x = 0;
+    for (let i = 0; i < steps; i++) {
+      x += -0.5 * sigma * sigma * dt + sigma * Math.sqrt(dt) * gauss();
+      if (x >= Math.log(1.2)) { hits++; break; }
+    }
+  }
+  const exact = probTouch(S, 120, T, sigma);
+  assert(hits / paths < exact + 0.02 && hits / paths > exact - 0.06, `simulated touch ${(hits / paths).toFixed(3)} ≈ ${exact.toFixed(3)}`);
+}
+
 // ─── SUMMARY ────────────────────────────────────────────────────────────────
 console.log(`\n${"═".repeat(50)}`);
 console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
@@ -0,0 +1,121 @@
+/**
+ * Contract Comparison Engine Unit Tests
+ *
+ * Run: node tests/compare.test.js
+ *
+ * Validates delta-targeted strikes, breakevens, per-contract metrics and
+ * the horizon P&L curves used by the Compare view.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import { strikeForDelta, breakevenAt, contractMetrics, compareCurves } from "../src/engine/compare.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const MKT = { S: 300, r: 0.045, q: 0 };
+
+// ─── STRIKE FOR DELTA ───────────────────────────────────────────────────────
+section("strikeForDelta");
+{
+  const K = strikeForDelta(0.3, { ...MKT, T: 0.5, sigma: 0.6, type: "call" });
+  assertClose(blackScholes(300, K, 0.5, 0.045, 0.6, "call").delta, 0.3, 1e-6, "30-delta call strike");
+  assert(K > 300, "30-delta call is out of the money");
+
+  const Kp = strikeForDelta(-0.25, { ...MKT, T: 1, sigma: 0.5, type: "put" });
+  assertClose(blackScholes(300, Kp, 1, 0.045, 0.5, "put").delta, -0.25, 1e-6, "25-delta put strike (signed input)");
+  assert(Kp < 300, "25-delta put is below spot");
+
+  assert(strikeForDelta(1.2, { ...MKT, T: 1, sigma: 0.5 }) === null, "delta above e^(−qT) is unreachable");
+  assert(strikeForDelta(0.5, { ...MKT, T: 0, sigma: 0.5 }) === null, "expired → null");
+}
+
+// ─── BREAKEVENS ─────────────────────────────────────────────────────────────
+section("breakevenAt");
+{
+  const call = { type: "call", strike: 320, T: 0.5, iv: 0.6, premium: 40 };
+  assertClose(breakevenAt(call, 0.5, MKT), 360, 1e-9, "call breakeven at expiry = K + premium");
+  assertClose(breakevenAt({ ...call, type: "put" }, 1, MKT), 280, 1e-9, "put breakeven at expiry = K − premium");
+  assert(breakevenAt({ type: "put", strike: 20, T: 0.5, iv: 0.6, premium: 25 }, 0.5, MKT) === null, "no breakeven when premium exceeds a put's strike");
+
+  const be = breakevenAt(call, 0.25, MKT);
+  assertClose(blackScholes(be, 320, 0.25, 0.045, 0.6, "call").price, 40, 1e-6, "dated breakeven values the call at its premium");
+  assert(be < 360, "time value left lowers the dated breakeven");
+
+  const fair = { type: "call", strike: 300, T: 1, iv: 0.5 };
+  assertClose(breakevenAt(fair, 0, MKT), 300, 1e-4, "today's breakeven at model premium is spot");
+}
+
+// ─── METRICS ────────────────────────────────────────────────────────────────
+section("contractMetrics");
+{
+  const c = { type: "call", strike: 300, T: 1, iv: 0.5 };
+  const m = contractMetrics(c, { ...MKT, horizon: 0.5 });
+  const bs = blackScholes(300, 300, 1, 0.045, 0.5, "call");
+  assertClose(m.premium, bs.price, 1e-12, "premium defaults to model price");
+  assertClose(m.capital, bs.price * 100, 1e-9, "capital = premium × 100");
+  assertClose(m.breakeven, 300 + bs.price, 1e-9, "breakeven at expiry");
+  assertClose(m.breakevenMove, bs.price / 300, 1e-9, "breakeven move as fraction of spot");
+  assertClose(m.thetaPct, bs.theta / bs.price, 1e-12, "theta as share of premium");
+  assertClose(m.burn30, (bs.price - blackScholes(300, 300, 1 - 30 / 365, 0.045, 0.5, "call").price) * 100, 1e-9, "30-day burn per contract");
+  assert(m.burn30 > 0, "a long call burns value at constant spot");
+  assertClose(m.leverage, bs.delta * 300 / bs.price, 1e-9, "leverage = ΔS / premium");
+  assertClose(m.edge, 0, 1e-12, "no edge at model premium");
+  assert(m.breakevenAtHorizon > 300 && m.breakevenAtHorizon < m.breakeven, "dated breakeven between spot and expiry breakeven");
+
+  const paid = contractMetrics({ ...c, premium: bs.price + 2 }, MKT);
+  assertClose(paid.edge, -2, 1e-9, "overpaying shows negative edge");
+  assert(paid.breakevenAtHorizon === null, "no dated breakeven without a horizon");
+
+  const near = contractMetrics({ type: "call", strike: 300, T: 20 / 365, iv: 0.5 }, MKT);
+  assertClose(near.burn30, near.price * 100, 1e-9, "contract expiring inside 30 days burns to intrinsic");
+}
+
+// ─── CURVES ─────────────────────────────────────────────────────────────────
+section("compareCurves");
+{
+  const a = { type: "call", strike: 330, T: 0.5, iv: 0.6 };
+  const b = { type: "call", strike: 300, T: 1, iv: 0.55, premium: 80 };
+  const rows = compareCurves([a, b], { ...MKT, horizon: 0.5, points: 11 });
+  assert(rows.length === 11, "one row per point");
+  assertClose(rows[0].x, 150, 1e-9, "range starts at 0.5× spot");
+  assertClose(rows[10].x, 450, 1e-9, "range ends at 1.5× spot");
+  const pa = blackScholes(300, 330, 0.5, 0.045, 0.6, "call").price;
+  assertClose(rows[10].pnl0, (450 - 330 - pa) * 100, 1e-6, "expired contract at intrinsic on the horizon");
+  assertClose(rows[0].ret0, -1, 1e-9, "worthless OTM contract loses 100%");
+  assertClose(rows[5].pnl1, (blackScholes(300, 300, 0.5, 0.045, 0.55, "call").price - 80) * 100, 1e-6, "unexpired contract marked with remaining time");
+  assertClose(rows[5].ret1, blackScholes(300, 300, 0.5, 0.045, 0.55, "call").price / 80 - 1, 1e-9, "return on premium");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
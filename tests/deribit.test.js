@@ -0,0 +1,125 @@
+/**
+ * Deribit Chain Mapping Unit Tests
+ *
+ * Run: node tests/deribit.test.js
+ *
+ * Validates lib/deribit.js: instrument-name parsing (decimal "d" strikes,
+ * invalid months, non-option instruments), time to the 08:00 UTC expiry,
+ * and conversion of coin premiums to USD at the expiry's forward.
+ */
+
+import { parseDeribitInstrument, deribitYears, normalizeDeribitSummary } from "../src/lib/deribit.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const HOUR_YEARS = 1 / (365 * 24);
+
+// ─── INSTRUMENT NAMES ───────────────────────────────────────────────────────
+section("parseDeribitInstrument");
+{
+  const btc = parseDeribitInstrument("BTC-27DEC24-100000-C");
+  assert(btc && btc.underlying === "BTC", "underlying");
+  assert(btc.expiry === "2024-12-27", "expiry as YYYY-MM-DD");
+  assert(btc.strike === 100000, "integer strike");
+  assert(btc.type === "call", "C → call");
+
+  const eth = parseDeribitInstrument("ETH-5JAN25-3500-P");
+  assert(eth && eth.expiry === "2025-01-05", "single-digit day padded");
+  assert(eth.type === "put", "P → put");
+
+  const xrp = parseDeribitInstrument("XRP_USDC-28MAR25-0d625-C");
+  assert(xrp && xrp.underlying === "XRP_USDC", "linear USDC underlying keeps its suffix");
+  assertClose(xrp.strike, 0.625, 1e-12, "\"d\" decimal separator in the strike");
+  assert(parseDeribitInstrument("SOL_USDC-28MAR25-187d5-P")?.strike === 187.5, "decimal strike above 1");
+}
+
+section("Invalid and non-option names");
+{
+  assert(parseDeribitInstrument("BTC-27DEX24-100000-C") === null, "unknown month → null");
+  assert(parseDeribitInstrument("BTC-27dec24-100000-C") === null, "lowercase month → null");
+  assert(parseDeribitInstrument("BTC-PERPETUAL") === null, "perpetual → null");
+  assert(parseDeribitInstrument("BTC-27DEC24") === null, "dated future → null");
+  assert(parseDeribitInstrument("BTC-27DEC24-100000-X") === null, "unknown option type → null");
+  assert(parseDeribitInstrument("BTC-FS-27DEC24_PERP") === null, "future spread → null");
+  assert(parseDeribitInstrument("") === null, "empty name → null");
+  assert(parseDeribitInstrument(undefined) === null, "missing name → null");
+}
+
+// ─── EXPIRY ─────────────────────────────────────────────────────────────────
+section("08:00 UTC expiry");
+{
+  assertClose(deribitYears("2024-12-27", Date.parse("2024-12-27T07:00:00Z")), HOUR_YEARS, 1e-12, "one hour left at 07:00 UTC");
+  assert(deribitYears("2024-12-27", Date.parse("2024-12-27T08:00:00Z")) === 0, "expired at 08:00 UTC");
+  assert(deribitYears("2024-12-27", Date.parse("2024-12-27T12:00:00Z")) === 0, "still expired later that day (an equity option would have 9h left)");
+  assertClose(deribitYears("2024-12-27", Date.parse("2024-12-26T08:00:00Z")), 1 / 365, 1e-12, "one day left at 08:00 the day before");
+}
+
+// ─── BOOK SUMMARIES ─────────────────────────────────────────────────────────
+section("normalizeDeribitSummary");
+{
+  const now = Date.parse("2024-12-20T08:00:00Z");
+  const summary = {
+    instrument_name: "BTC-27DEC24-100000-C", underlying_price: 101000,
+    bid_price: 0.05, ask_price: 0.06, last: 0.055, mark_price: 0.054, mark_iv: 62.5,
+    volume: 12, open_interest: 340,
+  };
+  const c = normalizeDeribitSummary(summary, 100000, now);
+  assert(c.contractSymbol === "BTC-27DEC24-100000-C" && c.strike === 100000 && c.type === "call", "contract fields from the name");
+  assertClose(c.bid, 5050, 1e-9, "bid converted at the forward, not the index");
+  assertClose(c.ask, 6060, 1e-9, "ask converted at the forward");
+  assertClose(c.mid, 5555, 1e-9, "mid of the USD bid and ask");
+  assertClose(c.last, 5555, 1e-9, "last converted at the forward");
+  assertClose(c.mark, 5454, 1e-9, "mark converted at the forward");
+  assert(c.underlyingPrice === 101000, "contract carries the forward");
+  assert(c.inTheMoney === true, "moneyness against the forward (index is at the strike)");
+  assertClose(c.iv, 0.625, 1e-12, "mark IV as a fraction");
+  assertClose(c.T, 7 / 365, 1e-12, "T runs to 08:00 UTC on the expiry");
+  assert(c.volume === 12 && c.openInterest === 340, "volume and open interest passed through");
+
+  const noForward = normalizeDeribitSummary({ ...summary, underlying_price: 0 }, 100000, now);
+  assertClose(noForward.bid, 5000, 1e-9, "index stands in when the forward is missing");
+  assert(noForward.underlyingPrice === 100000 && noForward.inTheMoney === false, "moneyness falls back to the index too");
+
+  const oneSided = normalizeDeribitSummary({ ...summary, bid_price: 0, mark_iv: 0 }, 100000, now);
+  assert(oneSided.bid === 0 && oneSided.mid === 0, "no bid → no mid");
+  assert(oneSided.iv === null, "no mark IV → null");
+
+  const put = normalizeDeribitSummary({ ...summary, instrument_name: "BTC-27DEC24-100000-P" }, 100000, now);
+  assert(put.type === "put" && put.inTheMoney === false, "put above the strike is out of the money");
+
+  assert(normalizeDeribitSummary({ ...summary, instrument_name: "BTC-PERPETUAL" }, 100000, now) === null, "non-option summary → null");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
@@ -0,0 +1,149 @@
+/**
+ * Discrete Dividend Unit Tests
+ *
+ * Run: node tests/dividends.test.js
+ *
+ * Validates dividend schedules and projection, the escrowed-dividend
+ * European pricer and the binomial tree's explicit dividend handling.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import { binomialAmerican, bjerksundStensland } from "../src/engine/american.js";
+import { toSchedule, pvDividends, projectDividends, escrowed } from "../src/engine/dividends.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+// ─── SCHEDULES ──────────────────────────────────────────────────────────────
+section("Schedules and present value");
+{
+  const now = Date.parse("2026-01-05T21:00:00Z");
+  const s = toSchedule([
+    { date: "2026-03-20", amount: 1.7 },
+    { date: "2025-12-19", amount: 1.6 }, // already paid
+    { date: "2026-02-05", amount: "0.5" },
+    { date: "2026-06-19", amount: 0 },
+  ], now);
+  assert(s.length === 2, "drops past and zero dividends");
+  assert(s[0].amount === 0.5 && s[1].amount === 1.7, "sorted by ex-date, amounts numeric");
+  assertClose(s[0].t, 31 / 365, 1e-12, "t in years from now");
+
+  const sched = [{ t: 0.1, amount: 1 }, { t: 0.6, amount: 2 }];
+  assertClose(pvDividends(sched, 0.5, 0.05), Math.exp(-0.005), 1e-15, "only dividends before expiry count");
+  assertClose(pvDividends(sched, 1, 0.05), Math.exp(-0.005) + 2 * Math.exp(-0.03), 1e-15, "PV of both");
+  assertClose(pvDividends(sched, 1, 0.05, 0.2), 2 * Math.exp(-0.02), 1e-15, "PV seen from a later time");
+  assert(pvDividends([], 1, 0.05) === 0 && pvDividends(null, 1, 0.05) === 0, "empty schedule → 0");
+}
+
+section("Projecting upcoming dividends");
+{
+  const history = [
+    { date: "2025-03-21", amount: 1.69 },
+    { date: "2025-06-20", amount: 1.76 },
+    { date: "2025-09-19", amount: 1.74 },
+    { date: "2025-12-19", amount: 1.99 },
+  ];
+  const next = projectDividends(history, { now: Date.parse("2026-01-05T00:00:00Z"), horizonDays: 365 });
+  assert(next.length === 4, `quarterly payer → 4 projected in a year (got ${next.length})`);
+  assert(next[0].date === "2026-03-20", `next ex-date one median gap (91 days) after the last (got ${next[0].date})`);
+  assert(next.every(d => d.amount === 1.99 && d.projected), "repeats the latest amount, flagged as projected");
+  assert(projectDividends(history.slice(0, 1)).length === 0, "one past dividend → no projection");
+}
+
+// ─── ESCROWED EUROPEAN ──────────────────────────────────────────────────────
+section("Escrowed-dividend European pricing");
+{
+  const S = 100, K = 100, T = 0.5, r = 0.05, sigma = 0.25;
+  const sched = [{ t: 0.1, amount: 2 }, { t: 0.35, amount: 2 }, { t: 0.9, amount: 2 }];
+  const pv = 2 * Math.exp(-r * 0.1) + 2 * Math.exp(-r * 0.35);
+  const bsDiv = escrowed(blackScholes, sched);
+
+  const c = bsDiv(S, K, T, r, sigma, "call"), p = bsDiv(S, K, T, r, sigma, "put");
+  assertClose(c.price, blackScholes(S - pv, K, T, r, sigma, "call").price, 1e-12, "call = BS on S − PV(dividends before expiry)");
+  assertClose(c.price - p.price, S - pv - K * Math.exp(-r * T), 1e-10, "put-call parity with discrete dividends");
+  assert(c.price < blackScholes(S, K, T, r, sigma, "call").price, "dividends lower the call");
+  assert(p.price > blackScholes(S, K, T, r, sigma, "put").price, "dividends raise the put");
+  assertClose(c.delta, blackScholes(S - pv, K, T, r, sigma, "call").delta, 1e-12, "delta carries over");
+
+  // Theta over a day matches a revaluation a day later; rho includes the dividend PV's rate sensitivity
+  const day = 1 / 365;
+  const later = escrowed(blackScholes, sched.map(d => ({ ...d, t: d.t - day })))(S, K, T - day, r, sigma, "call");
+  assertClose(c.theta, later.price - c.price, 1e-10, "theta = one-day revaluation");
+  const bump = (rate) => escrowed(blackScholes, sched)(S, K, T, rate, sigma, "call").price;
+  assertClose(c.rho, (bump(r + 1e-4) - bump(r - 1e-4)) / 2e-4 / 100, 1e-9, "rho per 1% by central difference");
+
+  assert(escrowed(blackScholes, []) === blackScholes, "no dividends → the pricer itself");
+  const late = escrowed(blackScholes, [{ t: 0.9, amount: 5 }])(S, K, T, r, sigma, "put");
+  assertClose(late.price, blackScholes(S, K, T, r, sigma, "put").price, 1e-12, "dividend after expiry ignored");
+}
+
+// ─── AMERICAN TREE ──────────────────────────────────────────────────────────
+section("Binomial tree with discrete dividends");
+{
+  const S = 100, K = 95, T = 0.5, r = 0.05, sigma = 0.25;
+  assertClose(binomialAmerican(S, K, T, r, sigma, "put", 0, 300, []).price, binomialAmerican(S, K, T, r, sigma, "put", 0, 300).price, 1e-15, "empty schedule = no dividends");
+
+  // A big dividend just before expiry: the American call is exercised the day before the ex-date
+  const sched = [{ t: 0.45, amount: 6 }];
+  const amer = binomialAmerican(S, K, T, r, sigma, "call", 0, 500, sched);
+  const euro = escrowed(blackScholes, sched)(S, K, T, r, sigma, "call");
+  assert(amer.price > euro.price + 0.5, `early exercise premium before a large dividend (${amer.price.toFixed(3)} vs ${euro.price.toFixed(3)})`);
+  const noDiv = blackScholes(S, K, T, r, sigma, "call").price;
+  assert(amer.price < noDiv, "still worth less than the call with no dividend");
+  assert(amer.boundary.some(b => b.t < 0.45), "exercise boundary appears before the ex-date");
+
+  // Small dividend on a call that should never be exercised: tree ≈ escrowed European
+  const small = [{ t: 0.25, amount: 0.1 }];
+  assertClose(binomialAmerican(S, 130, T, r, sigma, "call", 0, 800, small).price, escrowed(blackScholes, small)(S, 130, T, r, sigma, "call").price, 0.01, "deep OTM call with a tiny dividend ≈ European escrowed");
+
+  // American put with dividends is worth at least the escrowed European
+  const put = binomialAmerican(S, 105, T, r, sigma, "put", 0, 500, [{ t: 0.2, amount: 1.5 }]);
+  assert(put.price >= escrowed(blackScholes, [{ t: 0.2, amount: 1.5 }])(S, 105, T, r, sigma, "put").price, "American put ≥ European escrowed put");
+
+  // Tree delta against a bumped-spot difference
+  const h = 0.5;
+  const fd = (binomialAmerican(S + h, K, T, r, sigma, "call", 0, 500, sched).price - binomialAmerican(S - h, K, T, r, sigma, "call", 0, 500, sched).price) / (2 * h);
+  assertClose(amer.delta, fd, 0.02, "tree delta with dividends ≈ bumped-spot delta");
+  assert(binomialAmerican(3, 2, 1, 0.05, 0.3, "call", 0, 100, [{ t: 0.5, amount: 5 }]).price === 1, "dividends worth more than the spot → intrinsic");
+}
+
+section("Escrowed Bjerksund-Stensland");
+{
+  const sched = [{ t: 0.2, amount: 1 }];
+  const bjs = escrowed(bjerksundStensland, sched)(100, 100, 0.5, 0.05, 0.3, "put");
+  const tree = binomialAmerican(100, 100, 0.5, 0.05, 0.3, "put", 0, 800, sched);
+  assertClose(bjs.price, tree.price, 0.1, "escrowed approximation close to the explicit tree for a put");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
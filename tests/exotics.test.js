@@ -0,0 +1,185 @@
+/**
+ * Digital and Barrier Option Unit Tests
+ *
+ * Run: node tests/exotics.test.js
+ *
+ * Validates the digital closed forms against vanilla replication, the
+ * Reiner-Rubinstein barrier formulas against Haug's reference table,
+ * in + out = vanilla parity, finite-difference Greeks, and exotic legs in
+ * the strategy and batch engines.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import { cashOrNothingPrice, assetOrNothingPrice, barrierPrice, fdGreeks, exoticGreeks } from "../src/engine/exotics.js";
+import { createLeg, strategyGreeks, pnlGrid } from "../src/engine/strategy.js";
+import { packStrategies, pnlGridBatch } from "../src/engine/batch.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+// ─── DIGITALS ───────────────────────────────────────────────────────────────
+section("Digitals");
+{
+  const S = 100, K = 105, T = 0.5, r = 0.05, sigma = 0.3, q = 0.02;
+  const cc = cashOrNothingPrice(S, K, T, r, sigma, "call", q, { payout: 10 });
+  const cp = cashOrNothingPrice(S, K, T, r, sigma, "put", q, { payout: 10 });
+  assertClose(cc + cp, 10 * Math.exp(-r * T), 1e-12, "cash call + put = discounted payout");
+  const ac = assetOrNothingPrice(S, K, T, r, sigma, "call", q);
+  const ap = assetOrNothingPrice(S, K, T, r, sigma, "put", q);
+  assertClose(ac + ap, S * Math.exp(-q * T), 1e-12, "asset call + put = forward-discounted spot");
+  const call = blackScholes(S, K, T, r, sigma, "call", q).price;
+  const put = blackScholes(S, K, T, r, sigma, "put", q).price;
+  assertClose(ac - K * cashOrNothingPrice(S, K, T, r, sigma, "call", q), call, 1e-10, "asset call − K × cash call = vanilla call");
+  assertClose(K * cashOrNothingPrice(S, K, T, r, sigma, "put", q) - ap, put, 1e-10, "K × cash put − asset put = vanilla put");
+  // A cash digital is the limit of a tight call spread
+  const h = 0.01;
+  const spread = (blackScholes(S, K - h, T, r, sigma, "call", q).price - blackScholes(S, K + h, T, r, sigma, "call", q).price) / (2 * h);
+  assertClose(cashOrNothingPrice(S, K, T, r, sigma, "call", q), spread, 1e-5, "cash call = −∂C/∂K");
+  assert(cashOrNothingPrice(110, K, 0, r, sigma, "call", q, { payout: 5 }) === 5, "expired ITM cash call pays out");
+  assert(assetOrNothingPrice(110, K, 0, r, sigma, "put", q) === 0, "expired OTM asset put is worthless");
+}
+
+// ─── BARRIERS ───────────────────────────────────────────────────────────────
+section("Barriers — Haug reference values");
+{
+  // Haug, Complete Guide to Option Pricing Formulas, standard barrier example: S = 100, T = 0.5,
+  // r = 8%, b = 4%, σ = 25%, rebate 3
+  const ref = [
+    ["call", "down-out", 95, [9.0246, 6.7924, 4.8759]],
+    ["call", "down-in", 95, [7.7627, 4.0109, 2.0576]],
+    ["call", "up-out", 105, [2.6789, 2.3580, 2.3453]],
+    ["call", "up-in", 105, [14.1112, 8.4482, 4.5910]],
+    ["put", "down-out", 95, [2.2798, 2.2947, 2.6252]],
+    ["put", "down-in", 95, [2.9586, 6.5677, 11.9752]],
+    ["put", "up-out", 105, [3.7760, 5.4932, 7.5187]],
+    ["put", "up-in", 105, [1.4653, 3.3721, 7.0846]],
+  ];
+  for (const [type, barrier, level, values] of ref) {
+    [90, 100, 110].forEach((K, i) => {
+      const p = barrierPrice(100, K, 0.5, 0.08, 0.25, type, 0.04, { barrier, level, rebate: 3 });
+      assertClose(p, values[i], 5e-5, `${barrier} ${type} K=${K} H=${level}`);
+    });
+  }
+}
+
+section("Barriers — in + out = vanilla");
+{
+  const S = 100, T = 0.75, r = 0.04, sigma = 0.45, q = 0.01;
+  for (const type of ["call", "put"]) {
+    for (const K of [80, 100, 120]) {
+      const vanilla = blackScholes(S, K, T, r, sigma, type, q).price;
+      for (const [dir, H] of [["down", 85], ["up", 115]]) {
+        const opts = { level: H };
+        const sum = barrierPrice(S, K, T, r, sigma, type, q, { ...opts, barrier: `${dir}-in` })
+          + barrierPrice(S, K, T, r, sigma, type, q, { ...opts, barrier: `${dir}-out` });
+        assertClose(sum, vanilla, 1e-10, `${dir} ${type} K=${K}: in + out = vanilla`);
+      }
+    }
+  }
+}
+
+section("Barriers — limits");
+{
+  const S = 100, K = 100, T = 0.5, r = 0.05, sigma = 0.3;
+  const vanilla = blackScholes(S, K, T, r, sigma, "call").price;
+  assertClose(barrierPrice(S, K, T, r, sigma, "call", 0, { barrier: "down-out", level: 1 }), vanilla, 1e-8, "far barrier: knock-out = vanilla");
+  assertClose(barrierPrice(S, K, T, r, sigma, "call", 0, { barrier: "up-in", level: 1e4 }), 0, 1e-8, "far barrier: knock-in worthless");
+  assertClose(barrierPrice(90, K, T, r, sigma, "call", 0, { barrier: "down-in", level: 95 }), blackScholes(90, K, T, r, sigma, "call").price, 1e-12, "breached knock-in = vanilla");
+  assert(barrierPrice(90, K, T, r, sigma, "call", 0, { barrier: "down-out", level: 95, rebate: 2 }) === 2, "breached knock-out = rebate");
+  assert(barrierPrice(100, 90, T, r, sigma, "call", 0, { barrier: "up-out", level: 101 }) < barrierPrice(100, 90, T, r, sigma, "call", 0, { barrier: "up-out", level: 120 }), "closer up barrier → cheaper knock-out");
+  assert(barrierPrice(105, K, 0, r, sigma, "call", 0, { barrier: "down-out", level: 95 }) === 5, "expired unbreached knock-out pays intrinsic");
+}
+
+// ─── FINITE-DIFFERENCE GREEKS ───────────────────────────────────────────────
+section("Finite-difference Greeks");
+{
+  const S = 100, K = 95, T = 0.4, r = 0.03, sigma = 0.35, q = 0.01;
+  const fd = fdGreeks((...a) => blackScholes(...a).price, S, K, T, r, sigma, "put", q);
+  const bs = blackScholes(S, K, T, r, sigma, "put", q);
+  assertClose(fd.delta, bs.delta, 1e-6, "FD delta matches Black-Scholes");
+  assertClose(fd.gamma, bs.gamma, 1e-5, "FD gamma matches Black-Scholes");
+  assertClose(fd.vega, bs.vega, 1e-6, "FD vega matches Black-Scholes (per 1%)");
+  assertClose(fd.rho, bs.rho, 1e-6, "FD rho matches Black-Scholes (per 1%)");
+  assertClose(fd.theta, bs.theta, 2e-4, "one-day FD theta ≈ Black-Scholes theta");
+
+  // Down-and-out call far from its barrier behaves like the vanilla
+  const dao = fdGreeks(barrierPrice, S, K, T, r, sigma, "call", q, { barrier: "down-out", level: 20 });
+  const call = blackScholes(S, K, T, r, sigma, "call", q);
+  assertClose(dao.delta, call.delta, 1e-6, "far down-out delta = vanilla delta");
+  // Up-and-out call near the barrier: negative delta, the position dies on a rally
+  const uao = fdGreeks(barrierPrice, S, 90, T, r, sigma, "call", q, { barrier: "up-out", level: 110 });
+  assert(uao.delta < 0 && uao.vega < 0, "up-out call near its barrier has negative delta and vega");
+  const dig = exoticGreeks({ exotic: "cash", payout: 1 }, S, K, T, r, sigma, "call", q);
+  assertClose(dig.delta, Math.exp(-r * T) * Math.exp(-0.5 * ((Math.log(S / K) + (r - q - 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T))) ** 2) / Math.sqrt(2 * Math.PI) / (S * sigma * Math.sqrt(T)), 1e-6, "cash digital delta = e^(−rT)·φ(d2)/(Sσ√T)");
+}
+
+// ─── STRATEGY LEGS ──────────────────────────────────────────────────────────
+section("Exotic strategy legs");
+{
+  const S = 100, r = 0.04, sigma = 0.5;
+  const leg = createLeg({ side: "long", kind: "call", strike: 100, T: 0.5, exotic: "up-out", barrier: 130, payout: 1 });
+  assert(leg.exotic === "up-out" && leg.barrier === 130 && leg.payout === 1, "createLeg keeps barrier fields");
+  assert(createLeg({ kind: "underlying", exotic: "cash" }).exotic === null, "underlying legs cannot be exotic");
+  assert(createLeg({ kind: "call", exotic: "bogus" }).exotic === null, "unknown exotic types are dropped");
+  assert(createLeg({ kind: "put", exotic: "cash" }).payout === 1, "cash digital pays 1 by default");
+
+  const g = strategyGreeks([leg], S, r, sigma);
+  assertClose(g.price, barrierPrice(S, 100, 0.5, r, sigma, "call", 0, { barrier: "up-out", level: 130, rebate: 1 }), 1e-12, "strategy prices the barrier leg");
+
+  // Knock-in + knock-out legs together are the vanilla
+  const pair = [
+    createLeg({ kind: "put", strike: 100, T: 0.5, exotic: "down-in", barrier: 80 }),
+    createLeg({ kind: "put", strike: 100, T: 0.5, exotic: "down-out", barrier: 80 }),
+  ];
+  const vanilla = blackScholes(S, 100, 0.5, r, sigma, "put");
+  const agg = strategyGreeks(pair, S, r, sigma);
+  assertClose(agg.price, vanilla.price, 1e-10, "in + out legs = vanilla price");
+  assertClose(agg.delta, vanilla.delta, 1e-5, "in + out legs = vanilla delta");
+
+  // Batch grid agrees with the scalar grid for a mixed position
+  const legs = [
+    createLeg({ side: "short", kind: "call", strike: 110, T: 0.25, premium: 4 }),
+    createLeg({ side: "long", kind: "call", strike: 100, T: 0.25, premium: 3, exotic: "up-out", barrier: 125, payout: 2 }),
+    createLeg({ side: "long", kind: "put", strike: 95, T: 0.25, premium: 0.3, exotic: "cash", payout: 10 }),
+  ];
+  const groups = [{ S, legs, sigma, q: 0 }];
+  const moves = [-0.2, -0.1, 0, 0.1, 0.3], days = [0, 30, 91];
+  const ref = pnlGrid(groups, { moves, days, r });
+  const batch = pnlGridBatch(packStrategies(groups, { days }), { moves, r });
+  let worst = 0;
+  days.forEach((_, i) => moves.forEach((_, j) => { worst = Math.max(worst, Math.abs(batch.grid[i * moves.length + j] - ref.grid[i][j])); }));
+  assertClose(worst, 0, 1e-9, "batch grid with exotic legs matches pnlGrid");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
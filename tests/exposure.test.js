@@ -0,0 +1,119 @@
+/**
+ * Portfolio Exposure Unit Tests
+ *
+ * Run: node tests/exposure.test.js
+ *
+ * Validates beta estimation on synthetic return series with a known beta
+ * and the aggregation of position Greeks into dollar and beta-weighted delta.
+ */
+
+import { estimateBeta, aggregateExposure } from "../src/engine/exposure.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+// Deterministic pseudo-random returns (LCG) so the tests are reproducible
+function lcg(seed) {
+  let x = seed;
+  return () => { x = (x * 1664525 + 1013904223) % 4294967296; return x / 4294967296 - 0.5; };
+}
+
+function series(returns, start = 100) {
+  const out = [{ date: dateKey(0), close: start }];
+  returns.forEach((r, i) => out.push({ date: dateKey(i + 1), close: out[i].close * Math.exp(r) }));
+  return out;
+}
+
+function dateKey(i) {
+  return new Date(Date.UTC(2024, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+}
+
+// ─── BETA ───────────────────────────────────────────────────────────────────
+section("Beta estimation");
+{
+  const rnd = lcg(42), noise = lcg(7);
+  const bench = Array.from({ length: 120 }, () => rnd() * 0.04);
+  const asset = bench.map(r => 1.8 * r + noise() * 0.002);
+  const bk = series(bench, 450), ak = series(asset, 300);
+
+  const b = estimateBeta(ak, bk);
+  assert(b !== null, "enough overlap → estimate");
+  assertClose(b.beta, 1.8, 0.05, "recovers beta 1.8");
+  assert(b.correlation > 0.98, "near-perfect correlation");
+  assert(b.n === 120, "one return per shared date");
+
+  const self = estimateBeta(bk, bk);
+  assertClose(self.beta, 1, 1e-12, "benchmark beta to itself = 1");
+
+  const inverse = estimateBeta(series(bench.map(r => -0.5 * r), 50), bk);
+  assertClose(inverse.beta, -0.5, 1e-9, "inverse exposure → negative beta");
+
+  // Drop every 7th asset bar — alignment folds the gap into the next return
+  const gappy = ak.filter((_, i) => i % 7 !== 3);
+  const bg = estimateBeta(gappy, bk);
+  assert(bg.n === gappy.length - 1, "returns only between shared dates");
+  assertClose(bg.beta, 1.8, 0.05, "beta stable across gaps");
+
+  assert(estimateBeta(ak.slice(0, 10), bk) === null, "too little overlap → null");
+  assert(estimateBeta(ak, []) === null, "no benchmark → null");
+}
+
+// ─── AGGREGATION ────────────────────────────────────────────────────────────
+section("Aggregation");
+{
+  const agg = aggregateExposure([
+    { key: "MSTR", price: 400, delta: 100 },                                    // 100 shares
+    { key: "MSTR", price: 400, delta: -60, gamma: -2, theta: 35, vega: -80 },   // short calls
+    { key: "BTC", price: 60000, delta: 0.5 },                                   // 0.5 BTC perp notional
+    { key: "XYZ", price: 10, delta: 1000 },                                     // no beta
+  ], { betas: { MSTR: 2.5, BTC: 1 }, benchmarkPrice: 60000 });
+
+  const mstr = agg.byUnderlying.find(r => r.key === "MSTR");
+  assertClose(mstr.delta, 40, 1e-12, "net shares per underlying");
+  assertClose(mstr.dollarDelta, 16000, 1e-9, "dollar delta = shares × price");
+  assertClose(mstr.dollarGamma, -2 * 400 * 400 / 100, 1e-9, "dollar gamma per 1% move");
+  assertClose(agg.dollarDelta, 16000 + 30000 + 10000, 1e-9, "net dollar delta");
+  assertClose(agg.theta, 35, 1e-12, "theta sums");
+  assertClose(agg.vega, -80, 1e-12, "vega sums");
+  assertClose(agg.betaDollarDelta, 2.5 * 16000 + 30000, 1e-9, "beta-weighted dollar delta");
+  assertClose(agg.betaDelta, (2.5 * 16000 + 30000) / 60000, 1e-12, "beta delta in benchmark units");
+  assert(agg.unweighted.length === 1 && agg.unweighted[0] === "XYZ", "missing beta reported");
+  assert(agg.byUnderlying[0].key === "BTC", "sorted by |dollar delta|");
+
+  const empty = aggregateExposure([], {});
+  assert(empty.dollarDelta === 0 && empty.byUnderlying.length === 0, "empty book");
+  assert(aggregateExposure([{ key: "A", price: 0, delta: 5 }]).byUnderlying.length === 0, "unpriced positions skipped");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
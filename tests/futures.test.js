@@ -0,0 +1,121 @@
+/**
+ * Futures Pricing Engine Unit Tests
+ *
+ * Run: node tests/futures.test.js
+ *
+ * Validates Black-76 against Black-Scholes on the forward, Bachelier against
+ * closed-form ATM values and finite differences, and both IV solvers.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import { black76, impliedVolBlack76, bachelier, impliedNormalVol, lognormalToNormalVol } from "../src/engine/futures.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+// ─── BLACK-76 ───────────────────────────────────────────────────────────────
+section("Black-76");
+{
+  // Black-76 is Black-Scholes with the carry equal to the rate (q = r)
+  const F = 4.25, K = 4.5, T = 0.4, r = 0.05, sigma = 0.28;
+  for (const type of ["call", "put"]) {
+    const b = black76(F, K, T, r, sigma, type);
+    const bs = blackScholes(F, K, T, r, sigma, type, r);
+    assertClose(b.price, bs.price, 1e-12, `${type} price matches BS with q = r`);
+    assertClose(b.delta, bs.delta, 1e-12, `${type} delta matches BS with q = r`);
+    assertClose(b.gamma, bs.gamma, 1e-12, `${type} gamma matches BS with q = r`);
+    assertClose(b.vega, bs.vega, 1e-12, `${type} vega matches BS with q = r`);
+    assertClose(b.theta, bs.theta, 1e-12, `${type} theta matches BS with q = r`);
+  }
+
+  const c = black76(2000, 2050, 0.5, 0.045, 0.18, "call");
+  const p = black76(2000, 2050, 0.5, 0.045, 0.18, "put");
+  assertClose(c.price - p.price, Math.exp(-0.045 * 0.5) * (2000 - 2050), 1e-9, "put-call parity: C − P = e^(−rT)(F − K)");
+
+  const h = 1e-4;
+  const up = black76(2000, 2050, 0.5, 0.045 + h, 0.18, "call").price;
+  const dn = black76(2000, 2050, 0.5, 0.045 - h, 0.18, "call").price;
+  assertClose(c.rho, (up - dn) / (2 * h) / 100, 1e-6, "rho = −T·price (premium discounting only)");
+
+  assertClose(black76(80, 70, 0, 0.05, 0.3, "call").price, 10, 1e-12, "expired call = intrinsic");
+  assertClose(black76(80, 70, 0.5, 0.05, 0.3, "put", 0.2).price, black76(80, 70, 0.5, 0.05, 0.3, "put").price, 1e-12, "dividend yield is ignored");
+}
+
+section("Black-76 implied vol");
+{
+  for (const [F, K, sigma, type] of [[75, 75, 0.35, "call"], [75, 60, 0.5, "put"], [3.1, 3.6, 0.9, "call"]]) {
+    const price = black76(F, K, 0.3, 0.04, sigma, type).price;
+    assertClose(impliedVolBlack76(price, F, K, 0.3, 0.04, type), sigma, 0.001, `round-trip ${type} F=${F} K=${K} σ=${sigma}`);
+  }
+}
+
+// ─── BACHELIER ──────────────────────────────────────────────────────────────
+section("Bachelier");
+{
+  const atm = bachelier(100, 100, 1, 0, 20, "call");
+  assertClose(atm.price, 20 / Math.sqrt(2 * Math.PI), 1e-12, "ATM call = σN·√T / √(2π)");
+  assertClose(atm.delta, 0.5, 1e-7, "ATM call delta = 0.5 (to normalCDF precision)");
+  assertClose(bachelier(100, 100, 1, 0, 20, "put").price, atm.price, 1e-12, "ATM put = ATM call");
+
+  const c = bachelier(-5, 10, 0.25, 0.03, 30, "call");
+  const p = bachelier(-5, 10, 0.25, 0.03, 30, "put");
+  assert(c.price > 0 && p.price > 0, "prices positive with a negative forward");
+  assertClose(c.price - p.price, Math.exp(-0.03 * 0.25) * (-5 - 10), 1e-9, "put-call parity with negative forward");
+
+  // Greeks against finite differences
+  const F = 2.5, K = 2.2, T = 0.6, r = 0.04, sN = 1.1;
+  const base = bachelier(F, K, T, r, sN, "put");
+  const h = 1e-4;
+  const price = (f, k, t, rr, s) => bachelier(f, k, t, rr, s, "put").price;
+  assertClose(base.delta, (price(F + h, K, T, r, sN) - price(F - h, K, T, r, sN)) / (2 * h), 1e-6, "delta = ∂P/∂F");
+  assertClose(base.gamma, (price(F + h, K, T, r, sN) - 2 * base.price + price(F - h, K, T, r, sN)) / (h * h), 1e-4, "gamma = ∂²P/∂F²");
+  assertClose(base.vega, (price(F, K, T, r, sN + h) - price(F, K, T, r, sN - h)) / (2 * h), 1e-6, "vega = ∂P/∂σN");
+  assertClose(base.theta, -(price(F, K, T + h, r, sN) - price(F, K, T - h, r, sN)) / (2 * h) / 365, 1e-8, "theta = −∂P/∂T per day");
+  assertClose(base.rho, (price(F, K, T, r + h, sN) - price(F, K, T, r - h, sN)) / (2 * h) / 100, 1e-8, "rho per 1%");
+
+  assertClose(bachelier(-3, -8, 0, 0.05, 10, "call").price, 5, 1e-12, "expired call = intrinsic with negative prices");
+  assertClose(lognormalToNormalVol(0.3, 80), 24, 1e-12, "σN ≈ σ·F");
+}
+
+section("Bachelier implied vol");
+{
+  for (const [F, K, sN, type] of [[100, 100, 20, "call"], [-5, 10, 30, "put"], [2.5, 4, 0.8, "call"], [50, 10, 15, "call"]]) {
+    const price = bachelier(F, K, 0.5, 0.03, sN, type).price;
+    assertClose(impliedNormalVol(price, F, K, 0.5, 0.03, type), sN, 1e-4, `round-trip ${type} F=${F} K=${K} σN=${sN}`);
+  }
+  assert(impliedNormalVol(9, 110, 100, 0.5, 0, "call") === null, "price below intrinsic → null");
+  assert(impliedNormalVol(1, 100, 100, 0, 0, "call") === null, "expired → null");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
@@ -0,0 +1,210 @@
+/**
+ * Phemex WebSocket Manager Unit Tests
+ *
+ * Run: node tests/liveData.test.js
+ *
+ * Drives lib/liveData.js and the Phemex provider's subscribe/streamCandles
+ * against a fake globalThis.WebSocket: subscription messages, merging
+ * native kline updates into the forming bar, per-token pricing of 1000-token
+ * contracts, replaying subscriptions after a reconnect, and closing the
+ * socket once nothing is subscribed.
+ */
+
+import { createPhemex } from "../src/lib/providers/phemex.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fake socket: records what is sent; the test opens it, feeds it messages and drops it
+const sockets = [];
+class FakeSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeSocket.CONNECTING;
+    this.sent = [];
+    sockets.push(this);
+  }
+  send(data) { this.sent.push(JSON.parse(data)); }
+  close() {
+    if (this.readyState === FakeSocket.CLOSED) return;
+    this.readyState = FakeSocket.CLOSED;
+    queueMicrotask(() => this.onclose?.());
+  }
+  open() { this.readyState = FakeSocket.OPEN; this.onopen(); }
+  receive(msg) { this.onmessage({ data: JSON.stringify(msg) }); }
+  drop() { this.readyState = FakeSocket.CLOSED; this.onclose(); }
+  methods() { return this.sent.map(m => m.method); }
+}
+globalThis.WebSocket = FakeSocket;
+
+// Keep the manager's connection logs out of the test output
+const log = console.log;
+console.log = (...args) => { if (!String(args[0]).startsWith("[PH-WS]")) log(...args); };
+
+const phemex = createPhemex();
+const H = 3600;
+const start = 1700006400; // a 2h boundary
+
+// Kline row as Phemex sends it: [time, interval, lastCloseRp, openRp, highRp, lowRp, closeRp, volumeRq, turnoverRv]
+const row = (time, o, h, l, c, v) => [time, H, String(o), String(o), String(h), String(l), String(c), String(v), "0"];
+const klines = (symbol, type, rows) => ({ symbol, type, kline_p: rows });
+
+let bars = [];
+let ticks = [];
+let unsubBars, unsubTicks;
+
+// ─── SUBSCRIBING ────────────────────────────────────────────────────────────
+section("Subscriptions");
+{
+  unsubBars = phemex.streamCandles("1000PEPEUSDT", "2h", (bar) => bars.push(bar));
+  unsubTicks = phemex.subscribe("1000PEPEUSDT", (tick) => ticks.push(tick));
+  assert(sockets.length === 1, "one shared socket for tickers and klines");
+  assert(sockets[0].sent.length === 0, "nothing sent before the socket opens");
+
+  sockets[0].open();
+  const sent = sockets[0].sent;
+  assert(sent.some(m => m.method === "perp_market24h_pack_p.subscribe"), "ticker pack subscribed on open");
+  const kline = sent.find(m => m.method === "kline_p.subscribe");
+  assert(kline && kline.params[0] === "1000PEPEUSDT" && kline.params[1] === H, "2h bars subscribe to native 1h klines");
+  assert(new Set(sent.map(m => m.id)).size === sent.length, "request ids are unique");
+
+  const extra = phemex.streamCandles("1000PEPEUSDT", "1h", () => {});
+  assert(sockets[0].methods().filter(m => m === "kline_p.subscribe").length === 1, "same symbol and resolution share one subscription");
+  extra();
+  assert(sockets[0].methods().at(-1) === "kline_p.subscribe", "dropping a shared subscription re-adds the ones still wanted");
+}
+
+// ─── KLINE AGGREGATION ──────────────────────────────────────────────────────
+section("Kline aggregation (1h → 2h, per token)");
+{
+  const ws = sockets[0];
+  // Snapshot, newest first, with an hour from the previous 2h bucket
+  ws.receive(klines("1000PEPEUSDT", "snapshot", [
+    row(start + H, 0.0110, 0.0140, 0.0105, 0.0130, 20),
+    row(start, 0.0100, 0.0120, 0.0090, 0.0110, 10),
+    row(start - H, 0.0080, 0.0200, 0.0010, 0.0100, 99),
+  ]));
+  const bar = bars.at(-1);
+  assert(bars.length === 1 && bar.time === start, "forming 2h bar starts on the boundary");
+  assertClose(bar.open, 0.00001, 1e-12, "open of the bucket's first hour, per token");
+  assertClose(bar.high, 0.000014, 1e-12, "highest high in the bucket");
+  assertClose(bar.low, 0.000009, 1e-12, "lowest low in the bucket (earlier bucket ignored)");
+  assertClose(bar.close, 0.000013, 1e-12, "close of the latest hour");
+  assertClose(bar.volume, 30000, 1e-6, "volumes summed, in tokens");
+
+  // Incremental update of the latest hour replaces it rather than adding to it
+  ws.receive(klines("1000PEPEUSDT", "incremental", [row(start + H, 0.0110, 0.0150, 0.0105, 0.0145, 25)]));
+  const updated = bars.at(-1);
+  assertClose(updated.high, 0.000015, 1e-12, "updated hour raises the high");
+  assertClose(updated.close, 0.0000145, 1e-12, "updated hour moves the close");
+  assertClose(updated.volume, 35000, 1e-6, "updated hour's volume replaces its earlier value");
+
+  // The first hour of the next bucket starts a new bar
+  ws.receive(klines("1000PEPEUSDT", "incremental", [row(start + 2 * H, 0.0150, 0.0160, 0.0148, 0.0155, 5)]));
+  const next = bars.at(-1);
+  assert(next.time === start + 2 * H, "next bucket begins a new bar");
+  assertClose(next.open, 0.000015, 1e-12, "new bar opens at its first hour");
+  assertClose(next.volume, 5000, 1e-6, "new bar carries none of the old bucket's volume");
+
+  const count = bars.length;
+  ws.receive(klines("1000PEPEUSDT", "incremental", [[start + 2 * H, 60, "1", "1", "1", "1", "1", "1", "0"]]));
+  ws.receive(klines("BTCUSDT", "incremental", [row(start + 2 * H, 1, 1, 1, 1, 1)]));
+  assert(bars.length === count, "other resolutions and symbols are not delivered");
+}
+
+section("Ticker pack (per token)");
+{
+  sockets[0].receive({
+    method: "perp_market24h_pack_p.update", timestamp: 1700006400123456789,
+    fields: ["symbol", "openRp", "highRp", "lowRp", "lastRp", "volumeRq", "markRp", "fundingRateRr"],
+    data: [
+      ["BTCUSDT", "36000", "37000", "35000", "36500", "100", "36490", "0.0001"],
+      ["1000PEPEUSDT", "0.0100", "0.0130", "0.0095", "0.0125", "2000", "0.0124", "0.0002"],
+    ],
+  });
+  const t = ticks.at(-1);
+  assert(ticks.length === 1, "only the subscribed symbol is fanned out");
+  assertClose(t.price, 0.0000125, 1e-12, "tick price per token");
+  assertClose(t.markPrice, 0.0000124, 1e-12, "mark price per token");
+  assertClose(t.high, 0.000013, 1e-12, "24h high per token");
+  assertClose(t.change, 25, 1e-9, "change unaffected by the lot");
+  assertClose(t.volume, 2000000, 1e-6, "volume in tokens");
+  assertClose(t.fundingRate, 0.0002, 1e-12, "funding rate passed through");
+  assert(t.time === 1700006400123, "ns timestamp converted to ms");
+}
+
+// ─── RECONNECT ──────────────────────────────────────────────────────────────
+section("Resubscribe on reconnect");
+{
+  const old = sockets[0];
+  old.drop();
+  assert(sockets.length === 1, "reconnect waits for the backoff");
+  await sleep(1100);
+  assert(sockets.length === 2, "new socket after the first backoff (1s)");
+
+  const ws = sockets[1];
+  ws.open();
+  assert(ws.methods().includes("perp_market24h_pack_p.subscribe"), "ticker pack replayed");
+  const kline = ws.sent.find(m => m.method === "kline_p.subscribe");
+  assert(kline && kline.params[0] === "1000PEPEUSDT" && kline.params[1] === H, "kline subscription replayed");
+
+  const count = bars.length;
+  old.onmessage({ data: JSON.stringify(klines("1000PEPEUSDT", "incremental", [row(start + 3 * H, 1, 1, 1, 1, 1)])) });
+  assert(bars.length === count, "messages from the dropped socket are ignored");
+  ws.receive(klines("1000PEPEUSDT", "incremental", [row(start + 3 * H, 0.0155, 0.0170, 0.0150, 0.0165, 5)]));
+  assert(bars.length === count + 1, "bars flow again on the new socket");
+  assertClose(bars.at(-1).high, 0.000017, 1e-12, "bucket continues across the reconnect");
+}
+
+// ─── RELEASE ────────────────────────────────────────────────────────────────
+section("Release");
+{
+  const ws = sockets[1];
+  unsubBars();
+  assert(ws.readyState === FakeSocket.OPEN, "socket stays open while a ticker is subscribed");
+  assert(ws.methods().at(-1) === "kline_p.unsubscribe", "last kline subscription dropped");
+  unsubTicks();
+  assert(ws.methods().includes("perp_market24h_pack_p.unsubscribe"), "ticker pack unsubscribed");
+  assert(ws.readyState === FakeSocket.CLOSED, "socket closed once nothing is subscribed");
+  await sleep(1100);
+  assert(sockets.length === 2, "no reconnect after release");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
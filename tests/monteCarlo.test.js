@@ -0,0 +1,203 @@
+/**
+ * Monte Carlo Engine Unit Tests
+ *
+ * Run: node tests/monteCarlo.test.js
+ *
+ * Validates seeded determinism, convergence to Black-Scholes and Merton
+ * closed forms, path-dependent payoff relations and scenario statistics.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import {
+  createRng, simulateMarket, simulatePaths, pathPayoff, summarizeDistribution,
+  fanBands, priceMonteCarlo, runScenario, positionValue,
+} from "../src/engine/monteCarlo.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const S0 = 100, K = 100, T = 0.5, r = 0.05, sigma = 0.3;
+
+// Merton (1976) jump-diffusion call as a Poisson-weighted sum of BS prices
+function mertonCall(S, K, T, r, sigma, { lambda, mu, sigma: dj }) {
+  const k = Math.exp(mu + 0.5 * dj * dj) - 1;
+  const lp = lambda * (1 + k);
+  let total = 0, fact = 1;
+  for (let n = 0; n < 60; n++) {
+    if (n > 0) fact *= n;
+    const w = Math.exp(-lp * T) * Math.pow(lp * T, n) / fact;
+    const rn = r - lambda * k + n * Math.log(1 + k) / T;
+    const sn = Math.sqrt(sigma * sigma + n * dj * dj / T);
+    total += w * blackScholes(S, K, T, rn, sn, "call").price;
+  }
+  return total;
+}
+
+// ─── RNG ────────────────────────────────────────────────────────────────────
+section("Seeded RNG");
+{
+  const a = createRng(42), b = createRng(42), c = createRng(43);
+  const xa = [a.uniform(), a.normal(), a.poisson(2)], xb = [b.uniform(), b.normal(), b.poisson(2)];
+  assert(xa.every((x, i) => x === xb[i]), "same seed → same draws");
+  assert(c.uniform() !== xa[0], "different seed → different draws");
+
+  const g = createRng(7);
+  let sum = 0, sumSq = 0, pois = 0;
+  const n = 50000;
+  for (let i = 0; i < n; i++) { const z = g.normal(); sum += z; sumSq += z * z; pois += g.poisson(0.3); }
+  assertClose(sum / n, 0, 0.02, "normal mean ≈ 0");
+  assertClose(sumSq / n, 1, 0.02, "normal variance ≈ 1");
+  assertClose(pois / n, 0.3, 0.01, "poisson mean ≈ λ");
+}
+
+// ─── DETERMINISM ────────────────────────────────────────────────────────────
+section("Determinism");
+{
+  const opts = { S0, sigma, T, steps: 20, paths: 500, r, seed: 9, type: "call", strike: K, style: "asian" };
+  const a = priceMonteCarlo(opts), b = priceMonteCarlo(opts);
+  assert(a.price === b.price && a.pnl.percentiles[5] === b.pnl.percentiles[5], "identical results for a seed");
+  assert(priceMonteCarlo({ ...opts, seed: 10 }).price !== a.price, "seed changes the estimate");
+  const { paths, times } = simulatePaths({ S0, sigma, T, steps: 10, paths: 3, r, seed: 1 });
+  assert(paths.length === 3 && paths[0].length === 11 && paths[0][0] === S0, "paths start at S0 with steps + 1 points");
+  assertClose(times[10], T, 1e-12, "time grid ends at T");
+}
+
+// ─── CONVERGENCE ────────────────────────────────────────────────────────────
+section("Convergence to closed forms");
+{
+  const bsCall = blackScholes(S0, K, T, r, sigma, "call").price;
+  const bsPut = blackScholes(S0, K, T, r, sigma, "put").price;
+  const call = priceMonteCarlo({ S0, sigma, T, steps: 1, paths: 40000, r, seed: 1, type: "call", strike: K });
+  const put = priceMonteCarlo({ S0, sigma, T, steps: 1, paths: 40000, r, seed: 2, type: "put", strike: K });
+  assertClose(call.price, bsCall, 3 * call.stderr, "GBM call → Black-Scholes within 3 s.e.");
+  assertClose(put.price, bsPut, 3 * put.stderr, "GBM put → Black-Scholes within 3 s.e.");
+  assert(call.stderr < 0.1, "standard error shrinks with 40k paths");
+
+  const jumps = { lambda: 1, mu: -0.1, sigma: 0.15 };
+  const mj = priceMonteCarlo({ S0, sigma: 0.2, T, steps: 50, paths: 20000, r, seed: 3, type: "call", strike: K, jumps });
+  assertClose(mj.price, mertonCall(S0, K, T, r, 0.2, jumps), 3 * mj.stderr, "Merton jumps → series formula within 3 s.e.");
+
+  // Heston with no vol-of-vol and v0 = θ = σ² is plain GBM
+  const hz = priceMonteCarlo({ S0, sigma, T, steps: 50, paths: 20000, r, seed: 4, type: "call", strike: K, stochVol: { kappa: 2, xi: 0, rho: -0.7 } });
+  assertClose(hz.price, bsCall, 3 * hz.stderr, "Heston with ξ = 0 → Black-Scholes");
+
+  // Negative spot-vol correlation fattens the left tail → OTM puts richer than BS
+  const otmPut = { S0, sigma, T, steps: 50, paths: 20000, r, seed: 5, type: "put", strike: 80 };
+  const skew = priceMonteCarlo({ ...otmPut, stochVol: { kappa: 1.5, xi: 0.8, rho: -0.8 } });
+  assert(skew.price > blackScholes(S0, 80, T, r, sigma, "put").price, "Heston ρ < 0 lifts OTM put above BS");
+}
+
+// ─── PATH-DEPENDENT ─────────────────────────────────────────────────────────
+section("Path-dependent payoffs");
+{
+  const base = { S0, sigma, T, steps: 60, paths: 10000, r, seed: 21, type: "call", strike: K };
+  const eu = priceMonteCarlo(base);
+  const asian = priceMonteCarlo({ ...base, style: "asian" });
+  const look = priceMonteCarlo({ ...base, style: "lookback" });
+  assert(asian.price < eu.price, "Asian call cheaper than European");
+  assert(look.price > eu.price, "lookback call richer than European");
+
+  const bar = { ...base, style: "barrier", barrier: 120 };
+  const out = priceMonteCarlo({ ...bar, barrierType: "up-and-out" });
+  const inn = priceMonteCarlo({ ...bar, barrierType: "up-and-in" });
+  assertClose(out.price + inn.price, eu.price, 1e-9, "up-and-in + up-and-out = vanilla (same paths)");
+  assert(out.price < eu.price && out.price > 0, "knock-out worth less than vanilla");
+
+  const path = Float64Array.from([100, 110, 90, 105]);
+  assertClose(pathPayoff(path, { type: "call", strike: 100 }), 5, 1e-12, "European uses the last price");
+  assertClose(pathPayoff(path, { type: "call", strike: 100, style: "asian" }), 305 / 3 - 100, 1e-12, "Asian averages monitored prices");
+  assertClose(pathPayoff(path, { type: "put", strike: 100, style: "lookback" }), 10, 1e-12, "lookback put pays K − min");
+  assert(pathPayoff(path, { type: "call", strike: 100, style: "barrier", barrier: 108, barrierType: "up-and-out" }) === 0, "touching the barrier knocks out");
+  assertClose(pathPayoff(path, { type: "put", strike: 100, style: "barrier", barrier: 85, barrierType: "down-and-in" }), 0, 1e-12, "untouched knock-in pays nothing");
+}
+
+// ─── DISTRIBUTIONS ──────────────────────────────────────────────────────────
+section("Distribution summaries");
+{
+  const d = summarizeDistribution([-2, -1, 0, 1, 2, 3, 4, 5, 6, 7], { bins: 5 });
+  assertClose(d.mean, 2.5, 1e-12, "mean");
+  assertClose(d.probProfit, 0.7, 1e-12, "probability of profit counts x > 0");
+  assertClose(d.percentiles[50], 2.5, 1e-12, "median interpolates");
+  assert(d.histogram.reduce((s, b) => s + b.count, 0) === 10, "histogram counts every sample");
+  assert(summarizeDistribution([]).n === 0, "empty sample");
+
+  const times = Float64Array.from([0, 1, 2]);
+  const fan = fanBands(5, times, (p, i) => p * i, { percentiles: [0, 50, 100] });
+  assert(fan.length === 3 && fan[0].p100 === 0, "fan starts collapsed");
+  assert(fan[2].p0 === 0 && fan[2].p50 === 4 && fan[2].p100 === 8, "fan percentiles per time");
+
+  // Long option P&L at fair premium: mean ≈ 0 undiscounted drift, max loss = premium
+  const res = priceMonteCarlo({ S0, sigma, T, steps: 1, paths: 20000, r: 0, seed: 8, type: "call", strike: K });
+  assertClose(res.pnl.mean, 0, 1e-9, "P&L at the fair premium averages zero (r = 0)");
+  assertClose(res.pnl.min, -res.price, 1e-9, "long option loses at most the premium");
+  const short = priceMonteCarlo({ S0, sigma, T, steps: 1, paths: 20000, r: 0, seed: 8, type: "call", strike: K, side: "short" });
+  assertClose(short.pnl.probProfit, 1 - res.pnl.probProfit, 0.01, "short P&L mirrors long");
+}
+
+// ─── SCENARIOS ──────────────────────────────────────────────────────────────
+section("Portfolio scenarios");
+{
+  const sc = runScenario({
+    assets: [{ key: "A", S0: 100, sigma: 0.3 }],
+    positions: [{ key: "A", kind: "underlying", qty: 10 }],
+    horizon: 1, steps: 12, paths: 20000, r: 0.05, seed: 31,
+  });
+  assertClose(sc.startValue, 1000, 1e-9, "start value = qty × S0");
+  assertClose(sc.pnl.mean, 1000 * (Math.exp(0.05) - 1), 3 * sc.pnl.stderr, "expected P&L follows the drift");
+  assert(sc.fan[0].p5 === 0 && sc.fan[0].p95 === 0, "P&L fan starts at zero");
+  assert(sc.fan[sc.fan.length - 1].p95 > sc.fan[1].p95, "fan widens with time");
+
+  // Covered call: upside capped at strike − S0 + premium
+  const call = { key: "A", kind: "call", qty: -10, strike: 110, T: 1, iv: 0.3 };
+  const cc = runScenario({
+    assets: [{ key: "A", S0: 100, sigma: 0.3 }],
+    positions: [{ key: "A", kind: "underlying", qty: 10 }, call],
+    horizon: 1, steps: 4, paths: 5000, r: 0.05, seed: 32,
+  });
+  const credit = -positionValue(call, 100, 1, 0.05);
+  assertClose(cc.pnl.max, 10 * 10 + credit, 1e-6, "covered call max P&L at expiry = (K − S0 + premium) × qty");
+
+  // Correlated assets
+  const sim = simulateMarket({ assets: [{ S0: 100, sigma: 0.3 }, { S0: 50, sigma: 0.5 }], T: 1, steps: 1, paths: 20000, correlation: 0.6, seed: 33 });
+  const xa = sim.paths[0].map(p => Math.log(p[1] / 100)), xb = sim.paths[1].map(p => Math.log(p[1] / 50));
+  const ma = xa.reduce((s, x) => s + x, 0) / xa.length, mb = xb.reduce((s, x) => s + x, 0) / xb.length;
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < xa.length; i++) { cov += (xa[i] - ma) * (xb[i] - mb); va += (xa[i] - ma) ** 2; vb += (xb[i] - mb) ** 2; }
+  assertClose(cov / Math.sqrt(va * vb), 0.6, 0.02, "one-factor correlation ≈ ρ");
+
+  const ignored = runScenario({ assets: [{ key: "A", S0: 100, sigma: 0.3 }], positions: [{ key: "B", kind: "underlying", qty: 1 }], horizon: 0.1, paths: 10 });
+  assert(ignored.startValue === 0 && ignored.pnl.max === 0, "positions without a simulated asset are skipped");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
@@ -0,0 +1,137 @@
+/**
+ * Option Position Unit Tests
+ *
+ * Run: node tests/positions.test.js
+ *
+ * Validates Portfolio option valuation (mark source, signed value and
+ * Greeks, multiplier scaling) and settlement to intrinsic at expiry.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import { yearsToExpiry } from "../src/utils/dates.js";
+import {
+  optionSymbol, positionScale, intrinsicValue, holdingYearsToExpiry, valueOptionPosition, settleOptionPosition,
+} from "../src/engine/positions.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const r = 0.045;
+const now = Date.parse("2025-01-02T15:00:00Z");
+const base = {
+  underlying: "mstr", strike: 400, expiry: "2025-03-21", optionType: "call",
+  multiplier: 100, side: "long", qty: 2, costBasis: 30, iv: 0.8,
+};
+
+// ─── CONTRACT HELPERS ───────────────────────────────────────────────────────
+section("Contract helpers");
+{
+  assert(optionSymbol(base) === "MSTR 2025-03-21 400C", "call symbol");
+  assert(optionSymbol({ ...base, optionType: "put" }) === "MSTR 2025-03-21 400P", "put symbol");
+  assert(positionScale(base) === 200, "long 2 × 100 multiplier");
+  assert(positionScale({ ...base, side: "short" }) === -200, "short scale is negative");
+  assert(positionScale({ ...base, multiplier: undefined }) === 200, "multiplier defaults to 100");
+  assert(intrinsicValue(base, 450) === 50, "call intrinsic ITM");
+  assert(intrinsicValue(base, 350) === 0, "call intrinsic OTM");
+  assert(intrinsicValue({ ...base, optionType: "put" }, 350) === 50, "put intrinsic ITM");
+}
+
+// ─── MODEL VALUATION ────────────────────────────────────────────────────────
+section("Model valuation");
+{
+  const T = yearsToExpiry(base.expiry, now);
+  const bs = blackScholes(420, 400, T, r, 0.8, "call");
+  const v = valueOptionPosition(base, 420, { r, now });
+  assert(v.source === "model", "no mid → model mark");
+  assertClose(v.mark, bs.price, 1e-10, "mark = blackScholes price");
+  assertClose(v.marketValue, bs.price * 200, 1e-8, "value = mark × qty × multiplier");
+  assertClose(v.costTotal, 30 * 200, 1e-10, "cost = premium × qty × multiplier");
+  assertClose(v.pnl, v.marketValue - v.costTotal, 1e-10, "pnl = value − cost");
+  assertClose(v.delta, bs.delta * 200, 1e-8, "delta in shares");
+  assertClose(v.theta, bs.theta * 200, 1e-8, "theta in $/day");
+  assertClose(v.vega, bs.vega * 200, 1e-8, "vega in $/vol point");
+
+  const s = valueOptionPosition({ ...base, side: "short" }, 420, { r, now });
+  assertClose(s.marketValue, -v.marketValue, 1e-8, "short value is negative");
+  assertClose(s.delta, -v.delta, 1e-8, "short delta flips sign");
+  assertClose(s.pnl, -v.pnl, 1e-8, "short pnl mirrors long");
+  assertClose(s.pnlPct, -v.pnlPct, 1e-10, "short pnl % relative to credit received");
+}
+
+section("Chain mid and IV override");
+{
+  const T = yearsToExpiry(base.expiry, now);
+  const v = valueOptionPosition(base, 420, { r, now, mid: 55, iv: 0.9 });
+  assert(v.source === "chain", "mid → chain mark");
+  assertClose(v.mark, 55, 1e-12, "mark = mid");
+  assertClose(v.delta, blackScholes(420, 400, T, r, 0.9, "call").delta * 200, 1e-8, "Greeks at the override IV");
+  assertClose(v.iv, 0.9, 1e-12, "reports the IV used");
+}
+
+// ─── EXPIRY ─────────────────────────────────────────────────────────────────
+section("Expiry time of day");
+{
+  const day = Date.parse("2025-03-20T21:00:00Z");
+  assertClose(holdingYearsToExpiry(base, day), 1 / 365, 1e-12, "equity contracts expire at the 21:00 UTC close");
+  const crypto = { ...base, underlyingType: "crypto" };
+  assertClose(holdingYearsToExpiry(crypto, day), 11 / 24 / 365, 1e-12, "crypto contracts expire at 08:00 UTC");
+  const morning = Date.parse("2025-03-21T09:00:00Z");
+  assert(valueOptionPosition(crypto, 450, { r, now: morning }).source === "intrinsic", "crypto contract settled after 08:00 UTC");
+  assert(valueOptionPosition(base, 450, { r, now: morning }).source === "model", "equity contract still live that morning");
+}
+
+section("Expiry");
+{
+  const after = Date.parse("2025-03-22T00:00:00Z");
+  const v = valueOptionPosition(base, 450, { r, now: after, mid: 99 });
+  assert(v.source === "intrinsic", "expired → intrinsic even with a mid");
+  assertClose(v.marketValue, 50 * 200, 1e-10, "expired value = intrinsic × scale");
+  assertClose(v.delta, 0, 1e-12, "expired delta is zero");
+
+  const win = settleOptionPosition(base, 450);
+  assertClose(win.exitPrice, 50, 1e-12, "settles at intrinsic");
+  assertClose(win.realizedPnl, (50 - 30) * 200, 1e-10, "long ITM realized pnl");
+  assertClose(win.cashFlow, 50 * 200, 1e-10, "long ITM receives intrinsic");
+  assertClose(win.pnlPct, 20 / 30, 1e-12, "long return on premium");
+
+  const shortWin = settleOptionPosition({ ...base, side: "short" }, 380);
+  assertClose(shortWin.realizedPnl, 30 * 200, 1e-10, "short OTM keeps the credit");
+  assertClose(shortWin.cashFlow, 0, 1e-12, "short OTM pays nothing");
+  assertClose(shortWin.pnlPct, 1, 1e-12, "short OTM return = 100% of credit");
+
+  const shortLoss = settleOptionPosition({ ...base, side: "short" }, 450);
+  assertClose(shortLoss.cashFlow, -50 * 200, 1e-10, "short ITM pays intrinsic");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
@@ -0,0 +1,206 @@
+/**
+ * Market-Data Provider Unit Tests
+ *
+ * Run: node tests/providers.test.js
+ *
+ * Validates the registry's symbol routing (spot crypto, perps, equities,
+ * futures, exchange hints) and the shared candle helpers: timeframe
+ * resampling, cleaning of invalid and duplicate bars, native steps, and
+ * per-token pricing of 1000-token contracts (against a stubbed fetch).
+ */
+
+import { createRegistry } from "../src/lib/providers/index.js";
+import { TIMEFRAMES, timeframeSeconds, nativeStep, timeframesFor, cleanCandles, aggregateCandles, candleRange, lotSize } from "../src/lib/providers/common.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const registry = createRegistry();
+const routeIds = (res) => (res ? res.routes.map(r => r.provider.id) : []);
+const routeSymbols = (res) => (res ? res.routes.map(r => r.symbol) : []);
+
+// ─── ROUTING ────────────────────────────────────────────────────────────────
+section("Spot crypto routing");
+{
+  const btc = registry.resolve("BTC", { type: "crypto_spot" });
+  assert(btc.asset === "crypto" && btc.key === "BTC", "BTC resolves as crypto");
+  assert(routeIds(btc)[0] === "coinbase", "listed spot prefers Coinbase");
+  assert(routeSymbols(btc)[0] === "BTC-USD", "Coinbase product id");
+  assert(routeIds(btc).at(-1) === "coingecko", "CoinGecko is the last resort");
+  assert(btc.quote === "USD", "Coinbase primary quotes in USD");
+
+  const wif = registry.resolve("WIF", { type: "crypto_spot" });
+  assert(routeIds(wif)[0] === "binance", "spot token missing from Coinbase goes to Binance");
+  assert(!routeIds(wif).includes("coinbase"), "unlisted venues are left out of the fallbacks");
+  assert(wif.quote === "USDT", "Binance primary quotes in USDT");
+
+  assert(registry.resolve("ZRO:USDT").key === "ZRO", "pair notation normalizes to the canonical key");
+  assert(registry.resolve("layerzero").key === "ZRO", "aliases normalize to the canonical key");
+}
+
+section("Perp routing");
+{
+  const sol = registry.resolve("SOL", { type: "crypto_perp" });
+  assert(routeIds(sol)[0] === "phemex", "perps prefer Phemex");
+  assert(routeIds(sol)[1] === "binance-futures", "then the other perp venue");
+  assert(routeIds(sol).indexOf("binance-futures") < routeIds(sol).indexOf("coinbase"), "perp venues before spot venues");
+
+  const shib = registry.resolve("SHIB", { type: "crypto_perp" });
+  assert(routeIds(shib)[0] === "binance-futures", "perp missing from Phemex goes to Binance USD-M");
+  assert(routeSymbols(shib)[0] === "1000SHIBUSDT", "1000-lot contract symbol");
+
+  const hinted = registry.resolve("BINANCE:WIFUSDT.P");
+  assert(routeIds(hinted)[0] === "binance-futures", ".P suffix marks a Binance perpetual");
+  assert(hinted.key === "WIF", ".P suffix is stripped from the key");
+  assert(routeIds(registry.resolve("BINANCE:SOLUSDT"))[0] === "binance", "BINANCE: without .P is spot");
+  assert(routeIds(registry.resolve("PHEMEX:SOLUSDT"))[0] === "phemex", "exchange hint picks the primary");
+  assert(routeIds(registry.resolve("FOOUSDT"))[0] === "phemex", "untyped USDT pair reads as a perp");
+}
+
+section("Equity and futures routing");
+{
+  const aapl = registry.resolve("AAPL");
+  assert(aapl.asset === "equity", "plain ticker is an equity");
+  assert(routeIds(aapl).length === 1 && routeIds(aapl)[0] === "yahoo", "equities route to Yahoo only");
+
+  const nasdaq = registry.resolve("NASDAQ:MSTR");
+  assert(nasdaq.asset === "equity" && routeSymbols(nasdaq)[0] === "MSTR", "equity venue hint");
+
+  assert(routeSymbols(registry.resolve("XAUUSD"))[0] === "GC=F", "commodity override maps to the future");
+  assert(routeSymbols(registry.resolve("HG=F"))[0] === "HG=F", "futures notation passes through");
+  assert(routeIds(registry.resolve("BTC", { type: "equity" }))[0] === "yahoo", "equity type wins over the crypto maps");
+  assert(registry.resolve("") === null, "empty symbol → null");
+  assert(registry.resolve("NOT_A_SYMBOL_1") === null, "unroutable symbol → null");
+}
+
+// ─── TIMEFRAMES ─────────────────────────────────────────────────────────────
+section("Timeframes and native steps");
+{
+  assert(timeframeSeconds("4H") === 14400, "timeframe keys are case-insensitive");
+  assert(timeframeSeconds("3h") === null, "unknown timeframe → null");
+  assert(nativeStep(14400, [60, 300, 900, 3600, 21600, 86400]) === 3600, "4h from 1h bars when 4h isn't native");
+  assert(nativeStep(7200, [300, 3600, 7200]) === 7200, "native step used as is");
+  assert(nativeStep(60, [300]) === null, "nothing finer than the smallest native bar");
+  const tfs = timeframesFor([3600, 86400]);
+  assert(tfs.join(",") === "1h,2h,4h,1d", "served timeframes follow from native bars");
+  assert(Object.keys(TIMEFRAMES).every(tf => timeframesFor([60]).includes(tf)), "1m bars serve every timeframe");
+}
+
+// ─── CLEANING ───────────────────────────────────────────────────────────────
+section("cleanCandles");
+{
+  const bar = (time, close, extra = {}) => ({ time, open: close, high: close, low: close, close, volume: 1, ...extra });
+  const out = cleanCandles([bar(7200, 3), bar(3600, 2), bar(0, 9), bar(10800, 0), bar(14400, -1), bar(3600, 5, { volume: 7 })]);
+  assert(out.length === 2, "drops zero-time and non-positive closes");
+  assert(out[0].time === 3600 && out[1].time === 7200, "sorted by time");
+  assert(out[0].close === 5 && out[0].volume === 7, "last bar wins for a repeated time");
+  assert(cleanCandles([]).length === 0, "empty input");
+}
+
+// ─── RESAMPLING ─────────────────────────────────────────────────────────────
+section("aggregateCandles 1h → 4h");
+{
+  const H = 3600;
+  const start = 1700006400; // a 4h boundary (divisible by 14400)
+  const hours = [
+    { o: 10, h: 12, l: 9, c: 11, v: 1 },
+    { o: 11, h: 15, l: 10, c: 14, v: 2 },
+    { o: 14, h: 14, l: 8, c: 9, v: 3 },
+    { o: 9, h: 10, l: 9, c: 10, v: 4 },
+    { o: 10, h: 11, l: 10, c: 11, v: 5 },
+  ].map((b, i) => ({ time: start + i * H, open: b.o, high: b.h, low: b.l, close: b.c, volume: b.v }));
+
+  const out = aggregateCandles([...hours].reverse(), 4 * H);
+  assert(out.length === 2, "five hours → two 4h buckets");
+  assert(out[0].time === start && out[1].time === start + 4 * H, "buckets aligned to UTC 4h boundaries");
+  assert(out[0].open === 10 && out[0].close === 10, "first open, last close (input order doesn't matter)");
+  assert(out[0].high === 15 && out[0].low === 8, "highest high, lowest low");
+  assertClose(out[0].volume, 10, 1e-12, "volumes summed");
+  assert(out[1].open === 10 && out[1].close === 11 && out[1].volume === 5, "partial bucket from the single hour in it");
+
+  const offset = aggregateCandles(hours.slice(1), 4 * H);
+  assert(offset[0].time === start, "bucket starts on the boundary even when its first hour is missing");
+  assert(aggregateCandles([{ time: start, open: 1, high: 1, low: 1, close: 0, volume: 1 }], 4 * H).length === 0, "invalid bars dropped before bucketing");
+}
+
+section("candleRange");
+{
+  const r = candleRange(3600, { to: 1700006400, count: 10 });
+  assert(r.from === 1700006400 - 36000 && r.to === 1700006400, "from = to − count bars");
+  assert(candleRange(3600, { from: 5, to: 10 }).from === 5, "explicit from kept");
+  assert(candleRange(60).to % 60 === 0, "default end floored to the minute");
+}
+
+// ─── LOT SIZES ──────────────────────────────────────────────────────────────
+section("lotSize");
+{
+  assert(lotSize("1000PEPEUSDT") === 1000, "1000-token contract");
+  assert(lotSize("1000000MOGUSDT") === 1000000, "million-token contract");
+  assert(lotSize("PEPEUSDT") === 1, "plain pair is per token");
+  assert(lotSize("1INCHUSDT") === 1, "a leading 1 alone is part of the name");
+}
+
+section("Phemex 1000PEPE route quotes per token");
+{
+  // Phemex prices 1000PEPEUSDT per contract of 1000 tokens
+  const H = 3600;
+  const start = 1700006400;
+  globalThis.fetch = async (url) => {
+    const body = url.includes("/ticker/")
+      ? { result: { symbol: "1000PEPEUSDT", closeRp: "0.0125", openRp: "0.0100", highRp: "0.0130", lowRp: "0.0095", volumeRq: "2000" } }
+      : { code: 0, data: { rows: [[start, H, "0.0100", "0.0100", "0.0130", "0.0090", "0.0120", "50", "0.6"]] } };
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+
+  const pepe = registry.resolve("PEPE", { type: "crypto_perp" });
+  const route = pepe.routes.find(r => r.provider.id === "phemex");
+  assert(route && route.symbol === "1000PEPEUSDT", "PEPE perps trade the 1000PEPE contract on Phemex");
+
+  const q = await route.provider.quote(route.symbol);
+  assertClose(q.price, 0.0000125, 1e-12, "price per token");
+  assertClose(q.high, 0.000013, 1e-12, "24h high per token");
+  assertClose(q.low, 0.0000095, 1e-12, "24h low per token");
+  assertClose(q.change, 25, 1e-9, "change unaffected by the lot");
+  assertClose(q.volume, 2000000, 1e-6, "volume in tokens");
+
+  const [bar] = await route.provider.candles(route.symbol, "1h", { from: start, to: start + H });
+  assert(bar && bar.time === start, "one hourly bar");
+  assertClose(bar.open, 0.00001, 1e-12, "bar open per token");
+  assertClose(bar.high, 0.000013, 1e-12, "bar high per token");
+  assertClose(bar.low, 0.000009, 1e-12, "bar low per token");
+  assertClose(bar.close, 0.000012, 1e-12, "bar close per token");
+  assertClose(bar.volume, 50000, 1e-6, "bar volume in tokens");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
@@ -0,0 +1,162 @@
+/**
+ * Shared Request Layer Unit Tests
+ *
+ * Run: node tests/request.test.js
+ *
+ * Validates lib/request.js against a stubbed globalThis.fetch: TTL caching
+ * and expiry, per-caller freshness, coalescing of concurrent identical
+ * requests, non-OK responses bypassing the cache, per-host token-bucket
+ * spacing and 429 backoff honouring Retry-After.
+ */
+
+import { request, clearRequestCache, hostKey, RATE_LIMITS } from "../src/lib/request.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stub fetch: each call is logged with its time; `respond` decides the reply
+let calls = [];
+let respond = () => new Response(JSON.stringify({ ok: true }), { status: 200 });
+globalThis.fetch = async (url) => {
+  calls.push({ url, at: Date.now() });
+  await sleep(5);
+  return respond(url, calls.length);
+};
+function reset() {
+  calls = [];
+  respond = (url, n) => new Response(JSON.stringify({ n }), { status: 200 });
+  clearRequestCache();
+}
+
+// Hosts without a RATE_LIMITS entry aren't throttled
+const FREE = "https://free.example.test";
+
+// ─── HOST KEYS ──────────────────────────────────────────────────────────────
+section("hostKey");
+{
+  assert(hostKey("/api/coingecko/simple/price?ids=bitcoin") === "coingecko", "proxy prefix names the host");
+  assert(hostKey("https://api.coingecko.com/api/v3/ping") === "coingecko", "upstream host shares the proxy's bucket");
+  assert(hostKey("https://fapi.binance.com/fapi/v1/ping") === "binance", "Binance futures share the Binance bucket");
+  assert(hostKey(`${FREE}/x`) === "free.example.test", "unknown hosts keyed by hostname");
+  assert(hostKey("not a url") === "", "unparseable URL → empty key");
+}
+
+// ─── TTL CACHE ──────────────────────────────────────────────────────────────
+section("TTL hit and expiry");
+{
+  reset();
+  const a = await (await request(`${FREE}/ttl`, { ttl: 100 })).json();
+  const b = await (await request(`${FREE}/ttl`, { ttl: 100 })).json();
+  assert(calls.length === 1, "second call within the TTL is served from cache");
+  assert(a.n === 1 && b.n === 1, "cached body readable by each caller");
+
+  await sleep(130);
+  const c = await (await request(`${FREE}/ttl`, { ttl: 100 })).json();
+  assert(calls.length === 2 && c.n === 2, "expired entry is refetched");
+
+  await request(`${FREE}/ttl`, { ttl: 0 });
+  assert(calls.length === 3, "ttl 0 never reads the cache");
+}
+
+section("Per-caller freshness");
+{
+  reset();
+  await request(`${FREE}/fresh`, { ttl: 1000 });
+  await sleep(40);
+  await request(`${FREE}/fresh`, { ttl: 1000 });
+  assert(calls.length === 1, "long-TTL caller accepts the cached response");
+  await request(`${FREE}/fresh`, { ttl: 20 });
+  assert(calls.length === 2, "short-TTL caller refetches a response older than its TTL");
+}
+
+// ─── COALESCING ─────────────────────────────────────────────────────────────
+section("Coalescing");
+{
+  reset();
+  const responses = await Promise.all([1, 2, 3, 4].map(() => request(`${FREE}/same`)));
+  assert(calls.length === 1, "four concurrent identical requests → one fetch");
+  assert(new Set(responses).size === 4, "each caller gets its own Response");
+  const bodies = await Promise.all(responses.map(r => r.json()));
+  assert(bodies.every(b => b.n === 1), "every clone's body is readable");
+
+  reset();
+  const [short, long] = [request(`${FREE}/mixed`, { ttl: 0 }), request(`${FREE}/mixed`, { ttl: 1000 })];
+  await Promise.all([short, long]);
+  await request(`${FREE}/mixed`, { ttl: 1000 });
+  assert(calls.length === 1, "a shared fetch is cached for the longest TTL among its callers");
+
+  reset();
+  await Promise.all([request(`${FREE}/a`), request(`${FREE}/b`)]);
+  assert(calls.length === 2, "different URLs are not coalesced");
+}
+
+// ─── ERRORS ─────────────────────────────────────────────────────────────────
+section("Non-OK responses");
+{
+  reset();
+  respond = () => new Response("nope", { status: 500 });
+  const r1 = await request(`${FREE}/err`, { ttl: 10000 });
+  assert(r1.status === 500 && !r1.ok, "non-OK response returned to the caller");
+  respond = (url, n) => new Response(JSON.stringify({ n }), { status: 200 });
+  const r2 = await request(`${FREE}/err`, { ttl: 10000 });
+  assert(r2.ok && calls.length === 2, "non-OK response was not cached");
+}
+
+// ─── RATE LIMITS ────────────────────────────────────────────────────────────
+section("Token-bucket spacing");
+{
+  reset();
+  const { rate, burst } = RATE_LIMITS.pricecharting;
+  assert(rate === 1 && burst === 1, "PriceCharting allows 1 req/s");
+  const t0 = Date.now();
+  await Promise.all([1, 2, 3].map(i => request(`/api/pricecharting/product?id=${i}`)));
+  const gaps = calls.slice(1).map((c, i) => c.at - calls[i].at);
+  assert(calls.length === 3, "all queued calls are sent");
+  assert(gaps.every(g => g >= 950), `calls spaced ~1s apart (gaps ${gaps.join(", ")}ms)`);
+  assert(Date.now() - t0 >= 1900, "three calls at 1 req/s take ~2s");
+  assert(calls.map(c => c.url.slice(-1)).join("") === "123", "queued calls served in arrival order");
+}
+
+// ─── 429 BACKOFF ────────────────────────────────────────────────────────────
+section("429 backoff");
+{
+  reset();
+  respond = (url, n) => n === 1
+    ? new Response("slow down", { status: 429, headers: { "Retry-After": "1" } })
+    : new Response(JSON.stringify({ n }), { status: 200 });
+  const res = await request(`${FREE}/limited`);
+  assert(res.ok && calls.length === 2, "429 retried once, then succeeds");
+  const wait = calls[1].at - calls[0].at;
+  assert(wait >= 990 && wait < 1500, `retry waits for Retry-After (waited ${wait}ms)`);
+
+  reset();
+  respond = () => new Response("slow down", { status: 429, headers: { "Retry-After": "0.05" } });
+  const gaveUp = await request(`${FREE}/always-limited`);
+  assert(gaveUp.status === 429, "gives up and returns the 429 after the retry budget");
+  assert(calls.length === 5, "four retries after the first attempt");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
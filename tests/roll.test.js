@@ -0,0 +1,142 @@
+/**
+ * Roll Planning Engine Unit Tests
+ *
+ * Run: node tests/roll.test.js
+ *
+ * Validates price paths, roll timing and strike rules, the cash accounting
+ * of a schedule, and the optimizer's ranking.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import { buildPricePath, simulateRollSchedule, optimizeRolls } from "../src/engine/roll.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+// ─── PRICE PATHS ────────────────────────────────────────────────────────────
+section("buildPricePath");
+{
+  const flat = buildPricePath({ S0: 100, days: 30 });
+  assert(flat.length === 31 && flat.every(p => p === 100), "flat path holds S0 for days + 1 points");
+
+  const drift = buildPricePath({ S0: 100, days: 730, shape: "drift", drift: 0.1 });
+  assertClose(drift[365], 110, 1e-9, "drift compounds annually");
+  assertClose(drift[730], 121, 1e-9, "two years of 10% drift");
+
+  const drawn = buildPricePath({ S0: 100, days: 400, shape: "custom", anchors: [{ day: 200, price: 400 }, { day: 100, price: 200 }] });
+  assertClose(drawn[100], 200, 1e-9, "passes through an anchor (unsorted input)");
+  assertClose(drawn[50], Math.sqrt(100 * 200), 1e-9, "log-linear between S0 and the first anchor");
+  assertClose(drawn[150], Math.sqrt(200 * 400), 1e-9, "log-linear between anchors");
+  assertClose(drawn[400], 400, 1e-9, "flat past the last anchor");
+
+  const noAnchors = buildPricePath({ S0: 50, days: 10, shape: "custom" });
+  assert(noAnchors.every(p => p === 50), "custom path with no anchors is flat");
+}
+
+// ─── ROLL SCHEDULES ─────────────────────────────────────────────────────────
+section("simulateRollSchedule timing");
+{
+  const path = buildPricePath({ S0: 100, days: 365 });
+  const leg = { type: "call", strike: 100, dte: 60 };
+  const s = simulateRollSchedule({ leg, path, sigma: 0.4, r: 0.04, rollAtDte: 30, tenor: 90 });
+  assert(s.rolls.length === 6, `rolls at 30, 90, ... 330 — got ${s.rolls.length}`);
+  assert(s.rolls.map(x => x.day).join(",") === "30,90,150,210,270,330", "roll days");
+  assert(s.finalDte === 55, `final leg has 330 + 90 − 365 = 55 days left — got ${s.finalDte}`);
+  assert(s.rolls.every(x => x.openStrike === 100), "same-strike rule keeps the strike");
+
+  assert(simulateRollSchedule({ leg, path, sigma: 0.4, rollAtDte: 90, tenor: 90 }) === null, "tenor must exceed the roll threshold");
+
+  const late = simulateRollSchedule({ leg: { ...leg, dte: 20 }, path, sigma: 0.4, rollAtDte: 30, tenor: 90 });
+  assert(late.rolls[0].day === 0, "a leg already inside the threshold rolls immediately");
+}
+
+section("simulateRollSchedule accounting");
+{
+  const path = buildPricePath({ S0: 100, days: 300, shape: "drift", drift: 0.5 });
+  const leg = { type: "call", strike: 110, dte: 90, qty: 2, multiplier: 100 };
+  const base = { leg, path, sigma: 0.5, r: 0.03, rollAtDte: 30, tenor: 180 };
+  const s = simulateRollSchedule(base);
+
+  const entry = blackScholes(100, 110, 90 / 365, 0.03, 0.5, "call").price;
+  assertClose(s.entryCost, 200 * entry, 1e-6, "entry defaults to the model price × qty × multiplier");
+  assertClose(s.rollCost, 200 * s.rolls.reduce((a, x) => a + x.net, 0), 1e-6, "roll cost = Σ net debits × scale");
+  assertClose(s.pnl, s.finalValue - s.entryCost - s.rollCost - s.friction, 1e-9, "pnl = final − entry − rolls − friction");
+  assert(s.friction === 0, "no slippage → no friction");
+
+  const r0 = s.rolls[0];
+  const S = path[r0.day];
+  assertClose(r0.closePrice, blackScholes(S, 110, (90 - r0.day) / 365, 0.03, 0.5, "call").price, 1e-9, "closes at model price");
+  assertClose(r0.openPrice, blackScholes(S, 110, 180 / 365, 0.03, 0.5, "call").price, 1e-9, "opens the new tenor at model price");
+
+  const slip = simulateRollSchedule({ ...base, slippage: 0.02 });
+  const expectedFriction = 200 * 0.02 * slip.rolls.reduce((a, x) => a + x.openPrice + x.closePrice, 0);
+  assertClose(slip.friction, expectedFriction, 1e-6, "friction = slippage × premium traded");
+  assertClose(slip.pnl, s.pnl - expectedFriction, 1e-6, "friction lowers P&L one-for-one");
+
+  const short = simulateRollSchedule({ ...base, leg: { ...leg, side: "short" } });
+  assertClose(short.pnl, -s.pnl, 1e-6, "short schedule mirrors the long one");
+
+  const money = simulateRollSchedule({ ...base, strikeRule: "moneyness", strikeStep: 1 });
+  assert(money.rolls.every(x => x.openStrike === Math.round(x.S * 1.1)), "moneyness keeps K/S = 1.1, rounded to the step");
+  const atm = simulateRollSchedule({ ...base, strikeRule: "atm" });
+  assert(atm.rolls.every(x => x.openStrike === x.S), "atm rule opens at spot");
+}
+
+section("simulateRollSchedule without rolling");
+{
+  const path = buildPricePath({ S0: 100, days: 200, shape: "drift", drift: 0.2 });
+  const leg = { type: "call", strike: 100, dte: 60, entryPrice: 8 };
+  const hold = simulateRollSchedule({ leg, path, sigma: 0.3, rollAtDte: null, tenor: 0 });
+  assert(hold.rolls.length === 0, "baseline never rolls");
+  assertClose(hold.finalValue, 100 * (path[60] - 100), 1e-9, "expired leg settles to intrinsic at expiry");
+  assertClose(hold.pnl, 100 * (path[60] - 100 - 8), 1e-9, "P&L against the given entry price");
+
+  const short = simulateRollSchedule({ leg: { ...leg, dte: 400 }, path, sigma: 0.3, r: 0.02, rollAtDte: null, tenor: 0 });
+  assertClose(short.finalValue, 100 * blackScholes(path[200], 100, 200 / 365, 0.02, 0.3, "call").price, 1e-9, "unexpired leg marked at the horizon");
+}
+
+// ─── OPTIMIZER ──────────────────────────────────────────────────────────────
+section("optimizeRolls");
+{
+  const path = buildPricePath({ S0: 100, days: 500, shape: "drift", drift: 0.4 });
+  const ranked = optimizeRolls({ leg: { type: "call", strike: 100, dte: 120 }, path, sigma: 0.45, r: 0.04, thresholds: [30, 60], tenors: [60, 180, 365], strikeStep: 1 });
+  const combos = 1 + (3 + 2) * 3; // baseline + (30→60,180,365; 60→180,365) × 3 rules
+  assert(ranked.length === combos, `baseline plus valid combos — got ${ranked.length}, expected ${combos}`);
+  assert(ranked.every((s, i) => i === 0 || ranked[i - 1].pnl >= s.pnl), "ranked best first");
+  assert(ranked.some(s => s.rollAtDte === null), "includes the never-roll baseline");
+  const best = ranked[0];
+  assert(best.rollAtDte !== null, "rolling beats letting a call expire on a rising path");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
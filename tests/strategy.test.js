@@ -0,0 +1,198 @@
+/**
+ * Strategy Engine Unit Tests
+ *
+ * Run: node tests/strategy.test.js
+ *
+ * Validates multi-leg aggregation, payoff analytics and presets against
+ * closed-form payoffs and the single-leg Black-Scholes engine.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import {
+  createLeg, netPremium, strategyGreeks, strategyPnl, payoffCurve,
+  breakevens, maxProfitLoss, firstExpiry, buildPreset, STRATEGY_PRESETS, strikeStep,
+  shiftVol, pnlGrid,
+} from "../src/engine/strategy.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const r = 0.05, sigma = 0.25;
+
+// ─── SINGLE LEG MATCHES ENGINE ──────────────────────────────────────────────
+section("Single leg aggregation");
+{
+  const bs = blackScholes(100, 100, 1, r, sigma, "call");
+  const legs = [createLeg({ side: "long", kind: "call", strike: 100, T: 1, premium: bs.price })];
+  const g = strategyGreeks(legs, 100, r, sigma);
+  assertClose(g.price, bs.price, 1e-10, "long call value = blackScholes price");
+  assertClose(g.delta, bs.delta, 1e-10, "long call delta = blackScholes delta");
+  assertClose(strategyPnl(legs, 100, r, sigma), 0, 1e-10, "P&L at entry is zero");
+
+  const short = [createLeg({ side: "short", kind: "call", strike: 100, T: 1, qty: 2, premium: bs.price })];
+  const gs = strategyGreeks(short, 100, r, sigma);
+  assertClose(gs.delta, -2 * bs.delta, 1e-10, "short 2× call delta = -2 × delta");
+  assertClose(netPremium(short), -2 * bs.price, 1e-10, "short legs are a credit");
+}
+
+section("Underlying legs");
+{
+  const legs = [createLeg({ side: "long", kind: "underlying", qty: 1, premium: 100 })];
+  const g = strategyGreeks(legs, 110, r, sigma);
+  assertClose(g.delta, 1, 1e-12, "stock delta = 1");
+  assertClose(g.gamma, 0, 1e-12, "stock gamma = 0");
+  assertClose(strategyPnl(legs, 110, r, sigma), 10, 1e-10, "stock P&L = S - cost");
+}
+
+// ─── PAYOFF ANALYTICS ───────────────────────────────────────────────────────
+section("Bull call spread payoff");
+{
+  const legs = [
+    createLeg({ side: "long", kind: "call", strike: 100, T: 0.5, premium: 6 }),
+    createLeg({ side: "short", kind: "call", strike: 110, T: 0.5, premium: 2 }),
+  ];
+  assertClose(netPremium(legs), 4, 1e-12, "net debit = 6 - 2");
+  const { maxProfit, maxLoss } = maxProfitLoss(legs, r, sigma);
+  assertClose(maxProfit, 6, 1e-6, "max profit = width - debit");
+  assertClose(maxLoss, -4, 1e-6, "max loss = debit");
+  const be = breakevens(legs, r, sigma);
+  assert(be.length === 1, "single breakeven");
+  assertClose(be[0], 104, 0.01, "breakeven = long strike + debit");
+
+  const curve = payoffCurve(legs, { S: 105, r, sigma, steps: 10 });
+  assert(curve.length === 11, "curve has steps + 1 points");
+  assertClose(curve[0].expiry, -4, 1e-9, "curve low end at max loss");
+  assert(curve.every(p => p.today >= -4 - 1e-9 && p.today <= 6 + 1e-9), "today curve bounded by expiry extremes");
+}
+
+section("Unbounded payoffs");
+{
+  const longCall = [createLeg({ side: "long", kind: "call", strike: 100, T: 0.5, premium: 5 })];
+  const a = maxProfitLoss(longCall, r, sigma);
+  assert(a.maxProfit === Infinity, "long call max profit unbounded");
+  assertClose(a.maxLoss, -5, 1e-6, "long call max loss = premium");
+
+  const shortCall = [createLeg({ side: "short", kind: "call", strike: 100, T: 0.5, premium: 5 })];
+  const b = maxProfitLoss(shortCall, r, sigma);
+  assert(b.maxLoss === -Infinity, "short call max loss unbounded");
+  assertClose(b.maxProfit, 5, 1e-6, "short call max profit = premium");
+}
+
+section("Straddle breakevens");
+{
+  const legs = [
+    createLeg({ side: "long", kind: "call", strike: 100, T: 0.25, premium: 5 }),
+    createLeg({ side: "long", kind: "put", strike: 100, T: 0.25, premium: 5 }),
+  ];
+  const be = breakevens(legs, r, sigma);
+  assert(be.length === 2, "two breakevens");
+  assertClose(be[0], 90, 0.01, "lower breakeven = K - debit");
+  assertClose(be[1], 110, 0.01, "upper breakeven = K + debit");
+}
+
+section("Calendar uses first expiry");
+{
+  const legs = [
+    createLeg({ side: "short", kind: "call", strike: 100, T: 0.25, premium: 4 }),
+    createLeg({ side: "long", kind: "call", strike: 100, T: 0.5, premium: 6 }),
+  ];
+  assertClose(firstExpiry(legs), 0.25, 1e-12, "first expiry = front month");
+  const atStrike = strategyPnl(legs, 100, r, sigma, 0, 0.25);
+  const backValue = blackScholes(100, 100, 0.25, r, sigma, "call").price;
+  assertClose(atStrike, backValue - 2, 1e-9, "at front expiry, back leg keeps time value");
+  const { maxProfit } = maxProfitLoss(legs, r, sigma);
+  assert(maxProfit > 0 && isFinite(maxProfit), "calendar max profit is finite and positive");
+}
+
+// ─── PRESETS ────────────────────────────────────────────────────────────────
+section("Presets");
+{
+  const opts = { S: 300, T: 0.25, r, sigma: 0.5 };
+  assertClose(strikeStep(300), 5, 1e-12, "$300 underlying → $5 strikes");
+  assertClose(strikeStep(100000), 5000, 1e-9, "$100k underlying → $5000 strikes");
+
+  for (const p of STRATEGY_PRESETS) {
+    const legs = buildPreset(p.id, opts);
+    assert(legs.length > 0, `${p.label}: builds legs`);
+    assert(legs.every(l => l.kind === "underlying" || (l.strike > 0 && l.T > 0 && l.premium > 0)), `${p.label}: legs priced`);
+  }
+
+  const condor = buildPreset("ironCondor", opts);
+  assert(netPremium(condor) < 0, "iron condor opens for a credit");
+  const ic = maxProfitLoss(condor, r, 0.5);
+  assertClose(ic.maxProfit, -netPremium(condor), 1e-6, "iron condor max profit = credit");
+  assert(isFinite(ic.maxLoss), "iron condor max loss bounded");
+
+  const fly = buildPreset("callButterfly", opts);
+  assert(fly[1].qty === 2 && fly[1].side === "short", "butterfly body is short 2");
+
+  const cc = buildPreset("coveredCall", opts);
+  const ccPl = maxProfitLoss(cc, r, 0.5);
+  assert(isFinite(ccPl.maxProfit), "covered call upside capped");
+
+  const cal = buildPreset("callCalendar", opts);
+  assertClose(cal[1].T, 0.5, 1e-12, "calendar back month at 2× expiry");
+
+  assert(buildPreset("nope", opts).length === 0, "unknown preset → no legs");
+}
+
+// ─── P&L SURFACE ────────────────────────────────────────────────────────────
+section("P&L grid");
+{
+  const call = createLeg({ side: "long", kind: "call", strike: 100, T: 0.5, premium: blackScholes(100, 100, 0.5, r, sigma, "call").price });
+  const g = pnlGrid([{ S: 100, legs: [call], sigma }], { moves: [-0.1, 0, 0.1], days: [0, 90, 182.5], r });
+  assert(g.grid.length === 3 && g.grid[0].length === 3, "one row per day, one column per move");
+  assertClose(g.grid[0][1], 0, 1e-9, "no P&L today at an unchanged price");
+  assertClose(g.grid[1][2], strategyPnl([call], 110, r, sigma, 0, 90 / 365), 1e-9, "cell matches strategyPnl at that move and date");
+  assertClose(g.grid[2][2], 10 - call.premium, 1e-9, "expiry column is intrinsic");
+  assert(g.grid[1][1] < 0, "theta decay at an unchanged price");
+  assertClose(g.max, Math.max(...g.grid.flat()), 1e-12, "max over the grid");
+  assertClose(g.min, Math.min(...g.grid.flat()), 1e-12, "min over the grid");
+
+  const up = pnlGrid([{ S: 100, legs: [call], sigma }], { moves: [0], days: [0], r, ivShift: 0.1 });
+  assertClose(up.grid[0][0], blackScholes(100, 100, 0.5, r, sigma + 0.1, "call").price - call.premium, 1e-9, "IV shift reprices at the bumped vol");
+
+  const own = createLeg({ side: "short", kind: "put", strike: 90, T: 0.25, premium: 2, iv: 0.4 });
+  const shifted = shiftVol([own], (K, T) => 0.3, -0.5);
+  assertClose(shifted.legs[0].iv, 0.01, 1e-12, "leg override shifted and floored at 1%");
+  assertClose(shifted.sigma(100, 1), 0.01, 1e-12, "surface function shifted too");
+  assert(shiftVol([own], sigma, 0).legs[0] === own, "zero shift leaves legs untouched");
+
+  // Two underlyings move together by the same percentage
+  const other = createLeg({ side: "long", kind: "underlying", qty: 2, premium: 50 });
+  const book = pnlGrid([{ S: 100, legs: [call], sigma }, { S: 50, legs: [other], sigma }], { moves: [0.2], days: [0], r });
+  assertClose(book.grid[0][0], strategyPnl([call], 120, r, sigma) + 2 * 10, 1e-9, "book P&L sums groups at the same % move");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
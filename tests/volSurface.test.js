@@ -0,0 +1,152 @@
+/**
+ * Vol Surface Engine Unit Tests
+ *
+ * Run: node tests/volSurface.test.js
+ *
+ * Generates option quotes from known SVI slices, then checks the fit
+ * recovers them, the surface interpolates in total variance, and the
+ * arbitrage checks flag bad slices.
+ */
+
+import { blackScholes } from "../src/engine/blackScholes.js";
+import { fitSVI, fitVolSurface, sviTotalVariance, checkButterfly, checkCalendar } from "../src/engine/volSurface.js";
+import { strategyPnl, createLeg } from "../src/engine/strategy.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+const S = 100, r = 0.03, q = 0.01;
+const forward = (T) => S * Math.exp((r - q) * T);
+const TRUTH = [
+  { T: 0.25, p: { a: 0.01, b: 0.05, rho: -0.4, m: 0.02, sigma: 0.15 } },
+  { T: 1.0, p: { a: 0.04, b: 0.12, rho: -0.35, m: 0.05, sigma: 0.25 } },
+];
+const trueVol = (K, slice) => Math.sqrt(sviTotalVariance(slice.p, Math.log(K / forward(slice.T))) / slice.T);
+
+function makeQuotes() {
+  const quotes = [];
+  for (const slice of TRUTH) {
+    for (let K = 60; K <= 150; K += 5) {
+      const type = K < forward(slice.T) ? "put" : "call";
+      quotes.push({ strike: K, T: slice.T, type, price: blackScholes(S, K, slice.T, r, trueVol(K, slice), type, q).price });
+    }
+  }
+  return quotes;
+}
+
+// ─── SVI SLICE ──────────────────────────────────────────────────────────────
+section("SVI slice fit");
+{
+  const p = TRUTH[1].p;
+  const pts = [];
+  for (let k = -0.6; k <= 0.6; k += 0.05) pts.push({ k, w: sviTotalVariance(p, k) });
+  const fit = fitSVI(pts);
+  assert(fit.rmse < 1e-5, "exact SVI data fits with ~zero error");
+  assertClose(fit.params.rho, p.rho, 0.01, "recovers ρ");
+  assertClose(fit.params.b, p.b, 0.005, "recovers b");
+  assertClose(sviTotalVariance(fit.params, 0), sviTotalVariance(p, 0), 1e-5, "recovers ATM variance");
+
+  const few = fitSVI([{ k: 0, w: 0.04 }, { k: 0.1, w: 0.05 }]);
+  assertClose(few.params.a, 0.045, 1e-12, "fewer than 5 quotes → flat smile at mean variance");
+  assert(fitSVI([]) === null, "no points → null");
+}
+
+// ─── SURFACE ────────────────────────────────────────────────────────────────
+section("Surface from option prices");
+{
+  const surface = fitVolSurface(makeQuotes(), { S, r, q });
+  assert(surface.slices.length === 2, "one slice per expiry");
+  assert(surface.slices[0].T < surface.slices[1].T, "slices sorted by expiry");
+  assert(surface.arbitrage.ok, "arbitrage-free inputs pass both checks");
+
+  for (const slice of TRUTH) {
+    for (const K of [70, 100, 130]) {
+      assertClose(surface.volSurface(K, slice.T), trueVol(K, slice), 0.001, `vol at K=${K} T=${slice.T} matches input smile`);
+    }
+  }
+
+  // Between slices: linear in total variance at fixed log-moneyness
+  const T = 0.5, K = 100;
+  const k = Math.log(K / forward(T));
+  const w0 = sviTotalVariance(TRUTH[0].p, k), w1 = sviTotalVariance(TRUTH[1].p, k);
+  const wInterp = w0 + (T - 0.25) / 0.75 * (w1 - w0);
+  assertClose(surface.totalVariance(k, T), wInterp, 1e-4, "total variance interpolated linearly in T");
+  assertClose(surface.volSurface(K, T), Math.sqrt(wInterp / T), 0.001, "volSurface = √(w/T)");
+
+  // Outside the fitted range: constant implied vol
+  assertClose(surface.volSurface(100, 2), surface.volSurface(100 * forward(1) / forward(2), 1), 1e-9, "beyond last expiry keeps the last slice's vol");
+  assert(surface.volSurface(0, 1) === 0 && surface.volSurface(100, 0) === 0, "degenerate queries → 0");
+}
+
+section("Surface from IV quotes");
+{
+  const quotes = [80, 90, 100, 110, 120].map(K => ({ strike: K, T: 0.5, iv: 0.3 + (100 - K) * 0.002 }));
+  const surface = fitVolSurface(quotes, { S, r, q });
+  assertClose(surface.volSurface(90, 0.5), 0.32, 0.002, "uses quoted IVs directly");
+  assert(fitVolSurface([], { S }) === null, "empty chain → null");
+  assert(fitVolSurface(quotes, { S: 0 }) === null, "no spot → null");
+}
+
+// ─── ARBITRAGE ──────────────────────────────────────────────────────────────
+section("Arbitrage checks");
+{
+  assert(checkButterfly(TRUTH[0].p).ok, "well-behaved slice passes butterfly");
+  const bad = { a: -0.05, b: 0.5, rho: -0.99, m: 0, sigma: 0.01 };
+  assert(!checkButterfly(bad).ok, "negative-variance slice fails butterfly");
+  const steep = { a: 0.0001, b: 2.5, rho: 0.9, m: 0, sigma: 0.05 };
+  assert(!checkButterfly(steep).ok, "over-steep wing fails butterfly (g < 0)");
+
+  assert(checkCalendar(TRUTH[0].p, TRUTH[1].p).ok, "increasing variance passes calendar");
+  const cal = checkCalendar(TRUTH[1].p, TRUTH[0].p);
+  assert(!cal.ok && cal.worst < 0, "decreasing variance fails calendar");
+
+  // A back month quoted below the front month is flagged on the fitted surface
+  const quotes = [];
+  for (const [T, vol] of [[0.25, 0.6], [0.5, 0.3]]) {
+    for (const K of [80, 90, 100, 110, 120, 130]) quotes.push({ strike: K, T, iv: vol });
+  }
+  const surface = fitVolSurface(quotes, { S, r, q });
+  assert(!surface.arbitrage.ok && surface.arbitrage.calendar.length === 1, "inverted term structure flagged as calendar arbitrage");
+}
+
+// ─── STRATEGY PRICING OFF THE SURFACE ───────────────────────────────────────
+section("Strategy legs priced off the surface");
+{
+  const surface = fitVolSurface(makeQuotes(), { S, r, q });
+  const legs = [createLeg({ side: "long", kind: "put", strike: 80, T: 1, premium: 0 })];
+  const expected = blackScholes(S, 80, 1, r, surface.volSurface(80, 1), "put", q).price;
+  assertClose(strategyPnl(legs, S, r, surface.volSurface, q), expected, 1e-9, "sigma function is evaluated at (K, T)");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
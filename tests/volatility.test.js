@@ -0,0 +1,151 @@
+/**
+ * Realized Volatility Unit Tests
+ *
+ * Run: node tests/volatility.test.js
+ *
+ * Validates each estimator against closed-form cases and against simulated
+ * GBM bars with a known volatility, plus rolling windows and the vol cone.
+ */
+
+import {
+  periodsPerYear, closeToClose, parkinson, garmanKlass, yangZhang,
+  realizedVol, rollingVol, volCone,
+} from "../src/engine/volatility.js";
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message}`);
+  }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  const diff = Math.abs(actual - expected);
+  if (diff <= tolerance) {
+    passed++;
+  } else {
+    failed++;
+    console.error(`  ✗ FAIL: ${message} — expected ${expected}, got ${actual} (diff ${diff.toFixed(8)}, tol ${tolerance})`);
+  }
+}
+
+function section(name) {
+  console.log(`\n── ${name} ──`);
+}
+
+// Seeded standard normals (LCG + Box-Muller) so the simulation is reproducible
+function normals(seed) {
+  let x = seed;
+  const u = () => { x = (x * 1664525 + 1013904223) % 4294967296; return (x + 1) / 4294967297; };
+  return () => Math.sqrt(-2 * Math.log(u())) * Math.cos(2 * Math.PI * u());
+}
+
+// Daily OHLC bars from a driftless GBM sampled `steps` times per bar
+function simulateBars(n, sigma, { steps = 100, gap = 0, seed = 1 } = {}) {
+  const z = normals(seed);
+  const dt = 1 / 365 / steps;
+  const bars = [];
+  let p = 100;
+  for (let i = 0; i < n; i++) {
+    if (gap > 0) p *= Math.exp(gap * z());
+    const open = p;
+    let high = p, low = p;
+    for (let s = 0; s < steps; s++) {
+      p *= Math.exp(-0.5 * sigma * sigma * dt + sigma * Math.sqrt(dt) * z());
+      high = Math.max(high, p);
+      low = Math.min(low, p);
+    }
+    bars.push({ time: i * 86400, open, high, low, close: p });
+  }
+  return bars;
+}
+
+// ─── ANNUALIZATION ──────────────────────────────────────────────────────────
+section("Periods per year");
+{
+  assertClose(periodsPerYear(86400), 365, 1e-12, "crypto daily = 365");
+  assertClose(periodsPerYear(3600), 8760, 1e-9, "crypto hourly = 8760");
+  assertClose(periodsPerYear(86400, "equity"), 252, 1e-12, "equity daily = 252");
+  assertClose(periodsPerYear(3600, "equity"), 252 * 6.5, 1e-9, "equity hourly = 6.5 bars/day");
+  assertClose(periodsPerYear(7 * 86400, "equity"), 36, 1e-12, "equity weekly = 36");
+  assert(periodsPerYear(0) === 0, "bad bar length → 0");
+}
+
+// ─── CLOSED FORM ────────────────────────────────────────────────────────────
+section("Closed-form cases");
+{
+  // Alternating ±1% log returns: sample sd = 0.01 × sqrt(n / (n − 1))
+  const closes = [100];
+  for (let i = 0; i < 10; i++) closes.push(closes[i] * Math.exp(i % 2 ? -0.01 : 0.01));
+  const bars = closes.map(c => ({ close: c }));
+  assertClose(closeToClose(bars, 365), 0.01 * Math.sqrt(10 / 9) * Math.sqrt(365), 1e-12, "close-to-close on ±1% returns");
+  assert(parkinson(bars, 365) === null, "close-only bars → no Parkinson");
+  assert(closeToClose([{ close: 100 }, { close: 101 }], 365) === null, "one return → null");
+
+  // Constant 2% log range: Parkinson variance = 0.02² / (4 ln 2) per bar
+  const flatRange = Array.from({ length: 5 }, () => ({ open: 100, high: 100 * Math.exp(0.01), low: 100 * Math.exp(-0.01), close: 100 }));
+  assertClose(parkinson(flatRange, 252), Math.sqrt(0.0004 / (4 * Math.log(2)) * 252), 1e-12, "Parkinson on a constant range");
+  assertClose(garmanKlass(flatRange, 252), Math.sqrt(0.5 * 0.0004 * 252), 1e-12, "Garman-Klass with open = close");
+
+  const still = Array.from({ length: 6 }, () => ({ open: 50, high: 50, low: 50, close: 50 }));
+  assertClose(yangZhang(still, 365), 0, 1e-12, "no movement → zero vol");
+}
+
+// ─── SIMULATED GBM ──────────────────────────────────────────────────────────
+section("Recover known vol from GBM bars");
+{
+  const sigma = 0.6;
+  const bars = simulateBars(1500, sigma, { seed: 11 });
+  const ppy = periodsPerYear(86400);
+  assertClose(closeToClose(bars, ppy), sigma, 0.04, "close-to-close ≈ σ");
+  // Discrete sampling of the high/low biases range estimators slightly low
+  assertClose(parkinson(bars, ppy), sigma, 0.06, "Parkinson ≈ σ");
+  assertClose(garmanKlass(bars, ppy), sigma, 0.06, "Garman-Klass ≈ σ");
+  assertClose(yangZhang(bars, ppy), sigma, 0.06, "Yang-Zhang ≈ σ");
+
+  // Opening gaps: Yang-Zhang picks them up, Parkinson (intraday range only) does not
+  const gapped = simulateBars(1500, 0.4, { gap: 0.02, seed: 5 });
+  const total = Math.sqrt(0.4 * 0.4 + 0.02 * 0.02 * ppy);
+  assertClose(yangZhang(gapped, ppy), total, 0.06, "Yang-Zhang includes overnight gaps");
+  assert(parkinson(gapped, ppy) < total - 0.1, "Parkinson misses overnight gaps");
+}
+
+// ─── WINDOWS ────────────────────────────────────────────────────────────────
+section("Rolling windows and cone");
+{
+  const bars = simulateBars(200, 0.5, { seed: 3 });
+  const ppy = 365;
+  const last20 = realizedVol(bars, { window: 20, periodsPerYear: ppy });
+  assertClose(last20, closeToClose(bars.slice(-21), ppy), 1e-12, "window of 20 returns uses 21 closes");
+  assertClose(realizedVol(bars, { estimator: "parkinson", window: 20, periodsPerYear: ppy }), parkinson(bars.slice(-20), ppy), 1e-12, "Parkinson window uses 20 bars");
+  assert(realizedVol(bars.slice(0, 10), { window: 20, periodsPerYear: ppy }) === null, "short history → null");
+  assert(realizedVol(bars, { estimator: "nope", periodsPerYear: ppy }) === null, "unknown estimator → null");
+
+  const roll = rollingVol(bars, { window: 20, periodsPerYear: ppy });
+  assert(roll.length === 200 - 20, "one rolling point per bar after warm-up");
+  assert(roll[roll.length - 1].time === bars[bars.length - 1].time, "points keyed by the window's last bar");
+  assertClose(roll[roll.length - 1].vol, last20, 1e-12, "last rolling point = trailing window");
+
+  const cone = volCone(bars, { windows: [10, 30, 250], periodsPerYear: ppy });
+  assert(cone.length === 2, "windows longer than history omitted");
+  for (const c of cone) {
+    assert(c.min <= c.p25 && c.p25 <= c.median && c.median <= c.p75 && c.p75 <= c.max, `${c.window}-bar cone ordered`);
+    assert(c.current >= c.min && c.current <= c.max, `${c.window}-bar current inside cone`);
+  }
+  assert(cone[0].max - cone[0].min > cone[1].max - cone[1].min, "short windows fan out wider");
+}
+
+// ─── SUMMARY ────────────────────────────────────────────────────────────────
+console.log(`\n${"═".repeat(50)}`);
+console.log(`Results: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+if (failed > 0) {
+  console.log("⚠ SOME TESTS FAILED");
+  process.exit(1);
+} else {
+  console.log("✓ All tests passed");
+}
@@ -22,6 +22,22 @@ export default defineConfig({
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api\/phemex/, ''),
       },
+      // USD-M futures live on their own host; keep this entry ahead of '/api/binance'
+      '/api/binance/fapi': {
+        target: 'https://fapi.binance.com',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api\/binance/, ''),
+      },
+      '/api/binance': {
+        target: 'https://api.binance.com',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api\/binance/, ''),
+      },
+      '/api/deribit': {
+        target: 'https://www.deribit.com',
+        changeOrigin: true,
+        rewrite: (path) => path.replace(/^\/api\/deribit/, ''),
+      },
       '/api/yahoo': {
         target: 'https://query2.finance.yahoo.com',
         changeOrigin: true,